@@ -1,27 +1,97 @@
 #!/usr/bin/env node
 
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import {
-  DynamoDBDocumentClient,
-  PutCommand,
-  ScanCommand,
-} from "@aws-sdk/lib-dynamodb";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
+import { assessBookingCompensation } from "./lib/compensation.js";
+import {
+  claimEscalation,
+  closeEscalation,
+  CONTACT_CHANNELS,
+  createEscalation,
+  ESCALATION_PRIORITIES,
+  ESCALATION_STATUSES,
+  formatEscalation,
+  getEscalation,
+  ISSUE_COMPLEXITIES,
+  listEscalations,
+  slaState,
+  updateEscalation,
+} from "./lib/escalations.js";
+import { CABIN_CLASSES } from "./lib/inventory.js";
+import {
+  getPassengerItinerary,
+  resolvePassengerIds,
+} from "./lib/itinerary.js";
+import {
+  checkNotification,
+  notificationDedupKey,
+} from "./lib/notification-throttling.js";
+import {
+  deliverNotification,
+  formatNotification,
+  getNotification,
+  listNotifications,
+  notificationRecipient,
+  queueNotification,
+} from "./lib/notifications.js";
+import { pageList } from "./lib/pagination.js";
+import {
+  deletePreference,
+  getPreferences,
+  listPreferences,
+  MEAL_CODES,
+  PREFERENCE_TYPES,
+  SEAT_PREFERENCES,
+  setPreference,
+} from "./lib/preferences.js";
+import {
+  acceptOption,
+  formatOption,
+  listPassengerOptions,
+  rejectOption,
+} from "./lib/rebooking-options.js";
+import {
+  approveWorkflow,
+  cancelWorkflow,
+  createWorkflow,
+  formatWorkflow,
+  getWorkflow,
+  listWorkflows,
+} from "./lib/rebooking-workflows.js";
+import {
+  buildProactiveMessage,
+  DEFAULT_MESSAGE_TONE,
+  MESSAGE_CHANNELS,
+  MESSAGE_LANGUAGES,
+  MESSAGE_TONES,
+} from "./lib/proactive-messages.js";
+import { createStore } from "./lib/storage/index.js";
+import {
+  appendMessage,
+  createSession,
+  formatSession,
+  getSession,
+  listSessions,
+  MESSAGE_SENDERS,
+  resolveSession,
+  RESOLUTION_OUTCOMES,
+  SESSION_STATUSES,
+  setSessionStatus,
+  SETTABLE_SESSION_STATUSES,
+} from "./lib/support-sessions.js";
+import { flightTime } from "./lib/times.js";
 
-const client = new DynamoDBClient({ region: "us-east-1" }); // Updated to match schema region
-const docClient = DynamoDBDocumentClient.from(client);
+// DynamoDB or SQLite, selected by STORAGE_BACKEND (see lib/storage/index.js)
+const store = createStore();
 
 // Updated table names to match new schemas
 const PASSENGERS_TABLE = "Passengers";
 const BOOKINGS_TABLE = "Bookings";
-const DELAY_NOTIFICATIONS_TABLE = "DelayNotifications";
 const REBOOKING_OPTIONS_TABLE = "RebookingOptions";
-const CUSTOMER_SUPPORT_SESSIONS_TABLE = "CustomerSupportSessions";
 
 const server = new Server(
   {
@@ -46,12 +116,32 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           type: "object",
           properties: {
             passenger_id: { type: "string" },
-            delay_info: { type: "object" },
-            alternatives: { type: "array" },
+            delay_info: {
+              type: "object",
+              description:
+                "flight_number, delay_minutes and reason; departure_date, scheduled_departure, origin and destination default to the passenger's booked flight",
+            },
+            alternatives: {
+              type: "array",
+              description:
+                "Itineraries from find_alternative_flights or options from list_rebooking_options, listed in the message",
+            },
             message_tone: {
               type: "string",
-              enum: ["apologetic", "solution_focused", "premium_service"],
-              default: "solution_focused",
+              enum: MESSAGE_TONES,
+              default: DEFAULT_MESSAGE_TONE,
+            },
+            channel: {
+              type: "string",
+              enum: MESSAGE_CHANNELS,
+              description:
+                "Default: the passenger's notification_channel preference, else email",
+            },
+            language: {
+              type: "string",
+              enum: MESSAGE_LANGUAGES,
+              description:
+                "Default: the passenger's language preference, else en",
             },
           },
           required: ["passenger_id", "delay_info"],
@@ -60,47 +150,238 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       {
         name: "create_rebooking_workflow",
         description:
-          "Create step-by-step rebooking workflow for customer service",
+          "Rebook a passenger: cancels the original booking and books the new itinerary with its seats in one transaction, rolling back if any step fails. Fares are not stored, so the price difference of a change is not assessed: an itinerary that was not offered, or a change of cabin or origin, always waits for a second agent to approve it. Otherwise it runs straight away unless approval is required for a much later arrival or requested",
         inputSchema: {
           type: "object",
           properties: {
             passenger_id: { type: "string" },
-            selected_alternative: { type: "object" },
+            option_id: {
+              type: "string",
+              description: "An accepted rebooking option to carry out",
+            },
+            selected_alternative: {
+              type: "object",
+              description:
+                "An itinerary not offered as an option (needs approval): the booking to replace and the flights to book instead",
+              properties: {
+                booking_reference: {
+                  type: "string",
+                  description:
+                    "Default: the passenger's only active booking",
+                },
+                legs: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      flight_number: { type: "string" },
+                      departure_date: { type: "string" },
+                    },
+                    required: ["flight_number", "departure_date"],
+                  },
+                },
+              },
+              required: ["legs"],
+            },
+            cabin_class: {
+              type: "string",
+              enum: CABIN_CLASSES,
+              description:
+                "Default: the booked cabin; a different one needs approval",
+            },
             additional_services: {
               type: "array",
               items: { type: "string" },
               description:
                 "Additional services like lounge access, meal vouchers",
             },
+            agent_id: {
+              type: "string",
+              description:
+                "The agent creating the workflow; required when it needs approval",
+            },
+            require_approval: {
+              type: "boolean",
+              description: "Ask for a second agent's approval regardless",
+            },
+          },
+          required: ["passenger_id"],
+        },
+      },
+      {
+        name: "approve_rebooking_workflow",
+        description:
+          "Approve or reject a rebooking workflow awaiting approval; an approved one runs straight away. The creating agent cannot approve",
+        inputSchema: {
+          type: "object",
+          properties: {
+            workflow_id: { type: "string" },
+            agent_id: { type: "string" },
+            approved: {
+              type: "boolean",
+              description: "false rejects the workflow (default true)",
+            },
+            note: { type: "string" },
+          },
+          required: ["workflow_id", "agent_id"],
+        },
+      },
+      {
+        name: "get_rebooking_workflow",
+        description:
+          "A rebooking workflow with the status of each step, or a passenger's workflows",
+        inputSchema: {
+          type: "object",
+          properties: {
+            workflow_id: { type: "string" },
+            passenger_id: { type: "string" },
+          },
+        },
+      },
+      {
+        name: "cancel_rebooking_workflow",
+        description:
+          "Cancel a rebooking workflow that has not run yet, or one stuck running, releasing its seat holds and the booking",
+        inputSchema: {
+          type: "object",
+          properties: {
+            workflow_id: { type: "string" },
+            agent_id: { type: "string" },
+            reason: { type: "string" },
           },
-          required: ["passenger_id", "selected_alternative"],
+          required: ["workflow_id"],
         },
       },
       {
         name: "escalation_handoff",
-        description: "Prepare context for human agent handoff",
+        description:
+          "Hand a case over to a human agent: stores an escalation routed to an agent pool by issue, tier, language and channel, with SLA deadlines by priority and preparation notes from the passenger's trip",
         inputSchema: {
           type: "object",
           properties: {
             passenger_id: { type: "string" },
             issue_complexity: {
               type: "string",
-              enum: [
-                "simple_rebooking",
-                "complex_itinerary",
-                "compensation_required",
-                "vip_handling",
-              ],
+              enum: ISSUE_COMPLEXITIES,
             },
             conversation_history: { type: "array" },
+            session_id: {
+              type: "string",
+              description: "Support session to mark as escalated",
+            },
+            flight_number: {
+              type: "string",
+              description: "Flight the case is about, to focus the notes",
+            },
+            channel: {
+              type: "string",
+              enum: CONTACT_CHANNELS,
+              description: "Where the customer reached us (default chat)",
+            },
+            language: {
+              type: "string",
+              description:
+                "Default: the passenger's language preference, else en",
+            },
           },
           required: ["passenger_id", "issue_complexity"],
         },
       },
+      {
+        name: "get_escalation",
+        description:
+          "An escalation with its SLA state, preparation notes, agent notes and history",
+        inputSchema: {
+          type: "object",
+          properties: {
+            escalation_id: { type: "string" },
+          },
+          required: ["escalation_id"],
+        },
+      },
+      {
+        name: "list_escalations",
+        description:
+          "List a pool's queue, an agent's or a passenger's escalations, most urgent SLA deadline first",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pool: { type: "string" },
+            agent_id: { type: "string" },
+            passenger_id: { type: "string" },
+            status: { type: "string", enum: ESCALATION_STATUSES },
+            include_closed: {
+              type: "boolean",
+              description: "Also list closed escalations",
+            },
+            breached_only: {
+              type: "boolean",
+              description: "Only escalations with a breached SLA",
+            },
+            max_results: {
+              type: "number",
+              description: "Escalations per page (default 20)",
+            },
+            cursor: {
+              type: "string",
+              description: "next_cursor from a previous call, to continue",
+            },
+          },
+        },
+      },
+      {
+        name: "claim_escalation",
+        description:
+          "Claim an open escalation for an agent; without escalation_id, claims the most urgent open one in the pool",
+        inputSchema: {
+          type: "object",
+          properties: {
+            agent_id: { type: "string" },
+            escalation_id: { type: "string" },
+            pool: { type: "string" },
+          },
+          required: ["agent_id"],
+        },
+      },
+      {
+        name: "update_escalation",
+        description:
+          "Add a note to an escalation, change its priority (SLA deadlines follow), reroute it to another pool or release it back to the queue",
+        inputSchema: {
+          type: "object",
+          properties: {
+            escalation_id: { type: "string" },
+            agent_id: { type: "string" },
+            note: { type: "string" },
+            priority: { type: "string", enum: ESCALATION_PRIORITIES },
+            pool: { type: "string" },
+            release: {
+              type: "boolean",
+              description: "Give up the claim so another agent can take it",
+            },
+          },
+          required: ["escalation_id", "agent_id"],
+        },
+      },
+      {
+        name: "close_escalation",
+        description:
+          "Close an escalation the agent has claimed, with the outcome and a summary",
+        inputSchema: {
+          type: "object",
+          properties: {
+            escalation_id: { type: "string" },
+            agent_id: { type: "string" },
+            outcome: { type: "string", enum: RESOLUTION_OUTCOMES },
+            summary: { type: "string" },
+          },
+          required: ["escalation_id", "agent_id", "outcome", "summary"],
+        },
+      },
       {
         name: "create_delay_notification",
         description:
-          "Create a delay notification record for tracking and follow-up",
+          "Send a delay notification to a passenger over email, SMS, push or call; failed sends are retried with backoff. Duplicates, notifications over the passenger's rate limit and intrusive ones in quiet hours are suppressed",
         inputSchema: {
           type: "object",
           properties: {
@@ -109,13 +390,41 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             delay_minutes: { type: "number" },
             notification_type: {
               type: "string",
-              enum: ["sms", "email", "push", "call"],
+              enum: MESSAGE_CHANNELS,
+              description:
+                "Default: the passenger's notification_channel preference, else email",
+            },
+            message_content: {
+              type: "string",
+              description:
+                "Default: a delay message rendered in the passenger's preferred language",
+            },
+            force: {
+              type: "boolean",
+              description:
+                "Send even if it would be suppressed as a duplicate, over the rate limit or in quiet hours",
             },
-            message_content: { type: "string" },
           },
           required: ["passenger_id", "flight_number", "delay_minutes"],
         },
       },
+      {
+        name: "get_notification_status",
+        description:
+          "Delivery status of delay notifications (queued, sending, delivered, failed) with every attempt, by notification, passenger or flight",
+        inputSchema: {
+          type: "object",
+          properties: {
+            notification_id: { type: "string" },
+            passenger_id: { type: "string" },
+            flight_number: { type: "string" },
+            max_results: {
+              type: "number",
+              description: "Most recent notifications to return (default 20)",
+            },
+          },
+        },
+      },
       {
         name: "start_support_session",
         description:
@@ -139,101 +448,1044 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ["passenger_id", "issue_type"],
         },
       },
-    ],
-  };
-});
-
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  switch (name) {
-    case "generate_proactive_message":
-      try {
-        // Get passenger by ID using the new schema structure
-        const params = {
-          TableName: PASSENGERS_TABLE,
-          FilterExpression: "PassengerId = :id",
-          ExpressionAttributeValues: {
-            ":id": String(args.passenger_id),
+      {
+        name: "get_support_session",
+        description:
+          "Get a support session with its messages, status history and resolution",
+        inputSchema: {
+          type: "object",
+          properties: { session_id: { type: "string" } },
+          required: ["session_id"],
+        },
+      },
+      {
+        name: "append_session_message",
+        description:
+          "Add a message to a support session; a customer reply reactivates a session waiting on the customer",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session_id: { type: "string" },
+            sender: { type: "string", enum: MESSAGE_SENDERS },
+            text: { type: "string" },
+            agent_id: { type: "string" },
+          },
+          required: ["session_id", "sender", "text"],
+        },
+      },
+      {
+        name: "update_session_status",
+        description:
+          "Change a support session's status (resolve with resolve_support_session)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session_id: { type: "string" },
+            status: { type: "string", enum: SETTABLE_SESSION_STATUSES },
+            note: { type: "string" },
+            agent_id: { type: "string" },
+          },
+          required: ["session_id", "status"],
+        },
+      },
+      {
+        name: "resolve_support_session",
+        description: "Resolve a support session with a structured resolution",
+        inputSchema: {
+          type: "object",
+          properties: {
+            session_id: { type: "string" },
+            outcome: { type: "string", enum: RESOLUTION_OUTCOMES },
+            summary: { type: "string" },
+            compensation_amount: {
+              type: "number",
+              description: "Compensation granted, in EUR",
+            },
+            rebooking_option_id: {
+              type: "string",
+              description: "The rebooking option the passenger accepted",
+            },
+            follow_up_required: { type: "boolean" },
+            agent_id: { type: "string" },
+          },
+          required: ["session_id", "outcome", "summary"],
+        },
+      },
+      {
+        name: "list_support_sessions",
+        description:
+          "List a passenger's or an agent's support sessions, newest first",
+        inputSchema: {
+          type: "object",
+          properties: {
+            passenger_id: { type: "string" },
+            agent_id: { type: "string" },
+            status: { type: "string", enum: SESSION_STATUSES },
+            include_closed: {
+              type: "boolean",
+              description: "Also list resolved and closed sessions",
+            },
+            max_results: {
+              type: "number",
+              description: "Sessions per page (default 20)",
+            },
+            cursor: {
+              type: "string",
+              description: "next_cursor from a previous call, to continue",
+            },
+          },
+        },
+      },
+      {
+        name: "calculate_compensation",
+        description:
+          "Decide whether EU261 compensation is owed for a booking's delayed or cancelled flight, with the amount and reasoning",
+        inputSchema: {
+          type: "object",
+          properties: {
+            booking_reference: { type: "string" },
+            passenger_id: { type: "string" },
+            arrival_delay_minutes: {
+              type: "number",
+              description:
+                "Actual arrival delay, if known (default: from the flight's estimated arrival)",
+            },
+            cancellation_notice_days: {
+              type: "number",
+              description:
+                "Days between cancellation notice and departure (default: from the flight's status history)",
+            },
+            rerouted_departure_time: {
+              type: "string",
+              description:
+                "Departure of the rerouting offered (default: the passenger's accepted rebooking option)",
+            },
+            rerouted_arrival_time: { type: "string" },
+            extraordinary_circumstances: {
+              type: "boolean",
+              description:
+                "Override the delay-code based extraordinary circumstances decision",
+            },
+          },
+          required: ["booking_reference", "passenger_id"],
+        },
+      },
+      {
+        name: "list_rebooking_options",
+        description:
+          "List the stored rebooking options offered to a passenger, best first",
+        inputSchema: {
+          type: "object",
+          properties: {
+            passenger_id: { type: "string" },
+            flight_number: {
+              type: "string",
+              description: "Only options for this disrupted flight",
+            },
+            include_inactive: {
+              type: "boolean",
+              description:
+                "Also list accepted, rejected, superseded and expired options",
+            },
+          },
+          required: ["passenger_id"],
+        },
+      },
+      {
+        name: "get_passenger_preferences",
+        description:
+          "Get a passenger's stored preferences: language, notification channel, seat, meal and quiet hours",
+        inputSchema: {
+          type: "object",
+          properties: { passenger_id: { type: "string" } },
+          required: ["passenger_id"],
+        },
+      },
+      {
+        name: "set_passenger_preference",
+        description:
+          "Set one of a passenger's preferences, replacing any previous value",
+        inputSchema: {
+          type: "object",
+          properties: {
+            passenger_id: { type: "string" },
+            preference_type: { type: "string", enum: PREFERENCE_TYPES },
+            value: {
+              description: `language: ${MESSAGE_LANGUAGES.join(
+                "/"
+              )}; notification_channel: ${MESSAGE_CHANNELS.join(
+                "/"
+              )}; seat: ${SEAT_PREFERENCES.join(
+                "/"
+              )}; meal: an IATA meal code (${Object.keys(MEAL_CODES).join(
+                ", "
+              )}); quiet_hours: { start: "22:00", end: "07:00", timezone }`,
+            },
+          },
+          required: ["passenger_id", "preference_type", "value"],
+        },
+      },
+      {
+        name: "delete_passenger_preference",
+        description: "Remove one of a passenger's preferences",
+        inputSchema: {
+          type: "object",
+          properties: {
+            passenger_id: { type: "string" },
+            preference_type: { type: "string", enum: PREFERENCE_TYPES },
           },
+          required: ["passenger_id", "preference_type"],
+        },
+      },
+      {
+        name: "accept_rebooking_option",
+        description:
+          "Accept one of a passenger's rebooking options; their other open options for the same flight are withdrawn",
+        inputSchema: {
+          type: "object",
+          properties: {
+            passenger_id: { type: "string" },
+            option_id: { type: "string" },
+          },
+          required: ["passenger_id", "option_id"],
+        },
+      },
+      {
+        name: "reject_rebooking_option",
+        description: "Record that a passenger declined a rebooking option",
+        inputSchema: {
+          type: "object",
+          properties: {
+            passenger_id: { type: "string" },
+            option_id: { type: "string" },
+            reason: { type: "string" },
+          },
+          required: ["passenger_id", "option_id"],
+        },
+      },
+      {
+        name: "get_passenger_itinerary",
+        description:
+          "Look up what a passenger is flying, by passenger ID, booking reference or frequent-flyer number: every segment with the flight's current status and delay, plus open notifications and support sessions",
+        inputSchema: {
+          type: "object",
+          properties: {
+            passenger_id: { type: "string" },
+            booking_reference: { type: "string" },
+            frequent_flyer_number: { type: "string" },
+            include_history: {
+              type: "boolean",
+              description:
+                "Also return notifications about landed flights and resolved or closed sessions",
+            },
+          },
+        },
+      },
+    ],
+  };
+});
+
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+
+  switch (name) {
+    case "generate_proactive_message":
+      try {
+        const passenger = await findPassenger(args.passenger_id);
+
+        if (!passenger) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Passenger ${String(args.passenger_id)} not found`,
+              },
+            ],
+          };
+        }
+
+        const preferences = await getPreferences(store, passenger.PassengerId);
+        const message = await buildProactiveMessage(store, passenger, {
+          delayInfo: args.delay_info,
+          alternatives: args.alternatives,
+          preferences,
+          tone: args.message_tone,
+          channel: args.channel,
+          language: args.language,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  passenger_tier: message.tier,
+                  message_type: "proactive_delay_notification",
+                  language: message.language,
+                  channel: message.channel,
+                  message_tone: message.tone,
+                  template: message.template,
+                  ...(message.parts.subject && {
+                    subject: message.parts.subject,
+                  }),
+                  ...(message.parts.title && { title: message.parts.title }),
+                  message: message.parts.body,
+                  new_departure: message.newDeparture,
+                  alternatives_listed: message.alternativeCount,
+                  passenger_preferences: preferences,
+                  recommended_actions: [
+                    "Present alternative flights",
+                    "Offer compensation if applicable",
+                    "Provide rebooking options",
+                  ],
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "create_rebooking_workflow":
+      try {
+        const {
+          passenger_id,
+          option_id,
+          selected_alternative,
+          cabin_class,
+          additional_services = [],
+          agent_id,
+          require_approval = false,
+        } = args;
+
+        const workflow = await createWorkflow(store, {
+          passengerId: passenger_id,
+          optionId: option_id,
+          bookingReference: selected_alternative?.booking_reference,
+          legs: selected_alternative?.legs?.map((leg) => ({
+            FlightNumber: String(leg.flight_number),
+            ScheduledDepartureDate: String(leg.departure_date),
+          })),
+          cabinClass: cabin_class,
+          additionalServices: additional_services,
+          agentId: agent_id,
+          requireApproval: require_approval,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(formatWorkflow(workflow), null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "approve_rebooking_workflow":
+      try {
+        const { workflow_id, agent_id, approved = true, note } = args;
+
+        const workflow = await approveWorkflow(store, workflow_id, {
+          agentId: agent_id,
+          approved,
+          note,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(formatWorkflow(workflow), null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "get_rebooking_workflow":
+      try {
+        const { workflow_id, passenger_id } = args || {};
+
+        if (workflow_id) {
+          const workflow = await getWorkflow(store, workflow_id);
+          if (!workflow) {
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: `Error: Rebooking workflow ${workflow_id} not found`,
+                },
+              ],
+            };
+          }
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(formatWorkflow(workflow), null, 2),
+              },
+            ],
+          };
+        }
+
+        if (!passenger_id) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Error: workflow_id or passenger_id is required",
+              },
+            ],
+          };
+        }
+
+        const workflows = await listWorkflows(store, passenger_id);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  passenger_id,
+                  total_workflows: workflows.length,
+                  workflows: workflows.map(formatWorkflow),
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "cancel_rebooking_workflow":
+      try {
+        const { workflow_id, agent_id, reason } = args;
+
+        const workflow = await cancelWorkflow(store, workflow_id, {
+          agentId: agent_id,
+          reason,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(formatWorkflow(workflow), null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "escalation_handoff":
+      try {
+        const {
+          passenger_id,
+          issue_complexity,
+          conversation_history = [],
+          session_id,
+          flight_number,
+          channel,
+          language,
+        } = args;
+
+        const escalation = await createEscalation(store, {
+          passengerId: passenger_id,
+          issueComplexity: issue_complexity,
+          sessionId: session_id,
+          flightNumber: flight_number,
+          channel,
+          language,
+          conversationHistory: conversation_history,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(formatEscalation(escalation), null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "get_escalation":
+      try {
+        const escalation = await getEscalation(store, args.escalation_id);
+        if (!escalation) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: Escalation ${args.escalation_id} not found`,
+              },
+            ],
+          };
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(formatEscalation(escalation), null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "list_escalations":
+      try {
+        const {
+          pool,
+          agent_id,
+          passenger_id,
+          status,
+          include_closed = false,
+          breached_only = false,
+        } = args || {};
+
+        if (!pool && !agent_id && !passenger_id) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Error: pool, agent_id or passenger_id is required",
+              },
+            ],
+          };
+        }
+
+        const escalations = await listEscalations(store, {
+          pool,
+          agentId: agent_id,
+          passengerId: passenger_id,
+          status,
+          includeClosed: include_closed,
+          breachedOnly: breached_only,
+        });
+        const page = pageList(escalations, {
+          maxItems: Number(args.max_results) || 20,
+          cursor: args.cursor,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  lookup: pool
+                    ? { pool }
+                    : agent_id
+                    ? { agent_id }
+                    : { passenger_id },
+                  total_escalations: escalations.length,
+                  breached: escalations.filter(
+                    (escalation) => slaState(escalation).breaches.length > 0
+                  ).length,
+                  next_cursor: page.cursor,
+                  escalations: page.items.map((escalation) =>
+                    formatEscalation(escalation, { includeDetails: false })
+                  ),
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "claim_escalation":
+      try {
+        const { agent_id, escalation_id, pool } = args;
+
+        const escalation = await claimEscalation(store, {
+          escalationId: escalation_id,
+          pool,
+          agentId: agent_id,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: escalation
+                ? JSON.stringify(formatEscalation(escalation), null, 2)
+                : `No open escalations in pool ${pool}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "update_escalation":
+      try {
+        const { escalation_id, agent_id, note, priority, pool, release } =
+          args;
+
+        const escalation = await updateEscalation(store, escalation_id, {
+          agentId: agent_id,
+          note,
+          priority,
+          pool,
+          release,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(formatEscalation(escalation), null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "close_escalation":
+      try {
+        const { escalation_id, agent_id, outcome, summary } = args;
+
+        const escalation = await closeEscalation(store, escalation_id, {
+          agentId: agent_id,
+          outcome,
+          summary,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(formatEscalation(escalation), null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "create_delay_notification":
+      try {
+        const { passenger_id, flight_number, delay_minutes } = args;
+
+        const passenger = await findPassenger(passenger_id);
+        if (!passenger) {
+          throw new Error(`Passenger ${String(passenger_id)} not found`);
+        }
+        const preferences = await getPreferences(store, passenger_id);
+        const notification_type =
+          args.notification_type ??
+          preferences.notification_channel ??
+          "email";
+
+        const request = {
+          passengerId: passenger_id,
+          flightNumber: flight_number,
+          delayMinutes: delay_minutes,
+          channel: notification_type,
+          preferences,
+        };
+        const suppressedResponse = (suppressed) => ({
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  status: "suppressed",
+                  reason: suppressed.reason,
+                  detail: suppressed.message,
+                  passenger_id,
+                  flight_number,
+                  notification_type,
+                  previous_notification: suppressed.previousNotification
+                    ? formatNotification(suppressed.previousNotification)
+                    : null,
+                  retry_after: suppressed.retryAfter
+                    ? suppressed.retryAfter.toISOString()
+                    : null,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        });
+
+        if (!args.force) {
+          const suppressed = await checkNotification(store, request);
+          if (suppressed) return suppressedResponse(suppressed);
+        }
+
+        let message_content = args.message_content;
+        let subject = null;
+        let language = null;
+        if (message_content == null) {
+          const message = await buildProactiveMessage(store, passenger, {
+            delayInfo: { flight_number, delay_minutes },
+            preferences,
+            channel: notification_type,
+          });
+          message_content = message.parts.body;
+          subject = message.parts.subject ?? message.parts.title ?? null;
+          language = message.language;
+        }
+
+        // Queue, then make the first attempt right away; failed attempts
+        // are retried by scripts/deliver-notifications.js
+        const queued = await queueNotification(
+          store,
+          {
+            passengerId: passenger_id,
+            flightNumber: flight_number,
+            delayMinutes: delay_minutes,
+            channel: notification_type,
+            recipient: notificationRecipient(passenger, notification_type),
+            subject,
+            content: message_content,
+            language,
+          },
+          { dedupKey: args.force ? null : notificationDedupKey(request) }
+        );
+        if (!queued) {
+          // A concurrent request queued the same notice after our check
+          return suppressedResponse(
+            (await checkNotification(store, request)) ?? {
+              reason: "duplicate",
+              message: `Passenger ${passenger_id} is already being notified about ${flight_number} with a similar delay`,
+            }
+          );
+        }
+        const notification =
+          (await deliverNotification(store, queued)) ||
+          (await getNotification(store, queued.NotificationId));
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  ...formatNotification(notification),
+                  notification_type_source: args.notification_type
+                    ? "request"
+                    : preferences.notification_channel
+                    ? "preference"
+                    : "default",
+                  message_content,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "get_notification_status":
+      try {
+        const { notification_id, passenger_id, flight_number } = args || {};
+
+        if (!notification_id && !passenger_id && !flight_number) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Error: notification_id, passenger_id or flight_number is required",
+              },
+            ],
+          };
+        }
+
+        let notifications;
+        if (notification_id) {
+          const notification = await getNotification(store, notification_id);
+          if (!notification) {
+            throw new Error(`Notification ${notification_id} not found`);
+          }
+          notifications = [notification];
+        } else {
+          notifications = await listNotifications(store, {
+            passengerId: passenger_id,
+            flightNumber: flight_number,
+            limit: Number(args.max_results) || 20,
+          });
+          if (passenger_id && flight_number) {
+            notifications = notifications.filter(
+              (notification) =>
+                notification.FlightNumber === String(flight_number)
+            );
+          }
+        }
+
+        const counts = {};
+        for (const notification of notifications) {
+          counts[notification.Status] = (counts[notification.Status] || 0) + 1;
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  total: notifications.length,
+                  by_status: counts,
+                  notifications: notifications.map(formatNotification),
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "start_support_session":
+      try {
+        const {
+          passenger_id,
+          issue_type,
+          initial_context = "",
+          agent_id = "AI_ASSISTANT",
+        } = args;
+
+        const session = await createSession(store, {
+          passengerId: passenger_id,
+          agentId: agent_id,
+          issueType: issue_type,
+          initialContext: initial_context,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  session_id: session.SessionId,
+                  status: "started",
+                  passenger_id,
+                  issue_type,
+                  agent_id,
+                  created_at: session.CreatedAt,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
         };
+      }
 
-        const result = await docClient.send(new ScanCommand(params));
-        const passengers = result.Items || [];
-
-        if (passengers.length === 0) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `Passenger ${String(args.passenger_id)} not found`,
-              },
-            ],
-          };
+    case "get_support_session":
+      try {
+        const session = await getSession(store, args.session_id);
+        if (!session) {
+          throw new Error(`Session ${args.session_id} not found`);
         }
 
-        const passenger = passengers[0];
-        const tier = passenger?.FrequentFlyerTier || "regular";
-
-        let message = "";
-
-        if (tier === "senator") {
-          message = `Dear Valued Senator Member,
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(formatSession(session), null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
 
-I wanted to personally reach out about your flight ${
-            args.delay_info.flight_number
-          }.
+    case "append_session_message":
+      try {
+        const { session_id, sender, text, agent_id } = args;
 
-Due to ${args.delay_info.reason}, your departure has been delayed by ${
-            args.delay_info.delay_minutes
-          } minutes. I've already identified several premium alternatives that prioritize your schedule and comfort preferences.
+        const session = await appendMessage(store, session_id, {
+          sender,
+          text,
+          agentId: agent_id,
+        });
 
-${
-  args.alternatives
-    ? "Your priority rebooking options:"
-    : "I'm currently securing the best alternatives for you."
-}
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(formatSession(session), null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
 
-As our way of apologizing for this inconvenience, I'll ensure you receive:
-- Priority rebooking on your preferred flight
-- Lounge access during your wait
-- Meal vouchers for any extended delays
+    case "update_session_status":
+      try {
+        const { session_id, status, note, agent_id } = args;
 
-Would you like me to proceed with rebooking, or would you prefer to speak with our premium service team?
+        const session = await setSessionStatus(store, session_id, status, {
+          agentId: agent_id,
+          note,
+        });
 
-Best regards,
-Lufthansa Customer Care`;
-        } else {
-          message = `Hello,
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                formatSession(session, { includeMessages: false }),
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
 
-Your flight ${args.delay_info.flight_number} has been delayed by ${args.delay_info.delay_minutes} minutes due to ${args.delay_info.reason}.
+    case "resolve_support_session":
+      try {
+        const {
+          session_id,
+          outcome,
+          summary,
+          compensation_amount,
+          rebooking_option_id,
+          follow_up_required,
+          agent_id,
+        } = args;
 
-I've found several alternative flights that can get you to your destination. You can:
+        const session = await resolveSession(store, session_id, {
+          outcome,
+          summary,
+          compensationAmount: compensation_amount,
+          rebookingOptionId: rebooking_option_id,
+          followUpRequired: follow_up_required,
+          agentId: agent_id,
+        });
 
-1. Select from the alternatives I'll show you
-2. Keep your original booking (new departure time: [calculated time])
-3. Speak with our customer service team
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                formatSession(session, { includeMessages: false }),
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
 
-Let me know your preference and I'll take care of the rest!
+    case "list_support_sessions":
+      try {
+        const {
+          passenger_id,
+          agent_id,
+          status,
+          include_closed = false,
+        } = args || {};
 
-Safe travels,
-Lufthansa`;
+        if (!passenger_id && !agent_id) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Error: passenger_id or agent_id is required",
+              },
+            ],
+          };
         }
 
+        const sessions = await listSessions(store, {
+          passengerId: passenger_id,
+          agentId: agent_id,
+          status,
+          includeClosed: include_closed,
+        });
+        const page = pageList(sessions, {
+          maxItems: Number(args.max_results) || 20,
+          cursor: args.cursor,
+        });
+
         return {
           content: [
             {
               type: "text",
               text: JSON.stringify(
                 {
-                  passenger_tier: tier,
-                  message_type: "proactive_delay_notification",
-                  message: message,
-                  recommended_actions: [
-                    "Present alternative flights",
-                    "Offer compensation if applicable",
-                    "Provide rebooking options",
-                  ],
+                  lookup: passenger_id ? { passenger_id } : { agent_id },
+                  total_sessions: sessions.length,
+                  next_cursor: page.cursor,
+                  sessions: page.items.map((session) =>
+                    formatSession(session, { includeMessages: false })
+                  ),
                 },
                 null,
                 2
@@ -247,58 +1499,151 @@ Lufthansa`;
         };
       }
 
-    case "create_rebooking_workflow":
+    case "calculate_compensation":
       try {
         const {
+          booking_reference,
           passenger_id,
-          selected_alternative,
-          additional_services = [],
+          arrival_delay_minutes,
+          cancellation_notice_days,
+          rerouted_departure_time,
+          rerouted_arrival_time,
+          extraordinary_circumstances,
         } = args;
 
-        const workflow = {
-          workflow_id: `WF_${Date.now()}`,
-          passenger_id,
-          steps: [
-            {
-              step: 1,
-              action: "Cancel original booking",
-              details: `Cancel existing reservation for passenger ${String(
-                passenger_id
-              )}`,
-            },
-            {
-              step: 2,
-              action: "Book alternative flight",
-              details: `Book ${selected_alternative.flight_number} from ${selected_alternative.origin} to ${selected_alternative.destination}`,
-            },
+        if (
+          (rerouted_departure_time == null) !==
+          (rerouted_arrival_time == null)
+        ) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Error: rerouted_departure_time and rerouted_arrival_time must be given together",
+              },
+            ],
+          };
+        }
+
+        const {
+          booking,
+          flight,
+          rerouting,
+          cancellationNoticeDays,
+          assessment,
+        } = await assessBookingCompensation(
+            store,
+            { bookingReference: booking_reference, passengerId: passenger_id },
             {
-              step: 3,
-              action: "Process seat assignment",
-              details: "Assign preferred seat based on passenger profile",
-            },
+              arrivalDelayMinutes: arrival_delay_minutes,
+              cancellationNoticeDays: cancellation_notice_days,
+              rerouting: rerouted_departure_time
+                ? {
+                    departure: rerouted_departure_time,
+                    arrival: rerouted_arrival_time,
+                  }
+                : undefined,
+              extraordinary: extraordinary_circumstances,
+            }
+          );
+
+        return {
+          content: [
             {
-              step: 4,
-              action: "Add additional services",
-              details:
-                additional_services.length > 0
-                  ? `Add services: ${additional_services.join(", ")}`
-                  : "No additional services requested",
+              type: "text",
+              text: JSON.stringify(
+                {
+                  booking_reference: booking.BookingReference,
+                  passenger_id: booking.PassengerId,
+                  flight_number: flight.FlightNumber,
+                  departure_date: flight.ScheduledDepartureDate,
+                  route: `${flight.Origin}-${flight.Destination}`,
+                  flight_status: flight.Status,
+                  delay_code: flight.DelayCode || null,
+                  delay_reason: flight.DelayReason || null,
+                  regulation: "EU261",
+                  applicable: assessment.applicable,
+                  compensation_owed: assessment.eligible,
+                  amount: assessment.amount,
+                  currency: assessment.currency,
+                  reduced: assessment.reduced,
+                  distance_km: assessment.distanceKm,
+                  distance_band: assessment.band,
+                  arrival_delay_minutes: assessment.arrivalDelayMinutes,
+                  cancellation_notice_days: cancellationNoticeDays ?? null,
+                  rerouting: rerouting && {
+                    ...rerouting,
+                    departure: flightTime(rerouting.departure, flight.Origin),
+                    arrival: flightTime(rerouting.arrival, flight.Destination),
+                  },
+                  reasoning: assessment.reasoning,
+                },
+                null,
+                2
+              ),
             },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "list_rebooking_options":
+      try {
+        const { passenger_id, flight_number, include_inactive = false } = args;
+
+        const options = await listPassengerOptions(store, passenger_id, {
+          flightNumber: flight_number,
+          includeInactive: include_inactive,
+        });
+
+        return {
+          content: [
             {
-              step: 5,
-              action: "Send confirmation",
-              details: "Send booking confirmation and updated itinerary",
+              type: "text",
+              text: JSON.stringify(
+                {
+                  passenger_id,
+                  total_options: options.length,
+                  options: options.map(formatOption),
+                },
+                null,
+                2
+              ),
             },
           ],
-          estimated_completion: "5-10 minutes",
-          requires_agent_approval: selected_alternative.fare_difference > 500,
         };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "get_passenger_preferences":
+      try {
+        const { passenger_id } = args;
+
+        const items = await listPreferences(store, passenger_id);
 
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify(workflow, null, 2),
+              text: JSON.stringify(
+                {
+                  passenger_id,
+                  preferences: Object.fromEntries(
+                    items.map((item) => [item.PreferenceType, item.Value])
+                  ),
+                  updated_at: Object.fromEntries(
+                    items.map((item) => [item.PreferenceType, item.UpdatedAt])
+                  ),
+                },
+                null,
+                2
+              ),
             },
           ],
         };
@@ -308,53 +1653,95 @@ Lufthansa`;
         };
       }
 
-    case "escalation_handoff":
+    case "set_passenger_preference":
       try {
-        const {
-          passenger_id,
-          issue_complexity,
-          conversation_history = [],
-        } = args;
+        const { passenger_id, preference_type, value } = args;
 
-        let priority = "NORMAL";
-        if (issue_complexity === "vip_handling") {
-          priority = "HIGH";
-        } else if (issue_complexity === "compensation_required") {
-          priority = "MEDIUM";
+        if (!(await findPassenger(passenger_id))) {
+          throw new Error(`Passenger ${String(passenger_id)} not found`);
         }
+        const item = await setPreference(
+          store,
+          passenger_id,
+          preference_type,
+          value
+        );
 
-        let agentType = "Standard Agent";
-        if (issue_complexity === "vip_handling") {
-          agentType = "Senior VIP Agent";
-        } else if (issue_complexity === "complex_itinerary") {
-          agentType = "Specialist Agent";
-        }
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  passenger_id: item.PassengerId,
+                  preference_type: item.PreferenceType,
+                  value: item.Value,
+                  updated_at: item.UpdatedAt,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "delete_passenger_preference":
+      try {
+        const { passenger_id, preference_type } = args;
 
-        const handoff = {
-          escalation_id: `ESC_${Date.now()}`,
+        const removed = await deletePreference(
+          store,
           passenger_id,
-          issue_complexity,
-          priority,
-          context: {
-            conversation_summary:
-              conversation_history.length > 0
-                ? `Customer has had ${conversation_history.length} previous interactions`
-                : "First contact",
-            recommended_agent_type: agentType,
-            preparation_notes: [
-              "Customer is already aware of delay",
-              "Alternative options have been presented",
-              "Customer preferences are documented in profile",
-            ],
-          },
-          handoff_reason: getHandoffReason(issue_complexity),
+          preference_type
+        );
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  passenger_id,
+                  preference_type,
+                  deleted: Boolean(removed),
+                  previous_value: removed ? removed.Value : null,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
         };
+      }
+
+    case "accept_rebooking_option":
+      try {
+        const { passenger_id, option_id } = args;
+
+        const option = await acceptOption(store, option_id, passenger_id);
 
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify(handoff, null, 2),
+              text: JSON.stringify(
+                {
+                  ...formatOption(option),
+                  accepted_at: option.AcceptedAt,
+                  superseded_options: option.superseded,
+                },
+                null,
+                2
+              ),
             },
           ],
         };
@@ -364,37 +1751,13 @@ Lufthansa`;
         };
       }
 
-    case "create_delay_notification":
+    case "reject_rebooking_option":
       try {
-        const {
-          passenger_id,
-          flight_number,
-          delay_minutes,
-          notification_type = "email",
-          message_content,
-        } = args;
+        const { passenger_id, option_id, reason } = args;
 
-        const notificationId = `NOTIFY_${Date.now()}`;
-        const createdAt = new Date().toISOString();
-
-        const notification = {
-          NotificationId: notificationId,
-          CreatedAt: createdAt,
-          PassengerId: passenger_id,
-          FlightNumber: flight_number,
-          DelayMinutes: delay_minutes,
-          NotificationType: notification_type,
-          MessageContent: message_content,
-          Status: "sent",
-          DeliveredAt: createdAt,
-        };
-
-        await docClient.send(
-          new PutCommand({
-            TableName: DELAY_NOTIFICATIONS_TABLE,
-            Item: notification,
-          })
-        );
+        const option = await rejectOption(store, option_id, passenger_id, {
+          reason,
+        });
 
         return {
           content: [
@@ -402,12 +1765,9 @@ Lufthansa`;
               type: "text",
               text: JSON.stringify(
                 {
-                  notification_id: notificationId,
-                  status: "created",
-                  passenger_id,
-                  flight_number,
-                  notification_type,
-                  created_at: createdAt,
+                  ...formatOption(option),
+                  rejected_at: option.RejectedAt,
+                  rejection_reason: option.RejectionReason || null,
                 },
                 null,
                 2
@@ -421,36 +1781,43 @@ Lufthansa`;
         };
       }
 
-    case "start_support_session":
+    case "get_passenger_itinerary":
       try {
         const {
           passenger_id,
-          issue_type,
-          initial_context = "",
-          agent_id = "AI_ASSISTANT",
-        } = args;
+          booking_reference,
+          frequent_flyer_number,
+          include_history = false,
+        } = args || {};
 
-        const sessionId = `SESSION_${Date.now()}`;
-        const createdAt = new Date().toISOString();
-
-        const session = {
-          SessionId: sessionId,
-          CreatedAt: createdAt,
-          PassengerId: passenger_id,
-          AgentId: agent_id,
-          IssueType: issue_type,
-          InitialContext: initial_context,
-          Status: "active",
-          Messages: [],
-          Resolution: null,
-        };
-
-        await docClient.send(
-          new PutCommand({
-            TableName: CUSTOMER_SUPPORT_SESSIONS_TABLE,
-            Item: session,
-          })
-        );
+        const passengerIds = await resolvePassengerIds(store, {
+          passengerId: passenger_id,
+          bookingReference: booking_reference,
+          frequentFlyerNumber: frequent_flyer_number,
+        });
+        if (passengerIds.length === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: No passenger found for ${
+                  booking_reference
+                    ? `booking reference ${booking_reference}`
+                    : `frequent-flyer number ${frequent_flyer_number}`
+                }`,
+              },
+            ],
+          };
+        }
+
+        const itineraries = [];
+        for (const passengerId of passengerIds) {
+          itineraries.push(
+            await getPassengerItinerary(store, passengerId, {
+              includeHistory: include_history,
+            })
+          );
+        }
 
         return {
           content: [
@@ -458,12 +1825,12 @@ Lufthansa`;
               type: "text",
               text: JSON.stringify(
                 {
-                  session_id: sessionId,
-                  status: "started",
-                  passenger_id,
-                  issue_type,
-                  agent_id,
-                  created_at: createdAt,
+                  lookup: passenger_id
+                    ? { passenger_id }
+                    : booking_reference
+                    ? { booking_reference }
+                    : { frequent_flyer_number },
+                  passengers: itineraries.map(formatItinerary),
                 },
                 null,
                 2
@@ -484,19 +1851,75 @@ Lufthansa`;
   }
 });
 
-function getHandoffReason(complexity) {
-  switch (complexity) {
-    case "vip_handling":
-      return "VIP customer requires personalized attention and premium service";
-    case "complex_itinerary":
-      return "Multiple flights/complex routing requires specialist handling";
-    case "compensation_required":
-      return "Customer may be entitled to compensation - requires policy expertise";
-    case "simple_rebooking":
-      return "Standard rebooking that couldn't be completed automatically";
-    default:
-      return "General customer service assistance required";
-  }
+// PassengerId is the Passengers hash key, so this is a key query
+async function findPassenger(passengerId) {
+  const { items } = await store.query(PASSENGERS_TABLE, {
+    hash: String(passengerId),
+    limit: 1,
+  });
+  return items[0] || null;
+}
+
+function formatItinerary({
+  passengerId,
+  passenger,
+  segments,
+  notifications,
+  sessions,
+}) {
+  return {
+    passenger_id: passengerId,
+    name: passenger ? `${passenger.FirstName} ${passenger.LastName}` : null,
+    tier: passenger?.FrequentFlyerTier || null,
+    frequent_flyer_number: passenger?.FrequentFlyerNumber || null,
+    email: passenger?.Email || null,
+    phone: passenger?.Phone || null,
+    special_service_requests: passenger?.SpecialServiceRequests || [],
+    segments: segments.map(({ booking, flight }) => ({
+      booking_reference: booking.BookingReference,
+      flight_number: booking.FlightNumber,
+      departure_date: booking.ScheduledDepartureDate,
+      route: `${booking.Origin}-${booking.Destination}`,
+      cabin_class: booking.CabinClass,
+      seat_number: booking.SeatNumber || null,
+      booking_status: booking.BookingStatus,
+      flight_status: flight?.Status || "unknown",
+      delay_minutes: flight?.DelayMinutes || 0,
+      delay_reason: flight?.DelayReason || null,
+      diverted_to: flight?.DivertedTo || null,
+      scheduled_departure: flightTime(
+        flight?.ScheduledDepartureTime,
+        booking.Origin
+      ),
+      estimated_departure: flightTime(
+        flight?.EstimatedDepartureTime || flight?.ScheduledDepartureTime,
+        booking.Origin
+      ),
+      scheduled_arrival: flightTime(
+        flight?.ScheduledArrivalTime,
+        booking.Destination
+      ),
+      estimated_arrival: flightTime(
+        flight?.EstimatedArrivalTime || flight?.ScheduledArrivalTime,
+        booking.Destination
+      ),
+    })),
+    notifications: notifications.map((notification) => ({
+      notification_id: notification.NotificationId,
+      flight_number: notification.FlightNumber,
+      notification_type: notification.NotificationType,
+      status: notification.Status,
+      created_at: notification.CreatedAt,
+      message_content: notification.MessageContent,
+    })),
+    support_sessions: sessions.map((session) => ({
+      session_id: session.SessionId,
+      issue_type: session.IssueType,
+      status: session.Status,
+      agent_id: session.AgentId,
+      created_at: session.CreatedAt,
+    })),
+  };
 }
 
 async function main() {
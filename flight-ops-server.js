@@ -1,12 +1,5 @@
 #!/usr/bin/env node
 
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import {
-  DynamoDBDocumentClient,
-  GetCommand,
-  QueryCommand,
-  ScanCommand,
-} from "@aws-sdk/lib-dynamodb";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
@@ -14,9 +7,69 @@ import {
   InitializeRequestSchema,
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
+import {
+  combineSummaries,
+  loadAffectedPassengers,
+  summarizeAffectedPassengers,
+} from "./lib/affected-passengers.js";
+import {
+  isKnownAirport,
+  UnknownAirportError,
+  validateAirportCode,
+} from "./lib/airports.js";
+import {
+  itinerarySeats,
+  loadBookableFlights,
+  rankAlternatives,
+} from "./lib/alternatives.js";
+import {
+  commitBulkRebooking,
+  planBulkRebooking,
+} from "./lib/bulk-rebooking.js";
+import {
+  getConnectionConfig,
+  resolveSearchWindow,
+} from "./lib/connections.js";
+import {
+  DISRUPTED_STATUSES,
+  FLIGHT_STATUS,
+  FLIGHT_STATUSES,
+  isDisruptedStatus,
+} from "./lib/flight-status.js";
+import {
+  CABIN_CLASSES,
+  confirmHold,
+  DEFAULT_HOLD_TTL_MINUTES,
+  effectiveAvailableSeats,
+  holdState,
+  placeHold,
+  releaseHold,
+} from "./lib/inventory.js";
+import {
+  analyzeMisconnects,
+  CONNECTION_RISK,
+  DEFAULT_TIGHT_CONNECTION_BUFFER_MINUTES,
+} from "./lib/misconnects.js";
+import { collectAll, collectPages, pageList } from "./lib/pagination.js";
+import { getPreferences } from "./lib/preferences.js";
+import {
+  DEFAULT_OPTION_TTL_MINUTES,
+  DEFAULT_OPTIONS_PER_PASSENGER,
+  formatOption,
+  generateRebookingOptions,
+  listFlightOptions,
+} from "./lib/rebooking-options.js";
+import { getStatusHistory, updateFlightStatus } from "./lib/status-updates.js";
+import { createStore } from "./lib/storage/index.js";
+import { flightTime } from "./lib/times.js";
+import {
+  buildTriageQueue,
+  DEFAULT_TRIAGE_WEIGHTS,
+  getTriageWeights,
+} from "./lib/triage.js";
 
-const client = new DynamoDBClient({ region: "us-east-1" }); // Updated to match schema region
-const docClient = DynamoDBDocumentClient.from(client);
+// DynamoDB or SQLite, selected by STORAGE_BACKEND (see lib/storage/index.js)
+const store = createStore();
 
 // Updated table names to match new schemas
 const FLIGHTS_TABLE = "Flights";
@@ -25,6 +78,9 @@ const BOOKINGS_TABLE = "Bookings";
 const DELAY_NOTIFICATIONS_TABLE = "DelayNotifications";
 const REBOOKING_OPTIONS_TABLE = "RebookingOptions";
 
+const DEFAULT_MAX_RESULTS = 50;
+const DEFAULT_MAX_ALTERNATIVES = 5;
+
 const server = new Server(
   {
     name: "airline-flight-ops",
@@ -73,13 +129,26 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                 "Delay severity: minor (30-60min), major (60-120min), severe (120min+, cancelled, diverted)",
               enum: ["minor", "major", "severe", "all"],
             },
+            date: {
+              type: "string",
+              description:
+                "Scheduled departure date (YYYY-MM-DD); all dates if omitted",
+            },
+            max_results: {
+              type: "number",
+              description: `Maximum flights to return (default ${DEFAULT_MAX_RESULTS})`,
+            },
+            cursor: {
+              type: "string",
+              description: "next_cursor from a previous call, to continue",
+            },
           },
         },
       },
       {
         name: "find_alternative_flights",
         description:
-          "Find alternative flights for rebooking based on passenger tier",
+          "Find alternative direct and connecting itineraries (via hub airports) for rebooking, ranked by arrival time at the destination",
         inputSchema: {
           type: "object",
           properties: {
@@ -98,6 +167,49 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: "Preferred departure timing",
               enum: ["earliest", "same_day", "flexible"],
             },
+            passenger_id: {
+              type: "string",
+              description:
+                "Rank for this passenger's stored preferences (e.g. flights with enough seats left for a window or aisle seat first)",
+            },
+            departure_date: {
+              type: "string",
+              description:
+                "Scheduled date of the disrupted flight (YYYY-MM-DD); alternatives depart on or after it",
+            },
+            window_start: {
+              type: "string",
+              description:
+                "Earliest departure to consider (ISO 8601, default now)",
+            },
+            window_end: {
+              type: "string",
+              description:
+                "Latest departure to consider (ISO 8601); defaults from departure_preference: earliest +24h, same_day end of the day at the origin airport, flexible +72h",
+            },
+            cabin_class: {
+              type: "string",
+              description: "Only offer itineraries with seats in this cabin",
+              enum: ["economy", "premium_economy", "business", "first"],
+            },
+            max_stops: {
+              type: "number",
+              description: "Maximum connections per itinerary (0-2, default 2)",
+            },
+            hubs: {
+              type: "array",
+              items: { type: "string" },
+              description:
+                "Airports allowed as connection points (default: CONNECTION_HUBS or FRA, MUC, ZRH, VIE)",
+            },
+            max_results: {
+              type: "number",
+              description: `Maximum options to return (default ${DEFAULT_MAX_ALTERNATIVES})`,
+            },
+            cursor: {
+              type: "string",
+              description: "next_cursor from a previous call, to continue",
+            },
           },
           required: ["origin", "destination"],
         },
@@ -116,9 +228,319 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ["flight_number"],
         },
       },
+      {
+        name: "analyze_misconnects",
+        description:
+          "Find onward connections that passengers on a delayed flight will miss or only just make, grouped by onward flight",
+        inputSchema: {
+          type: "object",
+          properties: {
+            flight_number: {
+              type: "string",
+              description: "Delayed inbound flight number (e.g., LH903)",
+            },
+            departure_date: {
+              type: "string",
+              description: "Scheduled departure date (YYYY-MM-DD)",
+            },
+            buffer_minutes: {
+              type: "number",
+              description: `Slack above the minimum connection time below which a connection counts as tight (default ${DEFAULT_TIGHT_CONNECTION_BUFFER_MINUTES})`,
+            },
+          },
+          required: ["flight_number", "departure_date"],
+        },
+      },
+      {
+        name: "build_triage_queue",
+        description:
+          "Score every passenger on a disrupted flight (tier, connections at risk, special service requests, unaccompanied minors, reachability of the final destination, group size) and return them as an ordered work queue with the score breakdown",
+        inputSchema: {
+          type: "object",
+          properties: {
+            flight_number: {
+              type: "string",
+              description: "Disrupted flight number (e.g., LH441)",
+            },
+            departure_date: {
+              type: "string",
+              description: "Scheduled departure date (YYYY-MM-DD)",
+            },
+            weights: {
+              type: "object",
+              description: `Points per factor, overriding TRIAGE_WEIGHTS and the defaults (${Object.entries(
+                DEFAULT_TRIAGE_WEIGHTS
+              )
+                .map(([factor, points]) => `${factor}=${points}`)
+                .join(", ")})`,
+              additionalProperties: { type: "number" },
+            },
+            max_results: {
+              type: "number",
+              description: `Maximum passengers to return (default ${DEFAULT_MAX_RESULTS})`,
+            },
+            cursor: {
+              type: "string",
+              description: "next_cursor from a previous call, to continue",
+            },
+          },
+          required: ["flight_number", "departure_date"],
+        },
+      },
+      {
+        name: "update_flight_status",
+        description:
+          "Record a flight status change (e.g. delayed to cancelled). Validates the transition and appends it to the flight's status history",
+        inputSchema: {
+          type: "object",
+          properties: {
+            flight_number: {
+              type: "string",
+              description: "Flight number (e.g., LH441)",
+            },
+            departure_date: {
+              type: "string",
+              description: "Scheduled departure date (YYYY-MM-DD)",
+            },
+            status: {
+              type: "string",
+              enum: FLIGHT_STATUSES,
+              description: "New status (default: keep the current one)",
+            },
+            delay_minutes: {
+              type: "number",
+              description: "Departure delay in minutes",
+            },
+            delay_reason: {
+              type: "string",
+              description: "Reason for the delay or cancellation",
+            },
+            delay_code: {
+              type: "string",
+              description: "IATA delay code (e.g., 41)",
+            },
+            estimated_departure_time: {
+              type: "string",
+              description:
+                "New estimated departure (ISO 8601); defaults to scheduled time plus delay",
+            },
+            diverted_to: {
+              type: "string",
+              description: "Diversion airport, for diverted flights",
+            },
+            updated_by: {
+              type: "string",
+              description: "Agent or system making the change",
+            },
+          },
+          required: ["flight_number", "departure_date"],
+        },
+      },
+      {
+        name: "get_flight_status_history",
+        description: "List the recorded status changes of a flight, oldest first",
+        inputSchema: {
+          type: "object",
+          properties: {
+            flight_number: {
+              type: "string",
+              description: "Flight number (e.g., LH441)",
+            },
+            departure_date: {
+              type: "string",
+              description: "Only changes for this departure date (YYYY-MM-DD)",
+            },
+          },
+          required: ["flight_number"],
+        },
+      },
+      {
+        name: "generate_rebooking_options",
+        description:
+          "Generate and store ranked rebooking options, with an expiry, for every passenger on a disrupted flight",
+        inputSchema: {
+          type: "object",
+          properties: {
+            flight_number: {
+              type: "string",
+              description: "Disrupted flight number (e.g., LH400)",
+            },
+            departure_date: {
+              type: "string",
+              description: "Scheduled departure date (YYYY-MM-DD)",
+            },
+            max_options: {
+              type: "number",
+              description: `Options stored per passenger (default ${DEFAULT_OPTIONS_PER_PASSENGER})`,
+            },
+            ttl_minutes: {
+              type: "number",
+              minimum: 1,
+              description: `Minutes until the options expire (default ${DEFAULT_OPTION_TTL_MINUTES})`,
+            },
+            departure_preference: {
+              type: "string",
+              enum: ["earliest", "same_day", "flexible"],
+              description: "Departure window to search (default earliest)",
+            },
+          },
+          required: ["flight_number", "departure_date"],
+        },
+      },
+      {
+        name: "plan_bulk_rebooking",
+        description:
+          "Assign every passenger on a cancelled flight to an alternative itinerary without overselling, in triage priority order, keeping booking references together and minimizing arrival delay. Dry run by default; with dry_run false the seats are held and each assignment is offered as the passenger's rebooking option, replacing the options and seat holds of an earlier run",
+        inputSchema: {
+          type: "object",
+          properties: {
+            flight_number: {
+              type: "string",
+              description: "Cancelled flight number (e.g., LH441)",
+            },
+            departure_date: {
+              type: "string",
+              description: "Scheduled departure date (YYYY-MM-DD)",
+            },
+            dry_run: {
+              type: "boolean",
+              description: "Only report the plan (default true)",
+              default: true,
+            },
+            departure_preference: {
+              type: "string",
+              enum: ["earliest", "same_day", "flexible"],
+              description: "Departure window to search (default earliest)",
+            },
+            max_stops: {
+              type: "number",
+              description: "Maximum connections per itinerary (0-2, default 2)",
+            },
+            weights: {
+              type: "object",
+              description:
+                "Triage weights overriding the defaults (see build_triage_queue)",
+              additionalProperties: { type: "number" },
+            },
+            ttl_minutes: {
+              type: "number",
+              minimum: 1,
+              description: `Minutes the seat holds and options last when committing (default ${DEFAULT_OPTION_TTL_MINUTES})`,
+            },
+          },
+          required: ["flight_number", "departure_date"],
+        },
+      },
+      {
+        name: "list_flight_rebooking_options",
+        description:
+          "List the stored rebooking options generated for a disrupted flight",
+        inputSchema: {
+          type: "object",
+          properties: {
+            flight_number: {
+              type: "string",
+              description: "Disrupted flight number (e.g., LH400)",
+            },
+            departure_date: {
+              type: "string",
+              description: "Scheduled departure date (YYYY-MM-DD)",
+            },
+            status: {
+              type: "string",
+              enum: ["offered", "accepted", "rejected", "superseded", "expired"],
+              description: "Only options in this status",
+            },
+          },
+          required: ["flight_number"],
+        },
+      },
+      {
+        name: "hold_seat",
+        description:
+          "Reserve seats on a flight for a passenger while a rebooking is confirmed. Holds expire after a TTL",
+        inputSchema: {
+          type: "object",
+          properties: {
+            flight_number: {
+              type: "string",
+              description: "Flight number (e.g., LH400)",
+            },
+            departure_date: {
+              type: "string",
+              description: "Scheduled departure date (YYYY-MM-DD)",
+            },
+            passenger_id: {
+              type: "string",
+              description: "Passenger the seats are held for",
+            },
+            cabin_class: {
+              type: "string",
+              enum: CABIN_CLASSES,
+              description:
+                "Cabin to hold seats in; required on flights that sell seats by cabin",
+            },
+            seats: {
+              type: "number",
+              description: "Number of seats to hold (default 1)",
+            },
+            ttl_minutes: {
+              type: "number",
+              minimum: 1,
+              description: `Minutes until the hold expires (default ${DEFAULT_HOLD_TTL_MINUTES})`,
+            },
+          },
+          required: ["flight_number", "departure_date", "passenger_id"],
+        },
+      },
+      {
+        name: "release_hold",
+        description: "Release a seat hold and return its seats to inventory",
+        inputSchema: {
+          type: "object",
+          properties: {
+            flight_number: {
+              type: "string",
+              description: "Flight number (e.g., LH400)",
+            },
+            departure_date: {
+              type: "string",
+              description: "Scheduled departure date (YYYY-MM-DD)",
+            },
+            hold_id: {
+              type: "string",
+              description: "hold_id returned by hold_seat",
+            },
+          },
+          required: ["flight_number", "departure_date", "hold_id"],
+        },
+      },
+      {
+        name: "confirm_hold",
+        description:
+          "Confirm a seat hold before it expires, keeping its seats sold",
+        inputSchema: {
+          type: "object",
+          properties: {
+            flight_number: {
+              type: "string",
+              description: "Flight number (e.g., LH400)",
+            },
+            departure_date: {
+              type: "string",
+              description: "Scheduled departure date (YYYY-MM-DD)",
+            },
+            hold_id: {
+              type: "string",
+              description: "hold_id returned by hold_seat",
+            },
+          },
+          required: ["flight_number", "departure_date", "hold_id"],
+        },
+      },
       {
         name: "test_connection",
-        description: "Test DynamoDB connection and table access",
+        description: "Test storage backend connection and table access",
         inputSchema: {
           type: "object",
           properties: {},
@@ -136,100 +558,100 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     case "check_flight_delays":
       try {
         const airport = args?.airport || "FRA";
+        if (airport !== "all" && !isKnownAirport(airport)) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${new UnknownAirportError(airport).message}`,
+              },
+            ],
+          };
+        }
         const severity = args?.severity || "all";
 
-        // Check flights.Status field for delay-related statuses (handle both uppercase and lowercase)
-        // First, get all flights and filter by delay-related statuses
-        const scanParams = {
-          TableName: FLIGHTS_TABLE,
-          FilterExpression:
-            "#status IN (:delayed, :delayedUpper, :cancelled, :cancelledUpper, :diverted, :divertedUpper) OR (attribute_exists(DelayMinutes) AND DelayMinutes > :minDelay)",
-          ExpressionAttributeNames: {
-            "#status": "Status",
-          },
-          ExpressionAttributeValues: {
-            ":delayed": "delayed",
-            ":delayedUpper": "DELAYED",
-            ":cancelled": "cancelled",
-            ":cancelledUpper": "CANCELLED",
-            ":diverted": "diverted",
-            ":divertedUpper": "DIVERTED",
-            ":minDelay": 0,
-          },
-        };
+        const date = args?.date;
+        const maxResults = Number(args?.max_results) || DEFAULT_MAX_RESULTS;
+
+        // Query StatusIndex once per disrupted status instead of scanning
+        // all flights
+        const filter = severityFilter(severity);
 
         // Apply airport filter if specified
         if (airport !== "all") {
-          scanParams.FilterExpression += " AND Origin = :airport";
-          scanParams.ExpressionAttributeValues[":airport"] = String(airport);
-        }
-
-        const result = await docClient.send(new ScanCommand(scanParams));
-        let flights = result.Items || [];
-
-        // Apply severity filter if specified and filter for actual delays
-        if (severity !== "all") {
-          flights = flights.filter((flight) => {
-            const delayMinutes = flight.DelayMinutes || 0;
-            // Only consider flights with actual delays (positive DelayMinutes or delay-related status)
-            const hasDelay = delayMinutes > 0 || isDelayedStatus(flight.Status);
-
-            if (!hasDelay) return false;
-
-            const statusLower = flight.Status
-              ? flight.Status.toLowerCase()
-              : "";
-            switch (severity) {
-              case "minor":
-                return delayMinutes >= 30 && delayMinutes <= 60;
-              case "major":
-                return delayMinutes > 60 && delayMinutes <= 120;
-              case "severe":
-                return (
-                  delayMinutes > 120 ||
-                  statusLower === "cancelled" ||
-                  statusLower === "diverted"
-                );
-              default:
-                return true;
-            }
-          });
-        } else {
-          // For "all" severity, still filter to only include actual delays
-          flights = flights.filter((flight) => {
-            const delayMinutes = flight.DelayMinutes || 0;
-            return delayMinutes > 0 || isDelayedStatus(flight.Status);
-          });
+          filter.Origin = validateAirportCode(airport);
         }
 
-        // Add debug logging
-        console.error(
-          `DEBUG: Found ${flights.length} delayed/disrupted flights at ${airport} (checking Status field case-insensitively for: delayed, cancelled, diverted)`
+        const sources = DISRUPTED_STATUSES.map(
+          (status) =>
+            ({ limit, cursor }) =>
+              store.query(FLIGHTS_TABLE, {
+                index: "StatusIndex",
+                hash: status,
+                range: date ? String(date) : undefined,
+                filter,
+                limit,
+                cursor,
+              })
         );
 
+        const page = await collectPages(sources, {
+          maxItems: maxResults,
+          cursor: args?.cursor,
+        });
+        const flights = page.items;
+
         if (flights.length === 0) {
           return {
             content: [
               {
                 type: "text",
-                text: `No delayed, cancelled, or diverted flights found at ${airport}. Checked flights.Status field for delay-related statuses. This could mean:\n- All flights are on time (Status: "on_time")\n- Database connection issues\n- No flights scheduled from this airport`,
+                text: `No delayed, cancelled, or diverted flights found at ${airport}. Checked flights.Status field for delay-related statuses. This could mean:\n- All flights are on time (Status: "scheduled")\n- Database connection issues\n- No flights scheduled from this airport`,
               },
             ],
           };
         }
 
+        // Real passenger counts per flight from FlightBookingsIndex
+        const impacts = await Promise.all(
+          flights.map(async (flight) =>
+            summarizeAffectedPassengers(
+              await loadAffectedPassengers(store, flight)
+            )
+          )
+        );
+        const totals = combineSummaries(impacts);
+
         const summary = {
           total_delays: flights.length,
-          affected_passengers: flights.length * 150, // Estimate
-          flights: flights.map((flight) => ({
+          next_cursor: page.cursor,
+          affected_passengers: totals.total,
+          // Totals cover the flights in this response (see next_cursor)
+          passenger_totals: totals,
+          flights: flights.map((flight, i) => ({
             flightNumber: flight.FlightNumber,
             origin: flight.Origin,
             destination: flight.Destination,
             status: flight.Status,
             delayMinutes: flight.DelayMinutes,
             reason: flight.DelayReason,
-            scheduledDeparture: flight.ScheduledDepartureTime,
-            estimatedDeparture: flight.EstimatedDepartureTime,
+            scheduledDeparture: flightTime(
+              flight.ScheduledDepartureTime,
+              flight.Origin
+            ),
+            estimatedDeparture: flightTime(
+              flight.EstimatedDepartureTime,
+              flight.Origin
+            ),
+            scheduledArrival: flightTime(
+              flight.ScheduledArrivalTime,
+              flight.Destination
+            ),
+            estimatedArrival: flightTime(
+              flight.EstimatedArrivalTime,
+              flight.Destination
+            ),
+            affectedPassengers: impacts[i],
           })),
         };
 
@@ -253,7 +675,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           content: [
             {
               type: "text",
-              text: `Database Error: ${error.message}\n\nPossible causes:\n- AWS credentials not configured\n- DynamoDB table "${FLIGHTS_TABLE}" doesn't exist\n- Insufficient permissions\n- Network connectivity issues\n\nPlease check your AWS configuration and ensure the DynamoDB tables exist.`,
+              text: `Database Error: ${error.message}\n\nStorage backend: ${store.describe()}\n\nPossible causes:\n- AWS credentials not configured\n- Table "${FLIGHTS_TABLE}" doesn't exist\n- Insufficient permissions\n- Network connectivity issues\n\nPlease check your storage configuration and ensure the tables exist.`,
             },
           ],
         };
@@ -261,9 +683,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     case "find_alternative_flights":
       try {
-        const { origin, destination, passenger_tier = "regular" } = args || {};
+        const {
+          passenger_tier = "regular",
+          departure_preference = "earliest",
+        } = args || {};
 
-        if (!origin || !destination) {
+        if (!args?.origin || !args?.destination) {
           return {
             content: [
               {
@@ -273,52 +698,98 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             ],
           };
         }
+        const origin = validateAirportCode(args.origin);
+        const destination = validateAirportCode(args.destination);
 
-        const params = {
-          TableName: FLIGHTS_TABLE,
-          FilterExpression:
-            "Origin = :origin AND Destination = :destination AND (#status = :onTime OR #status = :onTimeUpper OR #status = :scheduled OR #status = :scheduledUpper)",
-          ExpressionAttributeNames: {
-            "#status": "Status",
-          },
-          ExpressionAttributeValues: {
-            ":origin": String(origin),
-            ":destination": String(destination),
-            ":onTime": "on_time",
-            ":onTimeUpper": "ON_TIME",
-            ":scheduled": "scheduled",
-            ":scheduledUpper": "SCHEDULED",
-          },
-        };
+        const cabinClass = args?.cabin_class;
+        if (cabinClass && !CABIN_CLASSES.includes(cabinClass)) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: cabin_class must be one of ${CABIN_CLASSES.join(
+                  ", "
+                )}`,
+              },
+            ],
+          };
+        }
 
-        const result = await docClient.send(new ScanCommand(params));
-        let flights = result.Items || [];
+        const now = new Date();
+        const window = resolveSearchWindow({
+          preference: departure_preference,
+          origin,
+          departureDate: args?.departure_date,
+          windowStart: args?.window_start,
+          windowEnd: args?.window_end,
+          now,
+        });
 
-        // Sort by departure time (earliest first)
-        flights.sort(
-          (a, b) =>
-            new Date(a.ScheduledDepartureTime) -
-            new Date(b.ScheduledDepartureTime)
+        const maxStops = Math.min(
+          Math.max(Number(args?.max_stops ?? 2), 0),
+          2
         );
+        const connectionConfig = getConnectionConfig();
+        if (Array.isArray(args?.hubs) && args.hubs.length > 0) {
+          connectionConfig.hubs = args.hubs.map(validateAirportCode);
+        }
+
+        // Every bookable flight leaving the origin or a connection hub in
+        // the window, across all StatusIndex pages
+        const bookable = await loadBookableFlights(store, {
+          origin,
+          window,
+          maxStops,
+          config: connectionConfig,
+          now,
+        });
+        const seatsOf = (itinerary) =>
+          itinerarySeats(itinerary, cabinClass, now);
+        const preferences = args?.passenger_id
+          ? await getPreferences(store, args.passenger_id)
+          : {};
+
+        const itineraries = rankAlternatives(bookable, {
+          origin,
+          destination,
+          window,
+          maxStops,
+          config: connectionConfig,
+          tier: passenger_tier,
+          cabinClass,
+          preferences,
+          now,
+        });
 
-        // Limit to 5 results
-        flights = flights.slice(0, 5);
+        const page = pageList(itineraries, {
+          maxItems: Number(args?.max_results) || DEFAULT_MAX_ALTERNATIVES,
+          cursor: args?.cursor,
+        });
+        const flights = page.items;
 
         const alternatives = {
           passenger_tier: String(passenger_tier),
           origin: String(origin),
           destination: String(destination),
-          options: flights.map((flight) => ({
-            flightNumber: flight.FlightNumber,
-            origin: flight.Origin,
-            destination: flight.Destination,
-            scheduledDeparture: flight.ScheduledDepartureTime,
-            scheduledArrival: flight.ScheduledArrivalTime,
-            aircraft: flight.AircraftType,
-            status: flight.Status,
-            availableSeats: flight.AvailableSeats,
-            recommendation_reason: getRecommendationReason(passenger_tier),
-          })),
+          departure_preference: String(departure_preference),
+          passenger_id: args?.passenger_id ? String(args.passenger_id) : null,
+          applied_preferences: preferences.seat ? { seat: preferences.seat } : {},
+          cabin_class: cabinClass || null,
+          window: {
+            start: window.start.toISOString(),
+            end: window.end.toISOString(),
+          },
+          max_stops: maxStops,
+          connection_hubs: connectionConfig.hubs,
+          total_matches: itineraries.length,
+          next_cursor: page.cursor,
+          options: flights.map((itinerary) =>
+            formatItinerary(itinerary, passenger_tier, {
+              seats: seatsOf(itinerary),
+              cabinClass,
+              now,
+            })
+          ),
         };
 
         return {
@@ -327,7 +798,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               type: "text",
               text: `Found ${
                 flights.length
-              } alternative flights for ${passenger_tier} passenger:\n\n${JSON.stringify(
+              } alternative itineraries for ${passenger_tier} passenger:\n\n${JSON.stringify(
                 alternatives,
                 null,
                 2
@@ -354,33 +825,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
 
         // Query the Bookings table using the FlightBookingsIndex GSI
-        const params = {
-          TableName: BOOKINGS_TABLE,
-          IndexName: "FlightBookingsIndex",
-          KeyConditionExpression: "FlightNumber = :flightNumber",
-          ExpressionAttributeValues: {
-            ":flightNumber": String(flight_number),
-          },
-        };
-
-        const result = await docClient.send(new QueryCommand(params));
-        const bookings = result.Items || [];
+        const bookings = await collectAll(({ cursor }) =>
+          store.query(BOOKINGS_TABLE, {
+            index: "FlightBookingsIndex",
+            hash: String(flight_number),
+            cursor,
+          })
+        );
 
         // Get passenger details for each booking
         const passengerPromises = bookings.map(async (booking) => {
-          const passengerParams = {
-            TableName: PASSENGERS_TABLE,
-            Key: {
+          try {
+            return await store.get(PASSENGERS_TABLE, {
               PassengerId: booking.PassengerId,
               BookingReference: booking.BookingReference,
-            },
-          };
-
-          try {
-            const passengerResult = await docClient.send(
-              new GetCommand(passengerParams)
-            );
-            return passengerResult.Item;
+            });
           } catch (error) {
             console.error(
               `Error fetching passenger ${booking.PassengerId}:`,
@@ -419,43 +878,692 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-    case "test_connection":
+    case "analyze_misconnects":
       try {
-        // Test all tables exist and are accessible
-        const flightsTest = await docClient.send(
-          new ScanCommand({
-            TableName: FLIGHTS_TABLE,
-            Limit: 1,
-          })
-        );
+        const { flight_number, departure_date } = args || {};
+        if (!flight_number || !departure_date) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Error: flight_number and departure_date are required",
+              },
+            ],
+          };
+        }
 
-        const passengersTest = await docClient.send(
-          new ScanCommand({
-            TableName: PASSENGERS_TABLE,
-            Limit: 1,
-          })
+        const flight = await store.get(FLIGHTS_TABLE, {
+          FlightNumber: String(flight_number),
+          ScheduledDepartureDate: String(departure_date),
+        });
+        if (!flight) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: Flight ${flight_number} on ${departure_date} not found`,
+              },
+            ],
+          };
+        }
+
+        const { connections, groups } = await analyzeMisconnects(
+          store,
+          flight,
+          {
+            config: getConnectionConfig(),
+            bufferMinutes:
+              args.buffer_minutes === undefined
+                ? DEFAULT_TIGHT_CONNECTION_BUFFER_MINUTES
+                : Number(args.buffer_minutes),
+          }
         );
+        const count = (risk) =>
+          connections.filter((connection) => connection.risk === risk).length;
 
-        const bookingsTest = await docClient.send(
-          new ScanCommand({
-            TableName: BOOKINGS_TABLE,
-            Limit: 1,
-          })
+        const analysis = {
+          flight_number: flight.FlightNumber,
+          departure_date: flight.ScheduledDepartureDate,
+          route: `${flight.Origin}-${flight.Destination}`,
+          status: flight.Status,
+          delay_minutes: flight.DelayMinutes || 0,
+          scheduled_arrival: flightTime(
+            flight.ScheduledArrivalTime,
+            flight.Destination
+          ),
+          estimated_arrival: flightTime(
+            flight.EstimatedArrivalTime || flight.ScheduledArrivalTime,
+            flight.Destination
+          ),
+          connecting_passengers: new Set(
+            connections.map((connection) => connection.booking.PassengerId)
+          ).size,
+          connections: {
+            total: connections.length,
+            missed: count(CONNECTION_RISK.MISSED),
+            tight: count(CONNECTION_RISK.TIGHT),
+            safe: count(CONNECTION_RISK.SAFE),
+          },
+          at_risk_connections: groups.map((group) => ({
+            onward_flight: group.onward.FlightNumber,
+            onward_departure_date: group.onward.ScheduledDepartureDate,
+            onward_route: `${group.onward.Origin}-${group.onward.Destination}`,
+            onward_status: group.onward.Status,
+            onward_departure: flightTime(
+              group.onward.EstimatedDepartureTime ||
+                group.onward.ScheduledDepartureTime,
+              group.onward.Origin
+            ),
+            risk: group.risk,
+            reason: group.reason,
+            connection_minutes: group.connectionMinutes,
+            scheduled_connection_minutes: group.scheduledConnectionMinutes,
+            minimum_connection_minutes: group.minimumConnectionMinutes,
+            passenger_count: group.passengers.length,
+            passengers: group.passengers.map(
+              ({ booking, passenger, onwardBooking }) => ({
+                passenger_id: booking.PassengerId,
+                name: passenger
+                  ? `${passenger.FirstName} ${passenger.LastName}`
+                  : null,
+                tier: passenger?.FrequentFlyerTier || "regular",
+                booking_reference: onwardBooking.BookingReference,
+                cabin_class: onwardBooking.CabinClass,
+              })
+            ),
+          })),
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${analysis.connections.missed} missed and ${
+                analysis.connections.tight
+              } tight connections for passengers on ${
+                flight.FlightNumber
+              }:\n\n${JSON.stringify(analysis, null, 2)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "build_triage_queue":
+      try {
+        const { flight_number, departure_date } = args || {};
+        if (!flight_number || !departure_date) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Error: flight_number and departure_date are required",
+              },
+            ],
+          };
+        }
+
+        const flight = await store.get(FLIGHTS_TABLE, {
+          FlightNumber: String(flight_number),
+          ScheduledDepartureDate: String(departure_date),
+        });
+        if (!flight) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: Flight ${flight_number} on ${departure_date} not found`,
+              },
+            ],
+          };
+        }
+
+        const weights = getTriageWeights(process.env, args.weights);
+        const queue = await buildTriageQueue(store, flight, {
+          weights,
+          config: getConnectionConfig(),
+        });
+        const page = pageList(queue, {
+          maxItems: Number(args.max_results) || DEFAULT_MAX_RESULTS,
+          cursor: args.cursor,
+        });
+        const offset = queue.indexOf(page.items[0]);
+
+        const triage = {
+          flight_number: flight.FlightNumber,
+          departure_date: flight.ScheduledDepartureDate,
+          route: `${flight.Origin}-${flight.Destination}`,
+          status: flight.Status,
+          delay_minutes: flight.DelayMinutes || 0,
+          weights,
+          total_passengers: queue.length,
+          next_cursor: page.cursor,
+          queue: page.items.map((entry, index) => ({
+            position: offset + index + 1,
+            passenger_id: entry.booking.PassengerId,
+            name: entry.passenger
+              ? `${entry.passenger.FirstName} ${entry.passenger.LastName}`
+              : null,
+            tier: entry.tier,
+            booking_reference: entry.booking.BookingReference,
+            cabin_class: entry.booking.CabinClass,
+            final_destination: entry.finalDestination,
+            connection_risk: entry.connectionRisk,
+            destination_reachable: entry.reachable,
+            group_size: entry.groupSize,
+            score: entry.score,
+            breakdown: entry.breakdown,
+          })),
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Triage queue for ${queue.length} passengers on ${
+                flight.FlightNumber
+              }:\n\n${JSON.stringify(triage, null, 2)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "update_flight_status":
+      try {
+        const { flight_number, departure_date } = args || {};
+        if (!flight_number || !departure_date) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Error: flight_number and departure_date are required",
+              },
+            ],
+          };
+        }
+
+        const { flight, change } = await updateFlightStatus(
+          store,
+          {
+            FlightNumber: String(flight_number),
+            ScheduledDepartureDate: String(departure_date),
+          },
+          {
+            status: args.status,
+            delayMinutes: args.delay_minutes,
+            delayReason: args.delay_reason,
+            delayCode: args.delay_code,
+            estimatedDepartureTime: args.estimated_departure_time,
+            divertedTo:
+              args.diverted_to == null
+                ? args.diverted_to
+                : validateAirportCode(args.diverted_to),
+          },
+          { source: "update_flight_status", updatedBy: args.updated_by }
         );
 
-        const delayNotificationsTest = await docClient.send(
-          new ScanCommand({
-            TableName: DELAY_NOTIFICATIONS_TABLE,
-            Limit: 1,
-          })
+        const result = {
+          flight_number: flight.FlightNumber,
+          departure_date: flight.ScheduledDepartureDate,
+          previous_status: change ? change.PreviousStatus : flight.Status,
+          status: flight.Status,
+          delay_minutes: flight.DelayMinutes,
+          delay_reason: flight.DelayReason || null,
+          delay_code: flight.DelayCode || null,
+          scheduled_departure: flightTime(
+            flight.ScheduledDepartureTime,
+            flight.Origin
+          ),
+          estimated_departure: flightTime(
+            flight.EstimatedDepartureTime,
+            flight.Origin
+          ),
+          estimated_arrival: flightTime(
+            flight.EstimatedArrivalTime,
+            flight.Destination
+          ),
+          changed_attributes: change ? change.ChangedAttributes : [],
+          recorded_at: change ? change.ChangedAt : null,
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${
+                change
+                  ? `Updated ${flight.FlightNumber}: ${change.PreviousStatus} -> ${flight.Status}`
+                  : `No change for ${flight.FlightNumber}`
+              }\n\n${JSON.stringify(result, null, 2)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "get_flight_status_history":
+      try {
+        const { flight_number, departure_date } = args || {};
+        if (!flight_number) {
+          return {
+            content: [
+              { type: "text", text: "Error: Flight number is required" },
+            ],
+          };
+        }
+
+        const history = await getStatusHistory(
+          store,
+          flight_number,
+          departure_date
         );
 
-        const rebookingOptionsTest = await docClient.send(
-          new ScanCommand({
-            TableName: REBOOKING_OPTIONS_TABLE,
-            Limit: 1,
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Found ${history.length} status changes for ${String(
+                flight_number
+              )}:\n\n${JSON.stringify(
+                history.map((change) => ({
+                  departure_date: change.ScheduledDepartureDate,
+                  changed_at: change.ChangedAt,
+                  from: change.PreviousStatus,
+                  to: change.Status,
+                  delay_minutes: change.DelayMinutes,
+                  previous_delay_minutes: change.PreviousDelayMinutes,
+                  delay_reason: change.DelayReason,
+                  delay_code: change.DelayCode,
+                  estimated_departure: flightTime(
+                    change.EstimatedDepartureTime,
+                    change.Origin
+                  ),
+                  changed_attributes: change.ChangedAttributes,
+                  schedule_changes: change.ScheduleChanges || null,
+                  source: change.Source,
+                  updated_by: change.UpdatedBy,
+                })),
+                null,
+                2
+              )}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "generate_rebooking_options":
+      try {
+        const { flight_number, departure_date } = args || {};
+        if (!flight_number || !departure_date) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Error: flight_number and departure_date are required",
+              },
+            ],
+          };
+        }
+
+        const flight = await store.get(FLIGHTS_TABLE, {
+          FlightNumber: String(flight_number),
+          ScheduledDepartureDate: String(departure_date),
+        });
+        if (!flight) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: Flight ${flight_number} on ${departure_date} not found`,
+              },
+            ],
+          };
+        }
+        if (!isDisruptedStatus(flight.Status)) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: Flight ${flight.FlightNumber} is ${flight.Status}; options are only generated for disrupted flights`,
+              },
+            ],
+          };
+        }
+
+        const result = await generateRebookingOptions(store, flight, {
+          maxOptions: Number(args.max_options) || DEFAULT_OPTIONS_PER_PASSENGER,
+          ttlMinutes: Number(args.ttl_minutes) || DEFAULT_OPTION_TTL_MINUTES,
+          preference: args.departure_preference || "earliest",
+          config: getConnectionConfig(),
+        });
+
+        const summary = {
+          flight_number: flight.FlightNumber,
+          departure_date: flight.ScheduledDepartureDate,
+          status: flight.Status,
+          window: {
+            start: result.window.start.toISOString(),
+            end: result.window.end.toISOString(),
+          },
+          passengers: result.passengers.length,
+          options_stored: result.options.length,
+          passengers_without_options: result.passengers
+            .filter((passenger) => passenger.options === 0)
+            .map((passenger) => passenger.PassengerId),
+          expires_at: result.options[0]?.ExpiresAt || null,
+          by_passenger: result.passengers.map((passenger) => ({
+            passenger_id: passenger.PassengerId,
+            booking_reference: passenger.BookingReference,
+            tier: passenger.FrequentFlyerTier,
+            cabin_class: passenger.CabinClass,
+            options: result.options
+              .filter((option) => option.PassengerId === passenger.PassengerId)
+              .map((option) => ({
+                option_id: option.OptionId,
+                rank: option.Rank,
+                flight_numbers: option.FlightNumbers,
+                arrival: flightTime(option.Arrival, option.Destination),
+              })),
+          })),
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Stored ${result.options.length} rebooking options for ${
+                result.passengers.length
+              } passengers on ${flight.FlightNumber}:\n\n${JSON.stringify(
+                summary,
+                null,
+                2
+              )}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "plan_bulk_rebooking":
+      try {
+        const { flight_number, departure_date } = args || {};
+        if (!flight_number || !departure_date) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Error: flight_number and departure_date are required",
+              },
+            ],
+          };
+        }
+
+        const flight = await store.get(FLIGHTS_TABLE, {
+          FlightNumber: String(flight_number),
+          ScheduledDepartureDate: String(departure_date),
+        });
+        if (!flight) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: Flight ${flight_number} on ${departure_date} not found`,
+              },
+            ],
+          };
+        }
+
+        const dryRun = args.dry_run !== false;
+        const now = new Date();
+        const plan = await planBulkRebooking(store, flight, {
+          preference: args.departure_preference || "earliest",
+          maxStops: Math.min(Math.max(Number(args.max_stops ?? 2), 0), 2),
+          weights: getTriageWeights(process.env, args.weights),
+          config: getConnectionConfig(),
+          now,
+        });
+        const outcome = dryRun
+          ? null
+          : await commitBulkRebooking(store, flight, plan, {
+              ttlMinutes: Number(args.ttl_minutes) || DEFAULT_OPTION_TTL_MINUTES,
+              now,
+            });
+
+        const members = (group) =>
+          group.members.map(({ booking, passenger, tier, score }) => ({
+            passenger_id: booking.PassengerId,
+            name: passenger
+              ? `${passenger.FirstName} ${passenger.LastName}`
+              : null,
+            tier,
+            cabin_class: booking.CabinClass,
+            triage_score: score,
+          }));
+        const optionsOf = (assignment) =>
+          outcome?.committed
+            .find((done) => done.priority === assignment.priority)
+            ?.options.map((option) => option.OptionId) || null;
+
+        const report = {
+          flight_number: flight.FlightNumber,
+          departure_date: flight.ScheduledDepartureDate,
+          route: `${flight.Origin}-${flight.Destination}`,
+          dry_run: dryRun,
+          plan_id: outcome?.planId || null,
+          window: {
+            start: plan.window.start.toISOString(),
+            end: plan.window.end.toISOString(),
+          },
+          passengers: plan.assignments
+            .concat(plan.unassigned)
+            .reduce((sum, group) => sum + group.members.length, 0),
+          passengers_assigned: plan.assignments.reduce(
+            (sum, group) => sum + group.members.length,
+            0
+          ),
+          total_arrival_delay_minutes: plan.totalArrivalDelayMinutes,
+          assignments: plan.assignments.map((assignment) => ({
+            priority: assignment.priority,
+            booking_reference: assignment.bookingReference,
+            passengers: members(assignment),
+            flight_numbers: assignment.itinerary.legs.map(
+              (leg) => leg.FlightNumber
+            ),
+            route: [
+              flight.Origin,
+              ...assignment.itinerary.via,
+              assignment.destination,
+            ].join("-"),
+            departure: flightTime(
+              assignment.itinerary.departure,
+              flight.Origin
+            ),
+            arrival: flightTime(
+              assignment.itinerary.arrival,
+              assignment.destination
+            ),
+            arrival_delay_minutes: assignment.arrivalDelayMinutes,
+            option_ids: optionsOf(assignment),
+          })),
+          unassigned: plan.unassigned.map((group) => ({
+            priority: group.priority,
+            booking_reference: group.bookingReference,
+            passengers: members(group),
+            reason: group.reason,
+          })),
+          failed: (outcome?.failed || []).map((assignment) => ({
+            priority: assignment.priority,
+            booking_reference: assignment.bookingReference,
+            reason: assignment.reason,
+          })),
+          seat_load: plan.load.map((bucket) => ({
+            flight_number: bucket.flight.FlightNumber,
+            departure_date: bucket.flight.ScheduledDepartureDate,
+            cabin_class: bucket.cabin,
+            seats_available: bucket.available,
+            seats_assigned: bucket.assigned,
+          })),
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${dryRun ? "Dry run: would rebook" : "Rebooked"} ${
+                report.passengers_assigned
+              } of ${report.passengers} passengers on ${
+                flight.FlightNumber
+              }:\n\n${JSON.stringify(report, null, 2)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "list_flight_rebooking_options":
+      try {
+        const { flight_number, departure_date, status } = args || {};
+        if (!flight_number) {
+          return {
+            content: [
+              { type: "text", text: "Error: Flight number is required" },
+            ],
+          };
+        }
+
+        const options = (
+          await listFlightOptions(store, flight_number, {
+            departureDate: departure_date,
           })
-        );
+        ).filter((option) => !status || option.Status === status);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Found ${options.length} rebooking options for ${String(
+                flight_number
+              )}:\n\n${JSON.stringify(options.map(formatOption), null, 2)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "hold_seat":
+    case "release_hold":
+    case "confirm_hold":
+      try {
+        const { flight_number, departure_date, hold_id } = args || {};
+        if (!flight_number || !departure_date) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Error: flight_number and departure_date are required",
+              },
+            ],
+          };
+        }
+        const key = {
+          FlightNumber: String(flight_number),
+          ScheduledDepartureDate: String(departure_date),
+        };
+
+        let hold;
+        let summary;
+        if (name === "hold_seat") {
+          if (!args.passenger_id) {
+            return {
+              content: [{ type: "text", text: "Error: passenger_id is required" }],
+            };
+          }
+          hold = await placeHold(store, key, {
+            passengerId: args.passenger_id,
+            cabin: args.cabin_class,
+            seats: args.seats === undefined ? 1 : Number(args.seats),
+            ttlMinutes: Number(args.ttl_minutes) || DEFAULT_HOLD_TTL_MINUTES,
+          });
+          summary = `Held ${hold.Seats} seat(s) on ${key.FlightNumber} until ${hold.ExpiresAt}`;
+        } else {
+          if (!hold_id) {
+            return {
+              content: [{ type: "text", text: "Error: hold_id is required" }],
+            };
+          }
+          if (name === "release_hold") {
+            hold = await releaseHold(store, key, String(hold_id));
+            summary = `Released hold ${hold.HoldId} (${hold.Seats} seat(s) back on ${key.FlightNumber})`;
+          } else {
+            hold = await confirmHold(store, key, String(hold_id));
+            summary = `Confirmed hold ${hold.HoldId} (${hold.Seats} seat(s) on ${key.FlightNumber})`;
+          }
+        }
+
+        const flight = await store.get(FLIGHTS_TABLE, key);
+        const result = {
+          hold_id: hold.HoldId,
+          flight_number: key.FlightNumber,
+          departure_date: key.ScheduledDepartureDate,
+          passenger_id: hold.PassengerId,
+          cabin_class: hold.Cabin,
+          seats: hold.Seats,
+          created_at: hold.CreatedAt,
+          expires_at: hold.ExpiresAt,
+          confirmed_at: hold.ConfirmedAt || null,
+          flight_available_seats: flight.AvailableSeats,
+          flight_available_seats_by_cabin: flight.AvailableSeatsByCabin || null,
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${summary}:\n\n${JSON.stringify(result, null, 2)}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error.message}` }],
+        };
+      }
+
+    case "test_connection":
+      try {
+        // Test all tables exist and are accessible
+        const flightsTest = await store.scan(FLIGHTS_TABLE, { limit: 1 });
+
+        const passengersTest = await store.scan(PASSENGERS_TABLE, { limit: 1 });
+
+        const bookingsTest = await store.scan(BOOKINGS_TABLE, { limit: 1 });
+
+        const delayNotificationsTest = await store.scan(DELAY_NOTIFICATIONS_TABLE, { limit: 1 });
+
+        const rebookingOptionsTest = await store.scan(REBOOKING_OPTIONS_TABLE, { limit: 1 });
 
         return {
           content: [
@@ -465,30 +1573,30 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               
 Flights table (${FLIGHTS_TABLE}): 
 - Accessible: Yes
-- Sample records: ${flightsTest.Items?.length || 0}
-- Total scanned: ${flightsTest.ScannedCount || 0}
+- Sample records: ${flightsTest.items.length}
+- Total scanned: ${flightsTest.scannedCount}
 
 Passengers table (${PASSENGERS_TABLE}):
 - Accessible: Yes  
-- Sample records: ${passengersTest.Items?.length || 0}
-- Total scanned: ${passengersTest.ScannedCount || 0}
+- Sample records: ${passengersTest.items.length}
+- Total scanned: ${passengersTest.scannedCount}
 
 Bookings table (${BOOKINGS_TABLE}):
 - Accessible: Yes  
-- Sample records: ${bookingsTest.Items?.length || 0}
-- Total scanned: ${bookingsTest.ScannedCount || 0}
+- Sample records: ${bookingsTest.items.length}
+- Total scanned: ${bookingsTest.scannedCount}
 
 DelayNotifications table (${DELAY_NOTIFICATIONS_TABLE}):
 - Accessible: Yes  
-- Sample records: ${delayNotificationsTest.Items?.length || 0}
-- Total scanned: ${delayNotificationsTest.ScannedCount || 0}
+- Sample records: ${delayNotificationsTest.items.length}
+- Total scanned: ${delayNotificationsTest.scannedCount}
 
 RebookingOptions table (${REBOOKING_OPTIONS_TABLE}):
 - Accessible: Yes  
-- Sample records: ${rebookingOptionsTest.Items?.length || 0}
-- Total scanned: ${rebookingOptionsTest.ScannedCount || 0}
+- Sample records: ${rebookingOptionsTest.items.length}
+- Total scanned: ${rebookingOptionsTest.scannedCount}
 
-AWS Region: us-east-1
+Storage backend: ${store.describe()}
 Connection: Successful`,
             },
           ],
@@ -504,10 +1612,10 @@ Error: ${error.message}
 Error Code: ${error.name}
 
 Troubleshooting:
-1. Check AWS credentials (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY)
-2. Verify tables exist: ${FLIGHTS_TABLE}, ${PASSENGERS_TABLE}, ${BOOKINGS_TABLE}, ${DELAY_NOTIFICATIONS_TABLE}, ${REBOOKING_OPTIONS_TABLE}
-3. Check IAM permissions for DynamoDB access
-4. Confirm region is correct (currently: us-east-1)`,
+1. Check STORAGE_BACKEND (currently: ${store.describe()})
+2. For DynamoDB, check AWS credentials (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY) and IAM permissions
+3. Verify tables exist: ${FLIGHTS_TABLE}, ${PASSENGERS_TABLE}, ${BOOKINGS_TABLE}, ${DELAY_NOTIFICATIONS_TABLE}, ${REBOOKING_OPTIONS_TABLE}
+4. For SQLite, check that SQLITE_PATH is writable`,
             },
           ],
         };
@@ -520,36 +1628,86 @@ Troubleshooting:
   }
 });
 
-function getRecommendationReason(passenger_tier) {
+function formatItinerary(itinerary, passenger_tier, { seats, cabinClass, now }) {
+  const { legs } = itinerary;
+  return {
+    flightNumbers: legs.map((leg) => leg.FlightNumber),
+    origin: legs[0].Origin,
+    destination: legs[legs.length - 1].Destination,
+    stops: itinerary.stops,
+    via: itinerary.via,
+    scheduledDeparture: flightTime(
+      legs[0].ScheduledDepartureTime,
+      legs[0].Origin
+    ),
+    scheduledArrival: flightTime(
+      legs[legs.length - 1].ScheduledArrivalTime,
+      legs[legs.length - 1].Destination
+    ),
+    // Best known times, which the ranking uses: estimated for delayed legs
+    departure: flightTime(itinerary.departure, legs[0].Origin),
+    arrival: flightTime(itinerary.arrival, legs[legs.length - 1].Destination),
+    durationMinutes: itinerary.durationMinutes,
+    // An itinerary is only as available as its fullest leg
+    availableSeats: seats,
+    legs: legs.map((leg) => ({
+      flightNumber: leg.FlightNumber,
+      origin: leg.Origin,
+      destination: leg.Destination,
+      scheduledDeparture: flightTime(leg.ScheduledDepartureTime, leg.Origin),
+      scheduledArrival: flightTime(leg.ScheduledArrivalTime, leg.Destination),
+      estimatedDeparture: flightTime(leg.EstimatedDepartureTime, leg.Origin),
+      estimatedArrival: flightTime(leg.EstimatedArrivalTime, leg.Destination),
+      aircraft: leg.AircraftType,
+      status: leg.Status,
+      delayMinutes: leg.DelayMinutes ?? null,
+      availableSeats: effectiveAvailableSeats(leg, cabinClass, now),
+      seatHolds: formatHoldState(holdState(leg, now)),
+    })),
+    recommendation_reason: getRecommendationReason(passenger_tier, itinerary),
+  };
+}
+
+// Seats other agents are holding on a leg; expired holds count as available
+function formatHoldState({ active, heldSeats, expiredSeats }) {
+  return {
+    activeHolds: active.length,
+    heldSeats,
+    expiredHeldSeats: expiredSeats,
+    nextExpiry: active.map((hold) => hold.ExpiresAt).sort()[0] || null,
+  };
+}
+
+function getRecommendationReason(passenger_tier, itinerary) {
+  const routing =
+    itinerary.stops === 0 ? "direct" : `via ${itinerary.via.join(", ")}`;
   switch (passenger_tier) {
     case "senator":
-      return "Premium service prioritized for Senator status";
+      return `Premium service prioritized for Senator status (${routing}, direct flights ranked first)`;
     case "frequent_traveler":
-      return "Earliest available departure for frequent traveler";
+      return `Earliest available arrival for frequent traveler (${routing})`;
     default:
-      return "Available alternative flight";
+      return `Available alternative flight (${routing})`;
   }
 }
 
-// Helper function to check flight status case-insensitively
-function isDelayedStatus(status) {
-  if (!status) return false;
-  const statusLower = status.toLowerCase();
-  return (
-    statusLower === "delayed" ||
-    statusLower === "cancelled" ||
-    statusLower === "diverted"
-  );
-}
-
-function isOnTimeStatus(status) {
-  if (!status) return false;
-  const statusLower = status.toLowerCase();
-  return (
-    statusLower === "on_time" ||
-    statusLower === "on-time" ||
-    statusLower === "scheduled"
-  );
+// Store filter for the check_flight_delays severity levels
+function severityFilter(severity) {
+  switch (severity) {
+    case "minor":
+      return { DelayMinutes: { between: [30, 60] } };
+    case "major":
+      return { DelayMinutes: { gt: 60, lte: 120 } };
+    case "severe":
+      return {
+        $or: [
+          { DelayMinutes: { gt: 120 } },
+          { Status: { in: [FLIGHT_STATUS.CANCELLED, FLIGHT_STATUS.DIVERTED] } },
+        ],
+      };
+    default:
+      return {};
+  }
 }
 
 async function main() {
@@ -0,0 +1,198 @@
+/**
+ * Loads the passengers booked on a flight together with the rest of their
+ * itinerary, and summarizes them for disruption reporting.
+ */
+
+import { collectAll } from "./pagination.js";
+import { parseFlightTime } from "./times.js";
+
+const BOOKINGS_TABLE = "Bookings";
+const FLIGHTS_TABLE = "Flights";
+const PASSENGERS_TABLE = "Passengers";
+
+const TIERS = ["senator", "frequent_traveler", "regular"];
+
+export function isActiveBooking(booking) {
+  return booking.BookingStatus !== "cancelled";
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Active bookings on one dated flight, via FlightBookingsIndex. */
+export async function getFlightBookings(store, flightNumber, date) {
+  const bookings = await collectAll(({ cursor }) =>
+    store.query(BOOKINGS_TABLE, {
+      index: "FlightBookingsIndex",
+      hash: String(flightNumber),
+      range: date ? String(date) : undefined,
+      cursor,
+    })
+  );
+  return bookings.filter(isActiveBooking);
+}
+
+/** All active bookings of a passenger, via PassengerBookingsIndex. */
+export async function getPassengerBookings(store, passengerId) {
+  const bookings = await collectAll(({ cursor }) =>
+    store.query(BOOKINGS_TABLE, {
+      index: "PassengerBookingsIndex",
+      hash: String(passengerId),
+      cursor,
+    })
+  );
+  return bookings.filter(isActiveBooking);
+}
+
+/**
+ * A loader for the Flights item of a booking, caching each dated flight so
+ * passengers on the same segments share one read. Resolves to null for an
+ * unknown flight.
+ */
+export function createFlightLoader(store) {
+  const flights = new Map();
+  return (booking) => {
+    const key = `${booking.FlightNumber}#${booking.ScheduledDepartureDate}`;
+    if (!flights.has(key)) {
+      flights.set(
+        key,
+        store
+          .get(FLIGHTS_TABLE, {
+            FlightNumber: booking.FlightNumber,
+            ScheduledDepartureDate: booking.ScheduledDepartureDate,
+          })
+          .then((flight) => flight || null)
+      );
+    }
+    return flights.get(key);
+  };
+}
+
+// Keep the bookings whose flight passes the test; a booking whose flight is
+// unknown is kept on its date alone
+async function filterByFlight(bookings, loadFlight, test) {
+  const flights = await Promise.all(bookings.map(loadFlight));
+  return bookings.filter((_, i) => !flights[i] || test(flights[i]));
+}
+
+/**
+ * Bookings in an itinerary that continue from the flight's destination on
+ * the same or the following day, scheduled to depart after the flight is
+ * scheduled to arrive. loadFlight is a createFlightLoader loader.
+ */
+export async function findOnwardBookings(flight, itinerary, loadFlight) {
+  const latestDate = addDays(flight.ScheduledDepartureDate, 1);
+  const arrival = parseFlightTime(flight.ScheduledArrivalTime);
+  return filterByFlight(
+    itinerary.filter(
+      (booking) =>
+        booking.FlightNumber !== flight.FlightNumber &&
+        booking.Origin === flight.Destination &&
+        booking.ScheduledDepartureDate >= flight.ScheduledDepartureDate &&
+        booking.ScheduledDepartureDate <= latestDate
+    ),
+    loadFlight,
+    (onward) => parseFlightTime(onward.ScheduledDepartureTime) > arrival
+  );
+}
+
+/**
+ * Bookings in an itinerary that feed into the flight's origin on the same
+ * or the previous day (transfer passengers at the departure airport),
+ * scheduled to arrive before the flight is scheduled to depart.
+ */
+export async function findInboundBookings(flight, itinerary, loadFlight) {
+  const earliestDate = addDays(flight.ScheduledDepartureDate, -1);
+  const departure = parseFlightTime(flight.ScheduledDepartureTime);
+  return filterByFlight(
+    itinerary.filter(
+      (booking) =>
+        booking.FlightNumber !== flight.FlightNumber &&
+        booking.Destination === flight.Origin &&
+        booking.ScheduledDepartureDate >= earliestDate &&
+        booking.ScheduledDepartureDate <= flight.ScheduledDepartureDate
+    ),
+    loadFlight,
+    (inbound) => parseFlightTime(inbound.ScheduledArrivalTime) < departure
+  );
+}
+
+/**
+ * Everyone booked on a dated flight:
+ * [{ booking, passenger, itinerary, inbound, onward }]
+ * where itinerary is all of the passenger's active bookings, inbound the
+ * segments feeding this flight and onward those continuing from it.
+ */
+export async function loadAffectedPassengers(store, flight) {
+  const bookings = await getFlightBookings(
+    store,
+    flight.FlightNumber,
+    flight.ScheduledDepartureDate
+  );
+
+  const loadFlight = createFlightLoader(store);
+  return Promise.all(
+    bookings.map(async (booking) => {
+      const [passenger, itinerary] = await Promise.all([
+        store.get(PASSENGERS_TABLE, {
+          PassengerId: booking.PassengerId,
+          BookingReference: booking.BookingReference,
+        }),
+        getPassengerBookings(store, booking.PassengerId),
+      ]);
+      const [inbound, onward] = await Promise.all([
+        findInboundBookings(flight, itinerary, loadFlight),
+        findOnwardBookings(flight, itinerary, loadFlight),
+      ]);
+      return { booking, passenger, itinerary, inbound, onward };
+    })
+  );
+}
+
+function emptyBreakdown() {
+  return {
+    total: 0,
+    by_tier: Object.fromEntries(TIERS.map((tier) => [tier, 0])),
+    by_cabin: {},
+    connecting: 0,
+    terminating: 0,
+  };
+}
+
+/**
+ * Counts by FrequentFlyerTier, cabin and connecting vs. terminating, where
+ * connecting means the flight is one leg of a transfer (inbound or onward).
+ */
+export function summarizeAffectedPassengers(affected) {
+  const summary = emptyBreakdown();
+  for (const { booking, passenger, inbound, onward } of affected) {
+    const tier = passenger?.FrequentFlyerTier || "regular";
+    const cabin = booking.CabinClass || "unknown";
+    summary.total += 1;
+    summary.by_tier[tier] = (summary.by_tier[tier] || 0) + 1;
+    summary.by_cabin[cabin] = (summary.by_cabin[cabin] || 0) + 1;
+    if (inbound.length > 0 || onward.length > 0) summary.connecting += 1;
+    else summary.terminating += 1;
+  }
+  return summary;
+}
+
+/** Add up several flight summaries into hub totals. */
+export function combineSummaries(summaries) {
+  const totals = emptyBreakdown();
+  for (const summary of summaries) {
+    totals.total += summary.total;
+    totals.connecting += summary.connecting;
+    totals.terminating += summary.terminating;
+    for (const [tier, count] of Object.entries(summary.by_tier)) {
+      totals.by_tier[tier] = (totals.by_tier[tier] || 0) + count;
+    }
+    for (const [cabin, count] of Object.entries(summary.by_cabin)) {
+      totals.by_cabin[cabin] = (totals.by_cabin[cabin] || 0) + count;
+    }
+  }
+  return totals;
+}
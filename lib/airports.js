@@ -0,0 +1,73 @@
+/**
+ * Airport reference data, bundled in data/airports.json: IATA code, name,
+ * city, country (ISO 3166-1 alpha-2), coordinates and IANA timezone for
+ * the airports in our network.
+ *
+ * Used to validate airport codes on tool input, for great-circle distances
+ * and to render flight times in local airport time (see lib/times.js).
+ */
+
+import { readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const AIRPORTS_FILE = join(__dirname, "..", "data", "airports.json");
+
+export const AIRPORTS = Object.freeze(
+  Object.fromEntries(
+    JSON.parse(readFileSync(AIRPORTS_FILE, "utf8")).map((airport) => [
+      airport.iata,
+      Object.freeze(airport),
+    ])
+  )
+);
+
+const EARTH_RADIUS_KM = 6371;
+
+export class UnknownAirportError extends Error {
+  constructor(code) {
+    super(
+      `Unknown airport code "${code}" (expected an IATA code from data/airports.json)`
+    );
+    this.name = "UnknownAirportError";
+    this.code = code;
+  }
+}
+
+// Tool input is matched case-insensitively and with surrounding spaces
+function normalizeAirportCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+export function isKnownAirport(code) {
+  return typeof code === "string" && normalizeAirportCode(code) in AIRPORTS;
+}
+
+/** The reference entry for an airport code; throws UnknownAirportError. */
+export function getAirport(code) {
+  const airport = AIRPORTS[normalizeAirportCode(code)];
+  if (!airport) throw new UnknownAirportError(code);
+  return airport;
+}
+
+/** Normalize an airport code from tool input, rejecting unknown codes. */
+export function validateAirportCode(code) {
+  return getAirport(code).iata;
+}
+
+/** Great-circle (haversine) distance between two airports, in km. */
+export function greatCircleDistanceKm(from, to) {
+  const a = getAirport(from);
+  const b = getAirport(to);
+  const rad = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLon = rad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.latitude)) *
+      Math.cos(rad(b.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h)));
+}
@@ -0,0 +1,115 @@
+/**
+ * Alternative-flight search shared by find_alternative_flights and the
+ * rebooking options generator: load the bookable flights for a departure
+ * window once, then build and rank itineraries per destination, cabin and
+ * tier.
+ */
+
+import { collectAll } from "./pagination.js";
+import {
+  buildItineraries,
+  departureTime,
+  rankItineraries,
+  withinWindow,
+} from "./connections.js";
+import { FLIGHT_STATUS } from "./flight-status.js";
+import { effectiveAvailableSeats } from "./inventory.js";
+
+const FLIGHTS_TABLE = "Flights";
+const DAY = 24 * 60 * 60 * 1000;
+
+// Statuses a flight can still be rebooked onto: a delayed flight is still
+// operating, and can well be the best way to get there
+export const AVAILABLE_STATUSES = [
+  FLIGHT_STATUS.SCHEDULED,
+  FLIGHT_STATUS.DELAYED,
+];
+
+/**
+ * Every flight leaving origin (or a connection hub, when maxStops > 0) in
+ * the window, plus a day for onward legs, that has not departed yet and
+ * still has a seat to sell. Delayed flights are judged by their estimated
+ * times, here and in the itineraries built from them, so they are also
+ * looked up on the day before the window: a flight delayed past midnight
+ * leaves in it.
+ */
+export async function loadBookableFlights(
+  store,
+  { origin, window, maxStops, config, now = new Date() }
+) {
+  const departureAirports = [
+    String(origin),
+    ...(maxStops > 0 ? config.hubs : []),
+  ];
+  const lastDate = new Date(window.end.getTime() + DAY)
+    .toISOString()
+    .slice(0, 10);
+  const firstDate = (status) =>
+    new Date(
+      window.start.getTime() - (status === FLIGHT_STATUS.DELAYED ? DAY : 0)
+    )
+      .toISOString()
+      .slice(0, 10);
+
+  const candidates = [];
+  for (const status of AVAILABLE_STATUSES) {
+    candidates.push(
+      ...(await collectAll(({ cursor }) =>
+        store.query(FLIGHTS_TABLE, {
+          index: "StatusIndex",
+          hash: status,
+          range: { between: [firstDate(status), lastDate] },
+          filter: { Origin: { in: departureAirports } },
+          cursor,
+        })
+      ))
+    );
+  }
+
+  return candidates.filter(
+    (flight) =>
+      departureTime(flight) > now &&
+      departureTime(flight) >= window.start &&
+      effectiveAvailableSeats(flight, null, now) > 0
+  );
+}
+
+/** Seats bookable on an itinerary: an itinerary is as full as its fullest leg. */
+export function itinerarySeats(itinerary, cabinClass, now = new Date()) {
+  return Math.min(
+    ...itinerary.legs.map((leg) => effectiveAvailableSeats(leg, cabinClass, now))
+  );
+}
+
+/**
+ * Direct, one- and two-stop itineraries from origin to destination whose
+ * first leg departs in the window and that have a seat in cabinClass,
+ * ranked by (tier- and preference-adjusted) arrival time.
+ */
+export function rankAlternatives(
+  flights,
+  {
+    origin,
+    destination,
+    window,
+    maxStops,
+    config,
+    tier = "regular",
+    cabinClass,
+    preferences,
+    now = new Date(),
+  }
+) {
+  const seatsOf = (itinerary) => itinerarySeats(itinerary, cabinClass, now);
+  return rankItineraries(
+    buildItineraries(flights, {
+      origin: String(origin),
+      destination: String(destination),
+      maxStops,
+      config,
+    }).filter(
+      (itinerary) => withinWindow(itinerary, window) && seatsOf(itinerary) > 0
+    ),
+    { tier, seatsOf, preferences }
+  );
+}
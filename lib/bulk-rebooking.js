@@ -0,0 +1,371 @@
+/**
+ * Bulk rebooking for a cancelled flight: assign every passenger to an
+ * alternative itinerary without selling more seats than the alternatives
+ * have.
+ *
+ * Passengers are planned per booking reference (a group travels together)
+ * in triage-queue order (see lib/triage.js). Each group gets the earliest
+ * arriving itinerary that still has room for all of its members in their
+ * cabins after the groups before it, which keeps the total arrival delay
+ * low without ever trading a higher-priority passenger's seat for it.
+ *
+ * planBulkRebooking only computes the plan. commitBulkRebooking holds the
+ * seats and stores each assignment as the passenger's rebooking option, so
+ * it is accepted through the usual accept_rebooking_option flow.
+ */
+
+import { randomUUID } from "crypto";
+import { loadBookableFlights, rankAlternatives } from "./alternatives.js";
+import { getConnectionConfig, resolveSearchWindow } from "./connections.js";
+import { FLIGHT_STATUS } from "./flight-status.js";
+import {
+  effectiveAvailableSeats,
+  holdState,
+  placeHold,
+  releaseHold,
+  SeatHoldError,
+} from "./inventory.js";
+import {
+  buildOption,
+  DEFAULT_OPTION_TTL_MINUTES,
+  listFlightOptions,
+  OPTION_STATUS,
+  releaseOptionHolds,
+  replaceOpenOptions,
+} from "./rebooking-options.js";
+import { parseFlightTime } from "./times.js";
+import { buildTriageQueue, getTriageWeights } from "./triage.js";
+
+const MINUTE = 60 * 1000;
+
+const TIER_ORDER = { senator: 3, frequent_traveler: 2, regular: 1 };
+
+function flightKey(flight) {
+  return {
+    FlightNumber: flight.FlightNumber,
+    ScheduledDepartureDate: flight.ScheduledDepartureDate,
+  };
+}
+
+/**
+ * Seat bucket a passenger takes on a leg: the cabin where the flight sells
+ * by cabin, the whole aircraft otherwise.
+ */
+function bucketOf(leg, cabin) {
+  const bucket = leg.AvailableSeatsByCabin ? cabin : "all";
+  return `${leg.FlightNumber}#${leg.ScheduledDepartureDate}#${bucket}`;
+}
+
+/** Seats the group needs per bucket on an itinerary. */
+function seatsNeeded(itinerary, members) {
+  const needed = new Map();
+  for (const leg of itinerary.legs) {
+    for (const { booking } of members) {
+      const bucket = bucketOf(leg, booking.CabinClass);
+      needed.set(bucket, (needed.get(bucket) || 0) + 1);
+    }
+  }
+  return needed;
+}
+
+/** Passengers on the flight per booking reference, in triage order. */
+function groupByBooking(queue) {
+  const groups = new Map();
+  for (const entry of queue) {
+    const key = `${entry.booking.BookingReference}#${entry.booking.Destination}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        bookingReference: entry.booking.BookingReference,
+        destination: entry.booking.Destination,
+        priority: groups.size + 1,
+        members: [],
+      });
+    }
+    groups.get(key).members.push(entry);
+  }
+  return [...groups.values()];
+}
+
+/** Open options for the flight that hold seats, from earlier commits. */
+async function heldOptions(store, flight, now) {
+  const options = await listFlightOptions(store, flight.FlightNumber, {
+    departureDate: flight.ScheduledDepartureDate,
+    now,
+  });
+  return options.filter(
+    (option) =>
+      option.Status === OPTION_STATUS.OFFERED && option.HoldIds?.length > 0
+  );
+}
+
+/**
+ * Seats per bucket that earlier commits still hold: committing releases
+ * them before placing new holds, so the plan counts them as free.
+ */
+function heldSeatsByBucket(options, pool, now) {
+  const legKey = (leg) => `${leg.FlightNumber}#${leg.ScheduledDepartureDate}`;
+  const flights = new Map(pool.map((leg) => [legKey(leg), leg]));
+  const held = new Map();
+  const holds = options.flatMap((option) => option.HoldIds);
+  for (const { HoldId, ...key } of holds) {
+    const leg = flights.get(legKey(key));
+    const hold =
+      leg && holdState(leg, now).active.find((each) => each.HoldId === HoldId);
+    if (!hold) continue;
+    const bucket = bucketOf(leg, hold.Cabin);
+    held.set(bucket, (held.get(bucket) || 0) + hold.Seats);
+  }
+  return held;
+}
+
+function highestTier(members) {
+  return members
+    .map((member) => member.tier)
+    .sort((a, b) => (TIER_ORDER[b] || 0) - (TIER_ORDER[a] || 0))[0];
+}
+
+/**
+ * Plan the rebooking of everyone on a cancelled flight. Nothing is
+ * written. Returns
+ *
+ * { window, assignments: [{ bookingReference, priority, members, itinerary,
+ *   arrivalDelayMinutes }], unassigned: [{ bookingReference, priority,
+ *   members, reason }], load: [{ bucket, flight, cabin, available, assigned }],
+ *   totalArrivalDelayMinutes }
+ */
+export async function planBulkRebooking(
+  store,
+  flight,
+  {
+    preference = "earliest",
+    maxStops = 2,
+    weights = getTriageWeights(),
+    config = getConnectionConfig(),
+    now = new Date(),
+  } = {}
+) {
+  if (flight.Status !== FLIGHT_STATUS.CANCELLED) {
+    throw new Error(
+      `Flight ${flight.FlightNumber} on ${flight.ScheduledDepartureDate} is ${flight.Status}, only cancelled flights are bulk rebooked`
+    );
+  }
+
+  const window = resolveSearchWindow({
+    preference,
+    origin: flight.Origin,
+    departureDate: flight.ScheduledDepartureDate,
+    now,
+  });
+  const [queue, pool, previous] = await Promise.all([
+    buildTriageQueue(store, flight, { weights, config, now }),
+    loadBookableFlights(store, {
+      origin: flight.Origin,
+      window,
+      maxStops,
+      config,
+      now,
+    }),
+    heldOptions(store, flight, now),
+  ]);
+  const bookable = pool.filter(
+    (candidate) =>
+      candidate.FlightNumber !== flight.FlightNumber ||
+      candidate.ScheduledDepartureDate !== flight.ScheduledDepartureDate
+  );
+
+  const previouslyHeld = heldSeatsByBucket(previous, pool, now);
+  const remaining = new Map();
+  const load = new Map();
+  const seatsLeft = (leg, cabin) => {
+    const bucket = bucketOf(leg, cabin);
+    if (!remaining.has(bucket)) {
+      const available =
+        effectiveAvailableSeats(
+          leg,
+          leg.AvailableSeatsByCabin ? cabin : null,
+          now
+        ) + (previouslyHeld.get(bucket) || 0);
+      remaining.set(bucket, available);
+      load.set(bucket, {
+        bucket,
+        flight: leg,
+        cabin: leg.AvailableSeatsByCabin ? cabin : null,
+        available,
+        assigned: 0,
+      });
+    }
+    return remaining.get(bucket);
+  };
+
+  const rankings = new Map();
+  const itinerariesTo = (destination, tier) => {
+    const key = `${destination}#${tier}`;
+    if (!rankings.has(key)) {
+      rankings.set(
+        key,
+        rankAlternatives(bookable, {
+          origin: flight.Origin,
+          destination,
+          window,
+          maxStops,
+          config,
+          tier,
+          now,
+        })
+      );
+    }
+    return rankings.get(key);
+  };
+
+  const scheduledArrival = parseFlightTime(flight.ScheduledArrivalTime);
+  const assignments = [];
+  const unassigned = [];
+  for (const group of groupByBooking(queue)) {
+    const candidates = itinerariesTo(
+      group.destination,
+      highestTier(group.members)
+    );
+    const itinerary = candidates.find((candidate) => {
+      for (const leg of candidate.legs) {
+        for (const { booking } of group.members) {
+          seatsLeft(leg, booking.CabinClass);
+        }
+      }
+      return [...seatsNeeded(candidate, group.members)].every(
+        ([bucket, seats]) => remaining.get(bucket) >= seats
+      );
+    });
+
+    if (!itinerary) {
+      unassigned.push({
+        ...group,
+        reason:
+          candidates.length === 0
+            ? `no alternative itinerary to ${group.destination} in the window`
+            : `no alternative itinerary has ${group.members.length} seat(s) left for booking ${group.bookingReference}`,
+      });
+      continue;
+    }
+
+    for (const [bucket, seats] of seatsNeeded(itinerary, group.members)) {
+      remaining.set(bucket, remaining.get(bucket) - seats);
+      load.get(bucket).assigned += seats;
+    }
+    assignments.push({
+      ...group,
+      itinerary,
+      arrivalDelayMinutes: Math.round(
+        (itinerary.arrival - scheduledArrival) / MINUTE
+      ),
+    });
+  }
+
+  return {
+    window,
+    assignments,
+    unassigned,
+    load: [...load.values()].filter((bucket) => bucket.assigned > 0),
+    totalArrivalDelayMinutes: assignments.reduce(
+      (sum, assignment) =>
+        sum + assignment.arrivalDelayMinutes * assignment.members.length,
+      0
+    ),
+  };
+}
+
+async function releaseAll(store, holds) {
+  for (const { key, hold } of holds) {
+    try {
+      await releaseHold(store, key, hold.HoldId);
+    } catch {
+      // Already gone: nothing left to give back
+    }
+  }
+}
+
+/**
+ * Carry out a plan: hold one seat per passenger and leg, then offer each
+ * passenger their assignment as a rebooking option that expires with the
+ * holds. The holds of options from an earlier commit are released first,
+ * as the plan counted them as free; those options are superseded by the
+ * new ones. A group whose seats were taken since planning is released as
+ * a whole and reported as failed; the other groups go ahead.
+ *
+ * Returns { planId, committed: [assignment + { options }], failed:
+ * [assignment + { reason }] }.
+ */
+export async function commitBulkRebooking(
+  store,
+  flight,
+  plan,
+  { ttlMinutes = DEFAULT_OPTION_TTL_MINUTES, now = new Date() } = {}
+) {
+  if (!(Number.isFinite(ttlMinutes) && ttlMinutes > 0)) {
+    throw new Error("ttl_minutes must be a positive number");
+  }
+  const planId = `PLAN_${Date.now()}_${randomUUID().slice(0, 8)}`;
+  const createdAt = now.toISOString();
+  const expiresAt = new Date(now.getTime() + ttlMinutes * MINUTE).toISOString();
+  const committed = [];
+  const failed = [];
+
+  await releaseOptionHolds(store, await heldOptions(store, flight, now));
+
+  for (const assignment of plan.assignments) {
+    const holds = [];
+    try {
+      for (const { booking } of assignment.members) {
+        for (const leg of assignment.itinerary.legs) {
+          const key = flightKey(leg);
+          const hold = await placeHold(store, key, {
+            passengerId: booking.PassengerId,
+            cabin: booking.CabinClass,
+            seats: 1,
+            ttlMinutes,
+            now,
+          });
+          holds.push({ key, hold, passengerId: booking.PassengerId });
+        }
+      }
+    } catch (error) {
+      await releaseAll(store, holds);
+      if (!(error instanceof SeatHoldError)) throw error;
+      failed.push({ ...assignment, reason: error.message });
+      continue;
+    }
+
+    const options = [];
+    try {
+      for (const { booking, tier } of assignment.members) {
+        const option = {
+          ...buildOption(flight, booking, assignment.itinerary, {
+            tier,
+            rank: 1,
+            createdAt,
+            expiresAt,
+            now,
+          }),
+          PlanId: planId,
+          HoldIds: holds
+            .filter((held) => held.passengerId === booking.PassengerId)
+            .map(({ key, hold }) => ({ ...key, HoldId: hold.HoldId })),
+        };
+        await replaceOpenOptions(
+          store,
+          flight,
+          booking.PassengerId,
+          [option],
+          { now }
+        );
+        options.push(option);
+      }
+    } catch (error) {
+      // Options stored for the group so far are left without their seats
+      await releaseAll(store, holds);
+      throw error;
+    }
+    committed.push({ ...assignment, options });
+  }
+
+  return { planId, committed, failed };
+}
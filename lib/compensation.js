@@ -0,0 +1,358 @@
+/**
+ * EU261 (Regulation (EC) No 261/2004) compensation for delayed and
+ * cancelled flights.
+ *
+ * calculateCompensation applies the rules to plain flight data and returns
+ * the amount with the reasoning behind it; assessBookingCompensation loads
+ * that data for a booking: the flight, the passenger's accepted rebooking
+ * option (the rerouting) and, for cancellations, when the cancellation was
+ * recorded in the status history (the notice period).
+ */
+
+import { greatCircleDistanceKm, getAirport } from "./airports.js";
+import { FLIGHT_STATUS } from "./flight-status.js";
+import { listPassengerOptions, OPTION_STATUS } from "./rebooking-options.js";
+import { getStatusHistory } from "./status-updates.js";
+import { parseFlightTime } from "./times.js";
+
+const BOOKINGS_TABLE = "Bookings";
+const FLIGHTS_TABLE = "Flights";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// EU member states plus Iceland, Norway, Liechtenstein and Switzerland
+export const EU261_COUNTRIES = [
+  "AT", "BE", "BG", "HR", "CY", "CZ", "DK", "EE", "FI", "FR", "DE", "GR",
+  "HU", "IE", "IT", "LV", "LT", "LU", "MT", "NL", "PL", "PT", "RO", "SK",
+  "SI", "ES", "SE", "IS", "NO", "LI", "CH",
+];
+
+// Community carriers, by flight number prefix
+export const EU_CARRIERS = ["LH", "LX", "OS", "SN", "EN", "EW", "4U"];
+
+// Art. 7(1) amounts; rerouteHours is the Art. 7(2) arrival margin within
+// which a rerouted passenger's compensation is halved
+const DISTANCE_BANDS = [
+  { label: "up to 1500 km", maxKm: 1500, amount: 250, rerouteHours: 2 },
+  { label: "1500 to 3500 km", maxKm: 3500, amount: 400, rerouteHours: 3 },
+  { label: "over 3500 km", maxKm: Infinity, amount: 600, rerouteHours: 4 },
+];
+
+export const DELAY_THRESHOLD_MINUTES = 3 * 60;
+
+// IATA delay codes for causes outside the airline's control
+export const EXTRAORDINARY_DELAY_CODES = {
+  71: "weather at departure airport",
+  72: "weather at destination airport",
+  73: "weather en route or at alternate",
+  75: "de-icing of aircraft",
+  76: "snow, ice or sand removal at airport",
+  77: "ground handling impaired by weather",
+  81: "ATC flow restrictions en route",
+  82: "ATC staff or equipment shortage en route",
+  83: "ATC restrictions at destination airport",
+  84: "ATC restrictions due to weather at destination",
+  85: "mandatory security",
+  86: "immigration, customs or health",
+  87: "airport facilities",
+  88: "restrictions at destination airport",
+  89: "restrictions at departure airport",
+};
+
+function carrierOf(flightNumber) {
+  return String(flightNumber).match(/^([A-Z0-9]{2})\d/)?.[1] || null;
+}
+
+function minutesLate(actual, scheduled) {
+  return Math.round(
+    (parseFlightTime(actual) - parseFlightTime(scheduled)) / MINUTE
+  );
+}
+
+/** Distance band, where long intra-community flights count as the middle band. */
+function distanceBand(distanceKm, intraCommunity) {
+  if (intraCommunity && distanceKm > 1500) return DISTANCE_BANDS[1];
+  return DISTANCE_BANDS.find((band) => distanceKm <= band.maxKm);
+}
+
+/**
+ * Does a cancellation notice plus the offered rerouting exempt the airline
+ * (Art. 5(1)(c))? rerouting is { departure, arrival }.
+ */
+function cancellationExemption(noticeDays, rerouting, flight) {
+  if (noticeDays >= 14) {
+    return `cancellation was notified ${noticeDays} days before departure (14 or more)`;
+  }
+  // Without both times the rerouting cannot be checked against the limits
+  if (!rerouting?.departure || !rerouting?.arrival) return null;
+
+  const earlyMinutes = -minutesLate(
+    rerouting.departure,
+    flight.scheduledDeparture
+  );
+  const lateMinutes = minutesLate(rerouting.arrival, flight.scheduledArrival);
+  const [maxEarly, maxLate] = noticeDays >= 7 ? [120, 240] : [60, 120];
+  if (earlyMinutes <= maxEarly && lateMinutes < maxLate) {
+    return `notified ${noticeDays} days ahead and rerouted to depart at most ${
+      maxEarly / 60
+    }h early (${Math.max(earlyMinutes, 0)} min) and arrive less than ${
+      maxLate / 60
+    }h late (${lateMinutes} min)`;
+  }
+  return null;
+}
+
+/**
+ * Apply EU261 to one flight segment.
+ *
+ * flight: { flightNumber, origin, destination, status, scheduledDeparture,
+ *           scheduledArrival, actualArrival, delayCode }
+ * options: { rerouting: { departure, arrival }, cancellationNoticeDays,
+ *            extraordinary }
+ *
+ * Returns { applicable, eligible, amount, currency, distanceKm, band,
+ *           arrivalDelayMinutes, reduced, reasoning: [...] }.
+ */
+export function calculateCompensation(
+  flight,
+  { rerouting = null, cancellationNoticeDays, extraordinary } = {}
+) {
+  const reasoning = [];
+  const result = {
+    applicable: false,
+    eligible: false,
+    amount: 0,
+    currency: "EUR",
+    distanceKm: null,
+    band: null,
+    arrivalDelayMinutes: null,
+    reduced: false,
+    reasoning,
+  };
+
+  // Scope (Art. 3)
+  const origin = getAirport(flight.origin);
+  const destination = getAirport(flight.destination);
+  const carrier = carrierOf(flight.flightNumber);
+  const departsInScope = EU261_COUNTRIES.includes(origin.country);
+  const arrivesInScope = EU261_COUNTRIES.includes(destination.country);
+  if (departsInScope) {
+    reasoning.push(
+      `Departs from ${flight.origin} (${origin.country}), covered by EU261`
+    );
+  } else if (arrivesInScope && EU_CARRIERS.includes(carrier)) {
+    reasoning.push(
+      `Arrives at ${flight.destination} (${destination.country}) on community carrier ${carrier}, covered by EU261`
+    );
+  } else {
+    reasoning.push(
+      `Neither departs from the EU261 area nor arrives there on a community carrier (${flight.origin}-${flight.destination}, ${carrier})`
+    );
+    return result;
+  }
+  result.applicable = true;
+
+  // Distance band (Art. 7(1), 7(4))
+  const distanceKm = greatCircleDistanceKm(flight.origin, flight.destination);
+  const intraCommunity = departsInScope && arrivesInScope;
+  const band = distanceBand(distanceKm, intraCommunity);
+  result.distanceKm = distanceKm;
+  result.band = band.label;
+  reasoning.push(
+    `Great-circle distance ${distanceKm} km${
+      intraCommunity && distanceKm > 1500 ? " within the EU261 area" : ""
+    }: EUR ${band.amount} band (${band.label})`
+  );
+
+  // Extraordinary circumstances (Art. 5(3))
+  const codeReason = EXTRAORDINARY_DELAY_CODES[Number(flight.delayCode)];
+  if (extraordinary === true || (extraordinary === undefined && codeReason)) {
+    reasoning.push(
+      codeReason && extraordinary !== true
+        ? `Delay code ${flight.delayCode} (${codeReason}) is an extraordinary circumstance: no compensation owed, care and assistance still apply`
+        : "Extraordinary circumstances confirmed: no compensation owed, care and assistance still apply"
+    );
+    return result;
+  }
+  if (flight.delayCode) {
+    reasoning.push(
+      `Delay code ${flight.delayCode} is within the airline's control`
+    );
+  }
+
+  const cancelled = flight.status === FLIGHT_STATUS.CANCELLED;
+  const arrival = rerouting?.arrival || (!cancelled && flight.actualArrival);
+  const arrivalDelay = arrival
+    ? minutesLate(arrival, flight.scheduledArrival)
+    : null;
+  result.arrivalDelayMinutes = arrivalDelay;
+
+  if (cancelled) {
+    // Art. 5(1)(c): notice period and rerouting
+    let noticeDays = cancellationNoticeDays;
+    if (noticeDays === undefined || noticeDays === null) {
+      noticeDays = 0;
+      reasoning.push("Cancellation notice unknown, treated as less than 7 days");
+    }
+    const exemption = cancellationExemption(noticeDays, rerouting, flight);
+    if (exemption) {
+      reasoning.push(`Cancelled, but ${exemption}: no compensation owed`);
+      return result;
+    }
+    reasoning.push(
+      !rerouting
+        ? `Cancelled with ${noticeDays} days notice and no rerouting accepted`
+        : arrivalDelay === null
+          ? `Cancelled with ${noticeDays} days notice; the rerouting's arrival time is unknown, so it cannot reduce the compensation`
+          : `Cancelled with ${noticeDays} days notice; rerouting arrives ${arrivalDelay} min after the original scheduled arrival`
+    );
+    result.eligible = true;
+    result.amount = band.amount;
+    if (
+      rerouting &&
+      arrivalDelay !== null &&
+      arrivalDelay <= band.rerouteHours * 60
+    ) {
+      result.reduced = true;
+      result.amount = band.amount / 2;
+      reasoning.push(
+        `Rerouted arrival within ${band.rerouteHours}h of schedule: compensation halved (Art. 7(2))`
+      );
+    }
+    return result;
+  }
+
+  // Delay at arrival (Sturgeon, C-402/07): three hours or more
+  if (arrivalDelay < DELAY_THRESHOLD_MINUTES) {
+    reasoning.push(
+      `Arrival delay ${arrivalDelay} min is below the ${DELAY_THRESHOLD_MINUTES} min threshold: no compensation owed`
+    );
+    return result;
+  }
+  reasoning.push(
+    `Arrival delay ${arrivalDelay} min is at least ${DELAY_THRESHOLD_MINUTES} min`
+  );
+  result.eligible = true;
+  result.amount = band.amount;
+  if (band.maxKm === Infinity && !intraCommunity && arrivalDelay < 4 * 60) {
+    result.reduced = true;
+    result.amount = band.amount / 2;
+    reasoning.push(
+      "Long-haul flight arriving less than 4h late: compensation halved (Art. 7(2)(c))"
+    );
+  }
+  return result;
+}
+
+/** When the flight was first recorded as cancelled, from its status history. */
+async function cancellationRecordedAt(store, flight) {
+  const history = await getStatusHistory(
+    store,
+    flight.FlightNumber,
+    flight.ScheduledDepartureDate
+  );
+  const change = history.find(
+    (entry) => entry.Status === FLIGHT_STATUS.CANCELLED
+  );
+  return change ? new Date(change.ChangedAt) : null;
+}
+
+/**
+ * EU261 assessment for one booking (BookingReference + PassengerId).
+ * overrides: { arrivalDelayMinutes, cancellationNoticeDays,
+ *              rerouting: { departure, arrival }, extraordinary }
+ * take precedence over what is stored.
+ */
+export async function assessBookingCompensation(
+  store,
+  { bookingReference, passengerId },
+  overrides = {}
+) {
+  const booking = await store.get(BOOKINGS_TABLE, {
+    BookingReference: String(bookingReference),
+    PassengerId: String(passengerId),
+  });
+  if (!booking) {
+    throw new Error(
+      `Booking ${bookingReference} for passenger ${passengerId} not found`
+    );
+  }
+  const flight = await store.get(FLIGHTS_TABLE, {
+    FlightNumber: booking.FlightNumber,
+    ScheduledDepartureDate: booking.ScheduledDepartureDate,
+  });
+  if (!flight) {
+    throw new Error(
+      `Flight ${booking.FlightNumber} on ${booking.ScheduledDepartureDate} not found`
+    );
+  }
+
+  let rerouting = overrides.rerouting || null;
+  if (!rerouting) {
+    const accepted = (
+      await listPassengerOptions(store, passengerId, {
+        flightNumber: flight.FlightNumber,
+        includeInactive: true,
+      })
+    ).find(
+      (option) =>
+        option.Status === OPTION_STATUS.ACCEPTED &&
+        option.OriginalDepartureDate === flight.ScheduledDepartureDate
+    );
+    if (accepted) {
+      rerouting = {
+        departure: accepted.Departure,
+        arrival: accepted.Arrival,
+        optionId: accepted.OptionId,
+        flightNumbers: accepted.FlightNumbers,
+      };
+    }
+  }
+
+  let cancellationNoticeDays = overrides.cancellationNoticeDays;
+  if (
+    cancellationNoticeDays === undefined &&
+    flight.Status === FLIGHT_STATUS.CANCELLED
+  ) {
+    const recordedAt = await cancellationRecordedAt(store, flight);
+    if (recordedAt) {
+      cancellationNoticeDays = Math.max(
+        0,
+        Math.floor(
+          (parseFlightTime(flight.ScheduledDepartureTime) - recordedAt) / DAY
+        )
+      );
+    }
+  }
+
+  const actualArrival =
+    overrides.arrivalDelayMinutes !== undefined
+      ? new Date(
+          parseFlightTime(flight.ScheduledArrivalTime).getTime() +
+            Number(overrides.arrivalDelayMinutes) * MINUTE
+        ).toISOString()
+      : flight.ActualArrivalTime ||
+        flight.EstimatedArrivalTime ||
+        flight.ScheduledArrivalTime;
+
+  const assessment = calculateCompensation(
+    {
+      flightNumber: flight.FlightNumber,
+      origin: flight.Origin,
+      destination: flight.Destination,
+      status: flight.Status,
+      scheduledDeparture: flight.ScheduledDepartureTime,
+      scheduledArrival: flight.ScheduledArrivalTime,
+      actualArrival,
+      delayCode: flight.DelayCode,
+    },
+    {
+      rerouting,
+      cancellationNoticeDays,
+      extraordinary: overrides.extraordinary,
+    }
+  );
+
+  return { booking, flight, rerouting, cancellationNoticeDays, assessment };
+}
@@ -0,0 +1,237 @@
+/**
+ * Itinerary building for alternative-flight search: direct flights plus
+ * one- and two-stop connections through hub airports, respecting the
+ * minimum connection time (MCT) at each transfer airport, then filtered to
+ * a departure window and ranked for the passenger's tier.
+ *
+ * Configuration (environment variables):
+ *   CONNECTION_HUBS       comma-separated hub codes (default FRA,MUC,ZRH,VIE)
+ *   MIN_CONNECTION_TIMES  per-airport MCT overrides, e.g. "FRA=50,MUC=35"
+ */
+
+import { AIRPORTS } from "./airports.js";
+import { endOfLocalDay, parseFlightTime, toLocalString } from "./times.js";
+
+export const DEFAULT_CONNECTION_HUBS = ["FRA", "MUC", "ZRH", "VIE"];
+
+// Minimum connection times in minutes at the hubs we connect through
+export const MIN_CONNECTION_MINUTES = {
+  FRA: 45,
+  MUC: 30,
+  ZRH: 40,
+  VIE: 30,
+};
+
+export const DEFAULT_MIN_CONNECTION_MINUTES = 60;
+
+// Longest wait between legs we still offer as a connection
+export const MAX_LAYOVER_MINUTES = 6 * 60;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How far ahead each departure_preference searches
+export const PREFERENCE_WINDOW_HOURS = {
+  earliest: 24,
+  flexible: 72,
+};
+
+// Ranking adjustments per tier, in minutes added to the arrival time:
+// senators are steered towards direct flights, and regular passengers away
+// from the last few seats so those stay available for higher tiers.
+export const TIER_RANKING = {
+  senator: { stopPenaltyMinutes: 120, scarceSeatPenaltyMinutes: 0 },
+  frequent_traveler: { stopPenaltyMinutes: 60, scarceSeatPenaltyMinutes: 0 },
+  regular: { stopPenaltyMinutes: 0, scarceSeatPenaltyMinutes: 60 },
+};
+
+export const SCARCE_SEAT_THRESHOLD = 2;
+
+// With fewer seats left than this, a passenger's preferred window or aisle
+// seat is unlikely to be among them
+export const SEAT_CHOICE_THRESHOLD = 10;
+export const SEAT_CHOICE_PENALTY_MINUTES = 30;
+
+export function getConnectionConfig(env = process.env) {
+  const hubs = env.CONNECTION_HUBS
+    ? env.CONNECTION_HUBS.split(",").map((code) => code.trim().toUpperCase())
+    : DEFAULT_CONNECTION_HUBS;
+
+  const minConnectionMinutes = { ...MIN_CONNECTION_MINUTES };
+  for (const entry of (env.MIN_CONNECTION_TIMES || "").split(",")) {
+    const [airport, minutes] = entry.split("=");
+    if (airport && Number(minutes) > 0) {
+      minConnectionMinutes[airport.trim().toUpperCase()] = Number(minutes);
+    }
+  }
+
+  return { hubs, minConnectionMinutes };
+}
+
+export function minConnectionTime(airport, config = getConnectionConfig()) {
+  return config.minConnectionMinutes[airport] ?? DEFAULT_MIN_CONNECTION_MINUTES;
+}
+
+/** Best known departure time of a flight (estimated, else scheduled). */
+export function departureTime(flight) {
+  return parseFlightTime(
+    flight.EstimatedDepartureTime || flight.ScheduledDepartureTime
+  );
+}
+
+/** Best known arrival time of a flight (estimated, else scheduled). */
+export function arrivalTime(flight) {
+  return parseFlightTime(
+    flight.EstimatedArrivalTime || flight.ScheduledArrivalTime
+  );
+}
+
+function toItinerary(legs) {
+  const departure = departureTime(legs[0]);
+  const arrival = arrivalTime(legs[legs.length - 1]);
+  return {
+    legs,
+    stops: legs.length - 1,
+    via: legs.slice(0, -1).map((leg) => leg.Destination),
+    departure,
+    arrival,
+    durationMinutes: Math.round((arrival - departure) / MINUTE),
+  };
+}
+
+/**
+ * Every itinerary from origin to destination with at most maxStops
+ * connections, each through one of config.hubs. flights is the pool of
+ * bookable flights to combine.
+ */
+export function buildItineraries(
+  flights,
+  { origin, destination, maxStops = 2, config = getConnectionConfig() }
+) {
+  const byOrigin = new Map();
+  for (const flight of flights) {
+    if (!flight.ScheduledDepartureTime || !flight.ScheduledArrivalTime) continue;
+    if (!byOrigin.has(flight.Origin)) byOrigin.set(flight.Origin, []);
+    byOrigin.get(flight.Origin).push(flight);
+  }
+
+  const itineraries = [];
+  const visit = (legs, visited) => {
+    const last = legs[legs.length - 1];
+    if (last.Destination === destination) {
+      itineraries.push(toItinerary(legs));
+      return;
+    }
+    if (legs.length > maxStops || !config.hubs.includes(last.Destination)) {
+      return;
+    }
+
+    const arrived = arrivalTime(last);
+    const earliest = arrived.getTime() +
+      minConnectionTime(last.Destination, config) * MINUTE;
+    const latest = arrived.getTime() + MAX_LAYOVER_MINUTES * MINUTE;
+
+    for (const next of byOrigin.get(last.Destination) || []) {
+      const departs = departureTime(next).getTime();
+      if (departs < earliest || departs > latest) continue;
+      if (visited.has(next.Destination)) continue;
+      visit([...legs, next], new Set([...visited, next.Destination]));
+    }
+  };
+
+  for (const first of byOrigin.get(origin) || []) {
+    visit([first], new Set([origin, first.Destination]));
+  }
+  return itineraries;
+}
+
+/** Earliest arrival first, then fewer stops, then shorter journey. */
+export function compareByArrival(a, b) {
+  return (
+    a.arrival - b.arrival ||
+    a.stops - b.stops ||
+    a.durationMinutes - b.durationMinutes
+  );
+}
+
+// The date at a time in an IANA timezone, or in UTC without one
+function localDate(time, timezone) {
+  const local = timezone ? toLocalString(time, timezone) : time.toISOString();
+  return local.slice(0, 10);
+}
+
+/**
+ * Departure window for the first leg of an alternative:
+ *   earliest  - the next 24 hours
+ *   same_day  - the rest of the disrupted flight's day, until midnight at
+ *               the origin airport (UTC midnight if it is not in
+ *               data/airports.json)
+ *   flexible  - the next 72 hours
+ * starting from the later of now, the disrupted flight's date and an
+ * explicit windowStart. An explicit windowEnd always wins.
+ */
+export function resolveSearchWindow({
+  preference = "earliest",
+  origin,
+  departureDate,
+  windowStart,
+  windowEnd,
+  now = new Date(),
+}) {
+  const starts = [now];
+  if (departureDate) starts.push(new Date(`${departureDate}T00:00:00Z`));
+  if (windowStart) starts.push(parseFlightTime(windowStart));
+  const start = new Date(Math.max(...starts));
+
+  let end;
+  if (windowEnd) {
+    end = parseFlightTime(windowEnd);
+  } else if (preference === "same_day") {
+    const timezone = AIRPORTS[origin]?.timezone;
+    end = endOfLocalDay(departureDate || localDate(start, timezone), timezone);
+  } else {
+    end = new Date(
+      start.getTime() +
+        (PREFERENCE_WINDOW_HOURS[preference] || PREFERENCE_WINDOW_HOURS.earliest) *
+          HOUR
+    );
+  }
+  if (isNaN(start) || isNaN(end)) {
+    throw new Error("Invalid departure window");
+  }
+  return { start, end };
+}
+
+export function withinWindow(itinerary, { start, end }) {
+  return itinerary.departure >= start && itinerary.departure <= end;
+}
+
+/**
+ * Rank itineraries for a tier: earliest effective arrival first, where the
+ * tier's penalties are added to the real arrival time. seatsOf(itinerary)
+ * returns the seats bookable on the itinerary. A passenger with a seat
+ * preference (see lib/preferences.js) is steered towards flights with
+ * enough seats left to honour it.
+ */
+export function rankItineraries(
+  itineraries,
+  { tier = "regular", seatsOf, preferences = {} }
+) {
+  const ranking = TIER_RANKING[tier] || TIER_RANKING.regular;
+  const score = (itinerary) =>
+    itinerary.arrival.getTime() +
+    itinerary.stops * ranking.stopPenaltyMinutes * MINUTE +
+    (seatsOf(itinerary) <= SCARCE_SEAT_THRESHOLD
+      ? ranking.scarceSeatPenaltyMinutes * MINUTE
+      : 0) +
+    (preferences.seat && seatsOf(itinerary) < SEAT_CHOICE_THRESHOLD
+      ? SEAT_CHOICE_PENALTY_MINUTES * MINUTE
+      : 0);
+
+  return itineraries
+    .map((itinerary) => ({ itinerary, score: score(itinerary) }))
+    .sort(
+      (a, b) => a.score - b.score || compareByArrival(a.itinerary, b.itinerary)
+    )
+    .map(({ itinerary }) => itinerary);
+}
@@ -0,0 +1,930 @@
+/**
+ * Escalations to human agents: one Escalations item per handoff, routed to
+ * an agent pool and given SLA deadlines by priority.
+ *
+ *   open ──claim──> claimed ──close──> closed
+ *    ^                 │
+ *    └─ release/reroute┘
+ *
+ * Routing follows the ordered rules in data/escalation-routing.json (or
+ * the file named by ESCALATION_ROUTING_FILE): the first rule whose `when`
+ * matches the case's issue_complexity, tier, language and channel picks
+ * the pool and priority. A criterion left out of `when` matches anything.
+ *
+ * Each priority has a response SLA (until first claimed) and a resolution
+ * SLA (until closed), both counted from creation. SLA state is worked out
+ * whenever an escalation is read; flagSlaBreaches (scripts/flag-sla-
+ * breaches.js) and every write also record breaches in SlaBreaches so they
+ * show up in the table itself.
+ *
+ * Writes are conditional on Version, as for support sessions.
+ */
+
+import { randomUUID } from "crypto";
+import { readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { FLIGHT_STATUS } from "./flight-status.js";
+import { getPassengerItinerary } from "./itinerary.js";
+import { collectAll } from "./pagination.js";
+import { getPreferences } from "./preferences.js";
+import {
+  listPassengerOptions,
+  OPTION_STATUS,
+} from "./rebooking-options.js";
+import { ConditionFailedError } from "./storage/index.js";
+import {
+  CLOSED_SESSION_STATUSES,
+  getSession,
+  RESOLUTION_OUTCOMES,
+  SESSION_STATUS,
+  setSessionStatus,
+} from "./support-sessions.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_ROUTING_FILE = join(
+  __dirname,
+  "..",
+  "data",
+  "escalation-routing.json"
+);
+
+const ESCALATIONS_TABLE = "Escalations";
+
+export const ESCALATION_STATUS = Object.freeze({
+  OPEN: "open",
+  CLAIMED: "claimed",
+  CLOSED: "closed",
+});
+
+export const ESCALATION_STATUSES = Object.freeze(
+  Object.values(ESCALATION_STATUS)
+);
+
+export const ESCALATION_PRIORITIES = Object.freeze([
+  "HIGH",
+  "MEDIUM",
+  "NORMAL",
+]);
+
+export const ISSUE_COMPLEXITIES = Object.freeze([
+  "simple_rebooking",
+  "complex_itinerary",
+  "compensation_required",
+  "vip_handling",
+]);
+
+// Where the customer reached us; matched by the routing rules' channel
+export const CONTACT_CHANNELS = Object.freeze([
+  "chat",
+  "call",
+  "email",
+  "sms",
+  "social",
+]);
+
+const HANDOFF_REASONS = {
+  vip_handling:
+    "VIP customer requires personalized attention and premium service",
+  complex_itinerary:
+    "Multiple flights/complex routing requires specialist handling",
+  compensation_required:
+    "Customer may be entitled to compensation - requires policy expertise",
+  simple_rebooking:
+    "Standard rebooking that couldn't be completed automatically",
+};
+
+const ROUTING_CRITERIA = ["issue_complexity", "tier", "language", "channel"];
+
+const MINUTE = 60 * 1000;
+const MAX_WRITE_ATTEMPTS = 3;
+
+export class EscalationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "EscalationError";
+    this.code = code;
+  }
+}
+
+/** Throws unless config has pools, an SLA per priority and valid rules. */
+export function validateRoutingConfig(config) {
+  const problems = [];
+  const pools = config?.pools || {};
+  if (Object.keys(pools).length === 0) problems.push("no pools");
+  for (const priority of ESCALATION_PRIORITIES) {
+    const sla = config?.sla_minutes?.[priority];
+    if (!(sla?.response > 0) || !(sla?.resolution > 0)) {
+      problems.push(`sla_minutes.${priority} needs response and resolution`);
+    }
+  }
+  const rules = Array.isArray(config?.rules) ? config.rules : [];
+  if (rules.length === 0) problems.push("no rules");
+  rules.forEach((rule, i) => {
+    const name = rule.name || `#${i + 1}`;
+    if (!pools[rule.pool]) {
+      problems.push(`rule ${name}: unknown pool "${rule.pool}"`);
+    }
+    if (!ESCALATION_PRIORITIES.includes(rule.priority)) {
+      problems.push(`rule ${name}: unknown priority "${rule.priority}"`);
+    }
+    for (const [criterion, values] of Object.entries(rule.when || {})) {
+      if (!ROUTING_CRITERIA.includes(criterion)) {
+        problems.push(`rule ${name}: unknown criterion "${criterion}"`);
+      } else if (!Array.isArray(values)) {
+        problems.push(`rule ${name}: ${criterion} must be a list`);
+      }
+    }
+  });
+  if (problems.length > 0) {
+    throw new EscalationError(
+      `Invalid escalation routing config: ${problems.join("; ")}`,
+      "invalid_config"
+    );
+  }
+  return config;
+}
+
+const loadedConfigs = new Map();
+
+/** Routing rules, pools and SLAs; ESCALATION_ROUTING_FILE overrides. */
+export function getRoutingConfig(env = process.env) {
+  const file = env.ESCALATION_ROUTING_FILE || DEFAULT_ROUTING_FILE;
+  if (!loadedConfigs.has(file)) {
+    loadedConfigs.set(
+      file,
+      validateRoutingConfig(JSON.parse(readFileSync(file, "utf8")))
+    );
+  }
+  return loadedConfigs.get(file);
+}
+
+/**
+ * The first rule matching { issue_complexity, tier, language, channel }:
+ * { rule, pool, priority }.
+ */
+export function routeEscalation(context, config = getRoutingConfig()) {
+  const rule = config.rules.find((candidate) =>
+    Object.entries(candidate.when || {}).every(([criterion, values]) =>
+      values.includes(context[criterion])
+    )
+  );
+  if (!rule) {
+    throw new EscalationError(
+      `No routing rule matches ${JSON.stringify(context)}`,
+      "unrouted"
+    );
+  }
+  return { rule: rule.name ?? null, pool: rule.pool, priority: rule.priority };
+}
+
+/** Response and resolution deadlines for a priority. */
+export function slaDeadlines(createdAt, priority, config = getRoutingConfig()) {
+  const sla = config.sla_minutes[priority];
+  const start = new Date(createdAt).getTime();
+  return {
+    RespondBy: new Date(start + sla.response * MINUTE).toISOString(),
+    ResolveBy: new Date(start + sla.resolution * MINUTE).toISOString(),
+  };
+}
+
+function deadlineState(deadline, doneAt, now) {
+  if (doneAt) return doneAt <= deadline ? "met" : "breached";
+  return now.toISOString() > deadline ? "breached" : "pending";
+}
+
+/**
+ * SLA state as of now: response and resolution each pending, met or
+ * breached, plus the breached ones.
+ */
+export function slaState(escalation, now = new Date()) {
+  const response = deadlineState(
+    escalation.RespondBy,
+    escalation.FirstClaimedAt,
+    now
+  );
+  const resolution = deadlineState(
+    escalation.ResolveBy,
+    escalation.ClosedAt,
+    now
+  );
+  return {
+    response,
+    resolution,
+    breaches: [
+      ...(response === "breached" ? ["response"] : []),
+      ...(resolution === "breached" ? ["resolution"] : []),
+    ],
+  };
+}
+
+// The deadline an escalation is working towards, for queue order
+function nextDeadline(escalation) {
+  return escalation.FirstClaimedAt
+    ? escalation.ResolveBy
+    : escalation.RespondBy;
+}
+
+function byUrgency(a, b) {
+  const aClosed = a.Status === ESCALATION_STATUS.CLOSED;
+  const bClosed = b.Status === ESCALATION_STATUS.CLOSED;
+  if (aClosed !== bClosed) return aClosed ? 1 : -1;
+  if (aClosed) return b.ClosedAt.localeCompare(a.ClosedAt);
+  return nextDeadline(a).localeCompare(nextDeadline(b));
+}
+
+function describePreference(type, value) {
+  const label = type.replace(/_/g, " ");
+  if (type === "quiet_hours") {
+    return `${label} ${value.start}-${value.end} ${value.timezone}`;
+  }
+  return `${label} ${value}`;
+}
+
+function describeSegment({ booking, flight }) {
+  const what = `${booking.FlightNumber} ${booking.Origin}-${booking.Destination} on ${booking.ScheduledDepartureDate}`;
+  if (!flight) return `${what}: flight not found`;
+  const delay =
+    flight.DelayMinutes && flight.Status !== FLIGHT_STATUS.CANCELLED
+      ? `, ${flight.DelayMinutes} min late${
+          flight.DelayReason ? ` (${flight.DelayReason})` : ""
+        }`
+      : "";
+  const diverted =
+    flight.Status === FLIGHT_STATUS.DIVERTED && flight.DivertedTo
+      ? ` to ${flight.DivertedTo}`
+      : "";
+  return `${what}: ${flight.Status}${diverted}${delay}`;
+}
+
+/**
+ * What the agent should know before picking the case up, from the
+ * passenger's itinerary, notifications, rebooking options, preferences and
+ * other open sessions. flightNumber narrows it to that flight.
+ */
+function preparationNotes({
+  itinerary,
+  options,
+  preferences,
+  flightNumber,
+  sessionId,
+}) {
+  const notes = [];
+  const segments = itinerary.segments.filter(
+    ({ booking, flight }) =>
+      (!flightNumber || booking.FlightNumber === flightNumber) &&
+      flight?.Status !== FLIGHT_STATUS.LANDED
+  );
+  if (segments.length === 0) {
+    notes.push(
+      flightNumber
+        ? `${flightNumber} is not on the passenger's upcoming itinerary`
+        : "No upcoming flights on the itinerary"
+    );
+  }
+  notes.push(...segments.map(describeSegment));
+
+  const notifications = itinerary.notifications.filter(
+    (notification) =>
+      !flightNumber || notification.FlightNumber === flightNumber
+  );
+  if (notifications.length === 0) {
+    notes.push("Customer has not been sent a delay notification");
+  } else {
+    const [latest] = notifications;
+    notes.push(
+      `Customer was notified about ${latest.FlightNumber} by ${latest.NotificationType} at ${latest.CreatedAt} (${latest.Status})` +
+        (notifications.length > 1
+          ? `; ${notifications.length} notifications in total`
+          : "")
+    );
+  }
+
+  const accepted = options.find(
+    (option) => option.Status === OPTION_STATUS.ACCEPTED
+  );
+  const offered = options.filter(
+    (option) => option.Status === OPTION_STATUS.OFFERED
+  );
+  if (accepted) {
+    notes.push(
+      `Customer accepted rebooking option ${accepted.OptionId} (${accepted.FlightNumbers.join(
+        "+"
+      )}, departing ${accepted.Departure})`
+    );
+  } else if (offered.length > 0) {
+    const best = [...offered].sort((a, b) => a.Rank - b.Rank)[0];
+    notes.push(
+      `${offered.length} rebooking option(s) on offer, best ${best.FlightNumbers.join(
+        "+"
+      )} departing ${best.Departure}, open until ${best.ExpiresAt}`
+    );
+  } else {
+    notes.push("No open rebooking options; none offered or all lapsed");
+  }
+
+  const noted = Object.entries(preferences).map(([type, value]) =>
+    describePreference(type, value)
+  );
+  notes.push(
+    noted.length > 0
+      ? `Preferences on file: ${noted.join(", ")}`
+      : "No preferences on file"
+  );
+
+  const ssrs = itinerary.passenger?.SpecialServiceRequests || [];
+  if (ssrs.length > 0) {
+    notes.push(`Special service requests: ${ssrs.join(", ")}`);
+  }
+
+  const otherSessions = itinerary.sessions.filter(
+    (session) => session.SessionId !== sessionId
+  );
+  if (otherSessions.length > 0) {
+    notes.push(
+      `${otherSessions.length} other open support session(s): ${otherSessions
+        .map((session) => `${session.SessionId} (${session.IssueType})`)
+        .join(", ")}`
+    );
+  }
+  return notes;
+}
+
+/**
+ * Store an escalation for a passenger, routed and with SLA deadlines and
+ * preparation notes. Language defaults to the passenger's preference, else
+ * en; channel to chat. A linked session is marked escalated.
+ */
+export async function createEscalation(
+  store,
+  {
+    passengerId,
+    issueComplexity,
+    sessionId,
+    flightNumber,
+    channel = "chat",
+    language,
+    conversationHistory = [],
+    createdBy,
+  },
+  { config = getRoutingConfig(), now = new Date() } = {}
+) {
+  if (!ISSUE_COMPLEXITIES.includes(issueComplexity)) {
+    throw new EscalationError(
+      `Unknown issue_complexity "${issueComplexity}" (expected one of: ${ISSUE_COMPLEXITIES.join(
+        ", "
+      )})`,
+      "invalid"
+    );
+  }
+  if (!CONTACT_CHANNELS.includes(channel)) {
+    throw new EscalationError(
+      `Unknown channel "${channel}" (expected one of: ${CONTACT_CHANNELS.join(
+        ", "
+      )})`,
+      "invalid"
+    );
+  }
+
+  const [itinerary, preferences, options] = await Promise.all([
+    getPassengerItinerary(store, passengerId),
+    getPreferences(store, passengerId),
+    listPassengerOptions(store, passengerId, {
+      flightNumber,
+      includeInactive: true,
+      now,
+    }),
+  ]);
+  if (!itinerary.passenger) {
+    throw new EscalationError(
+      `Passenger ${passengerId} not found`,
+      "not_found"
+    );
+  }
+
+  let session = null;
+  if (sessionId) {
+    session = await getSession(store, sessionId);
+    if (!session || session.PassengerId !== String(passengerId)) {
+      throw new EscalationError(
+        `Session ${sessionId} not found for passenger ${passengerId}`,
+        "not_found"
+      );
+    }
+    if (CLOSED_SESSION_STATUSES.includes(session.Status)) {
+      throw new EscalationError(
+        `Session ${sessionId} is ${session.Status}; start a new session`,
+        "invalid"
+      );
+    }
+  }
+
+  const context = {
+    issue_complexity: issueComplexity,
+    tier: itinerary.passenger.FrequentFlyerTier || "regular",
+    language: language ?? preferences.language ?? "en",
+    channel,
+  };
+  const { rule, pool, priority } = routeEscalation(context, config);
+  const createdAt = now.toISOString();
+  const escalation = {
+    EscalationId: `ESC_${Date.now()}_${randomUUID().slice(0, 8)}`,
+    CreatedAt: createdAt,
+    PassengerId: String(passengerId),
+    PassengerName: `${itinerary.passenger.FirstName} ${itinerary.passenger.LastName}`,
+    ...(sessionId && { SessionId: String(sessionId) }),
+    ...(flightNumber && { FlightNumber: String(flightNumber) }),
+    IssueComplexity: issueComplexity,
+    Tier: context.tier,
+    Language: context.language,
+    Channel: channel,
+    Pool: pool,
+    Priority: priority,
+    RoutingRule: rule,
+    ...slaDeadlines(createdAt, priority, config),
+    Status: ESCALATION_STATUS.OPEN,
+    HandoffReason: HANDOFF_REASONS[issueComplexity],
+    ConversationSummary:
+      conversationHistory.length > 0
+        ? `Customer has had ${conversationHistory.length} previous interactions`
+        : "First contact",
+    PreparationNotes: preparationNotes({
+      itinerary,
+      options,
+      preferences,
+      flightNumber: flightNumber && String(flightNumber),
+      sessionId,
+    }),
+    Notes: [],
+    History: [
+      {
+        At: createdAt,
+        By: createdBy ?? null,
+        Action: "created",
+        Detail: `Routed to ${pool} as ${priority} by rule ${rule}`,
+      },
+    ],
+    SlaBreaches: [],
+    UpdatedAt: createdAt,
+    Version: 1,
+  };
+  await store.put(ESCALATIONS_TABLE, escalation);
+
+  if (session && session.Status !== SESSION_STATUS.ESCALATED) {
+    await setSessionStatus(
+      store,
+      session.SessionId,
+      SESSION_STATUS.ESCALATED,
+      {
+        agentId: createdBy,
+        note: `Escalated as ${escalation.EscalationId} to ${pool}`,
+      },
+      { now }
+    );
+  }
+  return escalation;
+}
+
+/** An escalation by ID, or null. */
+export async function getEscalation(store, escalationId) {
+  const { items } = await store.query(ESCALATIONS_TABLE, {
+    hash: String(escalationId),
+    limit: 1,
+  });
+  return items[0] || null;
+}
+
+/**
+ * A pool's, an agent's or a passenger's escalations, most urgent first
+ * (earliest next SLA deadline), closed ones last. Closed escalations are
+ * left out unless includeClosed; status narrows to one, breachedOnly to
+ * those with an SLA breached as of now.
+ */
+export async function listEscalations(
+  store,
+  {
+    pool,
+    agentId,
+    passengerId,
+    status,
+    includeClosed = false,
+    breachedOnly = false,
+  },
+  { now = new Date() } = {}
+) {
+  const [index, hash] = pool
+    ? ["PoolEscalationsIndex", pool]
+    : agentId
+    ? ["AgentEscalationsIndex", agentId]
+    : ["PassengerEscalationsIndex", passengerId];
+  const escalations = await collectAll(({ cursor }) =>
+    store.query(ESCALATIONS_TABLE, { index, hash: String(hash), cursor })
+  );
+  return escalations
+    .filter((escalation) =>
+      status
+        ? escalation.Status === status
+        : includeClosed || escalation.Status !== ESCALATION_STATUS.CLOSED
+    )
+    .filter(
+      (escalation) =>
+        !breachedOnly || slaState(escalation, now).breaches.length > 0
+    )
+    .sort(byUrgency);
+}
+
+function keyOf(escalation) {
+  return {
+    EscalationId: escalation.EscalationId,
+    CreatedAt: escalation.CreatedAt,
+  };
+}
+
+/**
+ * Read an escalation, work out { set, remove } with change(escalation,
+ * nowIso) and write it unless someone else wrote in between; on a clash,
+ * re-read and try again. SlaBreaches is brought up to date on the way.
+ */
+async function modifyEscalation(store, escalationId, now, change) {
+  for (let attempt = 1; ; attempt++) {
+    const escalation = await getEscalation(store, escalationId);
+    if (!escalation) {
+      throw new EscalationError(
+        `Escalation ${escalationId} not found`,
+        "not_found"
+      );
+    }
+    const at = now.toISOString();
+    const { set, remove } = change(escalation, at);
+    const updated = { ...escalation, ...set };
+    for (const attribute of remove || []) delete updated[attribute];
+    try {
+      return await store.update(
+        ESCALATIONS_TABLE,
+        keyOf(escalation),
+        {
+          set: {
+            ...set,
+            SlaBreaches: slaState(updated, now).breaches,
+            UpdatedAt: at,
+            Version: escalation.Version + 1,
+          },
+          ...(remove?.length && { remove }),
+        },
+        { condition: { Version: escalation.Version } }
+      );
+    } catch (error) {
+      if (
+        !(error instanceof ConditionFailedError) ||
+        attempt >= MAX_WRITE_ATTEMPTS
+      ) {
+        throw error;
+      }
+    }
+  }
+}
+
+function requireAgent(agentId) {
+  if (!agentId) {
+    throw new EscalationError("agent_id is required", "invalid");
+  }
+}
+
+function assertNotClosed(escalation) {
+  if (escalation.Status === ESCALATION_STATUS.CLOSED) {
+    throw new EscalationError(
+      `Escalation ${escalation.EscalationId} is closed`,
+      "closed"
+    );
+  }
+}
+
+// Only the agent holding a claimed escalation may change it
+function assertHeldBy(escalation, agentId) {
+  if (
+    escalation.Status === ESCALATION_STATUS.CLAIMED &&
+    escalation.AssignedAgentId !== String(agentId)
+  ) {
+    throw new EscalationError(
+      `Escalation ${escalation.EscalationId} is claimed by ${escalation.AssignedAgentId}`,
+      "claimed"
+    );
+  }
+}
+
+function historyEntry(escalation, at, by, action, detail) {
+  return [
+    ...(escalation.History || []),
+    {
+      At: at,
+      By: by ?? null,
+      Action: action,
+      ...(detail && { Detail: detail }),
+    },
+  ];
+}
+
+async function claimOne(store, escalationId, agentId, now) {
+  return modifyEscalation(store, escalationId, now, (escalation, at) => {
+    assertNotClosed(escalation);
+    if (escalation.Status !== ESCALATION_STATUS.OPEN) {
+      throw new EscalationError(
+        `Escalation ${escalation.EscalationId} is already claimed by ${escalation.AssignedAgentId}`,
+        "claimed"
+      );
+    }
+    return {
+      set: {
+        Status: ESCALATION_STATUS.CLAIMED,
+        AssignedAgentId: String(agentId),
+        ClaimedAt: at,
+        FirstClaimedAt: escalation.FirstClaimedAt ?? at,
+        History: historyEntry(escalation, at, agentId, "claimed"),
+      },
+    };
+  });
+}
+
+/**
+ * Claim an escalation for an agent: the given one, or else the most urgent
+ * open escalation in pool. Returns the claimed escalation, or null if the
+ * pool has nothing open.
+ */
+export async function claimEscalation(
+  store,
+  { escalationId, pool, agentId },
+  { now = new Date() } = {}
+) {
+  requireAgent(agentId);
+  if (escalationId) return claimOne(store, escalationId, agentId, now);
+  if (!pool) {
+    throw new EscalationError("escalation_id or pool is required", "invalid");
+  }
+
+  const queue = await listEscalations(
+    store,
+    { pool, status: ESCALATION_STATUS.OPEN },
+    { now }
+  );
+  for (const escalation of queue) {
+    try {
+      return await claimOne(store, escalation.EscalationId, agentId, now);
+    } catch (error) {
+      // Another agent got there first; try the next one
+      if (!(error instanceof EscalationError && error.code === "claimed")) {
+        throw error;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Change an escalation: add a note, change its priority (deadlines are
+ * recomputed from creation), reroute it to another pool or release it.
+ * Rerouting and releasing put it back in the pool's open queue.
+ */
+export async function updateEscalation(
+  store,
+  escalationId,
+  { agentId, note, priority, pool, release = false },
+  { config = getRoutingConfig(), now = new Date() } = {}
+) {
+  requireAgent(agentId);
+  if (!note && !priority && !pool && !release) {
+    throw new EscalationError(
+      "Nothing to update: give a note, priority, pool or release",
+      "invalid"
+    );
+  }
+  if (priority && !ESCALATION_PRIORITIES.includes(priority)) {
+    throw new EscalationError(
+      `Unknown priority "${priority}" (expected one of: ${ESCALATION_PRIORITIES.join(
+        ", "
+      )})`,
+      "invalid"
+    );
+  }
+  if (pool && !config.pools[pool]) {
+    throw new EscalationError(
+      `Unknown pool "${pool}" (expected one of: ${Object.keys(
+        config.pools
+      ).join(", ")})`,
+      "invalid"
+    );
+  }
+
+  return modifyEscalation(store, escalationId, now, (escalation, at) => {
+    assertNotClosed(escalation);
+    assertHeldBy(escalation, agentId);
+    if (
+      release &&
+      !pool &&
+      escalation.Status !== ESCALATION_STATUS.CLAIMED
+    ) {
+      throw new EscalationError(
+        `Escalation ${escalation.EscalationId} is not claimed`,
+        "invalid"
+      );
+    }
+
+    let history = escalation.History || [];
+    const set = {};
+    const remove = [];
+    const record = (action, detail) => {
+      history = historyEntry({ History: history }, at, agentId, action, detail);
+    };
+
+    if (priority && priority !== escalation.Priority) {
+      Object.assign(
+        set,
+        { Priority: priority },
+        slaDeadlines(escalation.CreatedAt, priority, config)
+      );
+      record("priority_changed", `${escalation.Priority} -> ${priority}`);
+    }
+    if (pool && pool !== escalation.Pool) {
+      set.Pool = pool;
+      record("rerouted", `${escalation.Pool} -> ${pool}`);
+    }
+    if ((release || set.Pool) && escalation.AssignedAgentId) {
+      set.Status = ESCALATION_STATUS.OPEN;
+      remove.push("AssignedAgentId", "ClaimedAt");
+      if (!set.Pool) record("released");
+    }
+    if (note) {
+      set.Notes = [
+        ...(escalation.Notes || []),
+        { At: at, By: String(agentId), Text: String(note) },
+      ];
+    }
+    return { set: { ...set, History: history }, remove };
+  });
+}
+
+/** Close a claimed escalation with a resolution: { outcome, summary }. */
+export async function closeEscalation(
+  store,
+  escalationId,
+  { agentId, outcome, summary },
+  { now = new Date() } = {}
+) {
+  requireAgent(agentId);
+  if (!RESOLUTION_OUTCOMES.includes(outcome)) {
+    throw new EscalationError(
+      `Unknown outcome "${outcome}" (expected one of: ${RESOLUTION_OUTCOMES.join(
+        ", "
+      )})`,
+      "invalid"
+    );
+  }
+  if (!summary || !String(summary).trim()) {
+    throw new EscalationError("A resolution summary is required", "invalid");
+  }
+
+  return modifyEscalation(store, escalationId, now, (escalation, at) => {
+    assertNotClosed(escalation);
+    if (escalation.Status !== ESCALATION_STATUS.CLAIMED) {
+      throw new EscalationError(
+        `Escalation ${escalation.EscalationId} must be claimed before it is closed`,
+        "invalid"
+      );
+    }
+    assertHeldBy(escalation, agentId);
+    return {
+      set: {
+        Status: ESCALATION_STATUS.CLOSED,
+        ClosedAt: at,
+        Resolution: {
+          Outcome: outcome,
+          Summary: String(summary),
+          ClosedBy: String(agentId),
+        },
+        History: historyEntry(escalation, at, agentId, "closed", outcome),
+      },
+    };
+  });
+}
+
+/**
+ * Record SLA breaches that happened since the last write on every
+ * escalation still open or claimed. Returns the escalations newly flagged
+ * (or, with dryRun, that would be).
+ */
+export async function flagSlaBreaches(
+  store,
+  { dryRun = false, now = new Date() } = {}
+) {
+  const active = await collectAll(({ cursor }) =>
+    store.scan(ESCALATIONS_TABLE, {
+      filter: {
+        Status: { in: [ESCALATION_STATUS.OPEN, ESCALATION_STATUS.CLAIMED] },
+      },
+      cursor,
+    })
+  );
+  const newlyBreached = active.filter((escalation) =>
+    slaState(escalation, now).breaches.some(
+      (breach) => !(escalation.SlaBreaches || []).includes(breach)
+    )
+  );
+  if (dryRun) return newlyBreached;
+
+  const flagged = [];
+  for (const escalation of newlyBreached) {
+    try {
+      flagged.push(
+        await store.update(
+          ESCALATIONS_TABLE,
+          keyOf(escalation),
+          {
+            set: {
+              SlaBreaches: slaState(escalation, now).breaches,
+              SlaBreachFlaggedAt: now.toISOString(),
+              Version: escalation.Version + 1,
+            },
+          },
+          { condition: { Version: escalation.Version } }
+        )
+      );
+    } catch (error) {
+      // Written meanwhile, which brought SlaBreaches up to date already
+      if (!(error instanceof ConditionFailedError)) throw error;
+    }
+  }
+  return flagged;
+}
+
+function minutesUntil(deadline, now) {
+  return Math.round((new Date(deadline) - now) / MINUTE);
+}
+
+/** Tool-facing view of an escalation, with its SLA state as of now. */
+export function formatEscalation(
+  escalation,
+  { includeDetails = true, config = getRoutingConfig(), now = new Date() } = {}
+) {
+  const sla = slaState(escalation, now);
+  return {
+    escalation_id: escalation.EscalationId,
+    passenger_id: escalation.PassengerId,
+    passenger_name: escalation.PassengerName ?? null,
+    session_id: escalation.SessionId ?? null,
+    flight_number: escalation.FlightNumber ?? null,
+    issue_complexity: escalation.IssueComplexity,
+    status: escalation.Status,
+    priority: escalation.Priority,
+    pool: escalation.Pool,
+    recommended_agent_type: config.pools[escalation.Pool]?.agent_type ?? null,
+    routing: {
+      rule: escalation.RoutingRule,
+      tier: escalation.Tier,
+      language: escalation.Language,
+      channel: escalation.Channel,
+    },
+    assigned_agent_id: escalation.AssignedAgentId ?? null,
+    created_at: escalation.CreatedAt,
+    claimed_at: escalation.ClaimedAt ?? null,
+    closed_at: escalation.ClosedAt ?? null,
+    sla: {
+      respond_by: escalation.RespondBy,
+      resolve_by: escalation.ResolveBy,
+      response: sla.response,
+      resolution: sla.resolution,
+      ...(sla.response === "pending" && {
+        response_minutes_left: minutesUntil(escalation.RespondBy, now),
+      }),
+      ...(sla.resolution === "pending" && {
+        resolution_minutes_left: minutesUntil(escalation.ResolveBy, now),
+      }),
+      breached: sla.breaches.length > 0,
+      breaches: sla.breaches,
+    },
+    handoff_reason: escalation.HandoffReason,
+    ...(includeDetails && {
+      context: {
+        conversation_summary: escalation.ConversationSummary,
+        preparation_notes: escalation.PreparationNotes,
+      },
+      notes: (escalation.Notes || []).map((note) => ({
+        at: note.At,
+        by: note.By,
+        text: note.Text,
+      })),
+      history: (escalation.History || []).map((entry) => ({
+        at: entry.At,
+        by: entry.By,
+        action: entry.Action,
+        ...(entry.Detail && { detail: entry.Detail }),
+      })),
+    }),
+    resolution: escalation.Resolution
+      ? {
+          outcome: escalation.Resolution.Outcome,
+          summary: escalation.Resolution.Summary,
+          closed_by: escalation.Resolution.ClosedBy,
+        }
+      : null,
+  };
+}
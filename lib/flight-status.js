@@ -0,0 +1,131 @@
+/**
+ * Canonical flight status values.
+ *
+ * Flights.Status is the hash key of StatusIndex, so lookups are exact-match:
+ * every write path stores one of FLIGHT_STATUSES (see
+ * lib/storage/validation.js) and legacy spellings are rewritten by
+ * scripts/migrate-flight-status.js.
+ */
+
+export const FLIGHT_STATUS = Object.freeze({
+  SCHEDULED: "scheduled",
+  BOARDING: "boarding",
+  DEPARTED: "departed",
+  DELAYED: "delayed",
+  CANCELLED: "cancelled",
+  DIVERTED: "diverted",
+  LANDED: "landed",
+});
+
+export const FLIGHT_STATUSES = Object.freeze(Object.values(FLIGHT_STATUS));
+
+// Statuses check_flight_delays reports on
+export const DISRUPTED_STATUSES = Object.freeze([
+  FLIGHT_STATUS.DELAYED,
+  FLIGHT_STATUS.CANCELLED,
+  FLIGHT_STATUS.DIVERTED,
+]);
+
+// Legacy and feed spellings, keyed by their normalized form
+const ALIASES = {
+  on_time: FLIGHT_STATUS.SCHEDULED,
+  ontime: FLIGHT_STATUS.SCHEDULED,
+  sched: FLIGHT_STATUS.SCHEDULED,
+  delay: FLIGHT_STATUS.DELAYED,
+  canceled: FLIGHT_STATUS.CANCELLED,
+  cancel: FLIGHT_STATUS.CANCELLED,
+  cncl: FLIGHT_STATUS.CANCELLED,
+  airborne: FLIGHT_STATUS.DEPARTED,
+  en_route: FLIGHT_STATUS.DEPARTED,
+  in_air: FLIGHT_STATUS.DEPARTED,
+  arrived: FLIGHT_STATUS.LANDED,
+  divert: FLIGHT_STATUS.DIVERTED,
+};
+
+export class InvalidFlightStatusError extends Error {
+  constructor(status) {
+    super(
+      `Invalid flight status "${status}" (expected one of: ${FLIGHT_STATUSES.join(
+        ", "
+      )})`
+    );
+    this.name = "InvalidFlightStatusError";
+    this.status = status;
+  }
+}
+
+/** Map any known spelling to its canonical status, or null if unknown. */
+export function normalizeFlightStatus(status) {
+  if (typeof status !== "string") return null;
+  const key = status.trim().toLowerCase().replace(/[\s-]+/g, "_");
+  if (FLIGHT_STATUSES.includes(key)) return key;
+  return ALIASES[key] || null;
+}
+
+/** Like normalizeFlightStatus, but throws for unknown values. */
+export function canonicalFlightStatus(status) {
+  const canonical = normalizeFlightStatus(status);
+  if (!canonical) throw new InvalidFlightStatusError(status);
+  return canonical;
+}
+
+export function isDisruptedStatus(status) {
+  return DISRUPTED_STATUSES.includes(normalizeFlightStatus(status));
+}
+
+// Allowed status changes. Staying in the same status is always allowed (e.g.
+// a delay growing from 45 to 90 minutes); landed and cancelled are final.
+const TRANSITIONS = {
+  [FLIGHT_STATUS.SCHEDULED]: [
+    FLIGHT_STATUS.DELAYED,
+    FLIGHT_STATUS.BOARDING,
+    FLIGHT_STATUS.DEPARTED,
+    FLIGHT_STATUS.CANCELLED,
+  ],
+  [FLIGHT_STATUS.DELAYED]: [
+    FLIGHT_STATUS.SCHEDULED,
+    FLIGHT_STATUS.BOARDING,
+    FLIGHT_STATUS.DEPARTED,
+    FLIGHT_STATUS.CANCELLED,
+  ],
+  [FLIGHT_STATUS.BOARDING]: [
+    FLIGHT_STATUS.DELAYED,
+    FLIGHT_STATUS.DEPARTED,
+    FLIGHT_STATUS.CANCELLED,
+  ],
+  [FLIGHT_STATUS.DEPARTED]: [FLIGHT_STATUS.LANDED, FLIGHT_STATUS.DIVERTED],
+  [FLIGHT_STATUS.DIVERTED]: [FLIGHT_STATUS.LANDED],
+  [FLIGHT_STATUS.LANDED]: [],
+  [FLIGHT_STATUS.CANCELLED]: [],
+};
+
+export class InvalidStatusTransitionError extends Error {
+  constructor(from, to) {
+    const allowed = TRANSITIONS[from] || [];
+    super(
+      `Flight status cannot change from "${from}" to "${to}" (allowed: ${
+        allowed.length ? allowed.join(", ") : "none, status is final"
+      })`
+    );
+    this.name = "InvalidStatusTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export function canTransition(from, to) {
+  const current = normalizeFlightStatus(from);
+  const next = normalizeFlightStatus(to);
+  if (!current || !next) return false;
+  return current === next || TRANSITIONS[current].includes(next);
+}
+
+/** Throws InvalidStatusTransitionError unless from -> to is allowed. */
+export function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new InvalidStatusTransitionError(
+      normalizeFlightStatus(from) || from,
+      normalizeFlightStatus(to) || to
+    );
+  }
+}
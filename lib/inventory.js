@@ -0,0 +1,312 @@
+/**
+ * Seat inventory on Flights items.
+ *
+ * AvailableSeats is the flight-wide count. Flights may also carry
+ * AvailableSeatsByCabin ({ economy, premium_economy, business, first });
+ * when present it is authoritative for cabin-specific availability.
+ *
+ * Seat holds reserve inventory while an agent confirms a rebooking. A hold
+ * is an entry in the flight's SeatHolds map and its seats are taken out of
+ * AvailableSeats with a conditional update, so two agents can never hold
+ * the same last seat. Holds expire after a TTL; expired holds still count
+ * as available for searches and are returned to inventory lazily, the next
+ * time someone places a hold on the flight.
+ */
+
+import { randomUUID } from "crypto";
+import { FLIGHT_STATUS } from "./flight-status.js";
+import { ConditionFailedError } from "./storage/index.js";
+
+const FLIGHTS_TABLE = "Flights";
+
+export const CABIN_CLASSES = ["economy", "premium_economy", "business", "first"];
+
+export const DEFAULT_HOLD_TTL_MINUTES = 15;
+
+// Flights that can still take new passengers
+const HOLDABLE_STATUSES = [FLIGHT_STATUS.SCHEDULED, FLIGHT_STATUS.DELAYED];
+
+export class SeatHoldError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "SeatHoldError";
+    this.code = code;
+  }
+}
+
+/** Seats still for sale on a flight, overall or in one cabin. */
+export function availableSeats(flight, cabin) {
+  if (cabin && flight.AvailableSeatsByCabin) {
+    return flight.AvailableSeatsByCabin[cabin] ?? 0;
+  }
+  return flight.AvailableSeats ?? 0;
+}
+
+function isExpired(hold, now) {
+  return new Date(hold.ExpiresAt) <= now;
+}
+
+/** Active and expired holds on a flight, with their seat totals. */
+export function holdState(flight, now = new Date()) {
+  const holds = Object.values(flight.SeatHolds || {});
+  const active = holds.filter((hold) => !isExpired(hold, now));
+  const expired = holds.filter((hold) => isExpired(hold, now));
+  const seats = (list) => list.reduce((sum, hold) => sum + hold.Seats, 0);
+  return {
+    active,
+    expired,
+    heldSeats: seats(active),
+    expiredSeats: seats(expired),
+  };
+}
+
+/** availableSeats plus seats sitting in expired, not yet released holds. */
+export function effectiveAvailableSeats(flight, cabin, now = new Date()) {
+  const reclaimable = holdState(flight, now)
+    .expired.filter(
+      (hold) => !cabin || !flight.AvailableSeatsByCabin || hold.Cabin === cabin
+    )
+    .reduce((sum, hold) => sum + hold.Seats, 0);
+  return availableSeats(flight, cabin) + reclaimable;
+}
+
+function cabinPath(flight, cabin) {
+  return cabin && flight.AvailableSeatsByCabin
+    ? `AvailableSeatsByCabin.${cabin}`
+    : null;
+}
+
+function inventoryDelta(flight, cabin, seats) {
+  const delta = { AvailableSeats: seats };
+  const path = cabinPath(flight, cabin);
+  if (path) delta[path] = seats;
+  return delta;
+}
+
+async function getFlight(store, key) {
+  const flight = await store.get(FLIGHTS_TABLE, key);
+  if (!flight) {
+    throw new SeatHoldError(
+      `Flight ${key.FlightNumber} on ${key.ScheduledDepartureDate} not found`,
+      "flight_not_found"
+    );
+  }
+  return flight;
+}
+
+function getHold(flight, holdId) {
+  const hold = flight.SeatHolds?.[holdId];
+  if (!hold) {
+    throw new SeatHoldError(
+      `Hold ${holdId} not found on ${flight.FlightNumber} (already released or confirmed?)`,
+      "hold_not_found"
+    );
+  }
+  return hold;
+}
+
+// Nested SET paths need the parent map to exist on DynamoDB
+async function ensureHoldMap(store, key) {
+  try {
+    await store.update(
+      FLIGHTS_TABLE,
+      key,
+      { set: { SeatHolds: {} } },
+      { condition: { SeatHolds: { exists: false } } }
+    );
+  } catch (error) {
+    if (!(error instanceof ConditionFailedError)) throw error;
+  }
+}
+
+async function returnHoldToInventory(store, flight, key, hold) {
+  const holdPath = `SeatHolds.${hold.HoldId}`;
+  await store.update(
+    FLIGHTS_TABLE,
+    key,
+    {
+      remove: [holdPath],
+      add: inventoryDelta(flight, hold.Cabin, hold.Seats),
+    },
+    { condition: { [holdPath]: { exists: true } } }
+  );
+}
+
+/** Release every expired hold on a flight. Returns the released holds. */
+export async function releaseExpiredHolds(store, flight, now = new Date()) {
+  const key = {
+    FlightNumber: flight.FlightNumber,
+    ScheduledDepartureDate: flight.ScheduledDepartureDate,
+  };
+  const released = [];
+  for (const hold of holdState(flight, now).expired) {
+    try {
+      await returnHoldToInventory(store, flight, key, hold);
+      released.push(hold);
+    } catch (error) {
+      // Someone else released or confirmed it first
+      if (!(error instanceof ConditionFailedError)) throw error;
+    }
+  }
+  return released;
+}
+
+/**
+ * Reserve seats on a flight for a passenger. cabin is required on a flight
+ * that sells seats by cabin, so the cabin counts keep adding up to
+ * AvailableSeats. Throws SeatHoldError with code "unavailable" if the
+ * flight cannot take the seats.
+ */
+export async function placeHold(
+  store,
+  key,
+  {
+    passengerId,
+    cabin,
+    seats = 1,
+    ttlMinutes = DEFAULT_HOLD_TTL_MINUTES,
+    now = new Date(),
+  }
+) {
+  if (!Number.isInteger(seats) || seats < 1) {
+    throw new SeatHoldError("seats must be a positive integer", "invalid");
+  }
+  if (!(Number.isFinite(ttlMinutes) && ttlMinutes > 0)) {
+    throw new SeatHoldError("ttl_minutes must be a positive number", "invalid");
+  }
+  if (cabin && !CABIN_CLASSES.includes(cabin)) {
+    throw new SeatHoldError(
+      `cabin_class must be one of ${CABIN_CLASSES.join(", ")}`,
+      "invalid"
+    );
+  }
+
+  const flight = await getFlight(store, key);
+  if (!cabin && flight.AvailableSeatsByCabin) {
+    throw new SeatHoldError(
+      `${key.FlightNumber} sells seats by cabin; cabin_class is required (one of ${Object.keys(
+        flight.AvailableSeatsByCabin
+      ).join(", ")})`,
+      "invalid"
+    );
+  }
+  await releaseExpiredHolds(store, flight, now);
+  await ensureHoldMap(store, key);
+
+  const hold = {
+    HoldId: `HOLD_${Date.now()}_${randomUUID().slice(0, 8)}`,
+    PassengerId: String(passengerId),
+    Cabin: cabin || null,
+    Seats: seats,
+    CreatedAt: now.toISOString(),
+    ExpiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString(),
+  };
+
+  const condition = {
+    Status: { in: HOLDABLE_STATUSES },
+    AvailableSeats: { gte: seats },
+  };
+  const path = cabinPath(flight, cabin);
+  if (path) condition[path] = { gte: seats };
+
+  try {
+    await store.update(
+      FLIGHTS_TABLE,
+      key,
+      {
+        set: { [`SeatHolds.${hold.HoldId}`]: hold },
+        add: inventoryDelta(flight, cabin, -seats),
+      },
+      { condition }
+    );
+  } catch (error) {
+    if (!(error instanceof ConditionFailedError)) throw error;
+    const current = await getFlight(store, key);
+    throw new SeatHoldError(
+      HOLDABLE_STATUSES.includes(current.Status)
+        ? `Only ${availableSeats(current, cabin)} seat(s) left${
+            cabin ? ` in ${cabin}` : ""
+          } on ${key.FlightNumber}, cannot hold ${seats}`
+        : `Flight ${key.FlightNumber} is ${current.Status} and cannot take new passengers`,
+      "unavailable"
+    );
+  }
+
+  return { ...key, ...hold };
+}
+
+/** Cancel a hold and return its seats to inventory. */
+export async function releaseHold(store, key, holdId) {
+  const flight = await getFlight(store, key);
+  const hold = getHold(flight, holdId);
+  try {
+    await returnHoldToInventory(store, flight, key, hold);
+  } catch (error) {
+    if (!(error instanceof ConditionFailedError)) throw error;
+    throw new SeatHoldError(
+      `Hold ${holdId} was released or confirmed concurrently`,
+      "hold_not_found"
+    );
+  }
+  return { ...key, ...hold };
+}
+
+/**
+ * Turn a hold into a sold seat: the hold entry is removed and its seats stay
+ * out of inventory. Expired holds cannot be confirmed.
+ */
+export async function confirmHold(store, key, holdId, now = new Date()) {
+  const flight = await getFlight(store, key);
+  const hold = getHold(flight, holdId);
+  if (isExpired(hold, now)) {
+    throw new SeatHoldError(
+      `Hold ${holdId} expired at ${hold.ExpiresAt}`,
+      "hold_expired"
+    );
+  }
+
+  const { changes, condition } = confirmHoldOperation(key, holdId, now);
+  try {
+    await store.update(FLIGHTS_TABLE, key, changes, { condition });
+  } catch (error) {
+    if (!(error instanceof ConditionFailedError)) throw error;
+    throw new SeatHoldError(
+      `Hold ${holdId} was released or expired before it could be confirmed`,
+      "hold_not_found"
+    );
+  }
+  return { ...key, ...hold, ConfirmedAt: now.toISOString() };
+}
+
+/**
+ * confirmHold as a transactWrite operation, for confirming seats together
+ * with the booking that takes them. Fails the transaction if the hold is
+ * gone or expired.
+ */
+export function confirmHoldOperation(key, holdId, now = new Date()) {
+  const holdPath = `SeatHolds.${holdId}`;
+  return {
+    type: "update",
+    table: FLIGHTS_TABLE,
+    key,
+    changes: { remove: [holdPath] },
+    condition: { [`${holdPath}.ExpiresAt`]: { gt: now.toISOString() } },
+  };
+}
+
+/**
+ * A transactWrite operation putting seats a cancelled booking gave up back
+ * on sale, or null if the flight no longer takes passengers.
+ */
+export function returnSeatsOperation(flight, cabin, seats = 1) {
+  if (!HOLDABLE_STATUSES.includes(flight.Status)) return null;
+  return {
+    type: "update",
+    table: FLIGHTS_TABLE,
+    key: {
+      FlightNumber: flight.FlightNumber,
+      ScheduledDepartureDate: flight.ScheduledDepartureDate,
+    },
+    changes: { add: inventoryDelta(flight, cabin, seats) },
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * Passenger itinerary lookup: find a passenger by ID, booking reference or
+ * frequent-flyer number and join their bookings with the current state of
+ * each flight, plus the notifications and support sessions still open for
+ * them.
+ */
+
+import { getPassengerBookings } from "./affected-passengers.js";
+import { departureTime } from "./connections.js";
+import { FLIGHT_STATUS } from "./flight-status.js";
+import { collectAll } from "./pagination.js";
+import { CLOSED_SESSION_STATUSES } from "./support-sessions.js";
+
+const PASSENGERS_TABLE = "Passengers";
+const BOOKINGS_TABLE = "Bookings";
+const FLIGHTS_TABLE = "Flights";
+const DELAY_NOTIFICATIONS_TABLE = "DelayNotifications";
+const CUSTOMER_SUPPORT_SESSIONS_TABLE = "CustomerSupportSessions";
+
+// Flights whose passengers no longer need to hear about them
+const COMPLETED_FLIGHT_STATUSES = [FLIGHT_STATUS.LANDED];
+
+/**
+ * Passenger IDs matching a lookup. A booking reference can cover several
+ * passengers; a frequent-flyer number has one Passengers item per booking.
+ */
+export async function resolvePassengerIds(
+  store,
+  { passengerId, bookingReference, frequentFlyerNumber }
+) {
+  if (passengerId) return [String(passengerId)];
+
+  let items;
+  if (bookingReference) {
+    items = await collectAll(({ cursor }) =>
+      store.query(BOOKINGS_TABLE, {
+        hash: String(bookingReference),
+        cursor,
+      })
+    );
+  } else if (frequentFlyerNumber) {
+    items = await collectAll(({ cursor }) =>
+      store.query(PASSENGERS_TABLE, {
+        index: "FrequentFlyerIndex",
+        hash: String(frequentFlyerNumber),
+        cursor,
+      })
+    );
+  } else {
+    throw new Error(
+      "One of passenger_id, booking_reference or frequent_flyer_number is required"
+    );
+  }
+  return [...new Set(items.map((item) => item.PassengerId))];
+}
+
+/** The passenger's most recently created Passengers item. */
+async function getPassengerProfile(store, passengerId) {
+  const items = await collectAll(({ cursor }) =>
+    store.query(PASSENGERS_TABLE, { hash: String(passengerId), cursor })
+  );
+  return (
+    items.sort((a, b) =>
+      String(b.CreatedAt || "").localeCompare(String(a.CreatedAt || ""))
+    )[0] || null
+  );
+}
+
+async function queryByPassenger(store, table, index, passengerId) {
+  return collectAll(({ cursor }) =>
+    store.query(table, { index, hash: String(passengerId), cursor })
+  );
+}
+
+/**
+ * Everything we know about one passenger's trip:
+ *
+ * { passengerId, passenger, segments: [{ booking, flight }],
+ *   notifications, sessions }
+ *
+ * Segments are in departure order. Notifications are those about flights
+ * on the itinerary that have not landed yet, sessions those not resolved
+ * or closed; includeHistory returns all of both.
+ */
+export async function getPassengerItinerary(
+  store,
+  passengerId,
+  { includeHistory = false } = {}
+) {
+  const [passenger, bookings, notifications, sessions] = await Promise.all([
+    getPassengerProfile(store, passengerId),
+    getPassengerBookings(store, passengerId),
+    queryByPassenger(
+      store,
+      DELAY_NOTIFICATIONS_TABLE,
+      "PassengerNotificationsIndex",
+      passengerId
+    ),
+    queryByPassenger(
+      store,
+      CUSTOMER_SUPPORT_SESSIONS_TABLE,
+      "PassengerSessionsIndex",
+      passengerId
+    ),
+  ]);
+
+  const segments = await Promise.all(
+    bookings.map(async (booking) => ({
+      booking,
+      flight: await store.get(FLIGHTS_TABLE, {
+        FlightNumber: booking.FlightNumber,
+        ScheduledDepartureDate: booking.ScheduledDepartureDate,
+      }),
+    }))
+  );
+  segments.sort(
+    (a, b) =>
+      a.booking.ScheduledDepartureDate.localeCompare(
+        b.booking.ScheduledDepartureDate
+      ) ||
+      (a.flight && b.flight
+        ? departureTime(a.flight) - departureTime(b.flight)
+        : 0)
+  );
+
+  const upcomingFlights = new Set(
+    segments
+      .filter(
+        ({ flight }) =>
+          !flight || !COMPLETED_FLIGHT_STATUSES.includes(flight.Status)
+      )
+      .map(({ booking }) => booking.FlightNumber)
+  );
+  const byNewest = (a, b) => b.CreatedAt.localeCompare(a.CreatedAt);
+
+  return {
+    passengerId: String(passengerId),
+    passenger,
+    segments,
+    notifications: notifications
+      .filter(
+        (notification) =>
+          includeHistory || upcomingFlights.has(notification.FlightNumber)
+      )
+      .sort(byNewest),
+    sessions: sessions
+      .filter(
+        (session) =>
+          includeHistory || !CLOSED_SESSION_STATUSES.includes(session.Status)
+      )
+      .sort(byNewest),
+  };
+}
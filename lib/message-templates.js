@@ -0,0 +1,250 @@
+/**
+ * Passenger message templates per language, rendered with lib/templates.js.
+ *
+ * Each language has channel templates (email, sms, push, call) made of
+ * parts (subject, title, body) and shared partials. Templates and partials
+ * are looked up most specific first, so a variant only has to exist where
+ * the wording actually differs:
+ *
+ *   <name>.<tier>.<tone>, <name>.<tier>, <name>.<tone>, <name>
+ *
+ * Variables available to every template are listed in
+ * lib/proactive-messages.js. seats and meals name a passenger's stored
+ * preferences (lib/preferences.js) in the message language.
+ */
+
+const ALTERNATIVES_EN = `{{#has_alternatives}}
+These alternatives still have seats for you:
+{{/has_alternatives}}
+{{#alternatives}}
+{{index}}. {{flights}} ({{route}}), departs {{departure}}, arrives {{arrival}}, {{stops}}
+{{/alternatives}}
+{{^has_alternatives}}
+We are looking for alternative flights and will be in touch as soon as we have one.
+{{/has_alternatives}}`;
+
+const ALTERNATIVES_DE = `{{#has_alternatives}}
+Auf diesen Alternativen sind noch Plätze für Sie frei:
+{{/has_alternatives}}
+{{#alternatives}}
+{{index}}. {{flights}} ({{route}}), Abflug {{departure}}, Ankunft {{arrival}}, {{stops}}
+{{/alternatives}}
+{{^has_alternatives}}
+Wir suchen nach Alternativen und melden uns, sobald wir eine passende Verbindung gefunden haben.
+{{/has_alternatives}}`;
+
+const EMAIL_BODY = `{{>greeting}}
+
+{{>intro}}
+
+{{>alternatives}}
+
+{{>options}}
+
+{{>preferences}}
+
+{{>perks}}
+
+{{>closing}}`;
+
+export const MESSAGE_TEMPLATES = {
+  en: {
+    locale: "en-GB",
+    duration: (minutes) =>
+      minutes < 60
+        ? `${minutes} min`
+        : `${Math.floor(minutes / 60)} h${minutes % 60 ? ` ${minutes % 60} min` : ""}`,
+    stops: (count) =>
+      count === 0 ? "direct" : `${count} stop${count === 1 ? "" : "s"}`,
+    seats: { window: "window seat", aisle: "aisle seat" },
+    meals: {
+      VGML: "vegan meal",
+      VLML: "vegetarian meal",
+      AVML: "Asian vegetarian meal",
+      HNML: "Hindu meal",
+      MOML: "Muslim meal",
+      KSML: "kosher meal",
+      GFML: "gluten-free meal",
+      DBML: "diabetic meal",
+      LFML: "low-fat meal",
+      NLML: "lactose-free meal",
+      CHML: "child meal",
+    },
+    channels: {
+      email: {
+        default: {
+          subject:
+            "{{flight_number}} to {{destination_city}}: new departure {{new_departure_time}}",
+          body: EMAIL_BODY,
+        },
+        apologetic: {
+          subject:
+            "We're sorry: {{flight_number}} to {{destination_city}} is delayed",
+          body: EMAIL_BODY,
+        },
+      },
+      sms: {
+        default: {
+          body: "Lufthansa: {{flight_number}} {{origin}}-{{destination}} is delayed by {{delay}}, new departure {{new_departure}}.{{#first_alternative}} Alternative: {{flights}} at {{departure}}.{{/first_alternative}}",
+        },
+        apologetic: {
+          body: "Lufthansa: We're sorry, {{flight_number}} {{origin}}-{{destination}} is delayed by {{delay}}, new departure {{new_departure}}.{{#first_alternative}} Alternative: {{flights}} at {{departure}}.{{/first_alternative}}",
+        },
+      },
+      push: {
+        default: {
+          title: "{{flight_number}} delayed by {{delay}}",
+          body: "New departure {{new_departure}}.{{#has_alternatives}} {{alternative_count}} alternative(s) available, tap to see them.{{/has_alternatives}}",
+        },
+      },
+      call: {
+        default: {
+          body: `Hello {{first_name}} {{last_name}}, this is Lufthansa calling about your flight {{flight_number}} to {{destination_city}}.
+
+{{>intro}}
+
+{{>alternatives}}
+
+{{>preferences}}
+
+Would you like to take one of these flights, keep your booking, or speak to a colleague?`,
+        },
+      },
+    },
+    partials: {
+      greeting: "Hello {{first_name}},",
+      "greeting.senator": "Dear {{first_name}} {{last_name}},",
+      "greeting.frequent_traveler": "Dear {{first_name}} {{last_name}},",
+      intro:
+        "Your flight {{flight_number}} from {{origin_city}} to {{destination_city}} is delayed by {{delay}}{{#reason}} (reason: {{reason}}){{/reason}}. It will now depart at {{new_departure}} instead of {{scheduled_departure}}.",
+      "intro.apologetic":
+        "We are very sorry: your flight {{flight_number}} from {{origin_city}} to {{destination_city}} is delayed by {{delay}}{{#reason}} (reason: {{reason}}){{/reason}}, and we know how disruptive that is. It will now depart at {{new_departure}} instead of {{scheduled_departure}}.",
+      "intro.premium_service":
+        "I am personally looking after your journey today. Your flight {{flight_number}} from {{origin_city}} to {{destination_city}} is delayed by {{delay}}{{#reason}} (reason: {{reason}}){{/reason}} and will now depart at {{new_departure}} instead of {{scheduled_departure}}.",
+      alternatives: ALTERNATIVES_EN,
+      options: `You can:
+{{#has_alternatives}}
+- rebook onto one of the alternatives above
+{{/has_alternatives}}
+- keep your booking and depart at {{new_departure}}
+- reply to this message to speak with our service team`,
+      preferences:
+        "{{#noted_preferences}}We have noted your preferences ({{noted_preferences}}) and will carry them over to any new flight.{{/noted_preferences}}",
+      "preferences.senator":
+        "{{#noted_preferences}}Your comfort preferences ({{noted_preferences}}) travel with you: we will carry them over to whichever flight you choose.{{/noted_preferences}}",
+      perks: "",
+      "perks.senator": `As a Senator you receive:
+- priority rebooking on your preferred flight
+- lounge access during your wait
+- meal vouchers for extended delays`,
+      "perks.frequent_traveler":
+        "As a Frequent Traveller you are welcome in our lounges during your wait.",
+      closing: "Safe travels,\nLufthansa",
+      "closing.apologetic":
+        "Please accept our apologies for the inconvenience.\n\nKind regards,\nLufthansa Customer Care",
+      "closing.premium_service":
+        "Your personal service team is available around the clock.\n\nBest regards,\nLufthansa Customer Care",
+    },
+  },
+
+  de: {
+    locale: "de-DE",
+    duration: (minutes) =>
+      minutes < 60
+        ? `${minutes} Min.`
+        : `${Math.floor(minutes / 60)} Std.${minutes % 60 ? ` ${minutes % 60} Min.` : ""}`,
+    stops: (count) =>
+      count === 0
+        ? "Direktflug"
+        : `${count} Umstieg${count === 1 ? "" : "e"}`,
+    seats: { window: "Fensterplatz", aisle: "Gangplatz" },
+    meals: {
+      VGML: "vegane Mahlzeit",
+      VLML: "vegetarische Mahlzeit",
+      AVML: "asiatisch-vegetarische Mahlzeit",
+      HNML: "Hindu-Mahlzeit",
+      MOML: "muslimische Mahlzeit",
+      KSML: "koschere Mahlzeit",
+      GFML: "glutenfreie Mahlzeit",
+      DBML: "Diabetikermahlzeit",
+      LFML: "fettarme Mahlzeit",
+      NLML: "laktosefreie Mahlzeit",
+      CHML: "Kindermahlzeit",
+    },
+    channels: {
+      email: {
+        default: {
+          subject:
+            "{{flight_number}} nach {{destination_city}}: neue Abflugzeit {{new_departure_time}}",
+          body: EMAIL_BODY,
+        },
+        apologetic: {
+          subject:
+            "Es tut uns leid: {{flight_number}} nach {{destination_city}} ist verspätet",
+          body: EMAIL_BODY,
+        },
+      },
+      sms: {
+        default: {
+          body: "Lufthansa: {{flight_number}} {{origin}}-{{destination}} ist um {{delay}} verspätet, neuer Abflug {{new_departure}}.{{#first_alternative}} Alternative: {{flights}} um {{departure}}.{{/first_alternative}}",
+        },
+        apologetic: {
+          body: "Lufthansa: Es tut uns leid, {{flight_number}} {{origin}}-{{destination}} ist um {{delay}} verspätet, neuer Abflug {{new_departure}}.{{#first_alternative}} Alternative: {{flights}} um {{departure}}.{{/first_alternative}}",
+        },
+      },
+      push: {
+        default: {
+          title: "{{flight_number}} um {{delay}} verspätet",
+          body: "Neuer Abflug {{new_departure}}.{{#has_alternatives}} {{alternative_count}} Alternative(n) verfügbar, tippen Sie zum Ansehen.{{/has_alternatives}}",
+        },
+      },
+      call: {
+        default: {
+          body: `Guten Tag {{first_name}} {{last_name}}, hier ist Lufthansa wegen Ihres Fluges {{flight_number}} nach {{destination_city}}.
+
+{{>intro}}
+
+{{>alternatives}}
+
+{{>preferences}}
+
+Möchten Sie einen dieser Flüge nehmen, Ihre Buchung behalten oder mit einer Kollegin oder einem Kollegen sprechen?`,
+        },
+      },
+    },
+    partials: {
+      greeting: "Hallo {{first_name}},",
+      "greeting.senator": "Guten Tag {{first_name}} {{last_name}},",
+      "greeting.frequent_traveler": "Guten Tag {{first_name}} {{last_name}},",
+      intro:
+        "Ihr Flug {{flight_number}} von {{origin_city}} nach {{destination_city}} verspätet sich um {{delay}}{{#reason}} (Grund: {{reason}}){{/reason}}. Er startet jetzt um {{new_departure}} statt um {{scheduled_departure}}.",
+      "intro.apologetic":
+        "es tut uns sehr leid: Ihr Flug {{flight_number}} von {{origin_city}} nach {{destination_city}} verspätet sich um {{delay}}{{#reason}} (Grund: {{reason}}){{/reason}}, und wir wissen, wie ärgerlich das ist. Er startet jetzt um {{new_departure}} statt um {{scheduled_departure}}.",
+      "intro.premium_service":
+        "ich kümmere mich heute persönlich um Ihre Reise. Ihr Flug {{flight_number}} von {{origin_city}} nach {{destination_city}} verspätet sich um {{delay}}{{#reason}} (Grund: {{reason}}){{/reason}} und startet jetzt um {{new_departure}} statt um {{scheduled_departure}}.",
+      alternatives: ALTERNATIVES_DE,
+      options: `Sie können:
+{{#has_alternatives}}
+- auf eine der Alternativen oben umbuchen
+{{/has_alternatives}}
+- Ihre Buchung behalten und um {{new_departure}} abfliegen
+- auf diese Nachricht antworten, um mit unserem Serviceteam zu sprechen`,
+      preferences:
+        "{{#noted_preferences}}Wir haben Ihre Wünsche ({{noted_preferences}}) notiert und übernehmen sie für jeden neuen Flug.{{/noted_preferences}}",
+      "preferences.senator":
+        "{{#noted_preferences}}Ihre Komfortwünsche ({{noted_preferences}}) reisen mit: Wir übernehmen sie für jeden Flug, den Sie wählen.{{/noted_preferences}}",
+      perks: "",
+      "perks.senator": `Als Senator erhalten Sie:
+- bevorzugte Umbuchung auf Ihren Wunschflug
+- Zugang zur Lounge während der Wartezeit
+- Verzehrgutscheine bei längeren Verspätungen`,
+      "perks.frequent_traveler":
+        "Als Frequent Traveller sind Sie während der Wartezeit in unseren Lounges willkommen.",
+      closing: "Gute Reise,\nIhre Lufthansa",
+      "closing.apologetic":
+        "Bitte entschuldigen Sie die Unannehmlichkeiten.\n\nFreundliche Grüße\nLufthansa Kundenservice",
+      "closing.premium_service":
+        "Ihr persönliches Serviceteam ist rund um die Uhr für Sie da.\n\nFreundliche Grüße\nLufthansa Kundenservice",
+    },
+  },
+};
@@ -0,0 +1,154 @@
+/**
+ * Misconnect analysis: for passengers on a disrupted flight, compare the
+ * flight's new estimated arrival with the departure of their onward
+ * segments from the arrival airport and that airport's minimum connection
+ * time.
+ */
+
+import { loadAffectedPassengers } from "./affected-passengers.js";
+import {
+  arrivalTime,
+  departureTime,
+  getConnectionConfig,
+  minConnectionTime,
+} from "./connections.js";
+import { FLIGHT_STATUS } from "./flight-status.js";
+import { parseFlightTime } from "./times.js";
+
+const FLIGHTS_TABLE = "Flights";
+const MINUTE = 60 * 1000;
+
+// Connections that still work but with less than this much slack over the
+// MCT are reported as tight
+export const DEFAULT_TIGHT_CONNECTION_BUFFER_MINUTES = 15;
+
+export const CONNECTION_RISK = Object.freeze({
+  MISSED: "missed",
+  TIGHT: "tight",
+  SAFE: "safe",
+});
+
+function minutesBetween(from, to) {
+  return Math.round((to - from) / MINUTE);
+}
+
+/**
+ * Classify one connection. A cancelled or diverted inbound flight, or a
+ * cancelled onward flight, misses the connection; otherwise it is missed
+ * when the time between estimated arrival and onward departure is below
+ * the MCT.
+ */
+export function classifyConnection(
+  inbound,
+  onward,
+  {
+    config = getConnectionConfig(),
+    bufferMinutes = DEFAULT_TIGHT_CONNECTION_BUFFER_MINUTES,
+  } = {}
+) {
+  const mct = minConnectionTime(inbound.Destination, config);
+  const connectionMinutes = minutesBetween(
+    arrivalTime(inbound),
+    departureTime(onward)
+  );
+  const scheduledConnectionMinutes = minutesBetween(
+    parseFlightTime(inbound.ScheduledArrivalTime),
+    parseFlightTime(onward.ScheduledDepartureTime)
+  );
+
+  let risk = CONNECTION_RISK.SAFE;
+  let reason = null;
+  if (inbound.Status === FLIGHT_STATUS.CANCELLED) {
+    risk = CONNECTION_RISK.MISSED;
+    reason = `${inbound.FlightNumber} is cancelled`;
+  } else if (inbound.Status === FLIGHT_STATUS.DIVERTED) {
+    risk = CONNECTION_RISK.MISSED;
+    reason = `${inbound.FlightNumber} diverted${
+      inbound.DivertedTo ? ` to ${inbound.DivertedTo}` : ""
+    }`;
+  } else if (onward.Status === FLIGHT_STATUS.CANCELLED) {
+    risk = CONNECTION_RISK.MISSED;
+    reason = `onward flight ${onward.FlightNumber} is cancelled`;
+  } else if (connectionMinutes < mct) {
+    risk = CONNECTION_RISK.MISSED;
+    reason = `${connectionMinutes} min to connect, minimum at ${inbound.Destination} is ${mct}`;
+  } else if (connectionMinutes < mct + bufferMinutes) {
+    risk = CONNECTION_RISK.TIGHT;
+    reason = `${connectionMinutes - mct} min above the ${mct} min minimum`;
+  }
+
+  return {
+    risk,
+    reason,
+    connectionMinutes,
+    scheduledConnectionMinutes,
+    minimumConnectionMinutes: mct,
+  };
+}
+
+/**
+ * Every onward connection of the passengers on a flight, classified, and
+ * the at-risk ones (missed or tight) grouped by onward flight, tightest
+ * first:
+ *
+ * { connections, groups: [{ onward, risk, reason, connectionMinutes, ..., passengers }] }
+ */
+export async function analyzeMisconnects(store, flight, options = {}) {
+  const affected = await loadAffectedPassengers(store, flight);
+
+  const onwardFlights = new Map();
+  const loadOnward = (booking) => {
+    const key = `${booking.FlightNumber}#${booking.ScheduledDepartureDate}`;
+    if (!onwardFlights.has(key)) {
+      onwardFlights.set(
+        key,
+        store.get(FLIGHTS_TABLE, {
+          FlightNumber: booking.FlightNumber,
+          ScheduledDepartureDate: booking.ScheduledDepartureDate,
+        })
+      );
+    }
+    return onwardFlights.get(key);
+  };
+
+  const connections = [];
+  for (const { booking, passenger, onward } of affected) {
+    for (const onwardBooking of onward) {
+      const onwardFlight = await loadOnward(onwardBooking);
+      if (!onwardFlight) continue;
+      connections.push({
+        booking,
+        passenger,
+        onwardBooking,
+        onwardFlight,
+        ...classifyConnection(flight, onwardFlight, options),
+      });
+    }
+  }
+
+  const groups = new Map();
+  for (const connection of connections) {
+    if (connection.risk === CONNECTION_RISK.SAFE) continue;
+    const { onwardFlight } = connection;
+    const key = `${onwardFlight.FlightNumber}#${onwardFlight.ScheduledDepartureDate}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        onward: onwardFlight,
+        risk: connection.risk,
+        reason: connection.reason,
+        connectionMinutes: connection.connectionMinutes,
+        scheduledConnectionMinutes: connection.scheduledConnectionMinutes,
+        minimumConnectionMinutes: connection.minimumConnectionMinutes,
+        passengers: [],
+      });
+    }
+    groups.get(key).passengers.push(connection);
+  }
+
+  return {
+    connections,
+    groups: [...groups.values()].sort(
+      (a, b) => a.connectionMinutes - b.connectionMinutes
+    ),
+  };
+}
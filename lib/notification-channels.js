@@ -0,0 +1,350 @@
+/**
+ * Channel adapters for passenger notifications: SMTP for email, HTTP
+ * webhooks for sms, push and call (an SMS gateway, push service or call
+ * centre dialler behind a URL).
+ *
+ * Every adapter has send(message) -> { providerMessageId }, where message
+ * is { notificationId, channel, recipient, passengerId, flightNumber,
+ * subject, body, language }. A failed send throws a DeliveryError that
+ * says whether trying again later could help.
+ *
+ * Configuration (environment variables):
+ *   SMTP_HOST, SMTP_PORT     mail server (port default 25, 465 with TLS)
+ *   SMTP_SECURE              "true" for TLS from the first byte;
+ *                            otherwise STARTTLS when the server offers it
+ *   SMTP_USER, SMTP_PASSWORD optional AUTH PLAIN credentials, only ever
+ *                            sent over TLS
+ *   SMTP_FROM                sender (default Lufthansa <noreply@lufthansa.example>)
+ *   SMS_WEBHOOK_URL, PUSH_WEBHOOK_URL, CALL_WEBHOOK_URL
+ *   NOTIFY_WEBHOOK_SECRET    signs webhook bodies (X-Signature: sha256=<hex>)
+ *   NOTIFY_TIMEOUT_MS        per attempt (default 10000)
+ *
+ * A channel without configuration has no adapter; notifications for it
+ * fail instead of pretending to be sent. scripts/notification-sink.js is a
+ * local stand-in for both kinds of endpoint.
+ */
+
+import { createHmac } from "crypto";
+import net from "net";
+import { hostname } from "os";
+import tls from "tls";
+
+export class DeliveryError extends Error {
+  constructor(message, retryable) {
+    super(message);
+    this.name = "DeliveryError";
+    this.retryable = retryable;
+  }
+}
+
+const WEBHOOK_CHANNELS = ["sms", "push", "call"];
+
+// Status codes worth retrying: timeouts, throttling and server trouble
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+export function getChannelConfig(env = process.env) {
+  const secure = env.SMTP_SECURE === "true";
+  return {
+    smtp: env.SMTP_HOST
+      ? {
+          host: env.SMTP_HOST,
+          port: Number(env.SMTP_PORT) || (secure ? 465 : 25),
+          secure,
+          user: env.SMTP_USER || null,
+          password: env.SMTP_PASSWORD || "",
+          from: env.SMTP_FROM || "Lufthansa <noreply@lufthansa.example>",
+        }
+      : null,
+    webhooks: {
+      sms: env.SMS_WEBHOOK_URL || null,
+      push: env.PUSH_WEBHOOK_URL || null,
+      call: env.CALL_WEBHOOK_URL || null,
+    },
+    webhookSecret: env.NOTIFY_WEBHOOK_SECRET || null,
+    timeoutMs: Number(env.NOTIFY_TIMEOUT_MS) || 10000,
+  };
+}
+
+/** Adapters for the configured channels, keyed by channel. */
+export function createChannels(config = getChannelConfig()) {
+  const channels = {};
+  if (config.smtp) {
+    channels.email = {
+      describe: () => `smtp://${config.smtp.host}:${config.smtp.port}`,
+      send: (message) => sendMail(config.smtp, message, config.timeoutMs),
+    };
+  }
+  for (const channel of WEBHOOK_CHANNELS) {
+    const url = config.webhooks[channel];
+    if (!url) continue;
+    channels[channel] = {
+      describe: () => url,
+      send: (message) =>
+        postWebhook(url, message, {
+          secret: config.webhookSecret,
+          timeoutMs: config.timeoutMs,
+        }),
+    };
+  }
+  return channels;
+}
+
+/** The environment variable that configures a channel, for error messages. */
+export function channelSetting(channel) {
+  return channel === "email"
+    ? "SMTP_HOST"
+    : `${channel.toUpperCase()}_WEBHOOK_URL`;
+}
+
+// --- Webhooks ---
+
+async function postWebhook(url, message, { secret, timeoutMs }) {
+  const body = JSON.stringify({
+    notification_id: message.notificationId,
+    channel: message.channel,
+    to: message.recipient,
+    passenger_id: message.passengerId,
+    flight_number: message.flightNumber,
+    language: message.language,
+    title: message.subject,
+    body: message.body,
+  });
+  const headers = {
+    "Content-Type": "application/json",
+    // Lets the receiver drop a retry of a message it already accepted
+    "Idempotency-Key": message.notificationId,
+  };
+  if (secret) {
+    headers["X-Signature"] = `sha256=${createHmac("sha256", secret)
+      .update(body)
+      .digest("hex")}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (error) {
+    throw new DeliveryError(
+      `Webhook ${url} unreachable: ${error.cause?.message || error.message}`,
+      true
+    );
+  }
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => "")).slice(0, 200);
+    throw new DeliveryError(
+      `Webhook ${url} answered ${response.status}${detail ? `: ${detail}` : ""}`,
+      isRetryableStatus(response.status)
+    );
+  }
+  const reply = await response.json().catch(() => ({}));
+  return { providerMessageId: reply.id ?? reply.message_id ?? null };
+}
+
+// --- SMTP ---
+
+/** Reads SMTP replies (possibly multi-line) off a socket, one at a time. */
+class SmtpConnection {
+  constructor(socket, label) {
+    this.socket = socket;
+    this.label = label;
+    this.buffer = "";
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.failure = null;
+
+    // Decoded per chunk rather than with setEncoding, which would leave
+    // the socket unusable for a STARTTLS upgrade; replies are ASCII
+    socket.on("data", (chunk) => this.receive(chunk.toString("utf8")));
+    socket.on("error", (error) => this.fail(error));
+    socket.on("close", () =>
+      this.fail(new Error("connection closed by the server"))
+    );
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let end;
+    while ((end = this.buffer.indexOf("\r\n")) !== -1) {
+      const line = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+      this.lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = {
+          code: Number(line.slice(0, 3)),
+          text: this.lines.map((l) => l.slice(4)).join(" "),
+        };
+        this.lines = [];
+        this.replies.push(reply);
+      }
+    }
+    this.wake();
+  }
+
+  fail(error) {
+    this.failure ??= error;
+    this.wake();
+  }
+
+  wake() {
+    if (!this.waiting) return;
+    const { resolve, reject } = this.waiting;
+    if (this.replies.length > 0) {
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.failure) {
+      this.waiting = null;
+      reject(this.failure);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.wake();
+    });
+  }
+
+  /** Send a command (if any) and expect one of the given reply codes. */
+  async expect(codes, command, shown = command) {
+    if (command !== undefined) this.socket.write(`${command}\r\n`);
+    let reply;
+    try {
+      reply = await this.read();
+    } catch (error) {
+      throw new DeliveryError(`SMTP ${this.label}: ${error.message}`, true);
+    }
+    if (!codes.includes(reply.code)) {
+      throw new DeliveryError(
+        `SMTP ${this.label} rejected ${
+          shown ? shown.split(" ")[0] : "the connection"
+        }: ${reply.code} ${reply.text}`,
+        // 4xx is a temporary refusal, 5xx a permanent one
+        reply.code < 500
+      );
+    }
+    return reply;
+  }
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+function address(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return match ? match[1] : value.trim();
+}
+
+// One bare address: no display name, and nothing (CR, LF, "<", ">", ",")
+// that could end the RCPT TO command or add a header or recipient
+function recipientAddress(recipient) {
+  if (
+    typeof recipient !== "string" ||
+    !/^[^\s<>@,;"]+@[^\s<>@,;"]+$/.test(recipient)
+  ) {
+    throw new DeliveryError(
+      `Invalid email recipient ${JSON.stringify(recipient)}`,
+      false
+    );
+  }
+  return recipient;
+}
+
+function mailMessage(smtp, message) {
+  const domain = address(smtp.from).split("@")[1] || hostname();
+  const headers = [
+    `From: ${smtp.from}`,
+    `To: ${message.recipient}`,
+    `Subject: ${encodeHeader(
+      message.subject || `${message.flightNumber}: delay update`
+    )}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${message.notificationId}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+  ];
+  // Base64 lines never start with "." and are 7-bit clean, so the body
+  // needs no dot-stuffing and no 8BITMIME
+  const body = Buffer.from(message.body.replace(/\r?\n/g, "\r\n"), "utf8")
+    .toString("base64")
+    .match(/.{1,76}/g) || [""];
+  return `${headers.join("\r\n")}\r\n\r\n${body.join("\r\n")}\r\n.`;
+}
+
+function connectSmtp(smtp, timeoutMs, upgrade) {
+  const socket = upgrade
+    ? tls.connect({ socket: upgrade, servername: smtp.host })
+    : smtp.secure
+    ? tls.connect({ host: smtp.host, port: smtp.port, servername: smtp.host })
+    : net.connect({ host: smtp.host, port: smtp.port });
+  socket.setTimeout(timeoutMs, () =>
+    socket.destroy(new Error(`no reply within ${timeoutMs} ms`))
+  );
+  return socket;
+}
+
+async function sendMail(smtp, message, timeoutMs) {
+  const label = `${smtp.host}:${smtp.port}`;
+  const recipient = recipientAddress(message.recipient);
+  let socket = connectSmtp(smtp, timeoutMs);
+  const plain = socket;
+
+  try {
+    let connection = new SmtpConnection(socket, label);
+    await connection.expect([220]);
+    const hello = await connection.expect([250], `EHLO ${hostname()}`);
+    if (!smtp.secure && /\bSTARTTLS\b/i.test(hello.text)) {
+      await connection.expect([220], "STARTTLS");
+      plain.removeAllListeners("data");
+      plain.removeAllListeners("close");
+      socket = connectSmtp(smtp, timeoutMs, plain);
+      connection = new SmtpConnection(socket, label);
+      // No new greeting after STARTTLS, but EHLO has to be repeated
+      await connection.expect([250], `EHLO ${hostname()}`);
+    }
+    if (smtp.user) {
+      if (socket === plain) {
+        throw new DeliveryError(
+          `SMTP ${label} offers no STARTTLS; refusing to send credentials in plain text (set SMTP_SECURE=true for a TLS port)`,
+          false
+        );
+      }
+      const credentials = Buffer.from(
+        `\0${smtp.user}\0${smtp.password}`
+      ).toString("base64");
+      await connection.expect(
+        [235],
+        `AUTH PLAIN ${credentials}`,
+        "AUTH PLAIN"
+      );
+    }
+    await connection.expect([250], `MAIL FROM:<${address(smtp.from)}>`);
+    await connection.expect([250, 251], `RCPT TO:<${recipient}>`);
+    await connection.expect([354], "DATA");
+    const reply = await connection.expect(
+      [250],
+      mailMessage(smtp, message),
+      "message"
+    );
+    socket.write("QUIT\r\n");
+    socket.end();
+    // Servers typically answer "250 2.0.0 Ok: queued as <id>"
+    const queued = /queued as (\S+)/i.exec(reply.text);
+    return { providerMessageId: queued ? queued[1] : null };
+  } finally {
+    socket.destroy();
+    plain.destroy();
+  }
+}
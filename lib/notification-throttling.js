@@ -0,0 +1,164 @@
+/**
+ * Whether a delay notification should go out at all. Re-running a
+ * disruption check must not message the same passenger again and again,
+ * so before a notification is queued it is checked against:
+ *
+ *   duplicate      the passenger already has a notification about the
+ *                  flight from the last few hours, and the delay has not
+ *                  changed by enough to be news
+ *   rate_limited   the passenger has had too many notifications lately
+ *   quiet_hours    the passenger's quiet_hours preference covers now;
+ *                  only sms, push and call ring a phone, so email is sent
+ *
+ * Earlier notifications are read through FlightNotificationsIndex and
+ * PassengerNotificationsIndex. Failed and superseded ones never reached the
+ * passenger and do not count.
+ *
+ * Concurrent requests for the same notice all pass those checks, so the
+ * notification is also queued under a dedup key (notificationDedupKey):
+ * only one request claims it.
+ *
+ * Configuration (environment variables):
+ *   NOTIFY_DEDUP_WINDOW_MINUTES        how far back duplicates are looked
+ *                                      for (default 360)
+ *   NOTIFY_MATERIAL_CHANGE_MINUTES     delay change that is news again
+ *                                      (default 30)
+ *   NOTIFY_PASSENGER_LIMIT             notifications per passenger ...
+ *   NOTIFY_PASSENGER_WINDOW_MINUTES    ... per this many minutes
+ *                                      (default 5 per 1440)
+ */
+
+import { NOTIFICATION_STATUS } from "./notifications.js";
+import { collectAll } from "./pagination.js";
+import { isQuietTime, quietHoursEnd } from "./preferences.js";
+
+const DELAY_NOTIFICATIONS_TABLE = "DelayNotifications";
+
+const MINUTE = 60 * 1000;
+
+// Channels that interrupt the passenger, held back during quiet hours
+const INTRUSIVE_CHANNELS = ["sms", "push", "call"];
+
+export function getThrottlePolicy(env = process.env) {
+  return {
+    dedupWindowMinutes: Number(env.NOTIFY_DEDUP_WINDOW_MINUTES) || 360,
+    materialChangeMinutes: Number(env.NOTIFY_MATERIAL_CHANGE_MINUTES) || 30,
+    passengerLimit: Number(env.NOTIFY_PASSENGER_LIMIT) || 5,
+    passengerWindowMinutes:
+      Number(env.NOTIFY_PASSENGER_WINDOW_MINUTES) || 1440,
+  };
+}
+
+function reachedPassenger(notification) {
+  return (
+    notification.Status !== NOTIFICATION_STATUS.FAILED &&
+    notification.Status !== NOTIFICATION_STATUS.SUPERSEDED
+  );
+}
+
+async function notificationsSince(store, index, hash, since) {
+  return collectAll(({ cursor }) =>
+    store.query(DELAY_NOTIFICATIONS_TABLE, {
+      index,
+      hash: String(hash),
+      range: { gte: since.toISOString() },
+      cursor,
+    })
+  );
+}
+
+/**
+ * The dedup key queueNotification claims for a notice: one per passenger,
+ * flight, delay bucket (materialChangeMinutes wide) and dedup window. It
+ * keys a claim item in DelayNotifications, which has no PassengerId,
+ * FlightNumber or Status and so stays out of the indexes and the delivery
+ * scan.
+ */
+export function notificationDedupKey(
+  { passengerId, flightNumber, delayMinutes },
+  { policy = getThrottlePolicy(), now = new Date() } = {}
+) {
+  const window = policy.dedupWindowMinutes * MINUTE;
+  const bucket = Math.floor(
+    Number(delayMinutes) / policy.materialChangeMinutes
+  );
+  return {
+    NotificationId: `DEDUP#${passengerId}#${flightNumber}#${bucket}`,
+    CreatedAt: new Date(
+      Math.floor(now.getTime() / window) * window
+    ).toISOString(),
+  };
+}
+
+/**
+ * Why a notification should be suppressed, or null if it may be sent:
+ * { reason, message, previousNotification?, retryAfter? }.
+ */
+export async function checkNotification(
+  store,
+  { passengerId, flightNumber, delayMinutes, channel, preferences = {} },
+  { policy = getThrottlePolicy(), now = new Date() } = {}
+) {
+  const aboutFlight = (
+    await notificationsSince(
+      store,
+      "FlightNotificationsIndex",
+      flightNumber,
+      new Date(now.getTime() - policy.dedupWindowMinutes * MINUTE)
+    )
+  ).filter(
+    (notification) =>
+      notification.PassengerId === String(passengerId) &&
+      reachedPassenger(notification)
+  );
+  const previous = aboutFlight.sort((a, b) =>
+    b.CreatedAt.localeCompare(a.CreatedAt)
+  )[0];
+  if (
+    previous &&
+    Math.abs(Number(delayMinutes) - Number(previous.DelayMinutes)) <
+      policy.materialChangeMinutes
+  ) {
+    return {
+      reason: "duplicate",
+      message: `Passenger ${passengerId} was notified about ${flightNumber} at ${previous.CreatedAt} with a ${previous.DelayMinutes} min delay; the delay has changed by less than ${policy.materialChangeMinutes} min since`,
+      previousNotification: previous,
+    };
+  }
+
+  const windowStart = new Date(
+    now.getTime() - policy.passengerWindowMinutes * MINUTE
+  );
+  const recent = (
+    await notificationsSince(
+      store,
+      "PassengerNotificationsIndex",
+      passengerId,
+      windowStart
+    )
+  ).filter(reachedPassenger);
+  if (recent.length >= policy.passengerLimit) {
+    // The window has room again once enough of these have aged out of it
+    const freesUp = recent.map((n) => n.CreatedAt).sort()[
+      recent.length - policy.passengerLimit
+    ];
+    return {
+      reason: "rate_limited",
+      message: `Passenger ${passengerId} has had ${recent.length} notifications in the last ${policy.passengerWindowMinutes} min (limit ${policy.passengerLimit})`,
+      retryAfter: new Date(
+        new Date(freesUp).getTime() + policy.passengerWindowMinutes * MINUTE
+      ),
+    };
+  }
+
+  const quietHours = preferences.quiet_hours;
+  if (INTRUSIVE_CHANNELS.includes(channel) && isQuietTime(quietHours, now)) {
+    return {
+      reason: "quiet_hours",
+      message: `It is within passenger ${passengerId}'s quiet hours (${quietHours.start}-${quietHours.end} ${quietHours.timezone}); email is not held back`,
+      retryAfter: quietHoursEnd(quietHours, now),
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,465 @@
+/**
+ * Delivery of DelayNotifications items through the channel adapters in
+ * lib/notification-channels.js.
+ *
+ *   queued ──> sending ──> delivered
+ *     │ ^         │
+ *     │ └─ retry ─┴──> failed
+ *     └──> superseded
+ *
+ * queueNotification stores a notification as queued, and marks the
+ * passenger's older notifications about the same flight that are still
+ * queued as superseded, so a retry never delivers an outdated delay after
+ * the newer one. deliverNotification
+ * claims it (a conditional write, so two workers never send the same
+ * attempt), sends it and records the outcome: delivered, queued again with
+ * NextAttemptAt pushed back exponentially, or failed once the error is
+ * permanent or the attempts are used up. Every attempt is kept in
+ * DeliveryAttempts. A notification stuck in sending (the worker died
+ * mid-send) is due again after SENDING_TIMEOUT_SECONDS.
+ *
+ * Retry policy (environment variables):
+ *   NOTIFY_MAX_ATTEMPTS          attempts before giving up (default 5)
+ *   NOTIFY_RETRY_BASE_SECONDS    first backoff, doubled per attempt
+ *                                (default 60, at most an hour)
+ */
+
+import { randomUUID } from "crypto";
+import {
+  channelSetting,
+  createChannels,
+  DeliveryError,
+} from "./notification-channels.js";
+import { collectAll } from "./pagination.js";
+import { ConditionFailedError } from "./storage/index.js";
+
+const DELAY_NOTIFICATIONS_TABLE = "DelayNotifications";
+
+export const NOTIFICATION_STATUS = Object.freeze({
+  QUEUED: "queued",
+  SENDING: "sending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+  SUPERSEDED: "superseded",
+});
+
+const SENDING_TIMEOUT_SECONDS = 300;
+const MAX_BACKOFF_SECONDS = 3600;
+
+export function getDeliveryPolicy(env = process.env) {
+  return {
+    maxAttempts: Number(env.NOTIFY_MAX_ATTEMPTS) || 5,
+    retryBaseSeconds: Number(env.NOTIFY_RETRY_BASE_SECONDS) || 60,
+  };
+}
+
+/** Seconds to wait after the given (1-based) failed attempt. */
+export function retryDelaySeconds(attempt, policy = getDeliveryPolicy()) {
+  return Math.min(
+    policy.retryBaseSeconds * 2 ** (attempt - 1),
+    MAX_BACKOFF_SECONDS
+  );
+}
+
+/**
+ * Where a channel reaches a passenger: the Passengers item's Email for
+ * email, Phone for sms and call, and the passenger ID for push (the push
+ * service knows the passenger's devices). Throws if there is none.
+ */
+export function notificationRecipient(passenger, channel) {
+  const recipient =
+    channel === "email"
+      ? passenger.Email
+      : channel === "push"
+      ? passenger.PassengerId
+      : passenger.Phone;
+  if (!recipient) {
+    throw new Error(
+      `Passenger ${passenger.PassengerId} has no ${
+        channel === "email" ? "email address" : "phone number"
+      } for ${channel} notifications`
+    );
+  }
+  return recipient;
+}
+
+/**
+ * Store a notification for delivery and supersede the passenger's older
+ * queued notifications about the flight. Returns the item.
+ *
+ * With a dedupKey (see notificationDedupKey in
+ * lib/notification-throttling.js) the notification is stored together
+ * with a claim on that key, so of concurrent requests for the same notice
+ * only one is queued; the others get null. A claim held by a notification
+ * that failed or was superseded is taken over.
+ */
+export async function queueNotification(
+  store,
+  {
+    passengerId,
+    flightNumber,
+    delayMinutes,
+    channel,
+    recipient,
+    subject,
+    content,
+    language,
+  },
+  { dedupKey, now = new Date() } = {}
+) {
+  const createdAt = now.toISOString();
+  const notification = {
+    NotificationId: `NOTIFY_${Date.now()}_${randomUUID().slice(0, 8)}`,
+    CreatedAt: createdAt,
+    PassengerId: String(passengerId),
+    FlightNumber: String(flightNumber),
+    DelayMinutes: delayMinutes,
+    NotificationType: channel,
+    Recipient: recipient,
+    ...(subject && { MessageSubject: subject }),
+    MessageContent: content,
+    ...(language && { Language: language }),
+    Status: NOTIFICATION_STATUS.QUEUED,
+    Attempts: 0,
+    NextAttemptAt: createdAt,
+    DeliveryAttempts: [],
+  };
+  if (dedupKey) {
+    if (!(await putClaimed(store, dedupKey, notification))) return null;
+  } else {
+    await store.put(DELAY_NOTIFICATIONS_TABLE, notification);
+  }
+  await supersedeQueued(store, notification);
+  return notification;
+}
+
+async function putClaimed(store, dedupKey, notification) {
+  const write = (condition) =>
+    store.transactWrite([
+      {
+        type: "put",
+        table: DELAY_NOTIFICATIONS_TABLE,
+        item: { ...dedupKey, ClaimedBy: notification.NotificationId },
+        condition,
+      },
+      { type: "put", table: DELAY_NOTIFICATIONS_TABLE, item: notification },
+    ]);
+  try {
+    await write({ NotificationId: { exists: false } });
+    return true;
+  } catch (error) {
+    if (!(error instanceof ConditionFailedError)) throw error;
+  }
+
+  const claim = await store.get(DELAY_NOTIFICATIONS_TABLE, dedupKey);
+  const holder = claim && (await getNotification(store, claim.ClaimedBy));
+  if (
+    ![NOTIFICATION_STATUS.FAILED, NOTIFICATION_STATUS.SUPERSEDED].includes(
+      holder?.Status
+    )
+  ) {
+    return false;
+  }
+  try {
+    await write({ ClaimedBy: claim.ClaimedBy });
+    return true;
+  } catch (error) {
+    if (!(error instanceof ConditionFailedError)) throw error;
+    return false;
+  }
+}
+
+async function supersedeQueued(store, notification) {
+  const earlier = await collectAll(({ cursor }) =>
+    store.query(DELAY_NOTIFICATIONS_TABLE, {
+      index: "FlightNotificationsIndex",
+      hash: notification.FlightNumber,
+      range: { lte: notification.CreatedAt },
+      cursor,
+    })
+  );
+  for (const other of earlier) {
+    if (
+      other.NotificationId === notification.NotificationId ||
+      other.PassengerId !== notification.PassengerId ||
+      other.Status !== NOTIFICATION_STATUS.QUEUED
+    ) {
+      continue;
+    }
+    try {
+      await store.update(
+        DELAY_NOTIFICATIONS_TABLE,
+        keyOf(other),
+        {
+          set: {
+            Status: NOTIFICATION_STATUS.SUPERSEDED,
+            SupersededBy: notification.NotificationId,
+            SupersededAt: notification.CreatedAt,
+          },
+          remove: ["NextAttemptAt"],
+        },
+        { condition: { Status: NOTIFICATION_STATUS.QUEUED } }
+      );
+    } catch (error) {
+      // A worker claimed it meanwhile; that attempt goes ahead
+      if (!(error instanceof ConditionFailedError)) throw error;
+    }
+  }
+}
+
+/** A notification by ID, or null. */
+export async function getNotification(store, notificationId) {
+  const { items } = await store.query(DELAY_NOTIFICATIONS_TABLE, {
+    hash: String(notificationId),
+    limit: 1,
+  });
+  return items[0] || null;
+}
+
+/** A passenger's or a flight's notifications, newest first. */
+export async function listNotifications(
+  store,
+  { passengerId, flightNumber, limit }
+) {
+  const { items } = await store.query(DELAY_NOTIFICATIONS_TABLE, {
+    index: passengerId
+      ? "PassengerNotificationsIndex"
+      : "FlightNotificationsIndex",
+    hash: String(passengerId ?? flightNumber),
+    descending: true,
+    limit,
+  });
+  return items;
+}
+
+function keyOf(notification) {
+  return {
+    NotificationId: notification.NotificationId,
+    CreatedAt: notification.CreatedAt,
+  };
+}
+
+/**
+ * Make one delivery attempt. Returns the notification as stored afterwards,
+ * or null if another worker claimed it first, reclaimed it from this one
+ * mid-send, or it was superseded meanwhile. Throws for a notification that
+ * is no longer due for delivery.
+ */
+export async function deliverNotification(
+  store,
+  notification,
+  {
+    channels = createChannels(),
+    policy = getDeliveryPolicy(),
+    now = new Date(),
+  } = {}
+) {
+  if (
+    notification.Status !== NOTIFICATION_STATUS.QUEUED &&
+    notification.Status !== NOTIFICATION_STATUS.SENDING
+  ) {
+    throw new Error(
+      `Notification ${notification.NotificationId} is ${notification.Status} and will not be sent`
+    );
+  }
+
+  let claimed;
+  try {
+    claimed = await store.update(
+      DELAY_NOTIFICATIONS_TABLE,
+      keyOf(notification),
+      {
+        set: {
+          Status: NOTIFICATION_STATUS.SENDING,
+          SendingStartedAt: now.toISOString(),
+        },
+        add: { Attempts: 1 },
+      },
+      {
+        condition: {
+          Status: notification.Status,
+          Attempts: notification.Attempts ?? 0,
+        },
+      }
+    );
+  } catch (error) {
+    if (error instanceof ConditionFailedError) return null;
+    throw error;
+  }
+
+  const channel = claimed.NotificationType;
+  const attempt = { At: now.toISOString(), Channel: channel };
+  let outcome;
+  try {
+    const adapter = channels[channel];
+    if (!adapter) {
+      throw new DeliveryError(
+        `No ${channel} channel configured (set ${channelSetting(channel)})`,
+        false
+      );
+    }
+    const { providerMessageId } = await adapter.send({
+      notificationId: claimed.NotificationId,
+      channel,
+      recipient: claimed.Recipient,
+      passengerId: claimed.PassengerId,
+      flightNumber: claimed.FlightNumber,
+      subject: claimed.MessageSubject ?? null,
+      body: claimed.MessageContent,
+      language: claimed.Language ?? null,
+    });
+    const deliveredAt = new Date().toISOString();
+    outcome = {
+      set: {
+        Status: NOTIFICATION_STATUS.DELIVERED,
+        DeliveredAt: deliveredAt,
+        ProviderMessageId: providerMessageId,
+        DeliveryAttempts: [
+          ...(claimed.DeliveryAttempts || []),
+          { ...attempt, Outcome: NOTIFICATION_STATUS.DELIVERED },
+        ],
+      },
+      remove: ["NextAttemptAt", "SendingStartedAt", "LastError"],
+    };
+  } catch (error) {
+    // Anything but a DeliveryError is our own bug; retrying may still help
+    // if it was transient, and the attempts cap stops it otherwise
+    const retry =
+      (!(error instanceof DeliveryError) || error.retryable) &&
+      claimed.Attempts < policy.maxAttempts;
+    const record = { ...attempt, Error: error.message };
+    outcome = retry
+      ? {
+          set: {
+            Status: NOTIFICATION_STATUS.QUEUED,
+            LastError: error.message,
+            NextAttemptAt: new Date(
+              now.getTime() + retryDelaySeconds(claimed.Attempts, policy) * 1000
+            ).toISOString(),
+            DeliveryAttempts: [
+              ...(claimed.DeliveryAttempts || []),
+              { ...record, Outcome: "retry" },
+            ],
+          },
+          remove: ["SendingStartedAt"],
+        }
+      : {
+          set: {
+            Status: NOTIFICATION_STATUS.FAILED,
+            LastError: error.message,
+            FailedAt: new Date().toISOString(),
+            DeliveryAttempts: [
+              ...(claimed.DeliveryAttempts || []),
+              { ...record, Outcome: NOTIFICATION_STATUS.FAILED },
+            ],
+          },
+          remove: ["NextAttemptAt", "SendingStartedAt"],
+        };
+  }
+
+  try {
+    return await store.update(
+      DELAY_NOTIFICATIONS_TABLE,
+      keyOf(claimed),
+      outcome,
+      {
+        condition: {
+          Status: NOTIFICATION_STATUS.SENDING,
+          Attempts: claimed.Attempts,
+        },
+      }
+    );
+  } catch (error) {
+    // The send took longer than SENDING_TIMEOUT_SECONDS and another worker
+    // reclaimed it; that worker's attempt is the one on record
+    if (error instanceof ConditionFailedError) return null;
+    throw error;
+  }
+}
+
+/** Queued notifications whose next attempt is due, and stuck sends. */
+export async function listDueNotifications(store, { now = new Date() } = {}) {
+  const stuckSince = new Date(
+    now.getTime() - SENDING_TIMEOUT_SECONDS * 1000
+  ).toISOString();
+  const due = await collectAll(({ cursor }) =>
+    store.scan(DELAY_NOTIFICATIONS_TABLE, {
+      filter: {
+        $or: [
+          {
+            Status: NOTIFICATION_STATUS.QUEUED,
+            NextAttemptAt: { lte: now.toISOString() },
+          },
+          {
+            Status: NOTIFICATION_STATUS.SENDING,
+            SendingStartedAt: { lte: stuckSince },
+          },
+        ],
+      },
+      cursor,
+    })
+  );
+  return due.sort((a, b) =>
+    (a.NextAttemptAt || a.SendingStartedAt).localeCompare(
+      b.NextAttemptAt || b.SendingStartedAt
+    )
+  );
+}
+
+/**
+ * Attempt every due notification once, oldest first. Returns the
+ * notifications as stored afterwards, plus those another worker claimed.
+ */
+export async function processDueNotifications(
+  store,
+  {
+    channels = createChannels(),
+    policy = getDeliveryPolicy(),
+    limit,
+    now = new Date(),
+  } = {}
+) {
+  const due = (await listDueNotifications(store, { now })).slice(0, limit);
+  const processed = [];
+  const claimedElsewhere = [];
+  for (const notification of due) {
+    const result = await deliverNotification(store, notification, {
+      channels,
+      policy,
+      now,
+    });
+    if (result) processed.push(result);
+    else claimedElsewhere.push(notification.NotificationId);
+  }
+  return { processed, claimedElsewhere };
+}
+
+/** Tool-facing view of a notification and its delivery. */
+export function formatNotification(notification) {
+  return {
+    notification_id: notification.NotificationId,
+    passenger_id: notification.PassengerId,
+    flight_number: notification.FlightNumber,
+    delay_minutes: notification.DelayMinutes,
+    channel: notification.NotificationType,
+    recipient: notification.Recipient ?? null,
+    language: notification.Language ?? null,
+    status: notification.Status,
+    created_at: notification.CreatedAt,
+    attempts: notification.Attempts ?? 0,
+    next_attempt_at: notification.NextAttemptAt ?? null,
+    delivered_at: notification.DeliveredAt ?? null,
+    failed_at: notification.FailedAt ?? null,
+    superseded_by: notification.SupersededBy ?? null,
+    last_error: notification.LastError ?? null,
+    provider_message_id: notification.ProviderMessageId ?? null,
+    delivery_attempts: (notification.DeliveryAttempts || []).map(
+      (attempt) => ({
+        at: attempt.At,
+        channel: attempt.Channel,
+        outcome: attempt.Outcome,
+        ...(attempt.Error && { error: attempt.Error }),
+      })
+    ),
+  };
+}
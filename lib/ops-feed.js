@@ -0,0 +1,635 @@
+/**
+ * Operational feed ingestion: movement and delay messages read from local
+ * files and applied to Flights through updateFlightStatus, so every change
+ * lands in the status history with source "ops-feed".
+ *
+ * Two formats are read, detected per file:
+ *
+ *   text    IATA-style MVT (movement) and ASM (schedule change) messages,
+ *           each starting with its "MVT" or "ASM" line and separated by
+ *           blank lines
+ *   NDJSON  one JSON object per line with the update spelled out
+ *
+ * A message that cannot be read is reported with its line number and
+ * nothing of it is applied; the other messages in the file still are.
+ */
+
+import { EXTRAORDINARY_DELAY_CODES } from "./compensation.js";
+import {
+  assertTransition,
+  canTransition,
+  FLIGHT_STATUS,
+  normalizeFlightStatus,
+} from "./flight-status.js";
+import { parseSsimDate, SsimParseError } from "./ssim.js";
+import { updateFlightStatus } from "./status-updates.js";
+import { parseFlightTime } from "./times.js";
+
+const FLIGHTS_TABLE = "Flights";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// IATA delay code groups, for codes without a more specific description
+const DELAY_CODE_GROUPS = [
+  [0, 9, "airline internal"],
+  [11, 19, "passenger and baggage handling"],
+  [21, 29, "cargo and mail"],
+  [31, 39, "aircraft and ramp handling"],
+  [41, 48, "technical and aircraft equipment"],
+  [51, 58, "damage to aircraft or automated equipment failure"],
+  [61, 69, "flight operations and crewing"],
+  [71, 79, "weather"],
+  [81, 89, "air traffic flow management, airport or governmental authorities"],
+  [91, 96, "reactionary"],
+  [97, 99, "miscellaneous"],
+];
+
+// NDJSON field names and the updateFlightStatus fields they map to
+const JSON_FIELDS = {
+  status: "status",
+  delay_minutes: "delayMinutes",
+  delay_code: "delayCode",
+  delay_reason: "delayReason",
+  estimated_departure: "estimatedDepartureTime",
+  estimated_arrival: "estimatedArrivalTime",
+  actual_departure: "actualDepartureTime",
+  actual_arrival: "actualArrivalTime",
+  diverted_to: "divertedTo",
+};
+
+const JSON_TIME_FIELDS = [
+  "estimated_departure",
+  "estimated_arrival",
+  "actual_departure",
+  "actual_arrival",
+];
+
+export class FeedParseError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.name = "FeedParseError";
+    this.line = line;
+  }
+}
+
+/** "Delay code 41: technical and aircraft equipment" */
+export function describeDelayCode(code) {
+  const number = Number(code);
+  const description =
+    EXTRAORDINARY_DELAY_CODES[number] ||
+    DELAY_CODE_GROUPS.find(([from, to]) => number >= from && number <= to)?.[2];
+  return description
+    ? `Delay code ${code}: ${description}`
+    : `Delay code ${code}`;
+}
+
+function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/** Airline and number, e.g. "LH0400" -> "LH400", as the SSIM import does. */
+function parseDesignator(value, line) {
+  const match = /^([A-Z0-9]{2}[A-Z]?)(\d{1,4})([A-Z]?)$/.exec(value);
+  if (!match) {
+    throw new FeedParseError(`invalid flight designator "${value}"`, line);
+  }
+  return `${match[1]}${Number(match[2])}${match[3]}`;
+}
+
+/**
+ * MVT messages only carry the day of the month: take the date closest to
+ * the reference that falls on it.
+ */
+function dateForDay(day, reference, line) {
+  const candidates = [-1, 0, 1]
+    .map(
+      (offset) =>
+        new Date(
+          Date.UTC(
+            reference.getUTCFullYear(),
+            reference.getUTCMonth() + offset,
+            day
+          )
+        )
+    )
+    .filter((date) => date.getUTCDate() === day)
+    .sort((a, b) => Math.abs(a - reference) - Math.abs(b - reference));
+  if (candidates.length === 0) {
+    throw new FeedParseError(`invalid day of month "${day}"`, line);
+  }
+  return toIsoDate(candidates[0]);
+}
+
+/** hhmm (UTC) on an ISO date. */
+function clockTime(date, hhmm, label, line) {
+  const hours = Number(hhmm.slice(0, 2));
+  const minutes = Number(hhmm.slice(2, 4));
+  if (!/^\d{4}$/.test(hhmm) || hours > 23 || minutes > 59) {
+    throw new FeedParseError(`invalid ${label} "${hhmm}"`, line);
+  }
+  return `${date}T${hhmm.slice(0, 2)}:${hhmm.slice(2, 4)}:00Z`;
+}
+
+function hhmmToMinutes(hhmm) {
+  return Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(2, 4));
+}
+
+/**
+ * One MVT message:
+ *
+ *   MVT
+ *   LH400/20.DAIMA.FRA        flight/day of month.registration.station
+ *   AD1012/1025 EA1830 JFK    off-block/airborne, estimated arrival
+ *   AA1827/1836               touchdown/on-block
+ *   ED201130                  estimated departure, ddhhmm
+ *   DL41/93/0030/0015         delay codes, then hhmm per code
+ *   SI CREW LATE              free text, taken as the delay reason
+ *   NI201100                  next information, ignored
+ *
+ * All times are UTC. An estimated arrival at another station than the
+ * flight's destination is a diversion; that is decided when the message is
+ * applied (see settle).
+ */
+function parseMvt(lines, now) {
+  const [header, flightLine, ...rest] = lines;
+  if (!flightLine) {
+    throw new FeedParseError("MVT message without a flight line", header.line);
+  }
+  const match = /^([A-Z0-9]+)\/(\d{2})(?:\.[A-Z0-9-]*)?(?:\.[A-Z]{3})?$/.exec(
+    flightLine.text
+  );
+  if (!match) {
+    throw new FeedParseError(
+      `invalid MVT flight line "${flightLine.text}"`,
+      flightLine.line
+    );
+  }
+  const date = dateForDay(Number(match[2]), now, flightLine.line);
+  const message = {
+    type: "MVT",
+    line: header.line,
+    key: {
+      FlightNumber: parseDesignator(match[1], flightLine.line),
+      ScheduledDepartureDate: date,
+    },
+    update: {},
+    arrivalStation: null,
+  };
+  const { update } = message;
+  const codes = [];
+  const durations = [];
+  let remark = null;
+
+  for (const { text, line } of rest) {
+    const [, type, value] = /^([A-Z]{2})\s*(.*)$/.exec(text) || [];
+    let fields;
+    switch (type) {
+      case "AD":
+        fields = /^(\d{4})(?:\/(\d{4}))?(?:\s+EA\s*(\d{4})\s+([A-Z]{3}))?$/.exec(
+          value
+        );
+        if (!fields) {
+          throw new FeedParseError(`invalid departure "${text}"`, line);
+        }
+        update.status = FLIGHT_STATUS.DEPARTED;
+        update.actualDepartureTime = clockTime(
+          date,
+          fields[1],
+          "off-block time",
+          line
+        );
+        if (fields[3]) {
+          update.estimatedArrivalTime = clockTime(
+            date,
+            fields[3],
+            "estimated arrival time",
+            line
+          );
+          message.arrivalStation = fields[4];
+        }
+        break;
+      case "EA":
+        fields = /^(\d{4})\s+([A-Z]{3})$/.exec(value);
+        if (!fields) {
+          throw new FeedParseError(`invalid estimated arrival "${text}"`, line);
+        }
+        update.estimatedArrivalTime = clockTime(
+          date,
+          fields[1],
+          "estimated arrival time",
+          line
+        );
+        message.arrivalStation = fields[2];
+        break;
+      case "AA":
+        fields = /^(\d{4})(?:\/(\d{4}))?$/.exec(value);
+        if (!fields) {
+          throw new FeedParseError(`invalid arrival "${text}"`, line);
+        }
+        update.status = FLIGHT_STATUS.LANDED;
+        // On-block when given, the time passengers are let off
+        update.actualArrivalTime = clockTime(
+          date,
+          fields[2] || fields[1],
+          "arrival time",
+          line
+        );
+        break;
+      case "ED":
+        fields = /^(\d{2})(\d{4})$/.exec(value);
+        if (!fields) {
+          throw new FeedParseError(
+            `invalid estimated departure "${text}"`,
+            line
+          );
+        }
+        update.estimatedDepartureTime = clockTime(
+          dateForDay(Number(fields[1]), new Date(date), line),
+          fields[2],
+          "estimated departure time",
+          line
+        );
+        break;
+      case "DL":
+        for (const token of value.split("/")) {
+          if (/^\d{2}[A-Z]?$/.test(token) && durations.length === 0) {
+            codes.push(token);
+          } else if (/^\d{4}$/.test(token) && codes.length > 0) {
+            durations.push(hhmmToMinutes(token));
+          } else {
+            throw new FeedParseError(`invalid delay "${text}"`, line);
+          }
+        }
+        break;
+      case "SI":
+        remark = value || null;
+        break;
+      case "NI":
+        break;
+      default:
+        throw new FeedParseError(`unsupported MVT line "${text}"`, line);
+    }
+  }
+
+  if (codes.length > 0) {
+    // Sub-codes (41A) are dropped: DelayCode holds the two-digit IATA code
+    update.delayCode = codes[0].slice(0, 2);
+    update.delayReason = remark || describeDelayCode(update.delayCode);
+    // Without a departure or estimate the delay durations are all we have
+    if (
+      durations.length > 0 &&
+      !update.status &&
+      !update.estimatedDepartureTime
+    ) {
+      update.delayMinutes = durations.reduce((sum, minutes) => sum + minutes, 0);
+    }
+  } else if (remark && update.estimatedDepartureTime) {
+    update.delayReason = remark;
+  }
+  if (Object.keys(update).length === 0) {
+    throw new FeedParseError(
+      "MVT message without movement or delay information",
+      header.line
+    );
+  }
+  return message;
+}
+
+/**
+ * One ASM message. Only cancellations are applied; times, equipment and
+ * new flights come from the schedule (see scripts/import-ssim.js).
+ *
+ *   ASM
+ *   UTC
+ *   CNL
+ *   LH441/20OCT26             one line per cancelled flight
+ *   SI WEATHER                taken as the reason
+ */
+function parseAsm(lines) {
+  let [header, ...rest] = lines;
+  if (["UTC", "LT"].includes(rest[0]?.text)) rest = rest.slice(1);
+  const [actionLine, ...body] = rest;
+  const action = actionLine?.text.split(/\s+/)[0];
+  if (!action) {
+    throw new FeedParseError("ASM message without an action", header.line);
+  }
+  if (action !== "CNL") {
+    return {
+      skipped: `ASM ${action} is not applied, schedule changes come from the SSIM import`,
+    };
+  }
+
+  const flights = [];
+  let remark = null;
+  for (const { text, line } of body) {
+    if (text.startsWith("SI")) {
+      remark = text.slice(2).trim() || null;
+      continue;
+    }
+    const match = /^([A-Z0-9]+)\/(\d{2}[A-Z]{3}\d{2})$/.exec(text);
+    if (!match) {
+      throw new FeedParseError(`invalid ASM flight line "${text}"`, line);
+    }
+    flights.push({
+      FlightNumber: parseDesignator(match[1], line),
+      ScheduledDepartureDate: toIsoDate(parseSsimDate(match[2], line)),
+    });
+  }
+  if (flights.length === 0) {
+    throw new FeedParseError("ASM CNL without a flight", actionLine.line);
+  }
+  return {
+    messages: flights.map((key) => ({
+      type: "ASM",
+      line: header.line,
+      key,
+      update: {
+        status: FLIGHT_STATUS.CANCELLED,
+        delayReason: remark || "Cancelled by schedule message",
+      },
+    })),
+  };
+}
+
+function parseTextMessages(lines, now) {
+  const result = { messages: [], errors: [], skipped: [] };
+  let block = [];
+
+  const flush = () => {
+    if (block.length === 0) return;
+    const [header] = block;
+    try {
+      if (header.text === "MVT") {
+        result.messages.push(parseMvt(block, now));
+      } else if (header.text === "ASM") {
+        const { messages, skipped } = parseAsm(block);
+        if (skipped) result.skipped.push({ line: header.line, message: skipped });
+        else result.messages.push(...messages);
+      } else {
+        throw new FeedParseError(
+          `expected an MVT or ASM message, got "${header.text}"`,
+          header.line
+        );
+      }
+    } catch (error) {
+      if (
+        !(error instanceof FeedParseError || error instanceof SsimParseError)
+      ) {
+        throw error;
+      }
+      result.errors.push({ line: error.line, message: error.message });
+    }
+    block = [];
+  };
+
+  lines.forEach((raw, index) => {
+    const text = raw.trim().toUpperCase();
+    // A header line starts a new message even without a blank line before
+    if (!text || text === "MVT" || text === "ASM") flush();
+    if (text) block.push({ text, line: index + 1 });
+  });
+  flush();
+  return result;
+}
+
+function parseJsonMessage(text, line) {
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (error) {
+    throw new FeedParseError(`invalid JSON: ${error.message}`, line);
+  }
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    throw new FeedParseError("expected a JSON object", line);
+  }
+  if (typeof record.flight_number !== "string" || !record.flight_number) {
+    throw new FeedParseError("flight_number is required", line);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(record.departure_date || "")) {
+    throw new FeedParseError("departure_date must be YYYY-MM-DD", line);
+  }
+
+  const update = {};
+  for (const [field, name] of Object.entries(JSON_FIELDS)) {
+    if (record[field] !== undefined && record[field] !== null) {
+      update[name] = record[field];
+    }
+  }
+  if (Object.keys(update).length === 0) {
+    throw new FeedParseError(
+      `no update fields (expected any of: ${Object.keys(JSON_FIELDS).join(", ")})`,
+      line
+    );
+  }
+  if (update.status !== undefined) {
+    update.status = normalizeFlightStatus(update.status);
+    if (!update.status) {
+      throw new FeedParseError(`unknown status "${record.status}"`, line);
+    }
+  }
+  if (
+    update.delayMinutes !== undefined &&
+    !(Number.isFinite(update.delayMinutes) && update.delayMinutes >= 0)
+  ) {
+    throw new FeedParseError("delay_minutes must be a non-negative number", line);
+  }
+  for (const field of JSON_TIME_FIELDS) {
+    if (record[field] == null) continue;
+    try {
+      parseFlightTime(record[field]);
+    } catch {
+      throw new FeedParseError(`invalid ${field} "${record[field]}"`, line);
+    }
+  }
+  if (update.delayCode !== undefined && update.delayReason === undefined) {
+    update.delayReason = describeDelayCode(update.delayCode);
+  }
+
+  return {
+    type: "JSON",
+    line,
+    key: {
+      FlightNumber: record.flight_number.trim().toUpperCase(),
+      ScheduledDepartureDate: record.departure_date,
+    },
+    update,
+  };
+}
+
+function parseNdjson(lines) {
+  const result = { messages: [], errors: [], skipped: [] };
+  lines.forEach((raw, index) => {
+    if (!raw.trim()) return;
+    try {
+      result.messages.push(parseJsonMessage(raw, index + 1));
+    } catch (error) {
+      if (!(error instanceof FeedParseError)) throw error;
+      result.errors.push({ line: error.line, message: error.message });
+    }
+  });
+  return result;
+}
+
+/**
+ * Parse a feed file. Files whose first non-blank line starts with "{" are
+ * NDJSON, anything else is read as MVT/ASM text. Returns { messages,
+ * errors: [{ line, message }], skipped: [{ line, message }] }, where
+ * skipped lists messages read but deliberately not applied.
+ *
+ * now anchors the day-of-month dates of MVT messages.
+ */
+export function parseFeed(text, { now = new Date() } = {}) {
+  const lines = text.split(/\r?\n/);
+  const first = lines.find((line) => line.trim());
+  return first?.trim().startsWith("{")
+    ? parseNdjson(lines)
+    : parseTextMessages(lines, now);
+}
+
+/** Move an MVT clock time a day on until it is not before `notBefore`. */
+function rollForward(time, notBefore) {
+  let value = parseFlightTime(time).getTime();
+  while (value < notBefore.getTime()) value += DAY;
+  return new Date(value).toISOString();
+}
+
+/**
+ * Resolve what a message only states relative to the flight: clock times
+ * past midnight, whether the estimated arrival station makes it a
+ * diversion, and whether a new delay or estimate without a status makes a
+ * flight that has not boarded yet delayed or back on schedule.
+ */
+function settle(flight, { type, update, arrivalStation }) {
+  const settled = { ...update };
+  const scheduled = parseFlightTime(flight.ScheduledDepartureTime);
+
+  if (
+    !settled.status &&
+    [FLIGHT_STATUS.SCHEDULED, FLIGHT_STATUS.DELAYED].includes(flight.Status) &&
+    (settled.delayMinutes !== undefined || settled.estimatedDepartureTime)
+  ) {
+    const late =
+      settled.delayMinutes !== undefined
+        ? settled.delayMinutes > 0
+        : parseFlightTime(settled.estimatedDepartureTime) > scheduled;
+    settled.status = late ? FLIGHT_STATUS.DELAYED : FLIGHT_STATUS.SCHEDULED;
+  }
+  if (type !== "MVT") return settled;
+
+  if (settled.actualDepartureTime) {
+    settled.actualDepartureTime = rollForward(
+      settled.actualDepartureTime,
+      new Date(scheduled.getTime() - DAY / 2)
+    );
+  }
+  const departure = parseFlightTime(
+    settled.actualDepartureTime ||
+      flight.ActualDepartureTime ||
+      flight.EstimatedDepartureTime ||
+      flight.ScheduledDepartureTime
+  );
+  for (const attr of ["estimatedArrivalTime", "actualArrivalTime"]) {
+    if (settled[attr]) settled[attr] = rollForward(settled[attr], departure);
+  }
+
+  if (
+    arrivalStation &&
+    arrivalStation !== flight.Destination &&
+    (settled.status ?? flight.Status) === FLIGHT_STATUS.DEPARTED
+  ) {
+    settled.status = FLIGHT_STATUS.DIVERTED;
+    settled.divertedTo = arrivalStation;
+  }
+  return settled;
+}
+
+/**
+ * The status updates that take the flight to the message's status. Feeds
+ * can skip the departure (an arrival or diversion for a flight we never
+ * saw leave), so that step is filled in; anything else is left to
+ * updateFlightStatus to reject.
+ */
+function updateSteps(flight, update) {
+  const { status } = update;
+  if (
+    [FLIGHT_STATUS.LANDED, FLIGHT_STATUS.DIVERTED].includes(status) &&
+    !canTransition(flight.Status, status) &&
+    canTransition(flight.Status, FLIGHT_STATUS.DEPARTED)
+  ) {
+    const departure = { ...update, status: FLIGHT_STATUS.DEPARTED };
+    delete departure.divertedTo;
+    delete departure.actualArrivalTime;
+    return [departure, update];
+  }
+  return [update];
+}
+
+function describeKey(key) {
+  return `${key.FlightNumber} ${key.ScheduledDepartureDate}`;
+}
+
+/**
+ * Apply parsed messages in order. Returns { applied: [{ line, flight,
+ * status, changes }], unchanged, rejected: [{ line, flight, reason }] }; a
+ * message for an unknown flight or an impossible transition (e.g. a
+ * departure for a flight that already landed) is rejected, not thrown.
+ * With dryRun nothing is written and applied lists what would be.
+ */
+export async function applyFeedMessages(
+  store,
+  messages,
+  { dryRun = false, source = "ops-feed", updatedBy, now = new Date() } = {}
+) {
+  const result = { applied: [], unchanged: 0, rejected: [] };
+  // History keys sort by time: a millisecond per write keeps feed order
+  let clock = now.getTime();
+
+  for (const message of messages) {
+    const flight = describeKey(message.key);
+    try {
+      const current = await store.get(FLIGHTS_TABLE, message.key);
+      if (!current) throw new Error(`Flight ${flight} not found`);
+      const update = settle(current, message);
+      const steps = updateSteps(current, update);
+      const status = update.status ?? current.Status;
+
+      if (dryRun) {
+        assertTransition(current.Status, steps[0].status ?? current.Status);
+        result.applied.push({ line: message.line, flight, status, update });
+        continue;
+      }
+
+      const changes = [];
+      for (const step of steps) {
+        const { change } = await updateFlightStatus(
+          store,
+          message.key,
+          step,
+          { source, updatedBy, now: new Date(clock++) }
+        );
+        if (change) changes.push(change);
+      }
+      if (changes.length === 0) {
+        result.unchanged += 1;
+      } else {
+        result.applied.push({
+          line: message.line,
+          flight,
+          status,
+          changes: [
+            ...new Set(changes.flatMap((change) => change.ChangedAttributes)),
+          ],
+        });
+      }
+    } catch (error) {
+      result.rejected.push({
+        line: message.line,
+        flight,
+        reason: error.message,
+      });
+    }
+  }
+
+  return result;
+}
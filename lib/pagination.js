@@ -0,0 +1,76 @@
+/**
+ * Pagination helpers on top of the store's query/scan pages.
+ *
+ * A "page source" is a function ({ limit, cursor }) => store page
+ * ({ items, cursor }), typically a closure over store.query(...).
+ * Cursors handed back to tool callers are opaque base64url strings.
+ */
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decode(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+}
+
+/** Follow a page source to the end and return every item. */
+export async function collectAll(source) {
+  const items = [];
+  let cursor = null;
+  do {
+    const page = await source({ cursor });
+    items.push(...page.items);
+    cursor = page.cursor;
+  } while (cursor);
+  return items;
+}
+
+/**
+ * Read up to maxItems items from one or more page sources in order,
+ * resuming from a cursor returned by a previous call. Each request asks
+ * for no more than the remaining budget, so the returned cursor points
+ * exactly after the last item handed out. Returns { items, cursor } with
+ * cursor null once every source is exhausted.
+ */
+export async function collectPages(sources, { maxItems, cursor } = {}) {
+  const list = Array.isArray(sources) ? sources : [sources];
+  let { source: index, inner } = cursor
+    ? decode(cursor)
+    : { source: 0, inner: null };
+  const items = [];
+
+  while (index < list.length) {
+    const remaining = maxItems ? maxItems - items.length : undefined;
+    if (remaining === 0) break;
+
+    const page = await list[index]({ limit: remaining, cursor: inner });
+    items.push(...page.items);
+    inner = page.cursor;
+    if (!inner) {
+      index += 1;
+    }
+  }
+
+  return {
+    items,
+    cursor: index < list.length ? encode({ source: index, inner }) : null,
+  };
+}
+
+/**
+ * Slice an in-memory, already sorted list. Used when results must be
+ * fully collected before ordering (e.g. sorting by departure time).
+ */
+export function pageList(list, { maxItems, cursor } = {}) {
+  const offset = cursor ? decode(cursor).offset : 0;
+  const end = maxItems ? offset + maxItems : list.length;
+  return {
+    items: list.slice(offset, end),
+    cursor: end < list.length ? encode({ offset: end }) : null,
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * Passenger preferences: one PassengerPreferences item per passenger and
+ * PreferenceType, with the preference itself under Value.
+ *
+ *   language               message language, see lib/message-templates.js
+ *   notification_channel   email, sms, push or call
+ *   seat                   window or aisle
+ *   meal                   IATA special meal code, e.g. VGML
+ *   quiet_hours            { start: "22:00", end: "07:00", timezone }
+ *
+ * Every write to the table is checked with normalizePreference (see
+ * lib/storage/validation.js), so what the messaging and ranking code reads
+ * is always one of these shapes.
+ */
+
+import { collectAll } from "./pagination.js";
+import { MESSAGE_CHANNELS, MESSAGE_LANGUAGES } from "./proactive-messages.js";
+
+const PASSENGER_PREFERENCES_TABLE = "PassengerPreferences";
+
+export const SEAT_PREFERENCES = Object.freeze(["window", "aisle"]);
+
+// IATA special meal codes we cater
+export const MEAL_CODES = Object.freeze({
+  VGML: "vegan",
+  VLML: "vegetarian (lacto-ovo)",
+  AVML: "Asian vegetarian",
+  HNML: "Hindu",
+  MOML: "Muslim",
+  KSML: "kosher",
+  GFML: "gluten-free",
+  DBML: "diabetic",
+  LFML: "low fat",
+  NLML: "lactose-free",
+  CHML: "child",
+});
+
+export const PREFERENCE_TYPES = Object.freeze([
+  "language",
+  "notification_channel",
+  "seat",
+  "meal",
+  "quiet_hours",
+]);
+
+function oneOf(type, value, allowed) {
+  const normalized = String(value).trim();
+  if (!allowed.includes(normalized)) {
+    throw new Error(
+      `Invalid ${type} preference "${value}" (expected one of: ${allowed.join(", ")})`
+    );
+  }
+  return normalized;
+}
+
+function clock(value, label) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? "").trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`quiet_hours.${label} must be a time like "22:00"`);
+  }
+  return `${match[1].padStart(2, "0")}:${match[2]}`;
+}
+
+function quietHours(value) {
+  if (!value || typeof value !== "object") {
+    throw new Error(
+      'quiet_hours must be an object like { "start": "22:00", "end": "07:00", "timezone": "Europe/Berlin" }'
+    );
+  }
+  const timezone = value.timezone || "UTC";
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: timezone });
+  } catch {
+    throw new Error(`Unknown quiet_hours.timezone "${timezone}"`);
+  }
+  const start = clock(value.start, "start");
+  const end = clock(value.end, "end");
+  if (start === end) {
+    throw new Error("quiet_hours.start and quiet_hours.end must differ");
+  }
+  return { start, end, timezone };
+}
+
+function assertPreferenceType(type) {
+  if (!PREFERENCE_TYPES.includes(type)) {
+    throw new Error(
+      `Unknown preference type "${type}" (expected one of: ${PREFERENCE_TYPES.join(", ")})`
+    );
+  }
+}
+
+/** The stored form of a preference value; throws if it is not valid. */
+export function normalizePreference(type, value) {
+  assertPreferenceType(type);
+  if (value === undefined || value === null || value === "") {
+    throw new Error(`A value is required for the ${type} preference`);
+  }
+  switch (type) {
+    case "language":
+      return oneOf(type, String(value).toLowerCase(), MESSAGE_LANGUAGES);
+    case "notification_channel":
+      return oneOf(type, String(value).toLowerCase(), MESSAGE_CHANNELS);
+    case "seat":
+      return oneOf(type, String(value).toLowerCase(), SEAT_PREFERENCES);
+    case "meal":
+      return oneOf(type, String(value).toUpperCase(), Object.keys(MEAL_CODES));
+    default:
+      return quietHours(value);
+  }
+}
+
+function minutesOfDay(clockTime) {
+  const [hours, minutes] = clockTime.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/** Minutes since local midnight in the quiet hours' timezone. */
+function localMinutes(quietHours, now) {
+  const parts = new Intl.DateTimeFormat("en", {
+    timeZone: quietHours.timezone || "UTC",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return part("hour") * 60 + part("minute");
+}
+
+/**
+ * Whether now falls in a quiet_hours preference. The window may run past
+ * midnight (22:00-07:00); start is inclusive, end exclusive.
+ */
+export function isQuietTime(quietHours, now = new Date()) {
+  if (!quietHours) return false;
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  const current = localMinutes(quietHours, now);
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/** When the quiet hours that now falls in end. */
+export function quietHoursEnd(quietHours, now = new Date()) {
+  const minutes =
+    (minutesOfDay(quietHours.end) - localMinutes(quietHours, now) + 1440) %
+    1440;
+  const end = new Date(now.getTime() + minutes * 60 * 1000);
+  end.setUTCSeconds(0, 0);
+  return end;
+}
+
+/** All preference items of a passenger. */
+export async function listPreferences(store, passengerId) {
+  return collectAll(({ cursor }) =>
+    store.query(PASSENGER_PREFERENCES_TABLE, {
+      hash: String(passengerId),
+      cursor,
+    })
+  );
+}
+
+/** A passenger's preferences as { type: value }. */
+export async function getPreferences(store, passengerId) {
+  return Object.fromEntries(
+    (await listPreferences(store, passengerId)).map((item) => [
+      item.PreferenceType,
+      item.Value,
+    ])
+  );
+}
+
+/** Create or replace one preference. Returns the stored item. */
+export async function setPreference(
+  store,
+  passengerId,
+  type,
+  value,
+  { now = new Date() } = {}
+) {
+  const item = {
+    PassengerId: String(passengerId),
+    PreferenceType: type,
+    Value: normalizePreference(type, value),
+    UpdatedAt: now.toISOString(),
+  };
+  await store.put(PASSENGER_PREFERENCES_TABLE, item);
+  return item;
+}
+
+/** Remove one preference. Returns the removed item, or null if unset. */
+export async function deletePreference(store, passengerId, type) {
+  assertPreferenceType(type);
+  return store.delete(PASSENGER_PREFERENCES_TABLE, {
+    PassengerId: String(passengerId),
+    PreferenceType: type,
+  });
+}
@@ -0,0 +1,304 @@
+/**
+ * Proactive delay messages: pick the template for the passenger's tier and
+ * the requested tone, channel and language (lib/message-templates.js),
+ * work out the variables from the delay and the flight, and render them.
+ *
+ * Variables:
+ *
+ *   first_name, last_name            from the Passengers item
+ *   flight_number, origin, destination, origin_city, destination_city
+ *   reason                           delay_info.reason or Flights.DelayReason,
+ *                                    or null if neither gives one
+ *   delay                            the delay as a duration, e.g. "2 h 15 min"
+ *   scheduled_departure, new_departure, new_departure_time
+ *                                    local time at the origin
+ *   alternatives                     [{ index, flights, route, departure,
+ *                                    arrival, stops }]
+ *   has_alternatives, alternative_count, first_alternative
+ *   noted_preferences                the passenger's seat and meal
+ *                                    preferences, e.g. "window seat, vegan
+ *                                    meal", or null
+ *
+ * Anything the delay, the flight and the passenger cannot supply is left
+ * undefined, so the template reports it instead of sending a gap.
+ */
+
+import { getPassengerBookings } from "./affected-passengers.js";
+import { AIRPORTS } from "./airports.js";
+import { MESSAGE_TEMPLATES } from "./message-templates.js";
+import { renderTemplate, TemplateError } from "./templates.js";
+import { flightTime, parseFlightTime } from "./times.js";
+
+const FLIGHTS_TABLE = "Flights";
+
+const MINUTE = 60 * 1000;
+
+export const MESSAGE_TONES = Object.freeze([
+  "apologetic",
+  "solution_focused",
+  "premium_service",
+]);
+export const MESSAGE_CHANNELS = Object.freeze(["email", "sms", "push", "call"]);
+export const MESSAGE_LANGUAGES = Object.freeze(Object.keys(MESSAGE_TEMPLATES));
+
+export const DEFAULT_MESSAGE_TONE = "solution_focused";
+
+const DATE_TIME = {
+  weekday: "short",
+  day: "numeric",
+  month: "short",
+  hour: "2-digit",
+  minute: "2-digit",
+};
+const TIME = { hour: "2-digit", minute: "2-digit" };
+
+function assertOneOf(value, allowed, label) {
+  if (!allowed.includes(value)) {
+    throw new Error(
+      `Unknown ${label} "${value}" (expected one of: ${allowed.join(", ")})`
+    );
+  }
+}
+
+/** Variant suffixes, most specific first. */
+function specificity({ tier, tone }) {
+  return [`${tier}.${tone}`, tier, tone];
+}
+
+/** Local time at the airport, or UTC for airports we have no zone for. */
+function formatTime(value, airport, locale, options) {
+  const { timezone } = flightTime(value, airport);
+  const text = new Intl.DateTimeFormat(locale, {
+    ...options,
+    timeZone: timezone || "UTC",
+  }).format(parseFlightTime(value));
+  return timezone ? text : `${text} UTC`;
+}
+
+// find_alternative_flights returns { utc, local, timezone } objects
+function timeValue(value) {
+  return value && typeof value === "object" ? value.utc : value;
+}
+
+/**
+ * One alternative for the templates. Accepts itineraries as returned by
+ * find_alternative_flights, rebooking options as returned by
+ * list_rebooking_options, or a flat { flight_number, origin, destination,
+ * departure_time, arrival_time }.
+ */
+function alternativeVariables(alternative, index, templates) {
+  const legs = alternative.legs || [];
+  const flights =
+    alternative.flightNumbers ||
+    alternative.flight_numbers ||
+    (legs.length > 0
+      ? legs.map((leg) => leg.flightNumber || leg.flight_number)
+      : [alternative.flightNumber || alternative.flight_number].filter(
+          Boolean
+        ));
+  const origin = alternative.origin || legs[0]?.origin;
+  const destination =
+    alternative.destination || legs[legs.length - 1]?.destination;
+  const departure = timeValue(
+    alternative.scheduledDeparture ??
+      alternative.departure ??
+      alternative.departure_time
+  );
+  const arrival = timeValue(
+    alternative.scheduledArrival ??
+      alternative.arrival ??
+      alternative.arrival_time
+  );
+  if (
+    flights.length === 0 ||
+    !origin ||
+    !destination ||
+    !departure ||
+    !arrival
+  ) {
+    throw new TemplateError(
+      `Alternative ${index} needs flight numbers, origin, destination, departure and arrival times`
+    );
+  }
+  const via = alternative.via || legs.slice(1).map((leg) => leg.origin);
+
+  return {
+    index,
+    flights: flights.join(" + "),
+    route: alternative.route || [origin, ...via, destination].join("-"),
+    departure: formatTime(departure, origin, templates.locale, DATE_TIME),
+    arrival: formatTime(arrival, destination, templates.locale, DATE_TIME),
+    stops: templates.stops(alternative.stops ?? via.length),
+  };
+}
+
+/**
+ * The dated flight the delay is about: delay_info.departure_date, else the
+ * passenger's booking on that flight number, the next one still to come.
+ */
+async function findDelayedFlight(store, passengerId, delayInfo, now) {
+  if (!delayInfo.flight_number) return null;
+  const flightNumber = String(delayInfo.flight_number);
+  let departureDate = delayInfo.departure_date;
+  if (!departureDate) {
+    const today = now.toISOString().slice(0, 10);
+    const dates = (await getPassengerBookings(store, passengerId))
+      .filter((booking) => booking.FlightNumber === flightNumber)
+      .map((booking) => booking.ScheduledDepartureDate)
+      .sort();
+    departureDate = dates.find((date) => date >= today) || dates.pop();
+  }
+  if (!departureDate) return null;
+  return store.get(FLIGHTS_TABLE, {
+    FlightNumber: flightNumber,
+    ScheduledDepartureDate: departureDate,
+  });
+}
+
+/** Seat and meal preferences in the message language, or null. */
+function notedPreferences(preferences, templates) {
+  const noted = [
+    templates.seats[preferences.seat],
+    templates.meals[preferences.meal],
+  ].filter(Boolean);
+  return noted.length > 0 ? noted.join(", ") : null;
+}
+
+/** Template variables for a delay; see the module comment. */
+async function messageVariables(
+  store,
+  passenger,
+  { delayInfo, alternatives, preferences, templates, now }
+) {
+  const flight = await findDelayedFlight(
+    store,
+    passenger.PassengerId,
+    delayInfo,
+    now
+  );
+  const origin = delayInfo.origin ?? flight?.Origin;
+  const destination = delayInfo.destination ?? flight?.Destination;
+  const delayMinutes = delayInfo.delay_minutes ?? flight?.DelayMinutes;
+  const scheduled =
+    delayInfo.scheduled_departure ?? flight?.ScheduledDepartureTime;
+  const newDeparture =
+    scheduled != null && delayMinutes != null
+      ? new Date(
+          parseFlightTime(scheduled).getTime() + Number(delayMinutes) * MINUTE
+        ).toISOString()
+      : undefined;
+  const rendered = alternatives.map((alternative, i) =>
+    alternativeVariables(alternative, i + 1, templates)
+  );
+
+  return {
+    newDeparture,
+    origin,
+    variables: {
+      first_name: passenger.FirstName,
+      last_name: passenger.LastName,
+      flight_number: delayInfo.flight_number,
+      origin,
+      destination,
+      origin_city: origin && (AIRPORTS[origin]?.city || origin),
+      destination_city:
+        destination && (AIRPORTS[destination]?.city || destination),
+      reason: delayInfo.reason ?? flight?.DelayReason ?? null,
+      delay:
+        delayMinutes != null
+          ? templates.duration(Number(delayMinutes))
+          : undefined,
+      scheduled_departure:
+        scheduled && formatTime(scheduled, origin, templates.locale, DATE_TIME),
+      new_departure:
+        newDeparture &&
+        formatTime(newDeparture, origin, templates.locale, DATE_TIME),
+      new_departure_time:
+        newDeparture && formatTime(newDeparture, origin, templates.locale, TIME),
+      alternatives: rendered,
+      has_alternatives: rendered.length > 0,
+      alternative_count: rendered.length,
+      first_alternative: rendered[0] || null,
+      noted_preferences: notedPreferences(preferences, templates),
+    },
+  };
+}
+
+/**
+ * Render a delay message for a passenger. preferences are the passenger's
+ * stored preferences (lib/preferences.js); their language and
+ * notification_channel apply unless language or channel is given. Returns
+ * { language, channel, tone, tier, template, parts: { subject?, title?,
+ * body }, newDeparture, alternativeCount }. Throws a TemplateError naming
+ * every variable that could not be filled.
+ */
+export async function buildProactiveMessage(
+  store,
+  passenger,
+  {
+    delayInfo = {},
+    alternatives = [],
+    preferences = {},
+    tone = DEFAULT_MESSAGE_TONE,
+    channel = preferences.notification_channel ?? "email",
+    language = preferences.language ?? "en",
+    now = new Date(),
+  } = {}
+) {
+  assertOneOf(tone, MESSAGE_TONES, "message tone");
+  assertOneOf(channel, MESSAGE_CHANNELS, "channel");
+  assertOneOf(language, MESSAGE_LANGUAGES, "language");
+
+  const templates = MESSAGE_TEMPLATES[language];
+  const tier = passenger.FrequentFlyerTier || "regular";
+  const variants = specificity({ tier, tone });
+  const channelTemplates = templates.channels[channel];
+  const template = [...variants, "default"].find(
+    (name) => channelTemplates[name]
+  );
+  const partials = (name) =>
+    [...variants.map((variant) => `${name}.${variant}`), name]
+      .map((candidate) => templates.partials[candidate])
+      .find((partial) => partial !== undefined);
+
+  const { variables, newDeparture, origin } = await messageVariables(
+    store,
+    passenger,
+    { delayInfo, alternatives, preferences, templates, now }
+  );
+  // Render every part before failing, so the error names all gaps at once
+  const parts = {};
+  const missing = new Set();
+  for (const [part, source] of Object.entries(channelTemplates[template])) {
+    try {
+      parts[part] = renderTemplate(source, variables, { partials })
+        .replace(/[ \t]+\n/g, "\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+    } catch (error) {
+      if (!(error instanceof TemplateError) || error.missing.length === 0) {
+        throw error;
+      }
+      error.missing.forEach((name) => missing.add(name));
+    }
+  }
+  if (missing.size > 0) {
+    throw new TemplateError(
+      `Missing template variable(s) for ${language}/${channel}/${template}: ${[
+        ...missing,
+      ].join(", ")}`,
+      [...missing]
+    );
+  }
+
+  return {
+    language,
+    channel,
+    tone,
+    tier,
+    template: `${language}/${channel}/${template}`,
+    parts,
+    newDeparture: newDeparture ? flightTime(newDeparture, origin) : null,
+    alternativeCount: alternatives.length,
+  };
+}
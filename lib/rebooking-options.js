@@ -0,0 +1,482 @@
+/**
+ * Rebooking options for passengers on a disrupted flight.
+ *
+ * generateRebookingOptions ranks alternatives for everyone booked on the
+ * flight and stores the best few per passenger in RebookingOptions, each
+ * with an expiry. Customer service lists them per passenger and accepts or
+ * rejects them. Accepting an option supersedes the passenger's other open
+ * options for the same flight in one transaction, so the option we present
+ * is the option that gets booked.
+ */
+
+import { randomUUID } from "crypto";
+import { loadAffectedPassengers } from "./affected-passengers.js";
+import {
+  itinerarySeats,
+  loadBookableFlights,
+  rankAlternatives,
+} from "./alternatives.js";
+import { getConnectionConfig, resolveSearchWindow } from "./connections.js";
+import { releaseHold, SeatHoldError } from "./inventory.js";
+import { collectAll } from "./pagination.js";
+import { getPreferences } from "./preferences.js";
+import { ConditionFailedError } from "./storage/index.js";
+import { flightTime } from "./times.js";
+
+const REBOOKING_OPTIONS_TABLE = "RebookingOptions";
+
+export const OPTION_STATUS = Object.freeze({
+  OFFERED: "offered",
+  ACCEPTED: "accepted",
+  REJECTED: "rejected",
+  SUPERSEDED: "superseded",
+  EXPIRED: "expired",
+});
+
+export const DEFAULT_OPTIONS_PER_PASSENGER = 3;
+export const DEFAULT_OPTION_TTL_MINUTES = 120;
+
+export class RebookingOptionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "RebookingOptionError";
+    this.code = code;
+  }
+}
+
+/**
+ * Status as the passenger sees it: offered options past their expiry are
+ * reported as expired (they are never rewritten just for expiring).
+ */
+export function effectiveOptionStatus(option, now = new Date()) {
+  if (
+    option.Status === OPTION_STATUS.OFFERED &&
+    new Date(option.ExpiresAt) <= now
+  ) {
+    return OPTION_STATUS.EXPIRED;
+  }
+  return option.Status;
+}
+
+function withEffectiveStatus(option, now) {
+  return { ...option, Status: effectiveOptionStatus(option, now) };
+}
+
+function isSameDisruption(option, flight) {
+  return (
+    option.OriginalFlightNumber === flight.FlightNumber &&
+    option.OriginalDepartureDate === flight.ScheduledDepartureDate
+  );
+}
+
+function toLeg(flight) {
+  return {
+    FlightNumber: flight.FlightNumber,
+    ScheduledDepartureDate: flight.ScheduledDepartureDate,
+    Origin: flight.Origin,
+    Destination: flight.Destination,
+    ScheduledDepartureTime: flight.ScheduledDepartureTime,
+    ScheduledArrivalTime: flight.ScheduledArrivalTime,
+    ...(flight.EstimatedDepartureTime && {
+      EstimatedDepartureTime: flight.EstimatedDepartureTime,
+    }),
+    ...(flight.EstimatedArrivalTime && {
+      EstimatedArrivalTime: flight.EstimatedArrivalTime,
+    }),
+  };
+}
+
+async function queryOptions(store, index, hash, filter) {
+  return collectAll(({ cursor }) =>
+    store.query(REBOOKING_OPTIONS_TABLE, {
+      index,
+      hash: String(hash),
+      filter,
+      cursor,
+    })
+  );
+}
+
+function byNewestThenRank(a, b) {
+  return b.CreatedAt.localeCompare(a.CreatedAt) || a.Rank - b.Rank;
+}
+
+/**
+ * A passenger's options, newest first, via PassengerOptionsIndex. Only
+ * options still open for acceptance unless includeInactive is set.
+ */
+export async function listPassengerOptions(
+  store,
+  passengerId,
+  { flightNumber, includeInactive = false, now = new Date() } = {}
+) {
+  const options = await queryOptions(
+    store,
+    "PassengerOptionsIndex",
+    passengerId,
+    flightNumber ? { OriginalFlightNumber: String(flightNumber) } : undefined
+  );
+  return options
+    .map((option) => withEffectiveStatus(option, now))
+    .filter(
+      (option) => includeInactive || option.Status === OPTION_STATUS.OFFERED
+    )
+    .sort(byNewestThenRank);
+}
+
+/** Every option generated for a flight, via FlightOptionsIndex. */
+export async function listFlightOptions(
+  store,
+  flightNumber,
+  { departureDate, now = new Date() } = {}
+) {
+  const options = await queryOptions(
+    store,
+    "FlightOptionsIndex",
+    flightNumber,
+    departureDate ? { OriginalDepartureDate: String(departureDate) } : undefined
+  );
+  return options
+    .map((option) => withEffectiveStatus(option, now))
+    .sort(byNewestThenRank);
+}
+
+function supersede(option, changes) {
+  return {
+    type: "update",
+    table: REBOOKING_OPTIONS_TABLE,
+    key: { OptionId: option.OptionId, PassengerId: option.PassengerId },
+    changes: { set: { Status: OPTION_STATUS.SUPERSEDED, ...changes } },
+    condition: { Status: OPTION_STATUS.OFFERED },
+  };
+}
+
+/**
+ * Give back the seats held for options that will not be booked (bulk
+ * rebooking options carry HoldIds). Holds that already expired and were
+ * reclaimed, or were released before, are skipped.
+ */
+export async function releaseOptionHolds(store, options) {
+  for (const hold of options.flatMap((option) => option.HoldIds || [])) {
+    try {
+      await releaseHold(
+        store,
+        {
+          FlightNumber: hold.FlightNumber,
+          ScheduledDepartureDate: hold.ScheduledDepartureDate,
+        },
+        hold.HoldId
+      );
+    } catch (error) {
+      if (!(error instanceof SeatHoldError)) throw error;
+    }
+  }
+}
+
+/** A RebookingOptions item offering itinerary to a passenger on booking. */
+export function buildOption(
+  flight,
+  booking,
+  itinerary,
+  { tier, rank, createdAt, expiresAt, now = new Date() }
+) {
+  const cabinClass = booking.CabinClass;
+  return {
+    OptionId: `OPT_${Date.now()}_${randomUUID().slice(0, 8)}`,
+    PassengerId: booking.PassengerId,
+    CreatedAt: createdAt,
+    ExpiresAt: expiresAt,
+    OriginalFlightNumber: flight.FlightNumber,
+    OriginalDepartureDate: flight.ScheduledDepartureDate,
+    BookingReference: booking.BookingReference,
+    Origin: flight.Origin,
+    Destination: booking.Destination,
+    CabinClass: cabinClass,
+    PassengerTier: tier,
+    Rank: rank,
+    Status: OPTION_STATUS.OFFERED,
+    FlightNumbers: itinerary.legs.map((leg) => leg.FlightNumber),
+    Legs: itinerary.legs.map(toLeg),
+    Stops: itinerary.stops,
+    Via: itinerary.via,
+    Departure: itinerary.departure.toISOString(),
+    Arrival: itinerary.arrival.toISOString(),
+    DurationMinutes: itinerary.durationMinutes,
+    AvailableSeats: itinerarySeats(itinerary, cabinClass, now),
+  };
+}
+
+/**
+ * Store new options for a passenger, superseding their open options for
+ * the same disrupted flight in one transaction. The superseded options'
+ * seat holds are released afterwards.
+ */
+export async function replaceOpenOptions(
+  store,
+  flight,
+  passengerId,
+  options,
+  { now = new Date() } = {}
+) {
+  const previous = (
+    await listPassengerOptions(store, passengerId, {
+      flightNumber: flight.FlightNumber,
+      now,
+    })
+  ).filter((option) => isSameDisruption(option, flight));
+
+  const operations = [
+    ...previous.map((option) =>
+      supersede(option, { SupersededAt: now.toISOString() })
+    ),
+    ...options.map((option) => ({
+      type: "put",
+      table: REBOOKING_OPTIONS_TABLE,
+      item: option,
+    })),
+  ];
+  if (operations.length > 0) await store.transactWrite(operations);
+  await releaseOptionHolds(store, previous);
+  return previous;
+}
+
+/**
+ * Rank alternatives for every passenger booked on a disrupted flight and
+ * store the top maxOptions per passenger. Options from an earlier run that
+ * are still open are superseded by the new ones.
+ *
+ * Returns { window, options, passengers: [{ PassengerId, options }] }.
+ */
+export async function generateRebookingOptions(
+  store,
+  flight,
+  {
+    maxOptions = DEFAULT_OPTIONS_PER_PASSENGER,
+    ttlMinutes = DEFAULT_OPTION_TTL_MINUTES,
+    preference = "earliest",
+    config = getConnectionConfig(),
+    now = new Date(),
+  } = {}
+) {
+  if (!(Number.isFinite(ttlMinutes) && ttlMinutes > 0)) {
+    throw new RebookingOptionError(
+      "ttl_minutes must be a positive number",
+      "invalid"
+    );
+  }
+  const maxStops = 2;
+  const window = resolveSearchWindow({
+    preference,
+    origin: flight.Origin,
+    departureDate: flight.ScheduledDepartureDate,
+    now,
+  });
+  const [affected, pool] = await Promise.all([
+    loadAffectedPassengers(store, flight),
+    loadBookableFlights(store, {
+      origin: flight.Origin,
+      window,
+      maxStops,
+      config,
+      now,
+    }),
+  ]);
+  const bookable = pool.filter(
+    (candidate) =>
+      candidate.FlightNumber !== flight.FlightNumber ||
+      candidate.ScheduledDepartureDate !== flight.ScheduledDepartureDate
+  );
+
+  const createdAt = now.toISOString();
+  const expiresAt = new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString();
+  const generated = [];
+  const passengers = [];
+
+  for (const { booking, passenger } of affected) {
+    const tier = passenger?.FrequentFlyerTier || "regular";
+    const cabinClass = booking.CabinClass;
+    const itineraries = rankAlternatives(bookable, {
+      origin: flight.Origin,
+      destination: booking.Destination,
+      window,
+      maxStops,
+      config,
+      tier,
+      cabinClass,
+      preferences: await getPreferences(store, booking.PassengerId),
+      now,
+    }).slice(0, maxOptions);
+
+    const options = itineraries.map((itinerary, index) =>
+      buildOption(flight, booking, itinerary, {
+        tier,
+        rank: index + 1,
+        createdAt,
+        expiresAt,
+        now,
+      })
+    );
+    await replaceOpenOptions(store, flight, booking.PassengerId, options, {
+      now,
+    });
+
+    generated.push(...options);
+    passengers.push({
+      PassengerId: booking.PassengerId,
+      BookingReference: booking.BookingReference,
+      FrequentFlyerTier: tier,
+      CabinClass: cabinClass,
+      options: options.length,
+    });
+  }
+
+  return { window, options: generated, passengers };
+}
+
+async function getOption(store, optionId, passengerId) {
+  const option = await store.get(REBOOKING_OPTIONS_TABLE, {
+    OptionId: String(optionId),
+    PassengerId: String(passengerId),
+  });
+  if (!option) {
+    throw new RebookingOptionError(
+      `Rebooking option ${optionId} not found for passenger ${passengerId}`,
+      "not_found"
+    );
+  }
+  return option;
+}
+
+function assertOpen(option, now) {
+  const status = effectiveOptionStatus(option, now);
+  if (status !== OPTION_STATUS.OFFERED) {
+    throw new RebookingOptionError(
+      `Rebooking option ${option.OptionId} is ${status}`,
+      status
+    );
+  }
+}
+
+/**
+ * Accept an open option. The passenger's other open options for the same
+ * flight are superseded in the same transaction, and their seat holds
+ * released.
+ */
+export async function acceptOption(store, optionId, passengerId, now = new Date()) {
+  const option = await getOption(store, optionId, passengerId);
+  assertOpen(option, now);
+
+  const acceptedAt = now.toISOString();
+  const siblings = (
+    await listPassengerOptions(store, passengerId, {
+      flightNumber: option.OriginalFlightNumber,
+      now,
+    })
+  ).filter(
+    (other) =>
+      other.OptionId !== option.OptionId &&
+      other.OriginalDepartureDate === option.OriginalDepartureDate
+  );
+
+  try {
+    await store.transactWrite([
+      {
+        type: "update",
+        table: REBOOKING_OPTIONS_TABLE,
+        key: { OptionId: option.OptionId, PassengerId: option.PassengerId },
+        changes: {
+          set: { Status: OPTION_STATUS.ACCEPTED, AcceptedAt: acceptedAt },
+        },
+        condition: {
+          Status: OPTION_STATUS.OFFERED,
+          ExpiresAt: { gt: acceptedAt },
+        },
+      },
+      ...siblings.map((other) =>
+        supersede(other, {
+          SupersededAt: acceptedAt,
+          SupersededBy: option.OptionId,
+        })
+      ),
+    ]);
+  } catch (error) {
+    if (!(error instanceof ConditionFailedError)) throw error;
+    // Lost a race with another agent: report the option's current state
+    assertOpen(await getOption(store, optionId, passengerId), now);
+    throw new RebookingOptionError(
+      `Options for passenger ${passengerId} changed while accepting ${optionId}, please retry`,
+      "conflict"
+    );
+  }
+  await releaseOptionHolds(store, siblings);
+
+  return {
+    ...option,
+    Status: OPTION_STATUS.ACCEPTED,
+    AcceptedAt: acceptedAt,
+    superseded: siblings.map((other) => other.OptionId),
+  };
+}
+
+/**
+ * Reject an open option, with an optional reason from the passenger. Its
+ * seat holds are released.
+ */
+export async function rejectOption(
+  store,
+  optionId,
+  passengerId,
+  { reason, now = new Date() } = {}
+) {
+  const option = await getOption(store, optionId, passengerId);
+  assertOpen(option, now);
+
+  const set = { Status: OPTION_STATUS.REJECTED, RejectedAt: now.toISOString() };
+  if (reason) set.RejectionReason = String(reason);
+  let rejected;
+  try {
+    rejected = await store.update(
+      REBOOKING_OPTIONS_TABLE,
+      { OptionId: option.OptionId, PassengerId: option.PassengerId },
+      { set },
+      { condition: { Status: OPTION_STATUS.OFFERED } }
+    );
+  } catch (error) {
+    if (!(error instanceof ConditionFailedError)) throw error;
+    assertOpen(await getOption(store, optionId, passengerId), now);
+    throw error;
+  }
+  await releaseOptionHolds(store, [option]);
+  return rejected;
+}
+
+/** Tool-facing view of a stored option. */
+export function formatOption(option) {
+  return {
+    option_id: option.OptionId,
+    passenger_id: option.PassengerId,
+    booking_reference: option.BookingReference,
+    original_flight: option.OriginalFlightNumber,
+    original_departure_date: option.OriginalDepartureDate,
+    rank: option.Rank,
+    status: option.Status,
+    flight_numbers: option.FlightNumbers,
+    route: [option.Origin, ...option.Via, option.Destination].join("-"),
+    cabin_class: option.CabinClass,
+    departure: flightTime(option.Departure, option.Origin),
+    arrival: flightTime(option.Arrival, option.Destination),
+    duration_minutes: option.DurationMinutes,
+    created_at: option.CreatedAt,
+    expires_at: option.ExpiresAt,
+    legs: option.Legs.map((leg) => ({
+      flight_number: leg.FlightNumber,
+      departure_date: leg.ScheduledDepartureDate,
+      origin: leg.Origin,
+      destination: leg.Destination,
+      scheduled_departure: flightTime(leg.ScheduledDepartureTime, leg.Origin),
+      scheduled_arrival: flightTime(leg.ScheduledArrivalTime, leg.Destination),
+      estimated_departure: flightTime(leg.EstimatedDepartureTime, leg.Origin),
+      estimated_arrival: flightTime(leg.EstimatedArrivalTime, leg.Destination),
+    })),
+  };
+}
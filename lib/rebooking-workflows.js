@@ -0,0 +1,1051 @@
+/**
+ * Executable rebooking: one RebookingWorkflows item per move of a
+ * passenger's booking onto a new itinerary, run as a state machine whose
+ * steps are stored with their status.
+ *
+ *   steps:  validate ──> approval ──> hold_seats ──> rebook
+ *
+ *   awaiting_approval ──approve──> ready ──> running ──> completed
+ *          │                         │          │
+ *          └──reject──> rejected     │          └─ failure ──> rolled_back
+ *          └──cancel──> cancelled <──┘
+ *
+ * Creating a workflow locks the original booking (ActiveWorkflowId), so a
+ * booking is never rebooked by two workflows at once. hold_seats holds a
+ * seat on every new leg, taking over the option's holds from a bulk
+ * rebooking plan while they last. rebook is a single transaction: the
+ * original booking is cancelled and its seat put back on sale, one booking
+ * per new leg is created, the holds are confirmed, the option is marked
+ * rebooked and the workflow completed, all or nothing. When a step fails,
+ * the holds are released and the lock dropped in the same write that marks
+ * the workflow rolled_back, so the passenger stays on the original booking.
+ *
+ * Fares are not stored, so a change cannot be priced. Approval by a second
+ * agent is required instead when it may cost money or is out of the
+ * ordinary: an itinerary that was not offered as a rebooking option, a
+ * different cabin or origin, an arrival much later than the original one,
+ * or when the creating agent asks for it.
+ *
+ * Configuration (environment variables):
+ *   REBOOKING_APPROVAL_DELAY_HOURS   later arrival that needs approval
+ *                                    (default 24)
+ */
+
+import { randomUUID } from "crypto";
+import { isActiveBooking } from "./affected-passengers.js";
+import {
+  arrivalTime,
+  departureTime,
+  minConnectionTime,
+} from "./connections.js";
+import {
+  CABIN_CLASSES,
+  confirmHoldOperation,
+  holdState,
+  placeHold,
+  releaseHold,
+  returnSeatsOperation,
+  SeatHoldError,
+} from "./inventory.js";
+import { collectAll } from "./pagination.js";
+import { getPreferences } from "./preferences.js";
+import { effectiveOptionStatus, OPTION_STATUS } from "./rebooking-options.js";
+import { ConditionFailedError } from "./storage/index.js";
+import { parseFlightTime } from "./times.js";
+
+const REBOOKING_WORKFLOWS_TABLE = "RebookingWorkflows";
+const REBOOKING_OPTIONS_TABLE = "RebookingOptions";
+const BOOKINGS_TABLE = "Bookings";
+const FLIGHTS_TABLE = "Flights";
+
+export const WORKFLOW_STATUS = Object.freeze({
+  AWAITING_APPROVAL: "awaiting_approval",
+  READY: "ready",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  ROLLED_BACK: "rolled_back",
+  REJECTED: "rejected",
+  CANCELLED: "cancelled",
+});
+
+export const WORKFLOW_STEPS = Object.freeze([
+  "validate",
+  "approval",
+  "hold_seats",
+  "rebook",
+]);
+
+export const STEP_STATUS = Object.freeze({
+  PENDING: "pending",
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+  SKIPPED: "skipped",
+  FAILED: "failed",
+  ROLLED_BACK: "rolled_back",
+});
+
+// A running workflow not written to for this long has lost its worker and
+// may be cancelled
+const STALE_RUNNING_MINUTES = 5;
+
+const MINUTE = 60 * 1000;
+const MAX_WRITE_ATTEMPTS = 3;
+
+export class RebookingWorkflowError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "RebookingWorkflowError";
+    this.code = code;
+  }
+}
+
+export function getApprovalPolicy(env = process.env) {
+  return {
+    arrivalDelayHours: Number(env.REBOOKING_APPROVAL_DELAY_HOURS) || 24,
+  };
+}
+
+function flightKey(flight) {
+  return {
+    FlightNumber: flight.FlightNumber,
+    ScheduledDepartureDate: flight.ScheduledDepartureDate,
+  };
+}
+
+function keyOf(workflow) {
+  return { WorkflowId: workflow.WorkflowId, CreatedAt: workflow.CreatedAt };
+}
+
+function bookingKey(workflow) {
+  return {
+    BookingReference: workflow.BookingReference,
+    PassengerId: workflow.PassengerId,
+  };
+}
+
+function newBookingReference() {
+  return randomUUID().replace(/-/g, "").slice(0, 6).toUpperCase();
+}
+
+async function loadFlight(store, leg) {
+  const flight = await store.get(FLIGHTS_TABLE, flightKey(leg));
+  if (!flight) {
+    throw new RebookingWorkflowError(
+      `Flight ${leg.FlightNumber} on ${leg.ScheduledDepartureDate} not found`,
+      "not_found"
+    );
+  }
+  return flight;
+}
+
+/** The passenger's accepted option, with its legs and any held seats. */
+async function loadAcceptedOption(store, optionId, passengerId, now) {
+  const option = await store.get(REBOOKING_OPTIONS_TABLE, {
+    OptionId: String(optionId),
+    PassengerId: String(passengerId),
+  });
+  if (!option) {
+    throw new RebookingWorkflowError(
+      `Rebooking option ${optionId} not found for passenger ${passengerId}`,
+      "not_found"
+    );
+  }
+  const status = effectiveOptionStatus(option, now);
+  if (status !== OPTION_STATUS.ACCEPTED) {
+    throw new RebookingWorkflowError(
+      status === OPTION_STATUS.OFFERED
+        ? `Rebooking option ${optionId} has not been accepted yet; accept it first`
+        : `Rebooking option ${optionId} is ${status}`,
+      "invalid"
+    );
+  }
+  if (option.RebookingWorkflowId) {
+    throw new RebookingWorkflowError(
+      `Rebooking option ${optionId} was already rebooked by ${option.RebookingWorkflowId}`,
+      "invalid"
+    );
+  }
+  return option;
+}
+
+/** The booking to replace: the given reference, or the only active one. */
+async function loadOriginalBooking(store, passengerId, bookingReference) {
+  if (!bookingReference) {
+    const active = (
+      await collectAll(({ cursor }) =>
+        store.query(BOOKINGS_TABLE, {
+          index: "PassengerBookingsIndex",
+          hash: String(passengerId),
+          cursor,
+        })
+      )
+    ).filter(isActiveBooking);
+    if (active.length !== 1) {
+      throw new RebookingWorkflowError(
+        `Passenger ${passengerId} has ${active.length} active bookings; give the booking_reference to rebook`,
+        "invalid"
+      );
+    }
+    return active[0];
+  }
+
+  const booking = await store.get(BOOKINGS_TABLE, {
+    BookingReference: String(bookingReference),
+    PassengerId: String(passengerId),
+  });
+  if (!booking) {
+    throw new RebookingWorkflowError(
+      `Booking ${bookingReference} not found for passenger ${passengerId}`,
+      "not_found"
+    );
+  }
+  if (!isActiveBooking(booking)) {
+    throw new RebookingWorkflowError(
+      `Booking ${bookingReference} is ${booking.BookingStatus}`,
+      "invalid"
+    );
+  }
+  return booking;
+}
+
+/** Throws unless the flights connect and end at the booking's destination. */
+function assertItinerary(flights, booking) {
+  if (flights.length === 0) {
+    throw new RebookingWorkflowError(
+      "The new itinerary needs at least one flight",
+      "invalid"
+    );
+  }
+  for (const flight of flights) {
+    if (
+      flight.FlightNumber === booking.FlightNumber &&
+      flight.ScheduledDepartureDate === booking.ScheduledDepartureDate
+    ) {
+      throw new RebookingWorkflowError(
+        `${flight.FlightNumber} on ${flight.ScheduledDepartureDate} is the flight being replaced`,
+        "invalid"
+      );
+    }
+  }
+  for (let i = 1; i < flights.length; i++) {
+    const inbound = flights[i - 1];
+    const onward = flights[i];
+    if (inbound.Destination !== onward.Origin) {
+      throw new RebookingWorkflowError(
+        `${inbound.FlightNumber} arrives at ${inbound.Destination} but ${onward.FlightNumber} leaves from ${onward.Origin}`,
+        "invalid"
+      );
+    }
+    const connection =
+      (departureTime(onward) - arrivalTime(inbound)) / MINUTE;
+    const minimum = minConnectionTime(inbound.Destination);
+    if (connection < minimum) {
+      throw new RebookingWorkflowError(
+        `${Math.round(connection)} min to connect from ${inbound.FlightNumber} to ${onward.FlightNumber} at ${inbound.Destination}, minimum is ${minimum}`,
+        "invalid"
+      );
+    }
+  }
+  const last = flights[flights.length - 1];
+  if (last.Destination !== booking.Destination) {
+    throw new RebookingWorkflowError(
+      `The new itinerary ends at ${last.Destination}, the booking goes to ${booking.Destination}`,
+      "invalid"
+    );
+  }
+}
+
+/** Why a change needs a second agent's approval: [{ Reason, Detail }]. */
+function approvalReasons(
+  { option, booking, originalFlight, flights, cabinClass, requested },
+  policy
+) {
+  const reasons = [];
+  if (requested) {
+    reasons.push({ Reason: "requested", Detail: "Approval was requested" });
+  }
+  if (!option) {
+    reasons.push({
+      Reason: "not_offered",
+      Detail: "The itinerary was not offered as a rebooking option",
+    });
+  }
+  if (cabinClass !== booking.CabinClass) {
+    reasons.push({
+      Reason: "cabin_change",
+      Detail: `Cabin changes from ${booking.CabinClass} to ${cabinClass}`,
+    });
+  }
+  if (flights[0].Origin !== booking.Origin) {
+    reasons.push({
+      Reason: "origin_change",
+      Detail: `Departs from ${flights[0].Origin} instead of ${booking.Origin}`,
+    });
+  }
+  if (originalFlight?.ScheduledArrivalTime) {
+    const lateBy =
+      (arrivalTime(flights[flights.length - 1]) -
+        parseFlightTime(originalFlight.ScheduledArrivalTime)) /
+      MINUTE;
+    if (lateBy > policy.arrivalDelayHours * 60) {
+      reasons.push({
+        Reason: "later_arrival",
+        Detail: `Arrives ${Math.round(lateBy / 60)} h after the original schedule (limit ${policy.arrivalDelayHours} h)`,
+      });
+    }
+  }
+  return reasons;
+}
+
+function step(name, status, at, detail) {
+  return {
+    Name: name,
+    Status: status,
+    ...(status !== STEP_STATUS.PENDING && { UpdatedAt: at }),
+    ...(detail && { Detail: detail }),
+  };
+}
+
+function withStep(steps, name, status, at, detail) {
+  return steps.map((existing) =>
+    existing.Name === name ? step(name, status, at, detail) : existing
+  );
+}
+
+/** A workflow by ID, or null. */
+export async function getWorkflow(store, workflowId) {
+  const { items } = await store.query(REBOOKING_WORKFLOWS_TABLE, {
+    hash: String(workflowId),
+    limit: 1,
+  });
+  return items[0] || null;
+}
+
+/** A passenger's workflows, newest first. */
+export async function listWorkflows(store, passengerId) {
+  return collectAll(({ cursor }) =>
+    store.query(REBOOKING_WORKFLOWS_TABLE, {
+      index: "PassengerWorkflowsIndex",
+      hash: String(passengerId),
+      descending: true,
+      cursor,
+    })
+  );
+}
+
+/**
+ * Read a workflow, work out the new attributes with change(workflow,
+ * nowIso) and write them unless someone else has written in between; on a
+ * clash, re-read and try again. A change may return { set, operations }
+ * to write further items in the same transaction. Returns the workflow as
+ * written.
+ */
+async function modifyWorkflow(store, workflowId, now, change) {
+  for (let attempt = 1; ; attempt++) {
+    const workflow = await getWorkflow(store, workflowId);
+    if (!workflow) {
+      throw new RebookingWorkflowError(
+        `Rebooking workflow ${workflowId} not found`,
+        "not_found"
+      );
+    }
+    const at = now.toISOString();
+    const { set, operations = [] } = change(workflow, at);
+    const changes = {
+      set: { ...set, UpdatedAt: at, Version: workflow.Version + 1 },
+    };
+    const condition = { Version: workflow.Version };
+    try {
+      if (operations.length === 0) {
+        return await store.update(
+          REBOOKING_WORKFLOWS_TABLE,
+          keyOf(workflow),
+          changes,
+          { condition }
+        );
+      }
+      await store.transactWrite([
+        {
+          type: "update",
+          table: REBOOKING_WORKFLOWS_TABLE,
+          key: keyOf(workflow),
+          changes,
+          condition,
+        },
+        ...operations,
+      ]);
+      return { ...workflow, ...changes.set };
+    } catch (error) {
+      if (
+        !(error instanceof ConditionFailedError) ||
+        attempt >= MAX_WRITE_ATTEMPTS
+      ) {
+        throw error;
+      }
+    }
+  }
+}
+
+function assertStatus(workflow, ...statuses) {
+  if (!statuses.includes(workflow.Status)) {
+    throw new RebookingWorkflowError(
+      `Rebooking workflow ${workflow.WorkflowId} is ${workflow.Status}`,
+      "invalid_state"
+    );
+  }
+}
+
+// Drops the lock on the original booking, in the workflow's final write
+function unlockBooking(workflow) {
+  return {
+    type: "update",
+    table: BOOKINGS_TABLE,
+    key: bookingKey(workflow),
+    changes: { remove: ["ActiveWorkflowId"] },
+    condition: { ActiveWorkflowId: workflow.WorkflowId },
+  };
+}
+
+/**
+ * Create a workflow moving a passenger onto a new itinerary: an accepted
+ * rebooking option (optionId), or legs [{ FlightNumber,
+ * ScheduledDepartureDate }] on bookingReference. It runs straight away
+ * unless it needs approval. Returns the workflow.
+ */
+export async function createWorkflow(
+  store,
+  {
+    passengerId,
+    optionId,
+    bookingReference,
+    legs,
+    cabinClass,
+    additionalServices = [],
+    agentId,
+    requireApproval = false,
+  },
+  { policy = getApprovalPolicy(), now = new Date() } = {}
+) {
+  if (!optionId && !legs?.length) {
+    throw new RebookingWorkflowError(
+      "An option_id or the legs of the new itinerary are required",
+      "invalid"
+    );
+  }
+  const option = optionId
+    ? await loadAcceptedOption(store, optionId, passengerId, now)
+    : null;
+  const booking = await loadOriginalBooking(
+    store,
+    passengerId,
+    option?.BookingReference ?? bookingReference
+  );
+  const cabin = cabinClass ?? option?.CabinClass ?? booking.CabinClass;
+  if (!CABIN_CLASSES.includes(cabin)) {
+    throw new RebookingWorkflowError(
+      `cabin_class must be one of ${CABIN_CLASSES.join(", ")}`,
+      "invalid"
+    );
+  }
+
+  const [flights, originalFlight] = await Promise.all([
+    Promise.all((option?.Legs ?? legs).map((leg) => loadFlight(store, leg))),
+    store.get(FLIGHTS_TABLE, flightKey(booking)),
+  ]);
+  assertItinerary(flights, booking);
+  const reasons = approvalReasons(
+    {
+      option,
+      booking,
+      originalFlight,
+      flights,
+      cabinClass: cabin,
+      requested: requireApproval,
+    },
+    policy
+  );
+  // Without a creator, nothing stops the same agent from approving it
+  if (reasons.length > 0 && !agentId) {
+    throw new RebookingWorkflowError(
+      `agent_id is required, this rebooking needs approval (${reasons
+        .map((reason) => reason.Reason)
+        .join(", ")})`,
+      "invalid"
+    );
+  }
+
+  const createdAt = now.toISOString();
+  const route = [flights[0].Origin, ...flights.map((f) => f.Destination)];
+  const workflow = {
+    WorkflowId: `WF_${Date.now()}_${randomUUID().slice(0, 8)}`,
+    CreatedAt: createdAt,
+    PassengerId: String(passengerId),
+    CreatedBy: agentId ? String(agentId) : null,
+    BookingReference: booking.BookingReference,
+    OriginalFlight: {
+      FlightNumber: booking.FlightNumber,
+      ScheduledDepartureDate: booking.ScheduledDepartureDate,
+      Origin: booking.Origin,
+      Destination: booking.Destination,
+      CabinClass: booking.CabinClass,
+    },
+    ...(option && { OptionId: option.OptionId }),
+    Legs: flights.map((flight) => ({
+      FlightNumber: flight.FlightNumber,
+      ScheduledDepartureDate: flight.ScheduledDepartureDate,
+      Origin: flight.Origin,
+      Destination: flight.Destination,
+      ScheduledDepartureTime: flight.ScheduledDepartureTime,
+      ScheduledArrivalTime: flight.ScheduledArrivalTime,
+    })),
+    CabinClass: cabin,
+    AdditionalServices: additionalServices.map(String),
+    ApprovalReasons: reasons,
+    Approval: null,
+    Status:
+      reasons.length > 0
+        ? WORKFLOW_STATUS.AWAITING_APPROVAL
+        : WORKFLOW_STATUS.READY,
+    Steps: [
+      step(
+        "validate",
+        STEP_STATUS.COMPLETED,
+        createdAt,
+        `${booking.FlightNumber} ${booking.ScheduledDepartureDate} -> ${flights
+          .map((f) => f.FlightNumber)
+          .join("+")} (${route.join("-")}) in ${cabin}`
+      ),
+      reasons.length > 0
+        ? step("approval", STEP_STATUS.PENDING, createdAt)
+        : step("approval", STEP_STATUS.SKIPPED, createdAt, "Not required"),
+      step("hold_seats", STEP_STATUS.PENDING, createdAt),
+      step("rebook", STEP_STATUS.PENDING, createdAt),
+    ],
+    Holds: [],
+    NewBookings: [],
+    UpdatedAt: createdAt,
+    Version: 1,
+  };
+
+  try {
+    await store.transactWrite([
+      { type: "put", table: REBOOKING_WORKFLOWS_TABLE, item: workflow },
+      {
+        type: "update",
+        table: BOOKINGS_TABLE,
+        key: bookingKey(workflow),
+        changes: { set: { ActiveWorkflowId: workflow.WorkflowId } },
+        condition: {
+          ActiveWorkflowId: { exists: false },
+          BookingStatus: { ne: "cancelled" },
+        },
+      },
+    ]);
+  } catch (error) {
+    if (!(error instanceof ConditionFailedError)) throw error;
+    const current = await store.get(BOOKINGS_TABLE, bookingKey(workflow));
+    throw new RebookingWorkflowError(
+      current?.ActiveWorkflowId
+        ? `Booking ${booking.BookingReference} is already being rebooked by ${current.ActiveWorkflowId}`
+        : `Booking ${booking.BookingReference} changed while the workflow was created, please retry`,
+      "conflict"
+    );
+  }
+
+  if (workflow.Status === WORKFLOW_STATUS.AWAITING_APPROVAL) return workflow;
+  return runWorkflow(store, workflow.WorkflowId, { now });
+}
+
+// The option's hold on a leg, if it is still there to take over
+function reusableHold(option, flight, now) {
+  const held = (option?.HoldIds || []).find(
+    (hold) =>
+      hold.FlightNumber === flight.FlightNumber &&
+      hold.ScheduledDepartureDate === flight.ScheduledDepartureDate
+  );
+  if (!held) return null;
+  return (
+    holdState(flight, now).active.find(
+      (hold) =>
+        hold.HoldId === held.HoldId && hold.PassengerId === option.PassengerId
+    ) ?? null
+  );
+}
+
+/** Hold a seat on every leg. Returns the holds; releases them on failure. */
+async function holdSeats(store, workflow, now) {
+  const option = workflow.OptionId
+    ? await store.get(REBOOKING_OPTIONS_TABLE, {
+        OptionId: workflow.OptionId,
+        PassengerId: workflow.PassengerId,
+      })
+    : null;
+  const holds = [];
+  try {
+    for (const leg of workflow.Legs) {
+      const flight = await loadFlight(store, leg);
+      const optionHold = reusableHold(option, flight, now);
+      const existing =
+        optionHold?.Cabin === workflow.CabinClass ? optionHold : null;
+      const hold =
+        existing ??
+        (await placeHold(store, flightKey(leg), {
+          passengerId: workflow.PassengerId,
+          cabin: workflow.CabinClass,
+          seats: 1,
+          now,
+        }));
+      // The option held a seat in another cabin; it is not needed now
+      if (optionHold && !existing) {
+        await releaseHolds(store, [{ ...flightKey(leg), ...optionHold }]);
+      }
+      holds.push({
+        ...flightKey(leg),
+        HoldId: hold.HoldId,
+        ExpiresAt: hold.ExpiresAt,
+        Reused: Boolean(existing),
+      });
+    }
+  } catch (error) {
+    await releaseHolds(store, holds);
+    throw error;
+  }
+  return holds;
+}
+
+/** Release holds, best effort. Returns the ones that could not be. */
+async function releaseHolds(store, holds) {
+  const failed = [];
+  for (const hold of holds) {
+    try {
+      await releaseHold(store, flightKey(hold), hold.HoldId);
+    } catch (error) {
+      // Gone already: expired and reclaimed, or never confirmed
+      if (error instanceof SeatHoldError && error.code === "hold_not_found") {
+        continue;
+      }
+      failed.push({ HoldId: hold.HoldId, Error: error.message });
+    }
+  }
+  return failed;
+}
+
+/** The single transaction that moves the passenger. */
+async function rebookOperations(store, workflow, holds, now) {
+  const at = now.toISOString();
+  const original = await store.get(BOOKINGS_TABLE, bookingKey(workflow));
+  if (!original) {
+    throw new RebookingWorkflowError(
+      `Booking ${workflow.BookingReference} no longer exists`,
+      "not_found"
+    );
+  }
+  const [originalFlight, preferences] = await Promise.all([
+    store.get(FLIGHTS_TABLE, flightKey(original)),
+    getPreferences(store, workflow.PassengerId),
+  ]);
+
+  const newBookings = workflow.Legs.map((leg) => ({
+    BookingReference: newBookingReference(),
+    PassengerId: workflow.PassengerId,
+    FlightNumber: leg.FlightNumber,
+    ScheduledDepartureDate: leg.ScheduledDepartureDate,
+    Origin: leg.Origin,
+    Destination: leg.Destination,
+    BookingDate: at,
+    CabinClass: workflow.CabinClass,
+    ...(workflow.CabinClass === original.CabinClass &&
+      original.FareClass && { FareClass: original.FareClass }),
+    // Seats are assigned at check-in, with the passenger's preference
+    SeatNumber: null,
+    ...(preferences.seat && { SeatPreference: preferences.seat }),
+    ...(workflow.AdditionalServices.length > 0 && {
+      AdditionalServices: workflow.AdditionalServices,
+    }),
+    BookingStatus: "confirmed",
+    RebookedFrom: workflow.BookingReference,
+    RebookingWorkflowId: workflow.WorkflowId,
+  }));
+
+  const returnSeat = originalFlight
+    ? returnSeatsOperation(originalFlight, original.CabinClass)
+    : null;
+  const operations = [
+    {
+      type: "update",
+      table: BOOKINGS_TABLE,
+      key: bookingKey(workflow),
+      changes: {
+        set: {
+          BookingStatus: "cancelled",
+          CancelledAt: at,
+          CancellationReason: "rebooked",
+          RebookedTo: newBookings.map((booking) => booking.BookingReference),
+          RebookingWorkflowId: workflow.WorkflowId,
+        },
+        remove: ["ActiveWorkflowId"],
+      },
+      condition: { ActiveWorkflowId: workflow.WorkflowId },
+    },
+    ...(returnSeat ? [returnSeat] : []),
+    ...newBookings.map((booking) => ({
+      type: "put",
+      table: BOOKINGS_TABLE,
+      item: booking,
+      condition: { BookingReference: { exists: false } },
+    })),
+    ...holds.map((hold) =>
+      confirmHoldOperation(flightKey(hold), hold.HoldId, now)
+    ),
+    ...(workflow.OptionId
+      ? [
+          {
+            type: "update",
+            table: REBOOKING_OPTIONS_TABLE,
+            key: {
+              OptionId: workflow.OptionId,
+              PassengerId: workflow.PassengerId,
+            },
+            changes: {
+              set: {
+                RebookedAt: at,
+                RebookingWorkflowId: workflow.WorkflowId,
+              },
+            },
+            condition: {
+              Status: OPTION_STATUS.ACCEPTED,
+              RebookingWorkflowId: { exists: false },
+            },
+          },
+        ]
+      : []),
+  ];
+  return { operations, newBookings };
+}
+
+/**
+ * Undo a failed run: release the holds and record the failure, dropping
+ * the booking lock in the same write.
+ */
+async function rollBack(store, workflowId, holds, failedStep, error, now) {
+  const unreleased = await releaseHolds(store, holds);
+  return modifyWorkflow(store, workflowId, now, (workflow, at) => {
+    // Cancelled as stale meanwhile, which released the lock already
+    assertStatus(workflow, WORKFLOW_STATUS.RUNNING);
+    return {
+      set: {
+        Status: WORKFLOW_STATUS.ROLLED_BACK,
+        Steps: workflow.Steps.map((existing) => {
+          if (existing.Name === failedStep) {
+            return {
+              ...step(existing.Name, STEP_STATUS.FAILED, at),
+              Error: error.message,
+            };
+          }
+          if (existing.Name === "hold_seats" && holds.length > 0) {
+            return step(
+              existing.Name,
+              STEP_STATUS.ROLLED_BACK,
+              at,
+              unreleased.length > 0
+                ? `${unreleased.length} hold(s) could not be released and will expire`
+                : `Released ${holds.length} hold(s)`
+            );
+          }
+          return existing.Status === STEP_STATUS.PENDING
+            ? step(existing.Name, STEP_STATUS.SKIPPED, at)
+            : existing;
+        }),
+        Error: error.message,
+        ...(unreleased.length > 0 && { UnreleasedHolds: unreleased }),
+        RolledBackAt: at,
+      },
+      operations: [unlockBooking(workflow)],
+    };
+  });
+}
+
+/**
+ * Run a ready workflow: hold the seats, then rebook in one transaction.
+ * A failure rolls it back; the workflow is returned either way.
+ */
+export async function runWorkflow(
+  store,
+  workflowId,
+  { now = new Date() } = {}
+) {
+  const running = await modifyWorkflow(store, workflowId, now, (wf, at) => {
+    assertStatus(wf, WORKFLOW_STATUS.READY);
+    return {
+      set: {
+        Status: WORKFLOW_STATUS.RUNNING,
+        StartedAt: at,
+        Steps: withStep(wf.Steps, "hold_seats", STEP_STATUS.IN_PROGRESS, at),
+      },
+    };
+  });
+
+  let holds;
+  try {
+    holds = await holdSeats(store, running, now);
+  } catch (error) {
+    return rollBack(store, workflowId, [], "hold_seats", error, now);
+  }
+
+  try {
+    const held = await modifyWorkflow(store, workflowId, now, (wf, at) => {
+      assertStatus(wf, WORKFLOW_STATUS.RUNNING);
+      const steps = withStep(
+        wf.Steps,
+        "hold_seats",
+        STEP_STATUS.COMPLETED,
+        at,
+        `Held ${holds.length} seat(s)`
+      );
+      return {
+        set: {
+          Holds: holds,
+          Steps: withStep(steps, "rebook", STEP_STATUS.IN_PROGRESS, at),
+        },
+      };
+    });
+    const { operations, newBookings } = await rebookOperations(
+      store,
+      held,
+      holds,
+      now
+    );
+    return await modifyWorkflow(store, workflowId, now, (wf, at) => {
+      assertStatus(wf, WORKFLOW_STATUS.RUNNING);
+      return {
+        set: {
+          Status: WORKFLOW_STATUS.COMPLETED,
+          NewBookings: newBookings.map((booking) => booking.BookingReference),
+          CompletedAt: at,
+          Steps: withStep(
+            wf.Steps,
+            "rebook",
+            STEP_STATUS.COMPLETED,
+            at,
+            `Cancelled ${wf.BookingReference}, booked ${newBookings
+              .map((b) => `${b.BookingReference} (${b.FlightNumber})`)
+              .join(", ")}`
+          ),
+        },
+        operations,
+      };
+    });
+  } catch (error) {
+    return rollBack(
+      store,
+      workflowId,
+      holds,
+      "rebook",
+      error instanceof ConditionFailedError
+        ? new RebookingWorkflowError(
+            "The booking, a seat hold or the option changed before the rebooking could be written; nothing was changed",
+            "conflict"
+          )
+        : error,
+      now
+    );
+  }
+}
+
+/**
+ * Approve or reject a workflow awaiting approval. The approving agent must
+ * not be the one who created it. An approved workflow runs straight away.
+ */
+export async function approveWorkflow(
+  store,
+  workflowId,
+  { agentId, approved = true, note },
+  { now = new Date() } = {}
+) {
+  if (!agentId) {
+    throw new RebookingWorkflowError("agent_id is required", "invalid");
+  }
+  const decided = await modifyWorkflow(store, workflowId, now, (wf, at) => {
+    assertStatus(wf, WORKFLOW_STATUS.AWAITING_APPROVAL);
+    if (!wf.CreatedBy) {
+      throw new RebookingWorkflowError(
+        `Workflow ${wf.WorkflowId} has no creating agent, so a second agent cannot be told apart; cancel it and create it again with agent_id`,
+        "invalid"
+      );
+    }
+    if (wf.CreatedBy === String(agentId)) {
+      throw new RebookingWorkflowError(
+        `Agent ${agentId} created workflow ${wf.WorkflowId} and cannot approve it`,
+        "invalid"
+      );
+    }
+    const approval = {
+      By: String(agentId),
+      At: at,
+      Approved: Boolean(approved),
+      ...(note && { Note: String(note) }),
+    };
+    if (approved) {
+      return {
+        set: {
+          Status: WORKFLOW_STATUS.READY,
+          Approval: approval,
+          Steps: withStep(
+            wf.Steps,
+            "approval",
+            STEP_STATUS.COMPLETED,
+            at,
+            `Approved by ${agentId}`
+          ),
+        },
+      };
+    }
+    return {
+      set: {
+        Status: WORKFLOW_STATUS.REJECTED,
+        Approval: approval,
+        Steps: wf.Steps.map((existing) =>
+          existing.Name === "approval"
+            ? step(
+                existing.Name,
+                STEP_STATUS.FAILED,
+                at,
+                `Rejected by ${agentId}`
+              )
+            : existing.Status === STEP_STATUS.PENDING
+            ? step(existing.Name, STEP_STATUS.SKIPPED, at)
+            : existing
+        ),
+      },
+      operations: [unlockBooking(wf)],
+    };
+  });
+  if (decided.Status !== WORKFLOW_STATUS.READY) return decided;
+  return runWorkflow(store, workflowId, { now });
+}
+
+/**
+ * Cancel a workflow that has not run, or one stuck running after its
+ * worker died; the holds it recorded are released. Returns the workflow.
+ */
+export async function cancelWorkflow(
+  store,
+  workflowId,
+  { agentId, reason },
+  { now = new Date() } = {}
+) {
+  const workflow = await getWorkflow(store, workflowId);
+  if (!workflow) {
+    throw new RebookingWorkflowError(
+      `Rebooking workflow ${workflowId} not found`,
+      "not_found"
+    );
+  }
+  if (workflow.Status === WORKFLOW_STATUS.RUNNING) {
+    const idle = (now - new Date(workflow.UpdatedAt)) / MINUTE;
+    if (idle < STALE_RUNNING_MINUTES) {
+      throw new RebookingWorkflowError(
+        `Rebooking workflow ${workflowId} is running; it can be cancelled if it has not moved for ${STALE_RUNNING_MINUTES} min`,
+        "invalid_state"
+      );
+    }
+  } else {
+    assertStatus(
+      workflow,
+      WORKFLOW_STATUS.AWAITING_APPROVAL,
+      WORKFLOW_STATUS.READY
+    );
+  }
+
+  const unreleased = await releaseHolds(store, workflow.Holds || []);
+  return modifyWorkflow(store, workflowId, now, (wf, at) => {
+    if (wf.Version !== workflow.Version) {
+      throw new RebookingWorkflowError(
+        `Rebooking workflow ${workflowId} moved on while it was cancelled`,
+        "conflict"
+      );
+    }
+    return {
+      set: {
+        Status: WORKFLOW_STATUS.CANCELLED,
+        CancelledAt: at,
+        CancelledBy: agentId ? String(agentId) : null,
+        ...(reason && { CancellationReason: String(reason) }),
+        ...(unreleased.length > 0 && { UnreleasedHolds: unreleased }),
+        Steps: wf.Steps.map((existing) =>
+          existing.Name === "hold_seats" && (wf.Holds || []).length > 0
+            ? step(existing.Name, STEP_STATUS.ROLLED_BACK, at)
+            : [STEP_STATUS.PENDING, STEP_STATUS.IN_PROGRESS].includes(
+                existing.Status
+              )
+            ? step(existing.Name, STEP_STATUS.SKIPPED, at)
+            : existing
+        ),
+      },
+      operations: [unlockBooking(wf)],
+    };
+  });
+}
+
+/** Tool-facing view of a workflow. */
+export function formatWorkflow(workflow) {
+  return {
+    workflow_id: workflow.WorkflowId,
+    passenger_id: workflow.PassengerId,
+    status: workflow.Status,
+    created_at: workflow.CreatedAt,
+    created_by: workflow.CreatedBy,
+    original_booking: {
+      booking_reference: workflow.BookingReference,
+      flight_number: workflow.OriginalFlight.FlightNumber,
+      departure_date: workflow.OriginalFlight.ScheduledDepartureDate,
+      route: `${workflow.OriginalFlight.Origin}-${workflow.OriginalFlight.Destination}`,
+      cabin_class: workflow.OriginalFlight.CabinClass,
+    },
+    option_id: workflow.OptionId ?? null,
+    new_itinerary: {
+      cabin_class: workflow.CabinClass,
+      legs: workflow.Legs.map((leg) => ({
+        flight_number: leg.FlightNumber,
+        departure_date: leg.ScheduledDepartureDate,
+        origin: leg.Origin,
+        destination: leg.Destination,
+        scheduled_departure: leg.ScheduledDepartureTime,
+        scheduled_arrival: leg.ScheduledArrivalTime,
+      })),
+      additional_services: workflow.AdditionalServices,
+    },
+    requires_agent_approval: workflow.ApprovalReasons.length > 0,
+    approval_reasons: workflow.ApprovalReasons.map((reason) => ({
+      reason: reason.Reason,
+      detail: reason.Detail,
+    })),
+    approval: workflow.Approval
+      ? {
+          approved: workflow.Approval.Approved,
+          by: workflow.Approval.By,
+          at: workflow.Approval.At,
+          note: workflow.Approval.Note ?? null,
+        }
+      : null,
+    steps: workflow.Steps.map((entry, index) => ({
+      step: index + 1,
+      name: entry.Name,
+      status: entry.Status,
+      updated_at: entry.UpdatedAt ?? null,
+      ...(entry.Detail && { detail: entry.Detail }),
+      ...(entry.Error && { error: entry.Error }),
+    })),
+    holds: (workflow.Holds || []).map((hold) => ({
+      flight_number: hold.FlightNumber,
+      departure_date: hold.ScheduledDepartureDate,
+      hold_id: hold.HoldId,
+      reused_from_option: hold.Reused,
+    })),
+    new_booking_references: workflow.NewBookings,
+    error: workflow.Error ?? null,
+    completed_at: workflow.CompletedAt ?? null,
+    rolled_back_at: workflow.RolledBackAt ?? null,
+    cancelled_at: workflow.CancelledAt ?? null,
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * Schedule import: compare dated flights from a schedule file (see
+ * lib/ssim.js) with the Flights table and apply the difference.
+ *
+ *   added     flights not in the table yet, created as scheduled
+ *   changed   flights whose times, route, aircraft or capacity moved,
+ *             applied with applyScheduleChange so they appear in the
+ *             flight's status history
+ *   removed   flights in the table, inside the imported period of their
+ *             flight number, that the schedule no longer operates;
+ *             cancelled through updateFlightStatus
+ *
+ * Nothing is overwritten blindly: new flights are only created if no item
+ * exists, and changes go through the StatusVersion-checked updates.
+ */
+
+import { canTransition, FLIGHT_STATUS } from "./flight-status.js";
+import { collectAll } from "./pagination.js";
+import { ConditionFailedError } from "./storage/index.js";
+import { applyScheduleChange, updateFlightStatus } from "./status-updates.js";
+import { parseFlightTime } from "./times.js";
+
+const FLIGHTS_TABLE = "Flights";
+
+// Attributes a schedule file owns; everything else is operational state
+export const SCHEDULE_ATTRIBUTES = [
+  "Origin",
+  "Destination",
+  "ScheduledDepartureTime",
+  "ScheduledArrivalTime",
+  "AircraftType",
+  "SeatCapacity",
+  "SeatCapacityByCabin",
+];
+
+function sameValue(attr, a, b) {
+  if (a == null || b == null) return a == b;
+  if (attr.endsWith("Time")) {
+    return parseFlightTime(a).getTime() === parseFlightTime(b).getTime();
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Schedule attributes that differ, as { attr: { from, to } }. */
+export function scheduleChanges(existing, imported) {
+  const changes = {};
+  for (const attr of SCHEDULE_ATTRIBUTES) {
+    // A file without a seat configuration says nothing about capacity
+    if (imported[attr] == null) continue;
+    // Flights created before imports have no cabin layout to compare with
+    if (attr === "SeatCapacityByCabin" && existing[attr] == null) continue;
+    if (!sameValue(attr, existing[attr], imported[attr])) {
+      changes[attr] = { from: existing[attr] ?? null, to: imported[attr] };
+    }
+  }
+  return changes;
+}
+
+function key(flight) {
+  return {
+    FlightNumber: flight.FlightNumber,
+    ScheduledDepartureDate: flight.ScheduledDepartureDate,
+  };
+}
+
+function widen(spans, flightNumber, from, to) {
+  const span = spans.get(flightNumber);
+  spans.set(flightNumber, {
+    from: span && span.from < from ? span.from : from,
+    to: span && span.to > to ? span.to : to,
+  });
+}
+
+/**
+ * Diff imported dated flights against the table:
+ * { added, changed: [{ existing, imported, changes }], unchanged, removed }
+ *
+ * periods ([{ flightNumber, from, to }], ISO dates) are the periods the
+ * file covers; a flight number's existing flights in its period that the
+ * file does not operate are removed. Defaults to the first and last
+ * imported date of each flight number.
+ */
+export async function diffSchedule(store, flights, { periods = [] } = {}) {
+  const byNumber = new Map();
+  const spans = new Map();
+  for (const flight of flights) {
+    if (!byNumber.has(flight.FlightNumber)) {
+      byNumber.set(flight.FlightNumber, new Map());
+    }
+    byNumber
+      .get(flight.FlightNumber)
+      .set(flight.ScheduledDepartureDate, flight);
+    widen(
+      spans,
+      flight.FlightNumber,
+      flight.ScheduledDepartureDate,
+      flight.ScheduledDepartureDate
+    );
+  }
+  for (const { flightNumber, from, to } of periods) {
+    if (!byNumber.has(flightNumber)) byNumber.set(flightNumber, new Map());
+    widen(spans, flightNumber, from, to);
+  }
+
+  const diff = { added: [], changed: [], unchanged: 0, removed: [] };
+  for (const [flightNumber, dated] of byNumber) {
+    const { from, to } = spans.get(flightNumber);
+    const existing = await collectAll(({ cursor }) =>
+      store.query(FLIGHTS_TABLE, {
+        hash: flightNumber,
+        range: { between: [from, to] },
+        cursor,
+      })
+    );
+    const existingByDate = new Map(
+      existing.map((flight) => [flight.ScheduledDepartureDate, flight])
+    );
+
+    for (const [date, imported] of dated) {
+      const current = existingByDate.get(date);
+      if (!current) {
+        diff.added.push(imported);
+        continue;
+      }
+      const changes = scheduleChanges(current, imported);
+      if (Object.keys(changes).length > 0) {
+        diff.changed.push({ existing: current, imported, changes });
+      } else {
+        diff.unchanged += 1;
+      }
+    }
+    for (const current of existing) {
+      if (
+        !dated.has(current.ScheduledDepartureDate) &&
+        current.Status !== FLIGHT_STATUS.CANCELLED
+      ) {
+        diff.removed.push(current);
+      }
+    }
+  }
+  return diff;
+}
+
+/** A new Flights item for a scheduled flight with every seat for sale. */
+function newFlightItem(imported) {
+  const item = {
+    ...imported,
+    Status: FLIGHT_STATUS.SCHEDULED,
+    DelayMinutes: 0,
+    EstimatedDepartureTime: imported.ScheduledDepartureTime,
+    EstimatedArrivalTime: imported.ScheduledArrivalTime,
+    AvailableSeats: imported.SeatCapacity ?? 0,
+  };
+  if (imported.SeatCapacityByCabin) {
+    item.AvailableSeatsByCabin = { ...imported.SeatCapacityByCabin };
+  } else {
+    delete item.SeatCapacityByCabin;
+  }
+  if (item.SeatCapacity == null) delete item.SeatCapacity;
+  return item;
+}
+
+/**
+ * Write a diff. Returns { created, updated, cancelled, failed: [{ flight,
+ * reason }] }; a flight that cannot be written (changed concurrently, or a
+ * removed flight that has already departed) is reported, not thrown.
+ */
+export async function applyScheduleDiff(
+  store,
+  diff,
+  { source = "ssim", updatedBy, now = new Date() } = {}
+) {
+  const result = { created: [], updated: [], cancelled: [], failed: [] };
+  const fail = (flight, error) =>
+    result.failed.push({ flight: key(flight), reason: error.message });
+
+  for (const imported of diff.added) {
+    try {
+      await store.put(FLIGHTS_TABLE, newFlightItem(imported), {
+        condition: { FlightNumber: { exists: false } },
+      });
+      result.created.push(key(imported));
+    } catch (error) {
+      if (!(error instanceof ConditionFailedError)) throw error;
+      fail(imported, new Error("created concurrently, import again to diff"));
+    }
+  }
+
+  for (const { existing, changes } of diff.changed) {
+    try {
+      const schedule = Object.fromEntries(
+        Object.entries(changes).map(([attr, { to }]) => [attr, to])
+      );
+      const { change } = await applyScheduleChange(
+        store,
+        key(existing),
+        schedule,
+        { source, updatedBy, now }
+      );
+      if (change) result.updated.push({ ...key(existing), change });
+    } catch (error) {
+      fail(existing, error);
+    }
+  }
+
+  for (const flight of diff.removed) {
+    if (!canTransition(flight.Status, FLIGHT_STATUS.CANCELLED)) {
+      fail(
+        flight,
+        new Error(`dropped from the schedule but already ${flight.Status}`)
+      );
+      continue;
+    }
+    try {
+      const { change } = await updateFlightStatus(
+        store,
+        key(flight),
+        {
+          status: FLIGHT_STATUS.CANCELLED,
+          delayReason: "Removed from schedule",
+        },
+        { source, updatedBy, now }
+      );
+      result.cancelled.push({ ...key(flight), change });
+    } catch (error) {
+      fail(flight, error);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,143 @@
+/**
+ * Loads the table descriptions in schemas/*.json (DynamoDB DescribeTable
+ * output) and exposes their key layout in a backend-neutral form.
+ */
+
+import { readdirSync, readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const SCHEMAS_DIR = join(__dirname, "..", "schemas");
+
+function toKeys(keySchema) {
+  const hash = keySchema.find((k) => k.KeyType === "HASH");
+  const range = keySchema.find((k) => k.KeyType === "RANGE");
+  return {
+    hash: hash.AttributeName,
+    range: range ? range.AttributeName : null,
+  };
+}
+
+/**
+ * Normalize a DescribeTable response (or a schema file) into
+ * { name, attributes: { attr: "S"|"N" }, key: { hash, range }, indexes: { IndexName: { hash, range, projection } }, raw }
+ */
+export function toTableDefinition(raw) {
+  const table = raw.Table || raw;
+  const attributes = {};
+  for (const def of table.AttributeDefinitions || []) {
+    attributes[def.AttributeName] = def.AttributeType;
+  }
+
+  const indexes = {};
+  for (const gsi of table.GlobalSecondaryIndexes || []) {
+    indexes[gsi.IndexName] = {
+      ...toKeys(gsi.KeySchema),
+      projection: gsi.Projection?.ProjectionType || "ALL",
+    };
+  }
+
+  return {
+    name: table.TableName,
+    attributes,
+    key: toKeys(table.KeySchema),
+    indexes,
+    raw: table,
+  };
+}
+
+/** Read every schema file once. Returns a map of table name -> definition. */
+export function loadSchemas(dir = SCHEMAS_DIR) {
+  const tables = {};
+  for (const file of readdirSync(dir).filter((f) => f.endsWith(".json"))) {
+    const definition = toTableDefinition(
+      JSON.parse(readFileSync(join(dir, file), "utf8"))
+    );
+    tables[definition.name] = definition;
+  }
+  return tables;
+}
+
+export const TABLES = loadSchemas();
+
+export function getTableDefinition(tableName) {
+  const definition = TABLES[tableName];
+  if (!definition) {
+    throw new Error(`Unknown table "${tableName}" (no schema in ${SCHEMAS_DIR})`);
+  }
+  return definition;
+}
+
+/** Key/index descriptor used to address a table or one of its GSIs. */
+export function getKeySchema(tableName, indexName) {
+  const definition = getTableDefinition(tableName);
+  if (!indexName) return definition.key;
+  const index = definition.indexes[indexName];
+  if (!index) {
+    throw new Error(`Table "${tableName}" has no index "${indexName}"`);
+  }
+  return index;
+}
+
+/** Extract the primary key attributes of an item. */
+export function keyOf(tableName, item) {
+  const { hash, range } = getTableDefinition(tableName).key;
+  const key = { [hash]: item[hash] };
+  if (range) key[range] = item[range];
+  return key;
+}
+
+/**
+ * Compare a live table (as returned by a store's describeTable) with its
+ * schema file. Returns a list of human-readable mismatches, empty if none.
+ */
+export function diffTableDefinitions(expected, actual) {
+  if (!actual) return [`table ${expected.name} does not exist`];
+
+  const problems = [];
+  for (const part of ["hash", "range"]) {
+    if (expected.key[part] !== actual.key[part]) {
+      problems.push(
+        `${part} key is ${actual.key[part] || "(none)"}, expected ${
+          expected.key[part] || "(none)"
+        }`
+      );
+    }
+  }
+
+  for (const [attr, type] of Object.entries(expected.attributes)) {
+    if (!actual.attributes[attr]) {
+      problems.push(`attribute ${attr} is not defined`);
+    } else if (actual.attributes[attr] !== type) {
+      problems.push(
+        `attribute ${attr} has type ${actual.attributes[attr]}, expected ${type}`
+      );
+    }
+  }
+
+  for (const [indexName, keys] of Object.entries(expected.indexes)) {
+    const live = actual.indexes[indexName];
+    if (!live) {
+      problems.push(`index ${indexName} is missing`);
+      continue;
+    }
+    for (const part of ["hash", "range", "projection"]) {
+      if (keys[part] !== live[part]) {
+        problems.push(
+          `index ${indexName} ${part} is ${live[part] || "(none)"}, expected ${
+            keys[part] || "(none)"
+          }`
+        );
+      }
+    }
+  }
+  for (const indexName of Object.keys(actual.indexes)) {
+    if (!expected.indexes[indexName]) {
+      problems.push(`unexpected index ${indexName}`);
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,361 @@
+/**
+ * Deterministic seed dataset for local development: a day of FRA-hub
+ * operations (plus the following day) with a handful of disruptions,
+ * inbound feeders with onward connections, and the passengers and
+ * bookings on them.
+ *
+ * Times are stored as UTC ISO strings. The same base date always produces
+ * the same items, so re-seeding overwrites rather than duplicates.
+ */
+
+// [flightNumber, origin, destination, departure (UTC HH:MM), block minutes, aircraft, seats]
+const SCHEDULE = [
+  // FRA departures
+  ["LH400", "FRA", "JFK", "08:50", 540, "Boeing 747-8", 364],
+  ["LH404", "FRA", "JFK", "11:35", 535, "Airbus A340-300", 279],
+  ["LH441", "FRA", "DTW", "08:05", 560, "Airbus A340-300", 279],
+  ["LH430", "FRA", "ORD", "08:10", 560, "Boeing 747-8", 364],
+  ["LH902", "FRA", "LHR", "06:00", 100, "Airbus A321", 200],
+  ["LH906", "FRA", "LHR", "10:00", 100, "Airbus A320", 168],
+  ["LH908", "FRA", "LHR", "14:50", 100, "Airbus A321", 200],
+  ["LH1026", "FRA", "CDG", "06:20", 75, "Airbus A320", 168],
+  ["LH1034", "FRA", "CDG", "11:05", 75, "Airbus A320", 168],
+  ["LH1030", "FRA", "CDG", "15:40", 75, "Airbus A321", 200],
+  ["LH96", "FRA", "MUC", "05:45", 55, "Airbus A321", 200],
+  ["LH98", "FRA", "MUC", "09:00", 55, "Airbus A321", 200],
+  ["LH100", "FRA", "MUC", "13:30", 55, "Airbus A320", 168],
+  ["LH1186", "FRA", "ZRH", "07:00", 60, "Airbus A320", 168],
+  ["LH1188", "FRA", "ZRH", "11:40", 60, "Airbus A320", 168],
+  ["LH1232", "FRA", "VIE", "06:40", 80, "Airbus A320", 168],
+  ["LH1236", "FRA", "VIE", "12:35", 80, "Airbus A321", 200],
+  ["LH1130", "FRA", "BCN", "07:40", 125, "Airbus A321", 200],
+  ["LH1112", "FRA", "MAD", "08:00", 150, "Airbus A321", 200],
+  ["LH232", "FRA", "FCO", "08:10", 115, "Airbus A320", 168],
+  ["LH992", "FRA", "AMS", "07:20", 70, "Airbus A319", 138],
+  ["LH778", "FRA", "SIN", "19:55", 730, "Airbus A350-900", 293],
+  // Feeders into FRA
+  ["LH903", "LHR", "FRA", "06:10", 95, "Airbus A321", 200],
+  ["LH1027", "CDG", "FRA", "06:15", 75, "Airbus A320", 168],
+  ["LH95", "MUC", "FRA", "05:00", 55, "Airbus A321", 200],
+  ["LH1233", "VIE", "FRA", "04:50", 90, "Airbus A320", 168],
+  ["LH1187", "ZRH", "FRA", "05:00", 60, "Airbus A320", 168],
+  ["LH201", "BER", "FRA", "05:30", 70, "Airbus A320", 168],
+  ["LH13", "HAM", "FRA", "05:45", 60, "Airbus A320", 168],
+  // Other hubs, used for connections that avoid FRA
+  ["LH410", "MUC", "JFK", "10:05", 555, "Airbus A350-900", 293],
+  ["LX16", "ZRH", "JFK", "09:50", 540, "Airbus A330-300", 236],
+  ["OS65", "VIE", "ORD", "08:40", 600, "Boeing 777-200", 306],
+  ["LH2472", "MUC", "LHR", "10:30", 125, "Airbus A320", 168],
+  ["LX318", "ZRH", "LHR", "12:00", 100, "Airbus A220-300", 145],
+  ["OS451", "VIE", "LHR", "13:00", 150, "Airbus A320", 168],
+  ["LH2228", "MUC", "CDG", "11:40", 100, "Airbus A320", 168],
+  ["LX638", "ZRH", "CDG", "12:30", 80, "Airbus A220-300", 145],
+  ["OS411", "VIE", "CDG", "11:00", 130, "Airbus A320", 168],
+];
+
+// Disruptions on the base date: flightNumber -> changes
+const DISRUPTIONS = {
+  LH441: { Status: "delayed", DelayMinutes: 45, DelayCode: "71", DelayReason: "Thunderstorms at FRA" },
+  LH400: { Status: "delayed", DelayMinutes: 90, DelayCode: "41", DelayReason: "Technical issue with aircraft" },
+  LH1034: { Status: "delayed", DelayMinutes: 135, DelayCode: "81", DelayReason: "ATC flow restrictions" },
+  LH98: { Status: "delayed", DelayMinutes: 35, DelayCode: "93", DelayReason: "Late arrival of inbound aircraft" },
+  LH902: { Status: "cancelled", DelayCode: "63", DelayReason: "Crew shortage" },
+  LH1130: { Status: "diverted", DelayMinutes: 150, DelayCode: "99", DelayReason: "Medical emergency on board", DivertedTo: "MRS" },
+  LH903: { Status: "delayed", DelayMinutes: 75, DelayCode: "81", DelayReason: "ATC restrictions at LHR" },
+  LH1233: { Status: "delayed", DelayMinutes: 50, DelayCode: "71", DelayReason: "Snow clearing at VIE" },
+};
+
+// Passenger loads per flight on the base date: [flightNumber, passengers]
+const LOADS = [
+  ["LH441", 16],
+  ["LH400", 18],
+  ["LH1034", 14],
+  ["LH98", 10],
+  ["LH902", 20],
+  ["LH1130", 12],
+  ["LH404", 6],
+  ["LH906", 6],
+  ["LH232", 5],
+];
+
+// Feeder passengers who connect at FRA: [inbound, onward, passengers]
+const CONNECTIONS = [
+  ["LH903", "LH400", 5],
+  ["LH903", "LH441", 3],
+  ["LH903", "LH1034", 2],
+  ["LH903", "LH232", 2],
+  ["LH1233", "LH400", 3],
+  ["LH1233", "LH430", 3],
+  ["LH201", "LH441", 2],
+  ["LH13", "LH1130", 2],
+];
+
+const FIRST_NAMES = [
+  "Anna", "Lukas", "Sophie", "Jonas", "Marie", "Felix", "Emma", "Paul",
+  "Hannah", "Maximilian", "Lea", "Elias", "Olivia", "James", "Chloé",
+  "Lucas", "Giulia", "Marco", "Sofia", "Mateo", "Aiko", "Wei", "Priya",
+  "Arjun", "Fatima", "Omar", "Ingrid", "Lars", "Zofia", "Tomasz",
+];
+
+const LAST_NAMES = [
+  "Müller", "Schmidt", "Schneider", "Fischer", "Weber", "Meyer", "Wagner",
+  "Becker", "Hoffmann", "Schulz", "Smith", "Johnson", "Brown", "Dubois",
+  "Martin", "Rossi", "Bianchi", "García", "López", "Tanaka", "Chen",
+  "Sharma", "Patel", "Haddad", "Nielsen", "Larsen", "Kowalski", "Nowak",
+  "Novak", "Horvat",
+];
+
+const SPECIAL_SERVICES = ["WCHR", "WCHC", "MEDA", "BLND", "DEAF", "PETC"];
+
+// Small deterministic PRNG (mulberry32) so the dataset is reproducible.
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function at(date, hhmm, plusMinutes = 0) {
+  const d = new Date(`${date}T${hhmm}:00Z`);
+  d.setUTCMinutes(d.getUTCMinutes() + plusMinutes);
+  return d.toISOString().replace(".000Z", "Z");
+}
+
+// Split a flight's free seats across the cabins its aircraft has
+function splitByCabin(random, seats, longHaul) {
+  const cabins = longHaul
+    ? { first: 0.05, business: 0.2, premium_economy: 0.15 }
+    : { business: 0.2 };
+  const split = {};
+  let remaining = seats;
+  for (const [cabin, share] of Object.entries(cabins)) {
+    split[cabin] = Math.min(remaining, Math.round(seats * share * random() * 2));
+    remaining -= split[cabin];
+  }
+  split.economy = remaining;
+  return split;
+}
+
+function buildFlights(baseDate, random) {
+  const flights = [];
+  for (const [offset, date] of [baseDate, addDays(baseDate, 1)].entries()) {
+    for (const [number, origin, destination, time, block, aircraft, seats] of SCHEDULE) {
+      const flight = {
+        FlightNumber: number,
+        ScheduledDepartureDate: date,
+        Origin: origin,
+        Destination: destination,
+        Status: "scheduled",
+        DelayMinutes: 0,
+        ScheduledDepartureTime: at(date, time),
+        ScheduledArrivalTime: at(date, time, block),
+        EstimatedDepartureTime: at(date, time),
+        EstimatedArrivalTime: at(date, time, block),
+        AircraftType: aircraft,
+        SeatCapacity: seats,
+        // A few flights are sold out so seat-aware tools have something to skip
+        AvailableSeats: random() < 0.15 ? 0 : Math.floor(random() * 40) + 1,
+      };
+
+      const disruption = offset === 0 ? DISRUPTIONS[number] : null;
+      if (disruption) {
+        Object.assign(flight, disruption);
+        const delay = disruption.DelayMinutes || 0;
+        flight.EstimatedDepartureTime = at(date, time, delay);
+        flight.EstimatedArrivalTime = at(date, time, block + delay);
+        if (disruption.Status === "cancelled") {
+          delete flight.EstimatedDepartureTime;
+          delete flight.EstimatedArrivalTime;
+        }
+      }
+      flight.AvailableSeatsByCabin = splitByCabin(
+        random,
+        flight.AvailableSeats,
+        block > 6 * 60
+      );
+      flights.push(flight);
+    }
+  }
+  return flights;
+}
+
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function pickTier(random) {
+  const roll = random();
+  if (roll < 0.12) return "senator";
+  if (roll < 0.38) return "frequent_traveler";
+  return "regular";
+}
+
+function pickCabin(random, tier, longHaul) {
+  const roll = random();
+  if (tier === "senator") return roll < 0.6 ? "business" : "economy";
+  if (longHaul && roll < 0.1) return "first";
+  if (roll < 0.2) return "business";
+  if (longHaul && roll < 0.35) return "premium_economy";
+  return "economy";
+}
+
+const FARE_CLASSES = {
+  first: "F",
+  business: "J",
+  premium_economy: "N",
+  economy: "Y",
+};
+
+/**
+ * Build the full dataset for a base date (YYYY-MM-DD, default today UTC).
+ * Returns items keyed by table name.
+ */
+export function buildSeedData(baseDate = new Date().toISOString().slice(0, 10)) {
+  const random = createRandom(Number(baseDate.replace(/-/g, "")));
+  const flights = buildFlights(baseDate, random);
+  const flightsByNumber = new Map(
+    flights
+      .filter((f) => f.ScheduledDepartureDate === baseDate)
+      .map((f) => [f.FlightNumber, f])
+  );
+  const createdAt = `${addDays(baseDate, -30)}T12:00:00Z`;
+
+  const passengers = [];
+  const bookings = [];
+  const preferences = [];
+  let passengerSeq = 10000;
+  let referenceSeq = 0;
+
+  const nextReference = () => {
+    referenceSeq += 1;
+    // Six-character record locators: two letters + four digits
+    const letters = String.fromCharCode(65 + (referenceSeq % 26)) +
+      String.fromCharCode(65 + (Math.floor(referenceSeq / 26) % 26));
+    return `${letters}${String(1000 + referenceSeq * 37).slice(-4)}`;
+  };
+
+  const newPerson = () => {
+    passengerSeq += 1;
+    const tier = pickTier(random);
+    const firstName = pick(random, FIRST_NAMES);
+    const lastName = pick(random, LAST_NAMES);
+    const person = {
+      PassengerId: `P${passengerSeq}`,
+      FirstName: firstName,
+      LastName: lastName,
+      Email: `${firstName}.${lastName}`
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .concat(`${passengerSeq}@example.com`),
+      Phone: `+49151${String(passengerSeq).padStart(8, "0")}`,
+      FrequentFlyerTier: tier,
+      CreatedAt: createdAt,
+    };
+    if (tier !== "regular") {
+      person.FrequentFlyerNumber = `99200${String(passengerSeq).padStart(
+        7,
+        "0"
+      )}`;
+    }
+    if (random() < 0.06) {
+      person.SpecialServiceRequests = [pick(random, SPECIAL_SERVICES)];
+    }
+    if (random() < 0.2) {
+      preferences.push({
+        PassengerId: person.PassengerId,
+        PreferenceType: "language",
+        Value: random() < 0.7 ? "de" : "en",
+        UpdatedAt: createdAt,
+      });
+    }
+    return person;
+  };
+
+  const book = (person, flight, reference, cabin, extra = {}) => {
+    const longHaul =
+      new Date(flight.ScheduledArrivalTime) -
+        new Date(flight.ScheduledDepartureTime) >
+      6 * 3600 * 1000;
+    const cabinClass = cabin || pickCabin(random, person.FrequentFlyerTier, longHaul);
+    passengers.push({ ...person, BookingReference: reference, ...extra });
+    bookings.push({
+      BookingReference: reference,
+      PassengerId: person.PassengerId,
+      FlightNumber: flight.FlightNumber,
+      ScheduledDepartureDate: flight.ScheduledDepartureDate,
+      Origin: flight.Origin,
+      Destination: flight.Destination,
+      BookingDate: `${addDays(baseDate, -Math.floor(random() * 60) - 1)}T${String(
+        Math.floor(random() * 24)
+      ).padStart(2, "0")}:00:00Z`,
+      CabinClass: cabinClass,
+      FareClass: FARE_CLASSES[cabinClass],
+      SeatNumber: `${Math.floor(random() * 40) + 1}${pick(random, [
+        "A",
+        "B",
+        "C",
+        "D",
+        "E",
+        "F",
+      ])}`,
+      BookingStatus: "confirmed",
+    });
+    return cabinClass;
+  };
+
+  for (const [flightNumber, count] of LOADS) {
+    const flight = flightsByNumber.get(flightNumber);
+    let remaining = count;
+    while (remaining > 0) {
+      // Mostly single travellers, some couples and families on one reference
+      const roll = random();
+      const size = Math.min(remaining, roll < 0.7 ? 1 : roll < 0.9 ? 2 : 4);
+      const reference = nextReference();
+      const lead = newPerson();
+      const cabin = book(lead, flight, reference);
+      for (let i = 1; i < size; i++) {
+        const companion = { ...newPerson(), LastName: lead.LastName };
+        companion.Email = lead.Email;
+        book(companion, flight, reference, cabin);
+      }
+      remaining -= size;
+    }
+  }
+
+  // One unaccompanied minor on a disrupted long-haul flight
+  const minor = newPerson();
+  minor.FrequentFlyerTier = "regular";
+  delete minor.FrequentFlyerNumber;
+  book(minor, flightsByNumber.get("LH441"), nextReference(), "economy", {
+    UnaccompaniedMinor: true,
+    SpecialServiceRequests: ["UMNR"],
+  });
+
+  // Transfer passengers: each segment is a separate booking reference
+  // because Bookings is keyed by (BookingReference, PassengerId).
+  for (const [inbound, onward, count] of CONNECTIONS) {
+    for (let i = 0; i < count; i++) {
+      const person = newPerson();
+      const cabin = book(person, flightsByNumber.get(inbound), nextReference());
+      book(person, flightsByNumber.get(onward), nextReference(), cabin);
+    }
+  }
+
+  return {
+    Flights: flights,
+    Passengers: passengers,
+    Bookings: bookings,
+    PassengerPreferences: preferences,
+  };
+}
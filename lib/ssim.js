@@ -0,0 +1,285 @@
+/**
+ * Reader for IATA SSIM Chapter 7 schedule files: fixed-width 200-byte
+ * records, of which we use the carrier record (type 2, for the time mode
+ * and schedule validity) and the flight leg records (type 3). Each leg
+ * record is expanded into one dated flight per day of operation in its
+ * period, with times converted to UTC.
+ *
+ * Records we cannot use are reported with their line number instead of
+ * failing the whole file.
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const MONTHS = [
+  "JAN", "FEB", "MAR", "APR", "MAY", "JUN",
+  "JUL", "AUG", "SEP", "OCT", "NOV", "DEC",
+];
+
+// IATA aircraft type codes, named the way Flights.AircraftType names them
+export const AIRCRAFT_TYPES = Object.freeze({
+  221: "Airbus A220-100",
+  223: "Airbus A220-300",
+  319: "Airbus A319",
+  320: "Airbus A320",
+  321: "Airbus A321",
+  "32N": "Airbus A320neo",
+  "32Q": "Airbus A321neo",
+  333: "Airbus A330-300",
+  343: "Airbus A340-300",
+  346: "Airbus A340-600",
+  359: "Airbus A350-900",
+  388: "Airbus A380-800",
+  744: "Boeing 747-400",
+  748: "Boeing 747-8",
+  772: "Boeing 777-200",
+  "77W": "Boeing 777-300ER",
+  789: "Boeing 787-9",
+  E90: "Embraer 190",
+  E95: "Embraer 195",
+  CR9: "Bombardier CRJ900",
+  DH4: "De Havilland Dash 8-400",
+});
+
+// Compartment codes of the aircraft configuration field, by cabin
+const COMPARTMENT_CABINS = {
+  F: "first",
+  A: "first",
+  P: "first",
+  J: "business",
+  C: "business",
+  D: "business",
+  I: "business",
+  Z: "business",
+  W: "premium_economy",
+  E: "premium_economy",
+  Y: "economy",
+  M: "economy",
+};
+
+export class SsimParseError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.name = "SsimParseError";
+    this.line = line;
+  }
+}
+
+// 1-based, inclusive column ranges as in the SSIM manual
+function field(record, from, to) {
+  return record.slice(from - 1, to).trim();
+}
+
+/** DDMMMYY, e.g. 20OCT26. "00XXX00" (open-ended) returns null. */
+export function parseSsimDate(value, line) {
+  if (value === "00XXX00") return null;
+  const match = /^(\d{2})([A-Z]{3})(\d{2})$/.exec(value);
+  const month = match ? MONTHS.indexOf(match[2]) : -1;
+  if (month < 0) throw new SsimParseError(`invalid date "${value}"`, line);
+  const date = new Date(
+    Date.UTC(2000 + Number(match[3]), month, Number(match[1]))
+  );
+  if (date.getUTCDate() !== Number(match[1])) {
+    throw new SsimParseError(`invalid date "${value}"`, line);
+  }
+  return date;
+}
+
+function parseHhmm(value, label, line) {
+  const match = /^(\d{2})(\d{2})$/.exec(value);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new SsimParseError(`invalid ${label} "${value}"`, line);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/** UTC/local time variation, e.g. +0200 -> 120 minutes. */
+function parseVariation(value, label, line) {
+  const match = /^([+-])(\d{2})(\d{2})$/.exec(value);
+  if (!match) {
+    throw new SsimParseError(`invalid ${label} "${value}"`, line);
+  }
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === "-" ? -minutes : minutes;
+}
+
+/** Date variation digit: 0-9 days later, A one day earlier. */
+function parseDateVariation(value) {
+  if (!value || value === "0") return 0;
+  if (value === "A") return -1;
+  return Number(value) || 0;
+}
+
+/**
+ * Seats per cabin from the aircraft configuration/version field, e.g.
+ * "F008C081Y246" or "J30W24Y200". Returns null when there is none.
+ */
+export function parseConfiguration(value) {
+  const seats = {};
+  for (const [, code, count] of value.matchAll(/([A-Z])(\d+)/g)) {
+    const cabin = COMPARTMENT_CABINS[code] || "economy";
+    seats[cabin] = (seats[cabin] || 0) + Number(count);
+  }
+  return Object.keys(seats).length > 0 ? seats : null;
+}
+
+function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function toUtcString(time) {
+  return time.toISOString().replace(".000Z", "Z");
+}
+
+/** Parse one type 3 record into a leg with its period and days of operation. */
+function parseLegRecord(record, { timeMode, validTo }, line) {
+  const airline = field(record, 3, 5);
+  const number = field(record, 6, 9);
+  if (!airline || !/^\d+$/.test(number)) {
+    throw new SsimParseError(
+      `invalid flight designator "${airline}${number}"`,
+      line
+    );
+  }
+  const from = parseSsimDate(field(record, 15, 21), line);
+  const to = parseSsimDate(field(record, 22, 28), line) || validTo;
+  if (!from || !to) {
+    throw new SsimParseError(
+      "open-ended period without a carrier validity end",
+      line
+    );
+  }
+  const days = field(record, 29, 35).replace(/\s/g, "");
+  if (!/^[1-7]+$/.test(days)) {
+    throw new SsimParseError(`invalid days of operation "${days}"`, line);
+  }
+
+  const dateVariation = record.slice(192, 194);
+  return {
+    line,
+    flightNumber: `${airline}${Number(number)}${field(record, 2, 2)}`,
+    legSequence: Number(field(record, 12, 13)) || 1,
+    serviceType: field(record, 14, 14),
+    from,
+    to,
+    days: new Set(days.split("").map(Number)),
+    origin: field(record, 37, 39),
+    destination: field(record, 55, 57),
+    departureMinutes: parseHhmm(field(record, 40, 43), "departure time", line),
+    arrivalMinutes: parseHhmm(field(record, 62, 65), "arrival time", line),
+    // Times in a UTC-mode file are UTC already
+    departureVariation:
+      timeMode === "U"
+        ? 0
+        : parseVariation(field(record, 48, 52), "departure UTC variation", line),
+    arrivalVariation:
+      timeMode === "U"
+        ? 0
+        : parseVariation(field(record, 66, 70), "arrival UTC variation", line),
+    departureDayOffset: parseDateVariation(dateVariation[0]),
+    arrivalDayOffset: parseDateVariation(dateVariation[1]),
+    aircraftType: field(record, 73, 75),
+    configuration: parseConfiguration(field(record, 173, 192)),
+  };
+}
+
+/**
+ * Parse SSIM text. Returns { legs, errors: [{ line, message }],
+ * skipped: [{ line, message }] } where skipped lists records we read but
+ * deliberately do not import.
+ */
+export function parseSsim(text) {
+  const legs = [];
+  const errors = [];
+  const skipped = [];
+  let carrier = { timeMode: "L", validTo: null };
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const record = raw.padEnd(200);
+    try {
+      switch (record[0]) {
+        case "2":
+          carrier = {
+            timeMode: record[1] === "U" ? "U" : "L",
+            validTo: parseSsimDate(field(record, 22, 28), line),
+          };
+          break;
+        case "3": {
+          const leg = parseLegRecord(record, carrier, line);
+          if (leg.legSequence > 1) {
+            // Flights items are keyed by flight number and date, one leg each
+            skipped.push({
+              line,
+              message: `${leg.flightNumber} leg ${leg.legSequence} (${leg.origin}-${leg.destination}): only the first leg of a multi-leg flight is imported`,
+            });
+          } else {
+            legs.push(leg);
+          }
+          break;
+        }
+        default:
+          // Header (1), segment data (4), trailer (5) and zero filler lines
+          break;
+      }
+    } catch (error) {
+      if (!(error instanceof SsimParseError)) throw error;
+      errors.push({ line, message: error.message });
+    }
+  });
+
+  return { legs, errors, skipped };
+}
+
+/**
+ * Dated Flights items for every day a leg operates, with times in UTC.
+ * ScheduledDepartureDate is the operating date in the file's time mode.
+ */
+export function expandLeg(leg) {
+  const flights = [];
+  for (let day = leg.from.getTime(); day <= leg.to.getTime(); day += DAY) {
+    const date = new Date(day);
+    // SSIM numbers days 1 (Monday) to 7 (Sunday)
+    if (!leg.days.has(date.getUTCDay() || 7)) continue;
+
+    const departureDate = new Date(day + leg.departureDayOffset * DAY);
+    const departure = new Date(
+      departureDate.getTime() +
+        (leg.departureMinutes - leg.departureVariation) * MINUTE
+    );
+    let arrival = new Date(
+      day +
+        leg.arrivalDayOffset * DAY +
+        (leg.arrivalMinutes - leg.arrivalVariation) * MINUTE
+    );
+    // Files that leave out the date variation still mean an overnight flight
+    if (arrival <= departure) arrival = new Date(arrival.getTime() + DAY);
+    const seatCapacity = leg.configuration
+      ? Object.values(leg.configuration).reduce((sum, n) => sum + n, 0)
+      : null;
+
+    flights.push({
+      FlightNumber: leg.flightNumber,
+      ScheduledDepartureDate: toIsoDate(departureDate),
+      Origin: leg.origin,
+      Destination: leg.destination,
+      ScheduledDepartureTime: toUtcString(departure),
+      ScheduledArrivalTime: toUtcString(arrival),
+      AircraftType: AIRCRAFT_TYPES[leg.aircraftType] || leg.aircraftType,
+      SeatCapacity: seatCapacity,
+      SeatCapacityByCabin: leg.configuration,
+    });
+  }
+  return flights;
+}
+
+/** The period a leg record covers, as ISO dates, for diffing. */
+export function legPeriod(leg) {
+  const offset = leg.departureDayOffset * DAY;
+  return {
+    flightNumber: leg.flightNumber,
+    from: toIsoDate(new Date(leg.from.getTime() + offset)),
+    to: toIsoDate(new Date(leg.to.getTime() + offset)),
+  };
+}
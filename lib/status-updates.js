@@ -0,0 +1,373 @@
+/**
+ * Flight status changes with an append-only history.
+ *
+ * updateFlightStatus validates the transition (see lib/flight-status.js),
+ * rewrites Status, DelayMinutes, DelayReason and the estimated times on the
+ * Flights item, and records the change in FlightStatusHistory in the same
+ * transaction. applyScheduleChange does the same for changes to the
+ * schedule itself (times, route, aircraft). Flights carry a StatusVersion
+ * counter so concurrent updates cannot overwrite each other silently.
+ */
+
+import { randomUUID } from "crypto";
+import { collectAll } from "./pagination.js";
+import {
+  assertTransition,
+  canonicalFlightStatus,
+  FLIGHT_STATUS,
+} from "./flight-status.js";
+import { ConditionFailedError } from "./storage/index.js";
+import { parseFlightTime } from "./times.js";
+
+const FLIGHTS_TABLE = "Flights";
+const FLIGHT_STATUS_HISTORY_TABLE = "FlightStatusHistory";
+
+const MINUTE = 60 * 1000;
+
+function parseTime(value, label) {
+  try {
+    return parseFlightTime(value);
+  } catch {
+    throw new Error(`Invalid ${label} "${value}"`);
+  }
+}
+
+function shift(time, minutes) {
+  return time
+    ? new Date(
+        parseFlightTime(time).getTime() + minutes * MINUTE
+      ).toISOString()
+    : time;
+}
+
+/**
+ * Work out the new delay and estimated times. An explicit
+ * estimatedDepartureTime wins; otherwise the estimate follows the delay.
+ * The estimated arrival moves by as much as the estimated departure unless
+ * estimatedArrivalTime is given.
+ */
+function resolveTimes(
+  flight,
+  status,
+  { delayMinutes, estimatedDepartureTime, estimatedArrivalTime }
+) {
+  const scheduled = parseTime(
+    flight.ScheduledDepartureTime,
+    "ScheduledDepartureTime"
+  );
+  let delay = flight.DelayMinutes ?? 0;
+  if (delayMinutes !== undefined && delayMinutes !== null) {
+    delay = Number(delayMinutes);
+    if (!Number.isFinite(delay) || delay < 0) {
+      throw new Error("delay_minutes must be a non-negative number");
+    }
+  } else if (estimatedDepartureTime) {
+    delay = Math.max(
+      0,
+      Math.round(
+        (parseTime(estimatedDepartureTime, "estimated departure time") -
+          scheduled) /
+          MINUTE
+      )
+    );
+  } else if (status === FLIGHT_STATUS.SCHEDULED) {
+    // Back on schedule
+    delay = 0;
+  }
+
+  if (status === FLIGHT_STATUS.DELAYED && delay <= 0) {
+    throw new Error("A delayed flight needs delay_minutes greater than 0");
+  }
+
+  const estimatedDeparture = estimatedDepartureTime
+    ? parseTime(estimatedDepartureTime, "estimated departure time").toISOString()
+    : new Date(scheduled.getTime() + delay * MINUTE).toISOString();
+  const previousDeparture =
+    flight.EstimatedDepartureTime || flight.ScheduledDepartureTime;
+  const moved = Math.round(
+    (new Date(estimatedDeparture) - parseFlightTime(previousDeparture)) /
+      MINUTE
+  );
+  const estimatedArrival = estimatedArrivalTime
+    ? parseTime(estimatedArrivalTime, "estimated arrival time").toISOString()
+    : shift(flight.EstimatedArrivalTime || flight.ScheduledArrivalTime, moved);
+
+  return { delay, estimatedDeparture, estimatedArrival };
+}
+
+function changeKey(flight, changedAt) {
+  return `${flight.ScheduledDepartureDate}#${changedAt}#${randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * Update the flight and append the history record in one transaction,
+ * guarded by the StatusVersion we read.
+ */
+async function writeWithHistory(store, flight, key, { set, add = {} }, change) {
+  try {
+    await store.transactWrite([
+      {
+        type: "update",
+        table: FLIGHTS_TABLE,
+        key,
+        changes: {
+          set: { ...set, LastStatusUpdate: change.ChangedAt },
+          add: { ...add, StatusVersion: 1 },
+        },
+        condition: {
+          StatusVersion: flight.StatusVersion ?? { exists: false },
+        },
+      },
+      {
+        type: "put",
+        table: FLIGHT_STATUS_HISTORY_TABLE,
+        item: change,
+        condition: { ChangeKey: { exists: false } },
+      },
+    ]);
+  } catch (error) {
+    if (!(error instanceof ConditionFailedError)) throw error;
+    throw new Error(
+      `Flight ${key.FlightNumber} on ${key.ScheduledDepartureDate} was updated concurrently, re-read it and retry`
+    );
+  }
+}
+
+/**
+ * Apply a status change to a dated flight and record it in the history.
+ *
+ * update: { status, delayMinutes, delayReason, delayCode,
+ *           estimatedDepartureTime, estimatedArrivalTime,
+ *           actualDepartureTime, actualArrivalTime, divertedTo }
+ * Any field left out keeps its current value. An actual departure time
+ * also serves as the estimate the delay is worked out from. Returns
+ * { flight, change } where change is null if nothing changed.
+ */
+export async function updateFlightStatus(
+  store,
+  key,
+  update,
+  { source = "manual", updatedBy, now = new Date() } = {}
+) {
+  const flight = await store.get(FLIGHTS_TABLE, key);
+  if (!flight) {
+    throw new Error(
+      `Flight ${key.FlightNumber} on ${key.ScheduledDepartureDate} not found`
+    );
+  }
+
+  const status = canonicalFlightStatus(update.status ?? flight.Status);
+  assertTransition(flight.Status, status);
+  const { delay, estimatedDeparture, estimatedArrival } = resolveTimes(
+    flight,
+    status,
+    {
+      ...update,
+      estimatedDepartureTime:
+        update.estimatedDepartureTime ?? update.actualDepartureTime,
+    }
+  );
+
+  const set = {
+    Status: status,
+    DelayMinutes: delay,
+    EstimatedDepartureTime: estimatedDeparture,
+  };
+  if (estimatedArrival) set.EstimatedArrivalTime = estimatedArrival;
+  if (update.delayReason !== undefined) set.DelayReason = update.delayReason;
+  if (update.delayCode !== undefined) set.DelayCode = String(update.delayCode);
+  if (update.divertedTo !== undefined) set.DivertedTo = update.divertedTo;
+  if (update.actualDepartureTime) {
+    set.ActualDepartureTime = parseTime(
+      update.actualDepartureTime,
+      "actual departure time"
+    ).toISOString();
+  }
+  if (update.actualArrivalTime) {
+    set.ActualArrivalTime = parseTime(
+      update.actualArrivalTime,
+      "actual arrival time"
+    ).toISOString();
+  }
+
+  // Times are compared as instants, "…:00Z" and "…:00.000Z" are the same
+  for (const attr of [
+    "EstimatedDepartureTime",
+    "EstimatedArrivalTime",
+    "ActualDepartureTime",
+    "ActualArrivalTime",
+  ]) {
+    if (
+      flight[attr] &&
+      set[attr] &&
+      parseFlightTime(flight[attr]).getTime() ===
+        parseFlightTime(set[attr]).getTime()
+    ) {
+      delete set[attr];
+    }
+  }
+  const changed = Object.entries(set).filter(
+    ([attr, value]) => flight[attr] !== value
+  );
+  if (changed.length === 0) return { flight, change: null };
+
+  const changedAt = now.toISOString();
+  const change = {
+    FlightNumber: flight.FlightNumber,
+    ChangeKey: changeKey(flight, changedAt),
+    ScheduledDepartureDate: flight.ScheduledDepartureDate,
+    Origin: flight.Origin,
+    Destination: flight.Destination,
+    ChangedAt: changedAt,
+    PreviousStatus: flight.Status,
+    Status: status,
+    PreviousDelayMinutes: flight.DelayMinutes ?? 0,
+    DelayMinutes: delay,
+    PreviousEstimatedDepartureTime: flight.EstimatedDepartureTime || null,
+    EstimatedDepartureTime:
+      set.EstimatedDepartureTime ?? flight.EstimatedDepartureTime,
+    DelayReason: set.DelayReason ?? flight.DelayReason ?? null,
+    DelayCode: set.DelayCode ?? flight.DelayCode ?? null,
+    ChangedAttributes: changed.map(([attr]) => attr),
+    Source: source,
+    UpdatedBy: updatedBy || null,
+  };
+
+  await writeWithHistory(store, flight, key, { set }, change);
+
+  return {
+    flight: {
+      ...flight,
+      ...set,
+      LastStatusUpdate: changedAt,
+      StatusVersion: (flight.StatusVersion ?? 0) + 1,
+    },
+    change,
+  };
+}
+
+/**
+ * Apply a schedule change to a dated flight and record it in the history.
+ *
+ * schedule: any of { Origin, Destination, ScheduledDepartureTime,
+ * ScheduledArrivalTime, AircraftType, SeatCapacity, SeatCapacityByCabin }.
+ * Estimated times move with the scheduled ones, keeping the current delay,
+ * and a capacity change is added to the seats still for sale. Returns
+ * { flight, change } where change is null if nothing changed.
+ */
+export async function applyScheduleChange(
+  store,
+  key,
+  schedule,
+  { source = "schedule", updatedBy, now = new Date() } = {}
+) {
+  const flight = await store.get(FLIGHTS_TABLE, key);
+  if (!flight) {
+    throw new Error(
+      `Flight ${key.FlightNumber} on ${key.ScheduledDepartureDate} not found`
+    );
+  }
+
+  const set = {};
+  const changes = {};
+  for (const [attr, value] of Object.entries(schedule)) {
+    if (value === undefined || value === null) continue;
+    const same = attr.endsWith("Time")
+      ? flight[attr] &&
+        parseFlightTime(flight[attr]).getTime() ===
+          parseFlightTime(value).getTime()
+      : JSON.stringify(flight[attr]) === JSON.stringify(value);
+    if (same) continue;
+    set[attr] = value;
+    changes[attr] = { from: flight[attr] ?? null, to: value };
+  }
+  if (Object.keys(set).length === 0) return { flight, change: null };
+
+  const delay = flight.DelayMinutes ?? 0;
+  if (set.ScheduledDepartureTime) {
+    set.EstimatedDepartureTime = shift(set.ScheduledDepartureTime, delay);
+  }
+  if (set.ScheduledArrivalTime) {
+    set.EstimatedArrivalTime = shift(set.ScheduledArrivalTime, delay);
+  }
+
+  // Seats already sold stay sold: only the difference in capacity moves
+  const add = {};
+  if (set.SeatCapacity !== undefined && flight.SeatCapacity != null) {
+    add.AvailableSeats = set.SeatCapacity - flight.SeatCapacity;
+  }
+  if (set.SeatCapacityByCabin && flight.AvailableSeatsByCabin) {
+    for (const [cabin, seats] of Object.entries(set.SeatCapacityByCabin)) {
+      const before = flight.SeatCapacityByCabin?.[cabin];
+      if (before !== undefined && cabin in flight.AvailableSeatsByCabin) {
+        add[`AvailableSeatsByCabin.${cabin}`] = seats - before;
+      }
+    }
+  }
+  for (const [attr, delta] of Object.entries(add)) {
+    if (delta === 0) delete add[attr];
+  }
+
+  const changedAt = now.toISOString();
+  const change = {
+    FlightNumber: flight.FlightNumber,
+    ChangeKey: changeKey(flight, changedAt),
+    ScheduledDepartureDate: flight.ScheduledDepartureDate,
+    Origin: set.Origin ?? flight.Origin,
+    Destination: set.Destination ?? flight.Destination,
+    ChangedAt: changedAt,
+    PreviousStatus: flight.Status,
+    Status: flight.Status,
+    PreviousDelayMinutes: delay,
+    DelayMinutes: delay,
+    PreviousEstimatedDepartureTime: flight.EstimatedDepartureTime || null,
+    EstimatedDepartureTime:
+      set.EstimatedDepartureTime ?? flight.EstimatedDepartureTime,
+    DelayReason: flight.DelayReason ?? null,
+    DelayCode: flight.DelayCode ?? null,
+    ChangedAttributes: Object.keys(changes),
+    ScheduleChanges: changes,
+    Source: source,
+    UpdatedBy: updatedBy || null,
+  };
+
+  await writeWithHistory(store, flight, key, { set, add }, change);
+
+  const availableSeatsByCabin = flight.AvailableSeatsByCabin && {
+    ...flight.AvailableSeatsByCabin,
+  };
+  for (const [attr, delta] of Object.entries(add)) {
+    if (attr.startsWith("AvailableSeatsByCabin.")) {
+      availableSeatsByCabin[attr.split(".")[1]] += delta;
+    }
+  }
+  return {
+    flight: {
+      ...flight,
+      ...set,
+      AvailableSeats: (flight.AvailableSeats ?? 0) + (add.AvailableSeats || 0),
+      ...(availableSeatsByCabin && {
+        AvailableSeatsByCabin: availableSeatsByCabin,
+      }),
+      LastStatusUpdate: changedAt,
+      StatusVersion: (flight.StatusVersion ?? 0) + 1,
+    },
+    change,
+  };
+}
+
+/**
+ * Status changes of a flight, oldest first, for one departure date or for
+ * all of them.
+ */
+export async function getStatusHistory(store, flightNumber, departureDate) {
+  return collectAll(({ cursor }) =>
+    store.query(FLIGHT_STATUS_HISTORY_TABLE, {
+      hash: String(flightNumber),
+      range: departureDate
+        ? { begins_with: `${departureDate}#` }
+        : undefined,
+      cursor,
+    })
+  );
+}
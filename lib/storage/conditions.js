@@ -0,0 +1,250 @@
+/**
+ * Declarative conditions shared by every storage adapter.
+ *
+ * A condition is a plain object of attribute -> test, ANDed together:
+ *
+ *   { Origin: "FRA", DelayMinutes: { gt: 0 }, Status: { in: ["delayed", "cancelled"] } }
+ *
+ * Supported tests: eq, ne, gt, gte, lt, lte, between: [lo, hi], in: [...],
+ * begins_with, exists: true|false. A bare value means eq. `$or` / `$and`
+ * take arrays of nested conditions. Attribute names may be dotted paths
+ * into map attributes, e.g. "AvailableSeatsByCabin.business"; the same
+ * applies to the attributes of update clauses.
+ *
+ * The DynamoDB adapter compiles conditions into expressions, the SQLite
+ * adapter evaluates them in JS with `matches`.
+ */
+
+const OPERATORS = [
+  "eq",
+  "ne",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "between",
+  "in",
+  "begins_with",
+  "exists",
+];
+
+function isTestObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every((k) => OPERATORS.includes(k))
+  );
+}
+
+function normalizeTest(test) {
+  return isTestObject(test) ? test : { eq: test };
+}
+
+function compare(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function testValue(value, op, operand) {
+  const present = value !== undefined && value !== null;
+  switch (op) {
+    case "exists":
+      return operand ? present : !present;
+    case "ne":
+      return !present || value !== operand;
+    case "in":
+      return present && operand.includes(value);
+  }
+  if (!present) return false;
+  switch (op) {
+    case "eq":
+      return value === operand;
+    case "gt":
+      return compare(value, operand) > 0;
+    case "gte":
+      return compare(value, operand) >= 0;
+    case "lt":
+      return compare(value, operand) < 0;
+    case "lte":
+      return compare(value, operand) <= 0;
+    case "between":
+      return compare(value, operand[0]) >= 0 && compare(value, operand[1]) <= 0;
+    case "begins_with":
+      return typeof value === "string" && value.startsWith(operand);
+    default:
+      throw new Error(`Unsupported condition operator "${op}"`);
+  }
+}
+
+function getPath(item, path) {
+  return path
+    .split(".")
+    .reduce((value, part) => (value == null ? undefined : value[part]), item);
+}
+
+// Copy-on-write helpers for applyUpdate: clone every map along the path
+function withPath(item, path, update) {
+  const [head, ...rest] = path.split(".");
+  const next = { ...item };
+  if (rest.length === 0) {
+    update(next, head);
+  } else {
+    next[head] = withPath(next[head] || {}, rest.join("."), update);
+  }
+  return next;
+}
+
+/** Evaluate a condition against an item (undefined item = missing item). */
+export function matches(item, condition) {
+  if (!condition) return true;
+  const target = item || {};
+  return Object.entries(condition).every(([attr, test]) => {
+    if (attr === "$or") return test.some((c) => matches(item, c));
+    if (attr === "$and") return test.every((c) => matches(item, c));
+    return Object.entries(normalizeTest(test)).every(([op, operand]) =>
+      testValue(getPath(target, attr), op, operand)
+    );
+  });
+}
+
+/**
+ * Collects ExpressionAttributeNames/Values while compiling conditions and
+ * update clauses into DynamoDB expression strings.
+ */
+export class ExpressionBuilder {
+  constructor() {
+    this.names = {};
+    this.values = {};
+    this.counter = 0;
+    // One placeholder per distinct name; deriving it from the name itself
+    // would make e.g. "a-b" and "a_b" collide
+    this.placeholders = new Map();
+  }
+
+  name(attr) {
+    return attr
+      .split(".")
+      .map((part) => {
+        if (!this.placeholders.has(part)) {
+          const placeholder = `#n${this.placeholders.size}`;
+          this.placeholders.set(part, placeholder);
+          this.names[placeholder] = part;
+        }
+        return this.placeholders.get(part);
+      })
+      .join(".");
+  }
+
+  value(value) {
+    const placeholder = `:v${this.counter++}`;
+    this.values[placeholder] = value;
+    return placeholder;
+  }
+
+  condition(condition) {
+    const clauses = Object.entries(condition).map(([attr, test]) => {
+      if (attr === "$or" || attr === "$and") {
+        const joiner = attr === "$or" ? " OR " : " AND ";
+        return `(${test.map((c) => this.condition(c)).join(joiner)})`;
+      }
+      return Object.entries(normalizeTest(test))
+        .map(([op, operand]) => this.test(attr, op, operand))
+        .join(" AND ");
+    });
+    return clauses.length > 1
+      ? clauses.map((c) => `(${c})`).join(" AND ")
+      : clauses[0];
+  }
+
+  test(attr, op, operand) {
+    const n = this.name(attr);
+    switch (op) {
+      case "eq":
+        return `${n} = ${this.value(operand)}`;
+      case "ne":
+        return `${n} <> ${this.value(operand)}`;
+      case "gt":
+        return `${n} > ${this.value(operand)}`;
+      case "gte":
+        return `${n} >= ${this.value(operand)}`;
+      case "lt":
+        return `${n} < ${this.value(operand)}`;
+      case "lte":
+        return `${n} <= ${this.value(operand)}`;
+      case "between":
+        return `${n} BETWEEN ${this.value(operand[0])} AND ${this.value(
+          operand[1]
+        )}`;
+      case "in":
+        return `${n} IN (${operand.map((v) => this.value(v)).join(", ")})`;
+      case "begins_with":
+        return `begins_with(${n}, ${this.value(operand)})`;
+      case "exists":
+        return operand ? `attribute_exists(${n})` : `attribute_not_exists(${n})`;
+      default:
+        throw new Error(`Unsupported condition operator "${op}"`);
+    }
+  }
+
+  /** Compile { set, add, remove } into an UpdateExpression. */
+  update({ set = {}, add = {}, remove = [] }) {
+    const parts = [];
+    const sets = Object.entries(set).map(
+      ([attr, value]) => `${this.name(attr)} = ${this.value(value)}`
+    );
+    // ADD on numbers is expressed as SET x = if_not_exists(x, 0) + :n so it
+    // behaves the same way as the SQLite adapter for missing attributes.
+    for (const [attr, delta] of Object.entries(add)) {
+      const n = this.name(attr);
+      sets.push(`${n} = if_not_exists(${n}, ${this.value(0)}) + ${this.value(delta)}`);
+    }
+    if (sets.length) parts.push(`SET ${sets.join(", ")}`);
+    if (remove.length) {
+      parts.push(`REMOVE ${remove.map((attr) => this.name(attr)).join(", ")}`);
+    }
+    return parts.join(" ");
+  }
+
+  attributes() {
+    const result = {};
+    if (Object.keys(this.names).length) {
+      result.ExpressionAttributeNames = this.names;
+    }
+    if (Object.keys(this.values).length) {
+      result.ExpressionAttributeValues = this.values;
+    }
+    return result;
+  }
+}
+
+/** Apply { set, add, remove } to a copy of an item (SQLite adapter). */
+export function applyUpdate(item, { set = {}, add = {}, remove = [] }) {
+  let next = item;
+  for (const [attr, value] of Object.entries(set)) {
+    next = withPath(next, attr, (target, key) => {
+      target[key] = value;
+    });
+  }
+  for (const [attr, delta] of Object.entries(add)) {
+    next = withPath(next, attr, (target, key) => {
+      target[key] = (target[key] || 0) + delta;
+    });
+  }
+  for (const attr of remove) {
+    next = withPath(next, attr, (target, key) => {
+      delete target[key];
+    });
+  }
+  return next;
+}
+
+/** Turn a key-condition descriptor into a condition on hash/range attributes. */
+export function keyCondition(keySchema, { hash, range }) {
+  const condition = { [keySchema.hash]: hash };
+  if (range !== undefined && keySchema.range) {
+    condition[keySchema.range] = range;
+  }
+  return condition;
+}
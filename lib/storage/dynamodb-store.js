@@ -0,0 +1,265 @@
+/**
+ * DynamoDB storage adapter. Compiles the store's declarative key conditions,
+ * filters and updates into DynamoDB expressions via the document client.
+ */
+
+import {
+  CreateTableCommand,
+  DescribeTableCommand,
+  DynamoDBClient,
+  waitUntilTableExists,
+} from "@aws-sdk/client-dynamodb";
+import {
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  ScanCommand,
+  TransactWriteCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { getKeySchema, toTableDefinition } from "../schemas.js";
+import { ExpressionBuilder, keyCondition } from "./conditions.js";
+import { ConditionFailedError } from "./errors.js";
+
+function encodeCursor(lastEvaluatedKey) {
+  if (!lastEvaluatedKey) return null;
+  return Buffer.from(JSON.stringify(lastEvaluatedKey)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return undefined;
+  return JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+}
+
+function translateError(error) {
+  if (
+    error.name === "ConditionalCheckFailedException" ||
+    error.name === "TransactionCanceledException"
+  ) {
+    return new ConditionFailedError(error.message, { cause: error });
+  }
+  return error;
+}
+
+function withCondition(params, condition, builder = new ExpressionBuilder()) {
+  if (condition && Object.keys(condition).length) {
+    params.ConditionExpression = builder.condition(condition);
+  }
+  return Object.assign(params, builder.attributes());
+}
+
+export class DynamoDBStore {
+  constructor({ region = "us-east-1", endpoint } = {}) {
+    this.region = region;
+    this.endpoint = endpoint;
+    this.client = new DynamoDBClient(
+      endpoint ? { region, endpoint } : { region }
+    );
+    this.docClient = DynamoDBDocumentClient.from(this.client, {
+      marshallOptions: { removeUndefinedValues: true },
+    });
+  }
+
+  describe() {
+    return this.endpoint
+      ? `DynamoDB (${this.region}, endpoint ${this.endpoint})`
+      : `DynamoDB (${this.region})`;
+  }
+
+  async send(command) {
+    try {
+      return await this.docClient.send(command);
+    } catch (error) {
+      throw translateError(error);
+    }
+  }
+
+  async get(table, key) {
+    const result = await this.send(new GetCommand({ TableName: table, Key: key }));
+    return result.Item || null;
+  }
+
+  async put(table, item, { condition } = {}) {
+    await this.send(
+      new PutCommand(withCondition({ TableName: table, Item: item }, condition))
+    );
+    return item;
+  }
+
+  async update(table, key, changes, { condition } = {}) {
+    const builder = new ExpressionBuilder();
+    const params = {
+      TableName: table,
+      Key: key,
+      UpdateExpression: builder.update(changes),
+      ReturnValues: "ALL_NEW",
+    };
+    const result = await this.send(
+      new UpdateCommand(withCondition(params, condition, builder))
+    );
+    return result.Attributes;
+  }
+
+  async delete(table, key, { condition } = {}) {
+    const result = await this.send(
+      new DeleteCommand(
+        withCondition(
+          { TableName: table, Key: key, ReturnValues: "ALL_OLD" },
+          condition
+        )
+      )
+    );
+    return result.Attributes || null;
+  }
+
+  async query(
+    table,
+    { index, hash, range, filter, limit, cursor, descending = false }
+  ) {
+    const builder = new ExpressionBuilder();
+    const params = {
+      TableName: table,
+      KeyConditionExpression: builder.condition(
+        keyCondition(getKeySchema(table, index), { hash, range })
+      ),
+      ScanIndexForward: !descending,
+    };
+    if (index) params.IndexName = index;
+    if (filter && Object.keys(filter).length) {
+      params.FilterExpression = builder.condition(filter);
+    }
+    if (limit) params.Limit = limit;
+    if (cursor) params.ExclusiveStartKey = decodeCursor(cursor);
+
+    const result = await this.send(
+      new QueryCommand(Object.assign(params, builder.attributes()))
+    );
+    return {
+      items: result.Items || [],
+      cursor: encodeCursor(result.LastEvaluatedKey),
+      scannedCount: result.ScannedCount || 0,
+    };
+  }
+
+  async scan(table, { filter, limit, cursor } = {}) {
+    const builder = new ExpressionBuilder();
+    const params = { TableName: table };
+    if (filter && Object.keys(filter).length) {
+      params.FilterExpression = builder.condition(filter);
+    }
+    if (limit) params.Limit = limit;
+    if (cursor) params.ExclusiveStartKey = decodeCursor(cursor);
+
+    const result = await this.send(
+      new ScanCommand(Object.assign(params, builder.attributes()))
+    );
+    return {
+      items: result.Items || [],
+      cursor: encodeCursor(result.LastEvaluatedKey),
+      scannedCount: result.ScannedCount || 0,
+    };
+  }
+
+  /**
+   * All-or-nothing write of several operations:
+   * [{ type: "put"|"update"|"delete"|"check", table, item|key, changes, condition }]
+   */
+  async transactWrite(operations) {
+    const TransactItems = operations.map((op) => {
+      const builder = new ExpressionBuilder();
+      switch (op.type) {
+        case "put":
+          return {
+            Put: withCondition(
+              { TableName: op.table, Item: op.item },
+              op.condition,
+              builder
+            ),
+          };
+        case "update":
+          return {
+            Update: withCondition(
+              {
+                TableName: op.table,
+                Key: op.key,
+                UpdateExpression: builder.update(op.changes),
+              },
+              op.condition,
+              builder
+            ),
+          };
+        case "delete":
+          return {
+            Delete: withCondition(
+              { TableName: op.table, Key: op.key },
+              op.condition,
+              builder
+            ),
+          };
+        case "check":
+          return {
+            ConditionCheck: withCondition(
+              { TableName: op.table, Key: op.key },
+              op.condition,
+              builder
+            ),
+          };
+        default:
+          throw new Error(`Unsupported transaction operation "${op.type}"`);
+      }
+    });
+    await this.send(new TransactWriteCommand({ TransactItems }));
+  }
+
+  /**
+   * Create a table from its schema definition. Returns false if it already
+   * exists, true once a newly created table is ACTIVE.
+   */
+  async createTable(definition) {
+    const { raw } = definition;
+    const input = {
+      TableName: raw.TableName,
+      AttributeDefinitions: raw.AttributeDefinitions,
+      KeySchema: raw.KeySchema,
+      BillingMode: raw.BillingModeSummary?.BillingMode || "PAY_PER_REQUEST",
+    };
+    if (raw.GlobalSecondaryIndexes?.length) {
+      input.GlobalSecondaryIndexes = raw.GlobalSecondaryIndexes.map((gsi) => ({
+        IndexName: gsi.IndexName,
+        KeySchema: gsi.KeySchema,
+        Projection: gsi.Projection,
+      }));
+    }
+
+    try {
+      await this.client.send(new CreateTableCommand(input));
+    } catch (error) {
+      if (error.name === "ResourceInUseException") return false;
+      throw error;
+    }
+    await waitUntilTableExists(
+      { client: this.client, maxWaitTime: 120 },
+      { TableName: raw.TableName }
+    );
+    return true;
+  }
+
+  /** Live table layout in schema-definition form, or null if missing. */
+  async describeTable(tableName) {
+    try {
+      const result = await this.client.send(
+        new DescribeTableCommand({ TableName: tableName })
+      );
+      return toTableDefinition(result);
+    } catch (error) {
+      if (error.name === "ResourceNotFoundException") return null;
+      throw error;
+    }
+  }
+
+  async close() {
+    this.client.destroy();
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * Errors raised by storage adapters, independent of the backend in use.
+ */
+
+/** A conditional write (or one operation of a transaction) was rejected. */
+export class ConditionFailedError extends Error {
+  constructor(message = "Conditional check failed", { cause } = {}) {
+    super(message, { cause });
+    this.name = "ConditionFailedError";
+  }
+}
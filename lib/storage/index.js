@@ -0,0 +1,74 @@
+/**
+ * Storage backend selection for the MCP servers.
+ *
+ * Both adapters implement the same table-level interface:
+ *
+ *   get(table, key)                            -> item | null
+ *   put(table, item, { condition })            -> item
+ *   update(table, key, changes, { condition }) -> updated item
+ *       changes: { set: {...}, add: { attr: delta }, remove: [attr] }
+ *   delete(table, key, { condition })          -> previous item | null
+ *   query(table, { index, hash, range, filter, limit, cursor, descending })
+ *   scan(table, { filter, limit, cursor })     -> { items, cursor, scannedCount }
+ *   transactWrite([{ type, table, item|key, changes, condition }])
+ *   createTable(definition) / describeTable(table)   (provisioning)
+ *   describe() / close()
+ *
+ * Conditions and filters use the declarative format in ./conditions.js.
+ * A failed condition raises ConditionFailedError on either backend.
+ * Writes are checked by the per-table validators in ./validation.js.
+ *
+ * Configuration (environment variables, e.g. in mcp-config.json):
+ *   STORAGE_BACKEND    "dynamodb" (default) or "sqlite"
+ *   AWS_REGION         DynamoDB region (default us-east-1)
+ *   DYNAMODB_ENDPOINT  optional endpoint override, e.g. DynamoDB Local
+ *   SQLITE_PATH        SQLite database file (default ./flights.db)
+ *
+ * The SQLite adapter creates any missing tables on first use unless
+ * `createTables: false` is passed (scripts/setup-tables.js does this).
+ */
+
+import { dirname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { DynamoDBStore } from "./dynamodb-store.js";
+import { SQLiteStore } from "./sqlite-store.js";
+import { withWriteValidation } from "./validation.js";
+
+export { ConditionFailedError } from "./errors.js";
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+export function getStorageConfig(env = process.env) {
+  return {
+    backend: (env.STORAGE_BACKEND || "dynamodb").toLowerCase(),
+    region: env.AWS_REGION || "us-east-1",
+    endpoint: env.DYNAMODB_ENDPOINT || undefined,
+    sqlitePath: env.SQLITE_PATH
+      ? resolve(env.SQLITE_PATH)
+      : join(ROOT_DIR, "flights.db"),
+  };
+}
+
+function createAdapter(config) {
+  switch (config.backend) {
+    case "dynamodb":
+      return new DynamoDBStore({
+        region: config.region,
+        endpoint: config.endpoint,
+      });
+    case "sqlite":
+      return new SQLiteStore({
+        path: config.sqlitePath,
+        createTables: config.createTables ?? true,
+      });
+    default:
+      throw new Error(
+        `Unknown STORAGE_BACKEND "${config.backend}" (expected "dynamodb" or "sqlite")`
+      );
+  }
+}
+
+/** Create the configured adapter, with write validation (./validation.js). */
+export function createStore(config = getStorageConfig()) {
+  return withWriteValidation(createAdapter(config));
+}
@@ -0,0 +1,390 @@
+/**
+ * SQLite storage adapter for running the MCP servers offline.
+ *
+ * Every DynamoDB table becomes a SQLite table with one column per attribute
+ * listed in the schema's AttributeDefinitions (i.e. every table and GSI key)
+ * plus an `item` column holding the full item as JSON. GSIs become ordinary
+ * SQLite indexes on their key columns, so items missing an index key drop
+ * out of index queries just like a sparse DynamoDB GSI.
+ */
+
+import sqlite3 from "sqlite3";
+import { getKeySchema, getTableDefinition, TABLES } from "../schemas.js";
+import { applyUpdate, matches } from "./conditions.js";
+import { ConditionFailedError } from "./errors.js";
+
+const quote = (identifier) => `"${identifier.replace(/"/g, '""')}"`;
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  return JSON.parse(Buffer.from(cursor, "base64url").toString("utf8")).offset;
+}
+
+function rangeClause(column, test, params) {
+  const tests =
+    test !== null && typeof test === "object" && !Array.isArray(test)
+      ? test
+      : { eq: test };
+  return Object.entries(tests).map(([op, operand]) => {
+    switch (op) {
+      case "eq":
+        params.push(operand);
+        return `${column} = ?`;
+      case "gt":
+        params.push(operand);
+        return `${column} > ?`;
+      case "gte":
+        params.push(operand);
+        return `${column} >= ?`;
+      case "lt":
+        params.push(operand);
+        return `${column} < ?`;
+      case "lte":
+        params.push(operand);
+        return `${column} <= ?`;
+      case "between":
+        params.push(operand[0], operand[1]);
+        return `${column} BETWEEN ? AND ?`;
+      case "begins_with":
+        params.push(operand, operand);
+        return `substr(${column}, 1, length(?)) = ?`;
+      default:
+        throw new Error(`Unsupported key condition operator "${op}"`);
+    }
+  });
+}
+
+/** CREATE TABLE / CREATE INDEX statements for one schema definition. */
+export function tableStatements(definition) {
+  const table = quote(definition.name);
+  const columns = Object.entries(definition.attributes).map(
+    ([attr, type]) => `${quote(attr)} ${type === "N" ? "REAL" : "TEXT"}`
+  );
+  const primaryKey = [definition.key.hash, definition.key.range]
+    .filter(Boolean)
+    .map(quote);
+
+  const statements = [
+    `CREATE TABLE IF NOT EXISTS ${table} (${columns.join(
+      ", "
+    )}, item TEXT NOT NULL, PRIMARY KEY (${primaryKey.join(", ")}))`,
+  ];
+  for (const [indexName, keys] of Object.entries(definition.indexes)) {
+    const indexColumns = [keys.hash, keys.range].filter(Boolean).map(quote);
+    statements.push(
+      `CREATE INDEX IF NOT EXISTS ${quote(
+        `${definition.name}_${indexName}`
+      )} ON ${table} (${indexColumns.join(", ")})`
+    );
+  }
+  return statements;
+}
+
+export class SQLiteStore {
+  constructor({ path, createTables = true }) {
+    this.path = path;
+    this.createTables = createTables;
+    this.db = null;
+    this.ready = null;
+    this.queue = Promise.resolve();
+  }
+
+  describe() {
+    return `SQLite (${this.path})`;
+  }
+
+  open() {
+    if (!this.ready) {
+      this.ready = new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(this.path, (error) => {
+          if (error) return reject(error);
+          db.configure("busyTimeout", 5000);
+          resolve(db);
+        });
+      }).then(async (db) => {
+        this.db = db;
+        if (!this.createTables) return db;
+        for (const definition of Object.values(TABLES)) {
+          for (const statement of tableStatements(definition)) {
+            await this.run(statement);
+          }
+        }
+        return db;
+      });
+    }
+    return this.ready;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (error) {
+        if (error) reject(error);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (error, rows) => {
+        if (error) reject(error);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // All statements share one connection, so reads wait in the same queue as
+  // writes; otherwise a read could see the uncommitted rows of an open
+  // transaction that is later rolled back.
+  serialized(fn) {
+    const next = this.queue.then(async () => {
+      await this.open();
+      return fn();
+    });
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  // Writes are read-modify-write in JS, so they are serialized through the
+  // queue and wrapped in a transaction to keep conditional updates atomic.
+  exclusive(fn) {
+    return this.serialized(async () => {
+      await this.run("BEGIN IMMEDIATE");
+      try {
+        const result = await fn();
+        await this.run("COMMIT");
+        return result;
+      } catch (error) {
+        await this.run("ROLLBACK");
+        throw error;
+      }
+    });
+  }
+
+  keyWhere(table, key) {
+    const { hash, range } = getTableDefinition(table).key;
+    const params = [key[hash]];
+    let sql = `${quote(hash)} = ?`;
+    if (range) {
+      sql += ` AND ${quote(range)} = ?`;
+      params.push(key[range]);
+    }
+    return { sql, params };
+  }
+
+  async readItem(table, key) {
+    const where = this.keyWhere(table, key);
+    const rows = await this.all(
+      `SELECT item FROM ${quote(table)} WHERE ${where.sql}`,
+      where.params
+    );
+    return rows.length ? JSON.parse(rows[0].item) : null;
+  }
+
+  async writeItem(table, item) {
+    const columns = Object.keys(getTableDefinition(table).attributes);
+    await this.run(
+      `INSERT OR REPLACE INTO ${quote(table)} (${columns
+        .map(quote)
+        .join(", ")}, item) VALUES (${columns.map(() => "?").join(", ")}, ?)`,
+      [...columns.map((c) => item[c] ?? null), JSON.stringify(item)]
+    );
+  }
+
+  async removeItem(table, key) {
+    const where = this.keyWhere(table, key);
+    await this.run(`DELETE FROM ${quote(table)} WHERE ${where.sql}`, where.params);
+  }
+
+  async checkCondition(table, key, condition) {
+    if (!condition) return null;
+    const current = await this.readItem(table, key);
+    if (!matches(current, condition)) {
+      throw new ConditionFailedError(
+        `Conditional check failed on ${table} ${JSON.stringify(key)}`
+      );
+    }
+    return current;
+  }
+
+  async applyOperation(op) {
+    const { hash, range } = getTableDefinition(op.table).key;
+    const key = op.key || {
+      [hash]: op.item[hash],
+      ...(range ? { [range]: op.item[range] } : {}),
+    };
+    await this.checkCondition(op.table, key, op.condition);
+
+    switch (op.type) {
+      case "put":
+        await this.writeItem(op.table, op.item);
+        return op.item;
+      case "update": {
+        const current = (await this.readItem(op.table, key)) || { ...key };
+        const updated = applyUpdate(current, op.changes);
+        await this.writeItem(op.table, updated);
+        return updated;
+      }
+      case "delete": {
+        const current = await this.readItem(op.table, key);
+        await this.removeItem(op.table, key);
+        return current;
+      }
+      case "check":
+        return null;
+      default:
+        throw new Error(`Unsupported transaction operation "${op.type}"`);
+    }
+  }
+
+  /**
+   * Create a table and its indexes from a schema definition. Returns false
+   * if the table already existed.
+   */
+  async createTable(definition) {
+    await this.open();
+    const existed = (await this.describeTable(definition.name)) !== null;
+    for (const statement of tableStatements(definition)) {
+      await this.run(statement);
+    }
+    return !existed;
+  }
+
+  /** Live table layout in schema-definition form, or null if missing. */
+  async describeTable(tableName) {
+    await this.open();
+    const columns = await this.all(`PRAGMA table_info(${quote(tableName)})`);
+    if (!columns.length) return null;
+
+    const attributes = {};
+    const primaryKey = [];
+    for (const column of columns) {
+      if (column.name === "item") continue;
+      attributes[column.name] = column.type === "REAL" ? "N" : "S";
+      if (column.pk) primaryKey[column.pk - 1] = column.name;
+    }
+
+    const indexes = {};
+    const prefix = `${tableName}_`;
+    for (const index of await this.all(
+      `PRAGMA index_list(${quote(tableName)})`
+    )) {
+      if (index.origin !== "c" || !index.name.startsWith(prefix)) continue;
+      const indexColumns = await this.all(
+        `PRAGMA index_info(${quote(index.name)})`
+      );
+      indexColumns.sort((a, b) => a.seqno - b.seqno);
+      indexes[index.name.slice(prefix.length)] = {
+        hash: indexColumns[0].name,
+        range: indexColumns[1] ? indexColumns[1].name : null,
+        projection: "ALL",
+      };
+    }
+
+    return {
+      name: tableName,
+      attributes,
+      key: { hash: primaryKey[0], range: primaryKey[1] || null },
+      indexes,
+    };
+  }
+
+  get(table, key) {
+    return this.serialized(() => this.readItem(table, key));
+  }
+
+  put(table, item, { condition } = {}) {
+    return this.exclusive(() =>
+      this.applyOperation({ type: "put", table, item, condition })
+    );
+  }
+
+  update(table, key, changes, { condition } = {}) {
+    return this.exclusive(() =>
+      this.applyOperation({ type: "update", table, key, changes, condition })
+    );
+  }
+
+  delete(table, key, { condition } = {}) {
+    return this.exclusive(() =>
+      this.applyOperation({ type: "delete", table, key, condition })
+    );
+  }
+
+  transactWrite(operations) {
+    return this.exclusive(async () => {
+      for (const op of operations) {
+        await this.applyOperation(op);
+      }
+    });
+  }
+
+  async page(sql, params, { filter, limit, cursor }) {
+    const offset = decodeCursor(cursor);
+    if (limit) {
+      sql += " LIMIT ? OFFSET ?";
+      params.push(limit, offset);
+    }
+    const rows = await this.all(sql, params);
+    const items = rows
+      .map((row) => JSON.parse(row.item))
+      .filter((item) => matches(item, filter));
+    return {
+      items,
+      cursor: limit && rows.length === limit ? encodeCursor(offset + limit) : null,
+      scannedCount: rows.length,
+    };
+  }
+
+  async query(
+    table,
+    { index, hash, range, filter, limit, cursor, descending = false }
+  ) {
+    const keys = getKeySchema(table, index);
+    const primary = getTableDefinition(table).key;
+    const params = [hash];
+    const where = [`${quote(keys.hash)} = ?`];
+    if (range !== undefined && keys.range) {
+      where.push(...rangeClause(quote(keys.range), range, params));
+    }
+    const direction = descending ? "DESC" : "ASC";
+    const order = [keys.range, primary.hash, primary.range]
+      .filter(Boolean)
+      .map((column) => `${quote(column)} ${direction}`);
+
+    return this.serialized(() =>
+      this.page(
+        `SELECT item FROM ${quote(table)} WHERE ${where.join(
+          " AND "
+        )} ORDER BY ${order.join(", ")}`,
+        params,
+        { filter, limit, cursor }
+      )
+    );
+  }
+
+  async scan(table, { filter, limit, cursor } = {}) {
+    const { hash, range } = getTableDefinition(table).key;
+    const order = [hash, range].filter(Boolean).map(quote);
+    return this.serialized(() =>
+      this.page(
+        `SELECT item FROM ${quote(table)} ORDER BY ${order.join(", ")}`,
+        [],
+        { filter, limit, cursor }
+      )
+    );
+  }
+
+  async close() {
+    if (!this.ready) return;
+    const db = await this.ready;
+    await new Promise((resolve, reject) =>
+      db.close((error) => (error ? reject(error) : resolve()))
+    );
+    this.ready = null;
+  }
+}
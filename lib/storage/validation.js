@@ -0,0 +1,85 @@
+/**
+ * Write-path validation applied to every store returned by createStore.
+ *
+ * Validators are registered per table and see each put item and each
+ * update's `set` clause before it reaches the backend, so invariants such
+ * as the canonical flight status hold no matter which tool or script
+ * performs the write.
+ */
+
+import { canonicalFlightStatus } from "../flight-status.js";
+import { normalizePreference } from "../preferences.js";
+
+const VALIDATORS = {
+  Flights(attributes) {
+    if ("Status" in attributes) {
+      return { ...attributes, Status: canonicalFlightStatus(attributes.Status) };
+    }
+    return attributes;
+  },
+  // An update's set clause carries the PreferenceType in the key
+  PassengerPreferences(attributes, key) {
+    if ("Value" in attributes) {
+      return {
+        ...attributes,
+        Value: normalizePreference(
+          attributes.PreferenceType ?? key?.PreferenceType,
+          attributes.Value
+        ),
+      };
+    }
+    return attributes;
+  },
+};
+
+function validateItem(table, item, key) {
+  const validator = VALIDATORS[table];
+  return validator ? validator(item, key) : item;
+}
+
+function validateChanges(table, changes, key) {
+  if (!VALIDATORS[table] || !changes.set) return changes;
+  return { ...changes, set: validateItem(table, changes.set, key) };
+}
+
+function validateOperation(op) {
+  switch (op.type) {
+    case "put":
+      return { ...op, item: validateItem(op.table, op.item) };
+    case "update":
+      return {
+        ...op,
+        changes: validateChanges(op.table, op.changes, op.key),
+      };
+    default:
+      return op;
+  }
+}
+
+/** Wrap a storage adapter so that every write goes through the validators. */
+export function withWriteValidation(store) {
+  return new Proxy(store, {
+    get(target, property) {
+      switch (property) {
+        case "put":
+          return (table, item, options) =>
+            target.put(table, validateItem(table, item), options);
+        case "update":
+          return (table, key, changes, options) =>
+            target.update(
+              table,
+              key,
+              validateChanges(table, changes, key),
+              options
+            );
+        case "transactWrite":
+          return (operations) =>
+            target.transactWrite(operations.map(validateOperation));
+        default: {
+          const value = target[property];
+          return typeof value === "function" ? value.bind(target) : value;
+        }
+      }
+    },
+  });
+}
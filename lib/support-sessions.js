@@ -0,0 +1,475 @@
+/**
+ * Customer support sessions: one CustomerSupportSessions item per
+ * conversation, with its Messages, status changes and resolution.
+ *
+ *   active <──> waiting_on_customer
+ *     │  ^           │
+ *     v  │           │
+ *   escalated ───────┴──> resolved ──> (reopened: active)
+ *
+ * Any open session can be resolved, and every change is kept in
+ * StatusHistory. A customer message on a session waiting for the customer
+ * makes it active again. Sessions without activity for the idle period are
+ * closed by closeIdleSessions (scripts/close-idle-sessions.js), resolved
+ * ones included; closed is final.
+ *
+ * Every write is conditional on the session's Version, so two agents
+ * appending at once never lose a message; the loser re-reads and retries.
+ *
+ * Configuration (environment variables):
+ *   SESSION_IDLE_MINUTES   idle time before a session is closed
+ *                          (default 1440)
+ */
+
+import { randomUUID } from "crypto";
+import { collectAll } from "./pagination.js";
+import { ConditionFailedError } from "./storage/index.js";
+
+const CUSTOMER_SUPPORT_SESSIONS_TABLE = "CustomerSupportSessions";
+
+export const SESSION_STATUS = Object.freeze({
+  ACTIVE: "active",
+  WAITING_ON_CUSTOMER: "waiting_on_customer",
+  ESCALATED: "escalated",
+  RESOLVED: "resolved",
+  CLOSED: "closed",
+});
+
+export const SESSION_STATUSES = Object.freeze(Object.values(SESSION_STATUS));
+export const CLOSED_SESSION_STATUSES = Object.freeze([
+  SESSION_STATUS.RESOLVED,
+  SESSION_STATUS.CLOSED,
+]);
+
+// Statuses an agent can set directly; resolved needs a resolution and
+// closed is reached by going idle
+export const SETTABLE_SESSION_STATUSES = Object.freeze([
+  SESSION_STATUS.ACTIVE,
+  SESSION_STATUS.WAITING_ON_CUSTOMER,
+  SESSION_STATUS.ESCALATED,
+]);
+
+const TRANSITIONS = {
+  [SESSION_STATUS.ACTIVE]: [
+    SESSION_STATUS.WAITING_ON_CUSTOMER,
+    SESSION_STATUS.ESCALATED,
+    SESSION_STATUS.RESOLVED,
+  ],
+  [SESSION_STATUS.WAITING_ON_CUSTOMER]: [
+    SESSION_STATUS.ACTIVE,
+    SESSION_STATUS.ESCALATED,
+    SESSION_STATUS.RESOLVED,
+  ],
+  [SESSION_STATUS.ESCALATED]: [
+    SESSION_STATUS.ACTIVE,
+    SESSION_STATUS.WAITING_ON_CUSTOMER,
+    SESSION_STATUS.RESOLVED,
+  ],
+  [SESSION_STATUS.RESOLVED]: [SESSION_STATUS.ACTIVE],
+  [SESSION_STATUS.CLOSED]: [],
+};
+
+// Resolved sessions close once idle too, so they can no longer be reopened
+const IDLE_CLOSABLE_STATUSES = SESSION_STATUSES.filter(
+  (status) => status !== SESSION_STATUS.CLOSED
+);
+
+export const MESSAGE_SENDERS = Object.freeze(["customer", "agent", "system"]);
+
+export const RESOLUTION_OUTCOMES = Object.freeze([
+  "rebooked",
+  "refunded",
+  "compensated",
+  "information_provided",
+  "escalated_externally",
+  "no_action_needed",
+  "other",
+]);
+
+export const DEFAULT_SESSION_IDLE_MINUTES = 1440;
+
+const MAX_WRITE_ATTEMPTS = 3;
+
+export class SupportSessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "SupportSessionError";
+    this.code = code;
+  }
+}
+
+export function getSessionIdleMinutes(env = process.env) {
+  return Number(env.SESSION_IDLE_MINUTES) || DEFAULT_SESSION_IDLE_MINUTES;
+}
+
+function keyOf(session) {
+  return { SessionId: session.SessionId, CreatedAt: session.CreatedAt };
+}
+
+// Condition for writing a session only if nobody has since it was read;
+// sessions from before Version existed have none
+function unchangedSince(session) {
+  return { Version: session.Version ?? { exists: false } };
+}
+
+function nextVersion(session) {
+  return (session.Version ?? 0) + 1;
+}
+
+/** Last time anything happened on a session. */
+export function lastActivity(session) {
+  return session.LastActivityAt || session.UpdatedAt || session.CreatedAt;
+}
+
+/** Start a session. Returns the stored item. */
+export async function createSession(
+  store,
+  { passengerId, agentId, issueType, initialContext = "" },
+  { now = new Date() } = {}
+) {
+  const createdAt = now.toISOString();
+  const session = {
+    SessionId: `SESSION_${Date.now()}_${randomUUID().slice(0, 8)}`,
+    CreatedAt: createdAt,
+    PassengerId: String(passengerId),
+    AgentId: String(agentId),
+    IssueType: issueType,
+    InitialContext: initialContext,
+    Status: SESSION_STATUS.ACTIVE,
+    Messages: [],
+    StatusHistory: [
+      { From: null, To: SESSION_STATUS.ACTIVE, At: createdAt, By: agentId },
+    ],
+    Resolution: null,
+    UpdatedAt: createdAt,
+    LastActivityAt: createdAt,
+    Version: 1,
+  };
+  await store.put(CUSTOMER_SUPPORT_SESSIONS_TABLE, session);
+  return session;
+}
+
+/** A session by ID, or null. */
+export async function getSession(store, sessionId) {
+  const { items } = await store.query(CUSTOMER_SUPPORT_SESSIONS_TABLE, {
+    hash: String(sessionId),
+    limit: 1,
+  });
+  return items[0] || null;
+}
+
+/**
+ * Read a session, work out the changes with change(session, nowIso) and
+ * write them if nobody else has written in between; on a clash, re-read
+ * and try again. Returns the updated session.
+ */
+async function modifySession(store, sessionId, now, change) {
+  for (let attempt = 1; ; attempt++) {
+    const session = await getSession(store, sessionId);
+    if (!session) {
+      throw new SupportSessionError(
+        `Session ${sessionId} not found`,
+        "not_found"
+      );
+    }
+    const at = now.toISOString();
+    const set = {
+      ...change(session, at),
+      UpdatedAt: at,
+      Version: nextVersion(session),
+    };
+    try {
+      return await store.update(
+        CUSTOMER_SUPPORT_SESSIONS_TABLE,
+        keyOf(session),
+        { set },
+        { condition: unchangedSince(session) }
+      );
+    } catch (error) {
+      if (
+        !(error instanceof ConditionFailedError) ||
+        attempt >= MAX_WRITE_ATTEMPTS
+      ) {
+        throw error;
+      }
+    }
+  }
+}
+
+function assertNotClosed(session) {
+  if (session.Status === SESSION_STATUS.CLOSED) {
+    throw new SupportSessionError(
+      `Session ${session.SessionId} is closed; start a new session`,
+      "closed"
+    );
+  }
+}
+
+function assertTransition(session, to) {
+  assertNotClosed(session);
+  const from = session.Status;
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    throw new SupportSessionError(
+      `Session ${session.SessionId} cannot go from ${from} to ${to}`,
+      "invalid_transition"
+    );
+  }
+}
+
+function statusChange(session, to, at, { by, note }) {
+  return {
+    Status: to,
+    StatusHistory: [
+      ...(session.StatusHistory || []),
+      {
+        From: session.Status,
+        To: to,
+        At: at,
+        By: by ?? null,
+        ...(note && { Note: note }),
+      },
+    ],
+  };
+}
+
+/**
+ * Add a message to a session. A customer writing back to a session that
+ * waits on them makes it active again.
+ */
+export async function appendMessage(
+  store,
+  sessionId,
+  { sender, text, agentId },
+  { now = new Date() } = {}
+) {
+  if (!MESSAGE_SENDERS.includes(sender)) {
+    throw new SupportSessionError(
+      `Unknown sender "${sender}" (expected one of: ${MESSAGE_SENDERS.join(
+        ", "
+      )})`,
+      "invalid"
+    );
+  }
+  if (!text || !String(text).trim()) {
+    throw new SupportSessionError("Message text is required", "invalid");
+  }
+
+  return modifySession(store, sessionId, now, (session, at) => {
+    assertNotClosed(session);
+    const message = {
+      At: at,
+      Sender: sender,
+      Text: String(text),
+      ...(agentId && { AgentId: String(agentId) }),
+    };
+    return {
+      Messages: [...(session.Messages || []), message],
+      LastActivityAt: at,
+      ...(sender === "customer" &&
+        session.Status === SESSION_STATUS.WAITING_ON_CUSTOMER &&
+        statusChange(session, SESSION_STATUS.ACTIVE, at, {
+          by: session.PassengerId,
+          note: "Customer replied",
+        })),
+    };
+  });
+}
+
+/** Move a session to active, waiting_on_customer or escalated. */
+export async function setSessionStatus(
+  store,
+  sessionId,
+  status,
+  { agentId, note } = {},
+  { now = new Date() } = {}
+) {
+  if (!SETTABLE_SESSION_STATUSES.includes(status)) {
+    throw new SupportSessionError(
+      status === SESSION_STATUS.RESOLVED
+        ? "Use resolve_support_session to resolve a session"
+        : `Status must be one of: ${SETTABLE_SESSION_STATUSES.join(", ")}`,
+      "invalid"
+    );
+  }
+  return modifySession(store, sessionId, now, (session, at) => {
+    assertTransition(session, status);
+    return {
+      ...statusChange(session, status, at, { by: agentId, note }),
+      // Reopening a resolved session discards its resolution
+      ...(session.Status === SESSION_STATUS.RESOLVED && {
+        Resolution: null,
+      }),
+      LastActivityAt: at,
+    };
+  });
+}
+
+/**
+ * Resolve a session with a structured resolution: { outcome, summary,
+ * compensationAmount?, rebookingOptionId?, followUpRequired }.
+ */
+export async function resolveSession(
+  store,
+  sessionId,
+  {
+    outcome,
+    summary,
+    compensationAmount,
+    rebookingOptionId,
+    followUpRequired = false,
+    agentId,
+  },
+  { now = new Date() } = {}
+) {
+  if (!RESOLUTION_OUTCOMES.includes(outcome)) {
+    throw new SupportSessionError(
+      `Unknown outcome "${outcome}" (expected one of: ${RESOLUTION_OUTCOMES.join(
+        ", "
+      )})`,
+      "invalid"
+    );
+  }
+  if (!summary || !String(summary).trim()) {
+    throw new SupportSessionError("A resolution summary is required", "invalid");
+  }
+
+  return modifySession(store, sessionId, now, (session, at) => {
+    assertTransition(session, SESSION_STATUS.RESOLVED);
+    return {
+      ...statusChange(session, SESSION_STATUS.RESOLVED, at, {
+        by: agentId,
+      }),
+      Resolution: {
+        Outcome: outcome,
+        Summary: String(summary),
+        ...(compensationAmount != null && {
+          CompensationAmount: Number(compensationAmount),
+        }),
+        ...(rebookingOptionId && { RebookingOptionId: rebookingOptionId }),
+        FollowUpRequired: Boolean(followUpRequired),
+        ResolvedBy: agentId ?? null,
+        ResolvedAt: at,
+      },
+      LastActivityAt: at,
+    };
+  });
+}
+
+/**
+ * A passenger's or an agent's sessions, newest first. Resolved and closed
+ * sessions are left out unless includeClosed; status narrows to one.
+ */
+export async function listSessions(
+  store,
+  { passengerId, agentId, status, includeClosed = false }
+) {
+  const sessions = await collectAll(({ cursor }) =>
+    store.query(CUSTOMER_SUPPORT_SESSIONS_TABLE, {
+      index: passengerId ? "PassengerSessionsIndex" : "AgentSessionsIndex",
+      hash: String(passengerId ?? agentId),
+      descending: true,
+      cursor,
+    })
+  );
+  return sessions.filter((session) =>
+    status
+      ? session.Status === status
+      : includeClosed || !CLOSED_SESSION_STATUSES.includes(session.Status)
+  );
+}
+
+/**
+ * Close every open session with no activity for idleMinutes. Returns the
+ * sessions closed (or, with dryRun, that would be).
+ */
+export async function closeIdleSessions(
+  store,
+  {
+    idleMinutes = getSessionIdleMinutes(),
+    dryRun = false,
+    now = new Date(),
+  } = {}
+) {
+  const cutoff = new Date(now.getTime() - idleMinutes * 60 * 1000);
+  const open = await collectAll(({ cursor }) =>
+    store.scan(CUSTOMER_SUPPORT_SESSIONS_TABLE, {
+      filter: { Status: { in: IDLE_CLOSABLE_STATUSES } },
+      cursor,
+    })
+  );
+  const idle = open.filter(
+    (session) => new Date(lastActivity(session)) < cutoff
+  );
+  if (dryRun) return idle;
+
+  const closed = [];
+  for (const session of idle) {
+    const at = now.toISOString();
+    try {
+      closed.push(
+        await store.update(
+          CUSTOMER_SUPPORT_SESSIONS_TABLE,
+          keyOf(session),
+          {
+            set: {
+              ...statusChange(session, SESSION_STATUS.CLOSED, at, {
+                by: "system",
+                note: `No activity for ${idleMinutes} min`,
+              }),
+              ClosedAt: at,
+              UpdatedAt: at,
+              Version: nextVersion(session),
+            },
+          },
+          { condition: unchangedSince(session) }
+        )
+      );
+    } catch (error) {
+      // Someone wrote to it meanwhile, so it is not idle any more
+      if (!(error instanceof ConditionFailedError)) throw error;
+    }
+  }
+  return closed;
+}
+
+/** Tool-facing view of a session. */
+export function formatSession(session, { includeMessages = true } = {}) {
+  return {
+    session_id: session.SessionId,
+    passenger_id: session.PassengerId,
+    agent_id: session.AgentId,
+    issue_type: session.IssueType,
+    status: session.Status,
+    created_at: session.CreatedAt,
+    last_activity_at: lastActivity(session),
+    initial_context: session.InitialContext || null,
+    message_count: (session.Messages || []).length,
+    ...(includeMessages && {
+      messages: (session.Messages || []).map((message) => ({
+        at: message.At,
+        sender: message.Sender,
+        text: message.Text,
+        ...(message.AgentId && { agent_id: message.AgentId }),
+      })),
+    }),
+    status_history: (session.StatusHistory || []).map((change) => ({
+      from: change.From,
+      to: change.To,
+      at: change.At,
+      by: change.By,
+      ...(change.Note && { note: change.Note }),
+    })),
+    resolution: session.Resolution
+      ? {
+          outcome: session.Resolution.Outcome,
+          summary: session.Resolution.Summary,
+          compensation_amount: session.Resolution.CompensationAmount ?? null,
+          rebooking_option_id: session.Resolution.RebookingOptionId ?? null,
+          follow_up_required: session.Resolution.FollowUpRequired,
+          resolved_by: session.Resolution.ResolvedBy,
+          resolved_at: session.Resolution.ResolvedAt,
+        }
+      : null,
+    closed_at: session.ClosedAt ?? null,
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * A small Mustache-style template renderer for passenger messages:
+ *
+ *   {{name}}                 variable, dotted paths allowed
+ *   {{#name}}...{{/name}}    section: once per item of an array, once with
+ *                            an object in scope, or once if truthy
+ *   {{^name}}...{{/name}}    inverted section: if empty or falsy
+ *   {{>name}}                partial, looked up through the caller
+ *
+ * Unlike Mustache, a name that is not defined at all is an error rather
+ * than an empty string. Every missing name is collected and reported in
+ * one TemplateError, so a message never goes out with a gap in it; null
+ * is how a caller says "deliberately empty".
+ */
+
+export class TemplateError extends Error {
+  constructor(message, missing = []) {
+    super(message);
+    this.name = "TemplateError";
+    this.missing = missing;
+  }
+}
+
+const TAG = /\{\{\s*([#^/>]?)\s*([\w.]+)\s*\}\}/g;
+// Section tags on a line of their own leave no blank line
+const STANDALONE = /^[ \t]*(\{\{\s*[#^/]\s*[\w.]+\s*\}\})[ \t]*\r?\n/gm;
+
+function parse(source) {
+  const text = source.replace(STANDALONE, "$1");
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  let position = 0;
+
+  for (const match of text.matchAll(TAG)) {
+    const [tag, sigil, name] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > position) {
+      current.children.push({
+        type: "text",
+        value: text.slice(position, match.index),
+      });
+    }
+    position = match.index + tag.length;
+
+    if (sigil === "#" || sigil === "^") {
+      const section = {
+        type: sigil === "#" ? "section" : "inverted",
+        name,
+        children: [],
+      };
+      current.children.push(section);
+      stack.push(section);
+    } else if (sigil === "/") {
+      if (current.name !== name) {
+        throw new TemplateError(`Unexpected {{/${name}}} in template`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({
+        type: sigil === ">" ? "partial" : "variable",
+        name,
+      });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(
+      `Unclosed section {{#${stack[stack.length - 1].name}}} in template`
+    );
+  }
+  if (position < text.length) {
+    root.children.push({ type: "text", value: text.slice(position) });
+  }
+  return root.children;
+}
+
+/** The innermost scope that defines the name's first segment wins. */
+function lookup(scopes, name) {
+  if (name === ".") return scopes[scopes.length - 1];
+  const [first, ...path] = name.split(".");
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope !== null && typeof scope === "object" && first in scope) {
+      return path.reduce((value, key) => value?.[key], scope[first]);
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, scopes, context) {
+  let output = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output += node.value;
+      continue;
+    }
+    if (node.type === "partial") {
+      const partial = context.partials(node.name);
+      if (typeof partial !== "string") {
+        throw new TemplateError(`Unknown partial "${node.name}"`);
+      }
+      output += renderNodes(parse(partial), scopes, context);
+      continue;
+    }
+
+    const value = lookup(scopes, node.name);
+    if (value === undefined) {
+      context.missing.add(node.name);
+      continue;
+    }
+    if (node.type === "variable") {
+      if (value !== null) output += String(value);
+      continue;
+    }
+
+    const empty = Array.isArray(value) ? value.length === 0 : !value;
+    if (node.type === "inverted") {
+      if (empty) output += renderNodes(node.children, scopes, context);
+      continue;
+    }
+    if (empty) continue;
+    for (const item of Array.isArray(value) ? value : [value]) {
+      output += renderNodes(
+        node.children,
+        item !== null && typeof item === "object" ? [...scopes, item] : scopes,
+        context
+      );
+    }
+  }
+  return output;
+}
+
+/**
+ * Render a template. partials is an object of partial templates or a
+ * function from partial name to template. Throws a TemplateError listing
+ * every variable the template needed but was not given.
+ */
+export function renderTemplate(source, variables, { partials = {} } = {}) {
+  const context = {
+    partials:
+      typeof partials === "function" ? partials : (name) => partials[name],
+    missing: new Set(),
+  };
+  const output = renderNodes(parse(source), [variables], context);
+  if (context.missing.size > 0) {
+    const missing = [...context.missing];
+    throw new TemplateError(
+      `Missing template variable(s): ${missing.join(", ")}`,
+      missing
+    );
+  }
+  return output;
+}
@@ -0,0 +1,113 @@
+/**
+ * Flight time handling. Flight items store times as UTC ISO strings; these
+ * helpers parse them strictly (a string without a zone designator is UTC,
+ * never the server's local time) and render them for tool output in both
+ * UTC and the local time of the airport concerned.
+ */
+
+import { AIRPORTS } from "./airports.js";
+
+const ZONE_DESIGNATOR = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/** Parse a stored or user-supplied time; zone-less strings are UTC. */
+export function parseFlightTime(value) {
+  const time =
+    value instanceof Date
+      ? new Date(value.getTime())
+      : new Date(
+          typeof value === "string" && !ZONE_DESIGNATOR.test(value.trim())
+            ? `${value.trim()}Z`
+            : value
+        );
+  if (value == null || isNaN(time)) {
+    throw new Error(`Invalid time "${value}"`);
+  }
+  return time;
+}
+
+function toUtcString(time) {
+  return time.toISOString().replace(".000Z", "Z");
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+// The wall clock at an IANA timezone at a time, and its UTC offset in minutes
+function wallClock(time, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(time)
+      .map(({ type, value: part }) => [type, part])
+  );
+  const local = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  const offset = Math.round((local - Math.floor(time / 1000) * 1000) / 60000);
+  return { parts, offset };
+}
+
+/** ISO 8601 local time with UTC offset, e.g. "2025-06-20T10:50:00+02:00". */
+export function toLocalString(value, timezone) {
+  const { parts, offset } = wallClock(parseFlightTime(value), timezone);
+  const sign = offset < 0 ? "-" : "+";
+  const abs = Math.abs(offset);
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${
+    parts.second
+  }${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * The last millisecond of a date (YYYY-MM-DD) at an IANA timezone, or of
+ * the UTC day without one.
+ */
+export function endOfLocalDay(date, timezone) {
+  const nextMidnight = new Date(`${date}T00:00:00Z`).getTime() + DAY;
+  if (!timezone || isNaN(nextMidnight)) return new Date(nextMidnight - 1);
+  // Shift by the offset in force at local midnight; the second pass
+  // settles a DST change between UTC and local midnight
+  let time = nextMidnight;
+  for (let pass = 0; pass < 2; pass++) {
+    time = nextMidnight - wallClock(new Date(time), timezone).offset * MINUTE;
+  }
+  return new Date(time - 1);
+}
+
+/**
+ * A flight time for tool output: { utc, local, timezone } at the given
+ * airport, or null when there is no time. Airports missing from the
+ * reference data get local: null, and a stored time that cannot be parsed
+ * utc: null and local: null, rather than failing the whole response.
+ */
+export function flightTime(value, airportCode) {
+  if (value == null || value === "") return null;
+  const timezone = AIRPORTS[airportCode]?.timezone || null;
+  let time;
+  try {
+    time = parseFlightTime(value);
+  } catch {
+    return { utc: null, local: null, timezone };
+  }
+  return {
+    utc: toUtcString(time),
+    local: timezone ? toLocalString(time, timezone) : null,
+    timezone,
+  };
+}
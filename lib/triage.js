@@ -0,0 +1,261 @@
+/**
+ * Triage queue for the passengers on a disrupted flight: each passenger
+ * gets a composite priority score from configurable weights, and the queue
+ * is ordered by that score with the breakdown kept for the agent.
+ *
+ * Configuration (environment variables):
+ *   TRIAGE_WEIGHTS  per-factor overrides, e.g. "tier_senator=60,group_member=2"
+ */
+
+import {
+  createFlightLoader,
+  findOnwardBookings,
+  loadAffectedPassengers,
+} from "./affected-passengers.js";
+import { loadBookableFlights, rankAlternatives } from "./alternatives.js";
+import {
+  arrivalTime,
+  departureTime,
+  getConnectionConfig,
+  minConnectionTime,
+  PREFERENCE_WINDOW_HOURS,
+} from "./connections.js";
+import { FLIGHT_STATUS } from "./flight-status.js";
+import { classifyConnection, CONNECTION_RISK } from "./misconnects.js";
+import { parseFlightTime } from "./times.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Points per factor. Per-item factors (special_service_request,
+// group_member) are multiplied by the count.
+export const DEFAULT_TRIAGE_WEIGHTS = Object.freeze({
+  tier_senator: 40,
+  tier_frequent_traveler: 20,
+  tier_regular: 0,
+  missed_connection: 30,
+  tight_connection: 15,
+  special_service_request: 10,
+  unaccompanied_minor: 50,
+  unreachable_destination: 30,
+  group_member: 5,
+});
+
+const TIER_ORDER = { senator: 3, frequent_traveler: 2, regular: 1 };
+
+export function getTriageWeights(env = process.env, overrides = {}) {
+  const weights = { ...DEFAULT_TRIAGE_WEIGHTS };
+  for (const entry of (env.TRIAGE_WEIGHTS || "").split(",")) {
+    const [factor, points] = entry.split("=");
+    if (factor && factor.trim() in weights && Number.isFinite(Number(points))) {
+      weights[factor.trim()] = Number(points);
+    }
+  }
+  for (const [factor, points] of Object.entries(overrides || {})) {
+    if (!(factor in weights)) {
+      throw new Error(
+        `Unknown triage factor "${factor}" (expected one of: ${Object.keys(
+          DEFAULT_TRIAGE_WEIGHTS
+        ).join(", ")})`
+      );
+    }
+    if (points === null || points === "" || !Number.isFinite(Number(points))) {
+      throw new Error(
+        `Triage weight "${factor}" must be a number, got ${JSON.stringify(points)}`
+      );
+    }
+    weights[factor] = Number(points);
+  }
+  return weights;
+}
+
+/**
+ * Where the passenger's journey ends: the end of the onward chain, where
+ * each segment leaves on the same or the next day and after the previous
+ * one is scheduled to land (see findOnwardBookings). Booked connections
+ * count even below the minimum connection time; that is a misconnect risk,
+ * not the end of the journey.
+ */
+async function finalDestination(flight, itinerary, loadFlight) {
+  const flightId = (f) => `${f.FlightNumber}#${f.ScheduledDepartureDate}`;
+  let last = flight;
+  const seen = new Set([flightId(flight)]);
+  for (;;) {
+    const segments = await findOnwardBookings(last, itinerary, loadFlight);
+    let next = null;
+    for (const segment of segments) {
+      const onward = await loadFlight(segment);
+      if (!onward || seen.has(flightId(onward))) continue;
+      const departs = parseFlightTime(onward.ScheduledDepartureTime);
+      if (!next || departs < next.departs) next = { flight: onward, departs };
+    }
+    if (!next) return last.Destination;
+    seen.add(flightId(next.flight));
+    last = next.flight;
+  }
+}
+
+/**
+ * Score every passenger on a flight and return the queue, highest score
+ * first: [{ booking, passenger, score, breakdown: [{ factor, points, detail }],
+ * finalDestination, connectionRisk, reachable }]
+ */
+export async function buildTriageQueue(
+  store,
+  flight,
+  {
+    weights = getTriageWeights(),
+    config = getConnectionConfig(),
+    now = new Date(),
+  } = {}
+) {
+  const affected = await loadAffectedPassengers(store, flight);
+  const disrupted =
+    flight.Status === FLIGHT_STATUS.CANCELLED ||
+    flight.Status === FLIGHT_STATUS.DIVERTED;
+
+  const groupSizes = new Map();
+  for (const { booking } of affected) {
+    groupSizes.set(
+      booking.BookingReference,
+      (groupSizes.get(booking.BookingReference) || 0) + 1
+    );
+  }
+
+  const getFlight = createFlightLoader(store);
+
+  // Bookable flights per departure airport, loaded once per airport
+  const pools = new Map();
+  const getPool = (origin, window) => {
+    const key = `${origin}#${window.start.toISOString()}`;
+    if (!pools.has(key)) {
+      pools.set(
+        key,
+        loadBookableFlights(store, { origin, window, maxStops: 2, config, now })
+      );
+    }
+    return pools.get(key);
+  };
+  const canReach = async (origin, destination, earliest, cabinClass) => {
+    const start = new Date(Math.max(earliest.getTime(), now.getTime()));
+    const window = {
+      start,
+      end: new Date(start.getTime() + PREFERENCE_WINDOW_HOURS.earliest * HOUR),
+    };
+    const pool = (await getPool(origin, window)).filter(
+      (candidate) =>
+        candidate.FlightNumber !== flight.FlightNumber ||
+        candidate.ScheduledDepartureDate !== flight.ScheduledDepartureDate
+    );
+    return (
+      rankAlternatives(pool, {
+        origin,
+        destination,
+        window,
+        maxStops: 2,
+        config,
+        cabinClass,
+        now,
+      }).length > 0
+    );
+  };
+
+  const queue = [];
+  for (const { booking, passenger, itinerary, onward } of affected) {
+    const breakdown = [];
+    const add = (factor, count, detail) => {
+      const points = (weights[factor] || 0) * count;
+      if (count > 0) breakdown.push({ factor, points, detail });
+    };
+
+    const tier = passenger?.FrequentFlyerTier || "regular";
+    add(`tier_${tier}`, 1, `${tier} tier`);
+
+    let connectionRisk = null;
+    for (const segment of onward) {
+      const onwardFlight = await getFlight(segment);
+      if (!onwardFlight) continue;
+      const { risk, reason } = classifyConnection(flight, onwardFlight, {
+        config,
+      });
+      if (risk === CONNECTION_RISK.MISSED) {
+        connectionRisk = risk;
+        add("missed_connection", 1, `${onwardFlight.FlightNumber}: ${reason}`);
+      } else if (risk === CONNECTION_RISK.TIGHT) {
+        connectionRisk = connectionRisk || risk;
+        add("tight_connection", 1, `${onwardFlight.FlightNumber}: ${reason}`);
+      }
+    }
+
+    const requests = (passenger?.SpecialServiceRequests || []).filter(
+      (code) => code !== "UMNR"
+    );
+    add(
+      "special_service_request",
+      requests.length,
+      `special service requests: ${requests.join(", ")}`
+    );
+    if (
+      passenger?.UnaccompaniedMinor ||
+      passenger?.SpecialServiceRequests?.includes("UMNR")
+    ) {
+      add("unaccompanied_minor", 1, "unaccompanied minor (UMNR)");
+    }
+
+    // Reachability: a cancelled or diverted flight needs an alternative
+    // from its origin; a missed connection one from the connection airport
+    const destination = await finalDestination(flight, itinerary, getFlight);
+    let reachable = true;
+    if (disrupted) {
+      reachable = await canReach(
+        flight.Origin,
+        destination,
+        departureTime(flight),
+        booking.CabinClass
+      );
+    } else if (connectionRisk === CONNECTION_RISK.MISSED) {
+      reachable = await canReach(
+        flight.Destination,
+        destination,
+        new Date(
+          arrivalTime(flight).getTime() +
+            minConnectionTime(flight.Destination, config) * MINUTE
+        ),
+        booking.CabinClass
+      );
+    }
+    if (!reachable) {
+      add(
+        "unreachable_destination",
+        1,
+        `no alternative with a ${booking.CabinClass} seat reaches ${destination} within ${PREFERENCE_WINDOW_HOURS.earliest}h`
+      );
+    }
+
+    const groupSize = groupSizes.get(booking.BookingReference);
+    add(
+      "group_member",
+      groupSize - 1,
+      `travelling as a group of ${groupSize} (${booking.BookingReference})`
+    );
+
+    queue.push({
+      booking,
+      passenger,
+      tier,
+      finalDestination: destination,
+      connectionRisk,
+      reachable,
+      groupSize,
+      score: breakdown.reduce((sum, item) => sum + item.points, 0),
+      breakdown,
+    });
+  }
+
+  return queue.sort(
+    (a, b) =>
+      b.score - a.score ||
+      (TIER_ORDER[b.tier] || 0) - (TIER_ORDER[a.tier] || 0) ||
+      a.booking.PassengerId.localeCompare(b.booking.PassengerId)
+  );
+}
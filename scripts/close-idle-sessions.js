@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Close support sessions with no activity for SESSION_IDLE_MINUTES (see
+ * lib/support-sessions.js). Run it periodically, e.g. hourly from cron.
+ *
+ * Usage:
+ *   node scripts/close-idle-sessions.js [--idle-minutes N] [--dry-run]
+ */
+
+import { parseArgs } from "util";
+import { createStore } from "../lib/storage/index.js";
+import {
+  closeIdleSessions,
+  getSessionIdleMinutes,
+  lastActivity,
+} from "../lib/support-sessions.js";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      "idle-minutes": { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+    },
+  });
+  const dryRun = values["dry-run"];
+  const idleMinutes = values["idle-minutes"]
+    ? Number(values["idle-minutes"])
+    : getSessionIdleMinutes();
+  if (!(idleMinutes > 0)) {
+    throw new Error("--idle-minutes must be a positive number");
+  }
+
+  const store = createStore();
+  console.log(`Storage backend: ${store.describe()}`);
+  console.log(dryRun ? "Dry run: no sessions will be closed\n" : "");
+
+  let sessions;
+  try {
+    sessions = await closeIdleSessions(store, { idleMinutes, dryRun });
+  } finally {
+    await store.close();
+  }
+
+  console.log(
+    JSON.stringify(
+      {
+        dry_run: dryRun,
+        idle_minutes: idleMinutes,
+        closed: sessions.length,
+        sessions: sessions.map((session) => ({
+          session_id: session.SessionId,
+          passenger_id: session.PassengerId,
+          agent_id: session.AgentId,
+          status: session.Status,
+          last_activity_at: lastActivity(session),
+        })),
+      },
+      null,
+      2
+    )
+  );
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
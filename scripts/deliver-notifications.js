@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Attempt every due delay notification once (see lib/notifications.js):
+ * queued ones whose NextAttemptAt has passed and sends that got stuck.
+ * Run it every minute or so, e.g. from cron, to work off retries.
+ *
+ * Usage:
+ *   node scripts/deliver-notifications.js [--limit N] [--dry-run]
+ */
+
+import { parseArgs } from "util";
+import {
+  createChannels,
+  getChannelConfig,
+} from "../lib/notification-channels.js";
+import {
+  formatNotification,
+  getDeliveryPolicy,
+  listDueNotifications,
+  NOTIFICATION_STATUS,
+  processDueNotifications,
+} from "../lib/notifications.js";
+import { createStore } from "../lib/storage/index.js";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      limit: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+    },
+  });
+  const dryRun = values["dry-run"];
+  const limit = values.limit ? Number(values.limit) : undefined;
+  if (limit !== undefined && !(limit > 0)) {
+    throw new Error("--limit must be a positive number");
+  }
+
+  const channels = createChannels(getChannelConfig());
+  const policy = getDeliveryPolicy();
+  const store = createStore();
+  console.log(`Storage backend: ${store.describe()}`);
+  console.log(dryRun ? "Dry run: nothing will be sent\n" : "");
+
+  const report = {
+    dry_run: dryRun,
+    channels: Object.fromEntries(
+      Object.entries(channels).map(([channel, adapter]) => [
+        channel,
+        adapter.describe(),
+      ])
+    ),
+    max_attempts: policy.maxAttempts,
+  };
+  try {
+    if (dryRun) {
+      const due = (await listDueNotifications(store)).slice(0, limit);
+      report.due = due.map(formatNotification);
+    } else {
+      const { processed, claimedElsewhere } = await processDueNotifications(
+        store,
+        { channels, policy, limit }
+      );
+      const byStatus = (status) =>
+        processed
+          .filter((notification) => notification.Status === status)
+          .map(formatNotification);
+      report.delivered = byStatus(NOTIFICATION_STATUS.DELIVERED);
+      report.retrying = byStatus(NOTIFICATION_STATUS.QUEUED);
+      report.failed = byStatus(NOTIFICATION_STATUS.FAILED);
+      report.claimed_elsewhere = claimedElsewhere;
+    }
+  } finally {
+    await store.close();
+  }
+
+  console.log(JSON.stringify(report, null, 2));
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Record SLA breaches on open and claimed escalations (see
+ * lib/escalations.js), so they show in SlaBreaches without anyone having
+ * touched the escalation. Run it periodically, e.g. every five minutes
+ * from cron.
+ *
+ * Usage:
+ *   node scripts/flag-sla-breaches.js [--dry-run]
+ */
+
+import { parseArgs } from "util";
+import { flagSlaBreaches, slaState } from "../lib/escalations.js";
+import { createStore } from "../lib/storage/index.js";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      "dry-run": { type: "boolean", default: false },
+    },
+  });
+  const dryRun = values["dry-run"];
+
+  const store = createStore();
+  console.log(`Storage backend: ${store.describe()}`);
+  console.log(dryRun ? "Dry run: no escalations will be flagged\n" : "");
+
+  const now = new Date();
+  let escalations;
+  try {
+    escalations = await flagSlaBreaches(store, { dryRun, now });
+  } finally {
+    await store.close();
+  }
+
+  console.log(
+    JSON.stringify(
+      {
+        dry_run: dryRun,
+        flagged: escalations.length,
+        escalations: escalations.map((escalation) => ({
+          escalation_id: escalation.EscalationId,
+          pool: escalation.Pool,
+          priority: escalation.Priority,
+          status: escalation.Status,
+          assigned_agent_id: escalation.AssignedAgentId ?? null,
+          respond_by: escalation.RespondBy,
+          resolve_by: escalation.ResolveBy,
+          breaches: slaState(escalation, now).breaches,
+        })),
+      },
+      null,
+      2
+    )
+  );
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
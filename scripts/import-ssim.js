@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Import IATA SSIM (Chapter 7) schedule files into Flights and report the
+ * difference with what is there: new flights are created, schedule
+ * changes and dropped flights are applied as status updates (see
+ * lib/schedule-import.js), unparseable records are listed by line.
+ *
+ * Usage:
+ *   node scripts/import-ssim.js <file.ssim> [more files...] [--dry-run]
+ */
+
+import { readFileSync } from "fs";
+import { parseArgs } from "util";
+import { applyScheduleDiff, diffSchedule } from "../lib/schedule-import.js";
+import { expandLeg, legPeriod, parseSsim } from "../lib/ssim.js";
+import { createStore } from "../lib/storage/index.js";
+
+function summarizeKey(flight) {
+  return `${flight.FlightNumber} ${flight.ScheduledDepartureDate}`;
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: { "dry-run": { type: "boolean", default: false } },
+  });
+  if (positionals.length === 0) {
+    throw new Error("Usage: import-ssim.js <file.ssim> [...] [--dry-run]");
+  }
+  const dryRun = values["dry-run"];
+
+  const flights = [];
+  const periods = [];
+  const errors = [];
+  const skipped = [];
+  for (const file of positionals) {
+    const parsed = parseSsim(readFileSync(file, "utf8"));
+    for (const leg of parsed.legs) {
+      flights.push(...expandLeg(leg));
+      periods.push(legPeriod(leg));
+    }
+    errors.push(...parsed.errors.map((error) => ({ file, ...error })));
+    skipped.push(...parsed.skipped.map((entry) => ({ file, ...entry })));
+  }
+
+  const store = createStore();
+  console.log(`Storage backend: ${store.describe()}`);
+  console.log(dryRun ? "Dry run: no items will be written\n" : "");
+
+  let diff;
+  let result = null;
+  try {
+    diff = await diffSchedule(store, flights, { periods });
+    if (!dryRun) {
+      result = await applyScheduleDiff(store, diff, {
+        source: "ssim",
+        updatedBy: positionals.join(","),
+      });
+    }
+  } finally {
+    await store.close();
+  }
+
+  console.log(
+    JSON.stringify(
+      {
+        dry_run: dryRun,
+        files: positionals,
+        dated_flights: flights.length,
+        unchanged: diff.unchanged,
+        added: diff.added.map(summarizeKey),
+        changed: diff.changed.map(({ existing, changes }) => ({
+          flight: summarizeKey(existing),
+          changes,
+        })),
+        removed: diff.removed.map((flight) => ({
+          flight: summarizeKey(flight),
+          status: flight.Status,
+        })),
+        failed: result?.failed || [],
+        unparseable: errors,
+        skipped,
+      },
+      null,
+      2
+    )
+  );
+  if (errors.length || result?.failed.length) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Apply operational messages (MVT/ASM text or NDJSON, see lib/ops-feed.js)
+ * to Flights and report what changed. A directory is read file by file in
+ * name order, so feeds that name their drops by time are applied in order.
+ *
+ * Usage:
+ *   node scripts/ingest-ops-feed.js <file|directory> [more...] [--dry-run]
+ */
+
+import { readdirSync, readFileSync, statSync } from "fs";
+import { join } from "path";
+import { parseArgs } from "util";
+import { applyFeedMessages, parseFeed } from "../lib/ops-feed.js";
+import { createStore } from "../lib/storage/index.js";
+
+function feedFiles(path) {
+  if (!statSync(path).isDirectory()) return [path];
+  return readdirSync(path)
+    .filter((name) => !name.startsWith("."))
+    .sort()
+    .map((name) => join(path, name))
+    .filter((file) => statSync(file).isFile());
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: { "dry-run": { type: "boolean", default: false } },
+  });
+  if (positionals.length === 0) {
+    throw new Error(
+      "Usage: ingest-ops-feed.js <file|directory> [...] [--dry-run]"
+    );
+  }
+  const dryRun = values["dry-run"];
+  const files = positionals.flatMap(feedFiles);
+
+  const store = createStore();
+  console.log(`Storage backend: ${store.describe()}`);
+  console.log(dryRun ? "Dry run: no items will be written\n" : "");
+
+  const report = {
+    dry_run: dryRun,
+    files,
+    messages: 0,
+    applied: [],
+    unchanged: 0,
+    rejected: [],
+    unparseable: [],
+    skipped: [],
+  };
+  try {
+    for (const file of files) {
+      const parsed = parseFeed(readFileSync(file, "utf8"));
+      const result = await applyFeedMessages(store, parsed.messages, {
+        dryRun,
+        updatedBy: file,
+      });
+      report.messages += parsed.messages.length;
+      report.applied.push(...result.applied.map((entry) => ({ file, ...entry })));
+      report.unchanged += result.unchanged;
+      report.rejected.push(
+        ...result.rejected.map((entry) => ({ file, ...entry }))
+      );
+      report.unparseable.push(
+        ...parsed.errors.map((error) => ({ file, ...error }))
+      );
+      report.skipped.push(...parsed.skipped.map((entry) => ({ file, ...entry })));
+    }
+  } finally {
+    await store.close();
+  }
+
+  console.log(JSON.stringify(report, null, 2));
+  if (report.unparseable.length) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
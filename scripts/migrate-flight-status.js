@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Rewrite Flights.Status to the canonical values in lib/flight-status.js
+ * and report every change.
+ *
+ *   - legacy spellings (on_time, DELAYED, canceled, ...) are mapped to
+ *     their canonical status
+ *   - "scheduled" flights with DelayMinutes > 0 become "delayed", since
+ *     check_flight_delays only looks at the disrupted StatusIndex partitions
+ *   - unknown statuses are reported and left untouched
+ *
+ * Usage:
+ *   node scripts/migrate-flight-status.js [--dry-run]
+ */
+
+import { parseArgs } from "util";
+import { FLIGHT_STATUS, normalizeFlightStatus } from "../lib/flight-status.js";
+import { collectAll } from "../lib/pagination.js";
+import { keyOf } from "../lib/schemas.js";
+import { ConditionFailedError, createStore } from "../lib/storage/index.js";
+
+const FLIGHTS_TABLE = "Flights";
+
+function targetStatus(flight) {
+  const canonical = normalizeFlightStatus(flight.Status);
+  if (canonical === FLIGHT_STATUS.SCHEDULED && flight.DelayMinutes > 0) {
+    return FLIGHT_STATUS.DELAYED;
+  }
+  return canonical;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: { "dry-run": { type: "boolean", default: false } },
+  });
+  const dryRun = values["dry-run"];
+  const store = createStore();
+  console.log(`Storage backend: ${store.describe()}`);
+  console.log(dryRun ? "Dry run: no items will be written\n" : "");
+
+  const report = {
+    scanned: 0,
+    unchanged: 0,
+    changed: [],
+    unmapped: [],
+    conflicts: [],
+  };
+
+  try {
+    const flights = await collectAll(({ cursor }) =>
+      store.scan(FLIGHTS_TABLE, { cursor })
+    );
+    report.scanned = flights.length;
+
+    for (const flight of flights) {
+      const key = keyOf(FLIGHTS_TABLE, flight);
+      const status = targetStatus(flight);
+
+      if (!status) {
+        report.unmapped.push({ ...key, Status: flight.Status ?? null });
+        continue;
+      }
+      if (status === flight.Status) {
+        report.unchanged += 1;
+        continue;
+      }
+
+      const change = { ...key, from: flight.Status ?? null, to: status };
+      if (!dryRun) {
+        try {
+          // Only rewrite the status we read, in case a feed updated it since
+          await store.update(
+            FLIGHTS_TABLE,
+            key,
+            { set: { Status: status } },
+            {
+              condition:
+                flight.Status === undefined
+                  ? { Status: { exists: false } }
+                  : { Status: flight.Status },
+            }
+          );
+        } catch (error) {
+          if (!(error instanceof ConditionFailedError)) throw error;
+          report.conflicts.push(change);
+          continue;
+        }
+      }
+      report.changed.push(change);
+    }
+  } finally {
+    await store.close();
+  }
+
+  const transitions = {};
+  for (const { from, to } of report.changed) {
+    const label = `${from} -> ${to}`;
+    transitions[label] = (transitions[label] || 0) + 1;
+  }
+
+  console.log(
+    JSON.stringify(
+      {
+        dry_run: dryRun,
+        scanned: report.scanned,
+        unchanged: report.unchanged,
+        changed: report.changed.length,
+        transitions,
+        changes: report.changed,
+        unmapped: report.unmapped,
+        conflicts: report.conflicts,
+      },
+      null,
+      2
+    )
+  );
+  if (report.unmapped.length || report.conflicts.length) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the notification channels: an SMTP server and a
+ * webhook endpoint that accept everything and print each message as one
+ * JSON line. Point the channel settings at it to try delivery without a
+ * mail server or SMS gateway:
+ *
+ *   SMTP_HOST=localhost SMTP_PORT=2525
+ *   SMS_WEBHOOK_URL=http://localhost:8025/sms (likewise /push, /call)
+ *
+ * --fail N refuses the first N messages (SMTP 451, HTTP 503) so retries
+ * can be watched; --reject answers every message with a permanent error
+ * (SMTP 550, HTTP 400). Runs until interrupted.
+ *
+ * Usage:
+ *   node scripts/notification-sink.js [--smtp-port 2525] [--http-port 8025]
+ *                                     [--fail N] [--reject]
+ */
+
+import { createServer as createHttpServer } from "http";
+import { createServer as createTcpServer } from "net";
+import { parseArgs } from "util";
+
+const { values } = parseArgs({
+  options: {
+    "smtp-port": { type: "string", default: "2525" },
+    "http-port": { type: "string", default: "8025" },
+    fail: { type: "string", default: "0" },
+    reject: { type: "boolean", default: false },
+  },
+});
+
+let failuresLeft = Number(values.fail) || 0;
+let received = 0;
+
+/** "ok", "fail" (temporary) or "reject" (permanent) for the next message. */
+function nextOutcome() {
+  if (values.reject) return "reject";
+  if (failuresLeft > 0) {
+    failuresLeft -= 1;
+    return "fail";
+  }
+  return "ok";
+}
+
+function log(entry) {
+  console.log(JSON.stringify({ at: new Date().toISOString(), ...entry }));
+}
+
+function decodeMail(data) {
+  const [head, ...rest] = data.split("\r\n\r\n");
+  const headers = Object.fromEntries(
+    head.split("\r\n").map((line) => {
+      const colon = line.indexOf(":");
+      return [line.slice(0, colon).toLowerCase(), line.slice(colon + 1).trim()];
+    })
+  );
+  const subject = (headers.subject || "").replace(
+    /=\?UTF-8\?B\?([^?]*)\?=/gi,
+    (_, encoded) => Buffer.from(encoded, "base64").toString("utf8")
+  );
+  const raw = rest.join("\r\n\r\n");
+  const body =
+    headers["content-transfer-encoding"] === "base64"
+      ? Buffer.from(raw.replace(/\s+/g, ""), "base64").toString("utf8")
+      : raw;
+  return { from: headers.from, to: headers.to, subject, body };
+}
+
+const smtp = createTcpServer((socket) => {
+  let buffer = "";
+  let data = null;
+  let envelope = { from: null, to: [] };
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  socket.setEncoding("utf8");
+  socket.on("error", () => {});
+  reply("220 notification-sink ESMTP");
+  socket.on("data", (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (data !== null) {
+        if (line !== ".") {
+          data.push(line.startsWith("..") ? line.slice(1) : line);
+          continue;
+        }
+        const outcome = nextOutcome();
+        received += 1;
+        const id = `SINK${received}`;
+        log({
+          channel: "email",
+          outcome,
+          envelope,
+          ...decodeMail(data.join("\r\n")),
+        });
+        data = null;
+        envelope = { from: null, to: [] };
+        reply(
+          outcome === "ok"
+            ? `250 2.0.0 Ok: queued as ${id}`
+            : outcome === "fail"
+            ? "451 4.3.0 Try again later"
+            : "550 5.1.1 Mailbox unavailable"
+        );
+        continue;
+      }
+
+      const verb = line.split(/[ :]/)[0].toUpperCase();
+      switch (verb) {
+        case "EHLO":
+        case "HELO":
+          reply("250-notification-sink");
+          reply("250 AUTH PLAIN");
+          break;
+        case "AUTH":
+          reply("235 2.7.0 Authentication successful");
+          break;
+        case "MAIL":
+          envelope.from = /<([^>]*)>/.exec(line)?.[1] ?? null;
+          reply("250 2.1.0 Ok");
+          break;
+        case "RCPT":
+          envelope.to.push(/<([^>]*)>/.exec(line)?.[1] ?? null);
+          reply("250 2.1.5 Ok");
+          break;
+        case "DATA":
+          data = [];
+          reply("354 End data with <CR><LF>.<CR><LF>");
+          break;
+        case "RSET":
+          envelope = { from: null, to: [] };
+          reply("250 2.0.0 Ok");
+          break;
+        case "NOOP":
+          reply("250 2.0.0 Ok");
+          break;
+        case "QUIT":
+          reply("221 2.0.0 Bye");
+          socket.end();
+          break;
+        default:
+          reply("502 5.5.2 Command not recognized");
+      }
+    }
+  });
+});
+
+const http = createHttpServer((request, response) => {
+  let body = "";
+  request.setEncoding("utf8");
+  request.on("data", (chunk) => (body += chunk));
+  request.on("end", () => {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      payload = body;
+    }
+    const outcome = nextOutcome();
+    received += 1;
+    log({
+      channel: request.url.replace(/^\//, "") || "webhook",
+      outcome,
+      idempotency_key: request.headers["idempotency-key"] ?? null,
+      signature: request.headers["x-signature"] ?? null,
+      payload,
+    });
+    const status = outcome === "ok" ? 202 : outcome === "fail" ? 503 : 400;
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(
+      JSON.stringify(
+        outcome === "ok"
+          ? { id: `SINK${received}` }
+          : { error: outcome === "fail" ? "try again later" : "rejected" }
+      )
+    );
+  });
+});
+
+smtp.listen(Number(values["smtp-port"]), () =>
+  console.error(`SMTP sink on port ${values["smtp-port"]}`)
+);
+http.listen(Number(values["http-port"]), () =>
+  console.error(`Webhook sink on http://localhost:${values["http-port"]}`)
+);
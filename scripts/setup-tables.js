@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Provision, validate and seed the tables described in schemas/*.json
+ * against the configured storage backend (see lib/storage/index.js).
+ *
+ * Usage:
+ *   node scripts/setup-tables.js create   [--tables Flights,Bookings]
+ *   node scripts/setup-tables.js validate [--tables ...]
+ *   node scripts/setup-tables.js seed     [--date YYYY-MM-DD]
+ *   node scripts/setup-tables.js all      [--date YYYY-MM-DD]
+ *
+ * Examples:
+ *   STORAGE_BACKEND=sqlite node scripts/setup-tables.js all
+ *   DYNAMODB_ENDPOINT=http://localhost:8000 node scripts/setup-tables.js all
+ */
+
+import { parseArgs } from "util";
+import { diffTableDefinitions, TABLES } from "../lib/schemas.js";
+import { buildSeedData } from "../lib/seed-data.js";
+import { createStore, getStorageConfig } from "../lib/storage/index.js";
+
+function selectTables(names) {
+  if (!names) return Object.values(TABLES);
+  return names.split(",").map((name) => {
+    const definition = TABLES[name.trim()];
+    if (!definition) throw new Error(`No schema for table "${name}"`);
+    return definition;
+  });
+}
+
+async function createTables(store, tables) {
+  for (const definition of tables) {
+    const created = await store.createTable(definition);
+    console.log(
+      `${created ? "created" : "exists "}  ${definition.name} (${
+        Object.keys(definition.indexes).join(", ") || "no GSIs"
+      })`
+    );
+  }
+}
+
+async function validateTables(store, tables) {
+  let failures = 0;
+  for (const definition of tables) {
+    const problems = diffTableDefinitions(
+      definition,
+      await store.describeTable(definition.name)
+    );
+    if (problems.length === 0) {
+      console.log(`ok       ${definition.name}`);
+    } else {
+      failures += 1;
+      console.log(`MISMATCH ${definition.name}`);
+      for (const problem of problems) console.log(`  - ${problem}`);
+    }
+  }
+  return failures;
+}
+
+async function seedTables(store, date) {
+  const data = buildSeedData(date);
+  for (const [table, items] of Object.entries(data)) {
+    for (const item of items) {
+      await store.put(table, item);
+    }
+    console.log(`seeded   ${table}: ${items.length} items`);
+  }
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      tables: { type: "string" },
+      date: { type: "string" },
+    },
+  });
+  const command = positionals[0] || "all";
+  const tables = selectTables(values.tables);
+  const store = createStore({ ...getStorageConfig(), createTables: false });
+  console.log(`Storage backend: ${store.describe()}\n`);
+
+  try {
+    switch (command) {
+      case "create":
+        await createTables(store, tables);
+        break;
+      case "validate":
+        if ((await validateTables(store, tables)) > 0) process.exitCode = 1;
+        break;
+      case "seed":
+        await seedTables(store, values.date);
+        break;
+      case "all":
+        await createTables(store, tables);
+        console.log();
+        if ((await validateTables(store, tables)) > 0) {
+          process.exitCode = 1;
+          console.error("\nSchema validation failed, not seeding.");
+          break;
+        }
+        console.log();
+        await seedTables(store, values.date);
+        break;
+      default:
+        throw new Error(
+          `Unknown command "${command}" (expected create, validate, seed or all)`
+        );
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
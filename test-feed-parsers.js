@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+
+/**
+ * Check the SSIM and operational feed parsers against the sample files in
+ * data/samples, then import the sample schedule into a throwaway SQLite
+ * database and apply the sample feeds to it. MVT times only carry a day
+ * of month and a clock time, so the expected values below pin down how
+ * they are dated and rolled past midnight.
+ */
+
+import assert from "assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { parseFeed, applyFeedMessages } from "./lib/ops-feed.js";
+import { applyScheduleDiff, diffSchedule } from "./lib/schedule-import.js";
+import { expandLeg, legPeriod, parseSsim } from "./lib/ssim.js";
+import { createStore } from "./lib/storage/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SAMPLES_DIR = join(__dirname, "data", "samples");
+// The MVT sample is dated against this, as ingest-ops-feed.js uses "now"
+const FEED_NOW = new Date("2026-10-20T12:00:00Z");
+
+function readSample(name) {
+  return readFileSync(join(SAMPLES_DIR, name), "utf8");
+}
+
+function parseSample(name) {
+  return parseFeed(readSample(name), { now: FEED_NOW });
+}
+
+function keysOf(messages) {
+  return messages.map(
+    ({ key }) => `${key.FlightNumber} ${key.ScheduledDepartureDate}`
+  );
+}
+
+/** Stored times may or may not carry milliseconds: compare the instants. */
+function assertTime(actual, expected) {
+  assert.equal(
+    new Date(actual).toISOString(),
+    new Date(expected).toISOString()
+  );
+}
+
+async function getFlight(store, flightNumber, date) {
+  return store.get("Flights", {
+    FlightNumber: flightNumber,
+    ScheduledDepartureDate: date,
+  });
+}
+
+const checks = [
+  {
+    name: "SSIM sample - records, errors and skipped legs",
+    run() {
+      const { legs, errors, skipped } = parseSsim(readSample("schedule.ssim"));
+      assert.deepEqual(
+        legs.map((leg) => leg.flightNumber),
+        ["LH400", "LH778", "LH1026", "LH500"]
+      );
+      assert.deepEqual(errors, [
+        { line: 16, message: 'invalid days of operation "1234568"' },
+        { line: 17, message: 'invalid date "31SEP26"' },
+      ]);
+      assert.deepEqual(skipped, [
+        {
+          line: 15,
+          message:
+            "LH500 leg 2 (GRU-EZE): only the first leg of a multi-leg flight is imported",
+        },
+      ]);
+    },
+  },
+  {
+    name: "SSIM sample - dated flights in UTC",
+    run() {
+      const flights = parseSsim(readSample("schedule.ssim")).legs.flatMap(
+        expandLeg
+      );
+      const byNumber = (number) =>
+        flights.filter((flight) => flight.FlightNumber === number);
+
+      const lh400 = byNumber("LH400");
+      assert.equal(lh400.length, 5);
+      assert.deepEqual(lh400[0], {
+        FlightNumber: "LH400",
+        ScheduledDepartureDate: "2026-10-20",
+        Origin: "FRA",
+        Destination: "JFK",
+        ScheduledDepartureTime: "2026-10-20T08:20:00Z",
+        ScheduledArrivalTime: "2026-10-20T16:55:00Z",
+        AircraftType: "Airbus A350-900",
+        SeatCapacity: 293,
+        SeatCapacityByCabin: {
+          business: 48,
+          premium_economy: 21,
+          economy: 224,
+        },
+      });
+
+      // Days 1, 3, 5 and 7 between Tuesday 20 and Saturday 24 October,
+      // arriving the next day (date variation 1)
+      const lh778 = byNumber("LH778");
+      assert.deepEqual(
+        lh778.map((flight) => flight.ScheduledDepartureDate),
+        ["2026-10-21", "2026-10-23"]
+      );
+      assert.equal(lh778[0].ScheduledDepartureTime, "2026-10-21T19:55:00Z");
+      assert.equal(lh778[0].ScheduledArrivalTime, "2026-10-22T08:20:00Z");
+
+      // An open period ends with the carrier record's validity
+      const lh1026 = parseSsim(readSample("schedule.ssim")).legs.find(
+        (leg) => leg.flightNumber === "LH1026"
+      );
+      assert.deepEqual(
+        byNumber("LH1026").map((flight) => flight.ScheduledDepartureDate),
+        ["2026-10-20", "2026-10-21", "2026-10-22", "2026-10-23"]
+      );
+      assert.equal(legPeriod(lh1026).to, "2026-10-24");
+    },
+  },
+  {
+    name: "MVT/ASM sample - dates, rollover and errors",
+    run() {
+      const { messages, errors, skipped } = parseSample("movements.mvt");
+      assert.deepEqual(keysOf(messages), [
+        "LH1026 2026-10-20",
+        "LH1026 2026-10-20",
+        "LH400 2026-10-21",
+        "LH778 2026-10-21",
+        "LH778 2026-10-21",
+        "LH500 2026-10-22",
+        "LH500 2026-10-20",
+        "LH1026 2026-10-23",
+        "LH1026 2026-10-23",
+        "LH999 2026-10-20",
+      ]);
+
+      // ED carries its own day: 00:15 on the 23rd for the flight of the 22nd
+      assert.deepEqual(messages[5].update, {
+        estimatedDepartureTime: "2026-10-23T00:15:00Z",
+        delayCode: "71",
+        delayReason: "Delay code 71: weather at departure airport",
+      });
+      // The SI line is the reason, and an ED means the DL minutes are not
+      // used as the delay
+      assert.equal(messages[2].update.delayReason, "HYDRAULIC LEAK");
+      assert.equal(messages[2].update.delayMinutes, undefined);
+      // Clock times are dated on the flight date until applied (see below)
+      assert.equal(
+        messages[3].update.estimatedArrivalTime,
+        "2026-10-21T15:50:00Z"
+      );
+      assert.deepEqual(messages[7].update, {
+        status: "cancelled",
+        delayReason: "ATC STRIKE",
+      });
+
+      assert.deepEqual(errors, [
+        { line: 55, message: 'invalid off-block time "9912"' },
+      ]);
+      assert.deepEqual(skipped, [
+        {
+          line: 44,
+          message:
+            "ASM TIM is not applied, schedule changes come from the SSIM import",
+        },
+      ]);
+    },
+  },
+  {
+    name: "MVT - day of month across month ends",
+    run() {
+      const dateOf = (text, now) =>
+        keysOf(parseFeed(text, { now: new Date(now) }).messages)[0];
+
+      assert.equal(
+        dateOf("MVT\nLH400/31\nED010030", "2026-11-01T01:00:00Z"),
+        "LH400 2026-10-31"
+      );
+      assert.equal(
+        dateOf("MVT\nLH400/01\nED010030", "2026-10-31T22:00:00Z"),
+        "LH400 2026-11-01"
+      );
+      assert.equal(
+        dateOf("MVT\nLH400/31\nED010030", "2026-12-30T12:00:00Z"),
+        "LH400 2026-12-31"
+      );
+      assert.equal(
+        dateOf("MVT\nLH400/28\nED010030", "2027-01-02T08:00:00Z"),
+        "LH400 2026-12-28"
+      );
+
+      const { messages } = parseFeed("MVT\nLH400/31\nED010030", {
+        now: new Date("2026-10-31T12:00:00Z"),
+      });
+      assert.equal(
+        messages[0].update.estimatedDepartureTime,
+        "2026-11-01T00:30:00Z"
+      );
+
+      const { errors } = parseFeed("MVT\nLH400/32\nED010030", {
+        now: FEED_NOW,
+      });
+      assert.deepEqual(errors, [
+        { line: 2, message: 'invalid day of month "32"' },
+      ]);
+    },
+  },
+  {
+    name: "NDJSON sample - fields, statuses and errors",
+    run() {
+      const { messages, errors } = parseSample("updates.ndjson");
+      assert.deepEqual(keysOf(messages), [
+        "LH400 2026-10-22",
+        "LH500 2026-10-21",
+        "LH1026 2026-10-21",
+        "LH400 2026-10-22",
+      ]);
+      assert.deepEqual(messages[0].update, {
+        status: "delayed",
+        delayMinutes: 45,
+        delayCode: "41",
+        delayReason: "Delay code 41: technical and aircraft equipment",
+      });
+      assert.equal(messages[1].update.status, "cancelled");
+
+      assert.deepEqual(
+        errors.map(({ line }) => line),
+        [4, 5, 6]
+      );
+      assert.equal(errors[0].message, "departure_date must be YYYY-MM-DD");
+      assert.equal(errors[1].message, 'unknown status "late"');
+      assert.match(errors[2].message, /^invalid JSON: /);
+    },
+  },
+  {
+    name: "Import the sample schedule",
+    async run(store) {
+      const { legs } = parseSsim(readSample("schedule.ssim"));
+      const diff = await diffSchedule(store, legs.flatMap(expandLeg), {
+        periods: legs.map(legPeriod),
+      });
+      assert.equal(diff.added.length, 16);
+      const result = await applyScheduleDiff(store, diff, {
+        source: "ssim",
+        updatedBy: "schedule.ssim",
+      });
+      assert.deepEqual(result.failed, []);
+
+      const flight = await getFlight(store, "LH778", "2026-10-21");
+      assert.equal(flight.Status, "scheduled");
+      assert.equal(flight.ScheduledArrivalTime, "2026-10-22T08:20:00Z");
+    },
+  },
+  {
+    name: "Apply the MVT/ASM sample",
+    async run(store) {
+      const { messages } = parseSample("movements.mvt");
+      const result = await applyFeedMessages(store, messages, {
+        source: "ops-feed",
+        updatedBy: "movements.mvt",
+        now: FEED_NOW,
+      });
+
+      assert.deepEqual(
+        result.applied.map(({ line, status }) => [line, status]),
+        [
+          [1, "departed"],
+          [5, "landed"],
+          [9, "delayed"],
+          [15, "departed"],
+          [20, "landed"],
+          [24, "delayed"],
+          [30, "diverted"],
+          [34, "cancelled"],
+        ]
+      );
+      assert.deepEqual(
+        result.rejected.map(({ line, flight }) => [line, flight]),
+        [
+          [40, "LH1026 2026-10-23"],
+          [49, "LH999 2026-10-20"],
+        ]
+      );
+      assert.equal(
+        result.rejected[1].reason,
+        "Flight LH999 2026-10-20 not found"
+      );
+
+      // Departed just before midnight: EA and AA roll to the next day
+      const lh778 = await getFlight(store, "LH778", "2026-10-21");
+      assert.equal(lh778.Status, "landed");
+      assertTime(lh778.ActualDepartureTime, "2026-10-21T23:48:00Z");
+      assertTime(lh778.ActualArrivalTime, "2026-10-22T15:52:00Z");
+
+      // ED past midnight makes the flight of the 22nd delayed into the 23rd
+      const lh500 = await getFlight(store, "LH500", "2026-10-22");
+      assert.equal(lh500.Status, "delayed");
+      assertTime(lh500.EstimatedDepartureTime, "2026-10-23T00:15:00Z");
+
+      const diverted = await getFlight(store, "LH500", "2026-10-20");
+      assert.equal(diverted.Status, "diverted");
+      assert.equal(diverted.DivertedTo, "VCP");
+
+      // Replaying the feed changes nothing further
+      const replay = await applyFeedMessages(store, messages, {
+        source: "ops-feed",
+        updatedBy: "movements.mvt",
+        now: FEED_NOW,
+      });
+      assert.deepEqual(replay.applied, []);
+    },
+  },
+  {
+    name: "Apply the NDJSON sample",
+    async run(store) {
+      const { messages } = parseSample("updates.ndjson");
+      const result = await applyFeedMessages(store, messages, {
+        source: "ops-feed",
+        updatedBy: "updates.ndjson",
+        now: FEED_NOW,
+      });
+      assert.deepEqual(
+        result.applied.map(({ line, status }) => [line, status]),
+        [
+          [1, "delayed"],
+          [2, "cancelled"],
+          [3, "departed"],
+        ]
+      );
+      assert.equal(result.unchanged, 1);
+      assert.deepEqual(result.rejected, []);
+
+      const lh400 = await getFlight(store, "LH400", "2026-10-22");
+      assert.equal(lh400.DelayMinutes, 45);
+      assertTime(lh400.EstimatedDepartureTime, "2026-10-22T09:05:00Z");
+    },
+  },
+];
+
+async function runAllChecks() {
+  console.log("🚀 Checking SSIM and operational feed parsing\n");
+  console.log("=".repeat(60));
+
+  const dir = mkdtempSync(join(tmpdir(), "feed-parsers-"));
+  const store = createStore({
+    backend: "sqlite",
+    sqlitePath: join(dir, "flights.db"),
+  });
+  const results = [];
+
+  try {
+    for (const check of checks) {
+      console.log(`\n🧪 Checking: ${check.name}`);
+      try {
+        await check.run(store);
+        results.push({ name: check.name, success: true });
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        results.push({
+          name: check.name,
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+  } finally {
+    await store.close();
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Summary
+  console.log("\n" + "=".repeat(60));
+  console.log("📊 CHECK SUMMARY");
+  console.log("=".repeat(60));
+
+  results.forEach((result) => {
+    const status = result.success ? "✅ PASS" : "❌ FAIL";
+    console.log(`${status} ${result.name}`);
+  });
+
+  const passCount = results.filter((r) => r.success).length;
+  console.log(`\n🎯 Results: ${passCount}/${results.length} checks passed`);
+  if (passCount !== results.length) process.exitCode = 1;
+}
+
+runAllChecks().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
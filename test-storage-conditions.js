@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+
+/**
+ * Check the declarative conditions in lib/storage/conditions.js: `matches`
+ * and `applyUpdate` (the SQLite adapter) and the expression builder (the
+ * DynamoDB adapter). Both adapters must agree on the same condition and
+ * update objects, including dotted paths into map attributes and attribute
+ * names that repeat or only differ in punctuation.
+ */
+
+import assert from "assert/strict";
+import {
+  ExpressionBuilder,
+  applyUpdate,
+  keyCondition,
+  matches,
+} from "./lib/storage/conditions.js";
+
+const FLIGHT = {
+  FlightNumber: "LH400",
+  Origin: "FRA",
+  Status: "delayed",
+  DelayMinutes: 95,
+  Gate: null,
+  AvailableSeatsByCabin: { economy: 12, business: 0 },
+};
+
+/** Compile a condition and return the expression with its attributes. */
+function compileCondition(condition) {
+  const builder = new ExpressionBuilder();
+  return { expression: builder.condition(condition), ...builder.attributes() };
+}
+
+function compileUpdate(changes) {
+  const builder = new ExpressionBuilder();
+  return { expression: builder.update(changes), ...builder.attributes() };
+}
+
+const checks = [
+  {
+    name: "matches - comparison operators",
+    run() {
+      assert.equal(matches(FLIGHT, { Origin: "FRA" }), true);
+      assert.equal(matches(FLIGHT, { Origin: { eq: "MUC" } }), false);
+      assert.equal(matches(FLIGHT, { Origin: { ne: "MUC" } }), true);
+      assert.equal(matches(FLIGHT, { DelayMinutes: { gt: 95 } }), false);
+      assert.equal(matches(FLIGHT, { DelayMinutes: { gte: 95 } }), true);
+      assert.equal(matches(FLIGHT, { DelayMinutes: { lt: 100 } }), true);
+      assert.equal(matches(FLIGHT, { DelayMinutes: { lte: 94 } }), false);
+      assert.equal(
+        matches(FLIGHT, { DelayMinutes: { between: [60, 120] } }),
+        true
+      );
+      assert.equal(
+        matches(FLIGHT, { Status: { in: ["delayed", "cancelled"] } }),
+        true
+      );
+      assert.equal(
+        matches(FLIGHT, { FlightNumber: { begins_with: "LH" } }),
+        true
+      );
+      // Several tests on one attribute are ANDed
+      assert.equal(matches(FLIGHT, { DelayMinutes: { gt: 0, lt: 60 } }), false);
+      // An object with any other key is a plain value compared with eq
+      assert.equal(
+        matches(FLIGHT, { DelayMinutes: { gt: 0, like: 1 } }),
+        false
+      );
+    },
+  },
+  {
+    name: "matches - missing attributes and missing items",
+    run() {
+      assert.equal(matches(FLIGHT, { Gate: { exists: false } }), true);
+      assert.equal(matches(FLIGHT, { Terminal: { exists: false } }), true);
+      assert.equal(matches(FLIGHT, { Origin: { exists: true } }), true);
+      // ne holds for a missing attribute, every other comparison fails
+      assert.equal(matches(FLIGHT, { Terminal: { ne: "1" } }), true);
+      assert.equal(matches(FLIGHT, { Terminal: { lt: "9" } }), false);
+      assert.equal(
+        matches(undefined, { FlightNumber: { exists: false } }),
+        true
+      );
+      assert.equal(matches(null, { FlightNumber: "LH400" }), false);
+      assert.equal(matches(FLIGHT, undefined), true);
+    },
+  },
+  {
+    name: "matches - dotted paths, $or and $and",
+    run() {
+      assert.equal(
+        matches(FLIGHT, { "AvailableSeatsByCabin.economy": { gte: 12 } }),
+        true
+      );
+      assert.equal(
+        matches(FLIGHT, { "AvailableSeatsByCabin.business": { gt: 0 } }),
+        false
+      );
+      assert.equal(
+        matches(FLIGHT, { "AvailableSeatsByCabin.first": { exists: false } }),
+        true
+      );
+      assert.equal(
+        matches(FLIGHT, { "Gate.Terminal": { exists: false } }),
+        true
+      );
+      assert.equal(
+        matches(FLIGHT, {
+          $or: [{ Status: "cancelled" }, { DelayMinutes: { gte: 60 } }],
+        }),
+        true
+      );
+      assert.equal(
+        matches(FLIGHT, {
+          Origin: "FRA",
+          $and: [{ Status: "delayed" }, { DelayMinutes: { gte: 120 } }],
+        }),
+        false
+      );
+    },
+  },
+  {
+    name: "applyUpdate - set, add and remove on a copy",
+    run() {
+      const updated = applyUpdate(FLIGHT, {
+        set: { Status: "cancelled", "AvailableSeatsByCabin.business": 2 },
+        add: { DelayMinutes: 15, "AvailableSeatsByCabin.economy": -1 },
+        remove: ["Gate"],
+      });
+      assert.deepEqual(updated, {
+        FlightNumber: "LH400",
+        Origin: "FRA",
+        Status: "cancelled",
+        DelayMinutes: 110,
+        AvailableSeatsByCabin: { economy: 11, business: 2 },
+      });
+      // The original item and its nested maps are left untouched
+      assert.equal(FLIGHT.Status, "delayed");
+      assert.equal(FLIGHT.Gate, null);
+      assert.deepEqual(FLIGHT.AvailableSeatsByCabin, {
+        economy: 12,
+        business: 0,
+      });
+    },
+  },
+  {
+    name: "applyUpdate - missing attributes and maps",
+    run() {
+      const updated = applyUpdate(
+        { FlightNumber: "LH400" },
+        {
+          set: { "Crew.Captain": "C1001" },
+          add: { RebookedCount: 3, "HeldSeatsByCabin.economy": 2 },
+          remove: ["Terminal", "Crew.FirstOfficer"],
+        }
+      );
+      assert.deepEqual(updated, {
+        FlightNumber: "LH400",
+        Crew: { Captain: "C1001" },
+        RebookedCount: 3,
+        HeldSeatsByCabin: { economy: 2 },
+      });
+    },
+  },
+  {
+    name: "ExpressionBuilder - condition expressions",
+    run() {
+      assert.deepEqual(
+        compileCondition({
+          Origin: "FRA",
+          DelayMinutes: { between: [60, 120] },
+          Status: { in: ["delayed", "cancelled"] },
+        }),
+        {
+          expression:
+            "(#n0 = :v0) AND (#n1 BETWEEN :v1 AND :v2) AND (#n2 IN (:v3, :v4))",
+          ExpressionAttributeNames: {
+            "#n0": "Origin",
+            "#n1": "DelayMinutes",
+            "#n2": "Status",
+          },
+          ExpressionAttributeValues: {
+            ":v0": "FRA",
+            ":v1": 60,
+            ":v2": 120,
+            ":v3": "delayed",
+            ":v4": "cancelled",
+          },
+        }
+      );
+      assert.deepEqual(
+        compileCondition({
+          $or: [
+            { Gate: { exists: false } },
+            { FlightNumber: { begins_with: "LH" } },
+          ],
+        }),
+        {
+          expression: "(attribute_not_exists(#n0) OR begins_with(#n1, :v0))",
+          ExpressionAttributeNames: { "#n0": "Gate", "#n1": "FlightNumber" },
+          ExpressionAttributeValues: { ":v0": "LH" },
+        }
+      );
+      assert.deepEqual(compileCondition({ Origin: { like: "F" } }), {
+        expression: "#n0 = :v0",
+        ExpressionAttributeNames: { "#n0": "Origin" },
+        ExpressionAttributeValues: { ":v0": { like: "F" } },
+      });
+      assert.throws(
+        () => new ExpressionBuilder().test("Origin", "like", "F"),
+        /Unsupported condition operator "like"/
+      );
+    },
+  },
+  {
+    name: "ExpressionBuilder - repeated and dotted attribute names",
+    run() {
+      // A name used twice, and as a segment of a dotted path, shares one
+      // placeholder; names that only differ in punctuation do not collide
+      assert.deepEqual(
+        compileCondition({
+          "AvailableSeatsByCabin.economy": { gte: 1 },
+          economy: { exists: false },
+          "a-b": 1,
+          a_b: 2,
+          $and: [{ "a-b": { ne: 3 } }],
+        }),
+        {
+          expression:
+            "(#n0.#n1 >= :v0) AND (attribute_not_exists(#n1)) AND (#n2 = :v1)" +
+            " AND (#n3 = :v2) AND ((#n2 <> :v3))",
+          ExpressionAttributeNames: {
+            "#n0": "AvailableSeatsByCabin",
+            "#n1": "economy",
+            "#n2": "a-b",
+            "#n3": "a_b",
+          },
+          ExpressionAttributeValues: { ":v0": 1, ":v1": 1, ":v2": 2, ":v3": 3 },
+        }
+      );
+    },
+  },
+  {
+    name: "ExpressionBuilder - update expressions",
+    run() {
+      assert.deepEqual(
+        compileUpdate({
+          set: { Status: "cancelled", "AvailableSeatsByCabin.business": 2 },
+          add: { "AvailableSeatsByCabin.economy": -1 },
+          remove: ["Gate", "AvailableSeatsByCabin.first"],
+        }),
+        {
+          expression:
+            "SET #n0 = :v0, #n1.#n2 = :v1," +
+            " #n1.#n3 = if_not_exists(#n1.#n3, :v2) + :v3" +
+            " REMOVE #n4, #n1.#n5",
+          ExpressionAttributeNames: {
+            "#n0": "Status",
+            "#n1": "AvailableSeatsByCabin",
+            "#n2": "business",
+            "#n3": "economy",
+            "#n4": "Gate",
+            "#n5": "first",
+          },
+          ExpressionAttributeValues: {
+            ":v0": "cancelled",
+            ":v1": 2,
+            ":v2": 0,
+            ":v3": -1,
+          },
+        }
+      );
+      // A condition and an update compiled with one builder share names
+      const builder = new ExpressionBuilder();
+      const condition = builder.condition({ Status: { ne: "cancelled" } });
+      const update = builder.update({ set: { Status: "cancelled" } });
+      assert.equal(condition, "#n0 <> :v0");
+      assert.equal(update, "SET #n0 = :v1");
+      assert.deepEqual(builder.attributes().ExpressionAttributeNames, {
+        "#n0": "Status",
+      });
+      assert.deepEqual(new ExpressionBuilder().attributes(), {});
+    },
+  },
+  {
+    name: "keyCondition - hash and optional range",
+    run() {
+      const schema = { hash: "FlightNumber", range: "ScheduledDepartureDate" };
+      assert.deepEqual(keyCondition(schema, { hash: "LH400" }), {
+        FlightNumber: "LH400",
+      });
+      assert.deepEqual(
+        keyCondition(schema, { hash: "LH400", range: { gte: "2026-10-20" } }),
+        { FlightNumber: "LH400", ScheduledDepartureDate: { gte: "2026-10-20" } }
+      );
+      assert.deepEqual(
+        keyCondition({ hash: "PassengerId", range: null }, {
+          hash: "P10037",
+          range: "x",
+        }),
+        { PassengerId: "P10037" }
+      );
+    },
+  },
+];
+
+async function runAllChecks() {
+  console.log("🚀 Checking storage conditions");
+  console.log("=".repeat(60));
+
+  const results = [];
+  for (const check of checks) {
+    console.log(`\n🧪 Checking: ${check.name}`);
+    try {
+      await check.run();
+      results.push({ name: check.name, success: true });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      results.push({ name: check.name, success: false, error: error.message });
+    }
+  }
+
+  // Summary
+  console.log("\n" + "=".repeat(60));
+  console.log("📊 CHECK SUMMARY");
+  console.log("=".repeat(60));
+
+  results.forEach((result) => {
+    const status = result.success ? "✅ PASS" : "❌ FAIL";
+    console.log(`${status} ${result.name}`);
+  });
+
+  const passCount = results.filter((r) => r.success).length;
+  console.log(`\n🎯 Results: ${passCount}/${results.length} checks passed`);
+  if (passCount !== results.length) process.exitCode = 1;
+}
+
+runAllChecks().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});